@@ -8,5 +8,6 @@ module.exports = {
   testMatch: [
     '**/tests/**/*.test.js'
   ],
+  setupFiles: ['<rootDir>/tests/setup.js'],
   verbose: true
 };
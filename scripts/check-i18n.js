@@ -0,0 +1,27 @@
+// Report message keys missing from each locale catalog (compared to the default locale)
+const { findMissingKeys, getSupportedLocales, DEFAULT_LOCALE } = require('../src/i18n');
+const { getNativeLanguageCodes } = require('../src/utils/languageRegistry');
+
+const missing = findMissingKeys();
+const locales = getSupportedLocales().filter(locale => locale !== DEFAULT_LOCALE);
+
+console.log(`Checking ${locales.length} locale(s) against '${DEFAULT_LOCALE}'...\n`);
+
+locales.forEach(locale => {
+  const keys = missing[locale] || [];
+  if (keys.length === 0) {
+    console.log(`✅ ${locale}: complete`);
+    return;
+  }
+
+  console.log(`❌ ${locale}: ${keys.length} missing key(s)`);
+  keys.forEach(key => console.log(`   - ${key}`));
+});
+
+// Every native language needs a catalog, otherwise its learners fall back to English
+const uncovered = getNativeLanguageCodes().filter(code => !getSupportedLocales().includes(code));
+if (uncovered.length > 0) {
+  console.log(`\n❌ Native languages without a catalog: ${uncovered.join(', ')}`);
+}
+
+process.exit(Object.keys(missing).length > 0 || uncovered.length > 0 ? 1 : 0);
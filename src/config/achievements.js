@@ -0,0 +1,35 @@
+/**
+ * Gamification rules: XP per event, level thresholds and badges
+ * Badge names and descriptions live in the message catalogs under
+ * `achievements.badges.<id>`; adding a badge means adding an entry here plus its text.
+ *
+ * Badge conditions:
+ * - lessons: at least `min` lessons completed
+ * - lessonDays: every lesson from day `from` to day `to` completed (current language)
+ * - streak: a streak of at least `min` days
+ * - score: a single voice or quiz score of at least `min`
+ * - reviewSessions: at least `min` review sessions finished
+ * - level: reached level `min`
+ */
+module.exports = {
+  xp: {
+    lessonCompleted: 20,
+    // Voice assessments and quizzes earn up to this much, in proportion to the score
+    assessmentMax: 15,
+    // Clearing all due review cards
+    reviewSession: 10,
+    // Bonus when the streak reaches one of these lengths (days: XP)
+    streakMilestones: { 3: 15, 7: 50, 14: 75, 30: 150, 60: 250, 100: 500 }
+  },
+  // Total XP needed for each level, from level 1
+  levels: [0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200, 4000, 5000],
+  badges: [
+    { id: 'first_lesson', emoji: '🌱', condition: { type: 'lessons', min: 1 } },
+    { id: 'streak_7', emoji: '🔥', condition: { type: 'streak', min: 7 } },
+    { id: 'streak_30', emoji: '🏆', condition: { type: 'streak', min: 30 } },
+    { id: 'score_90', emoji: '🎯', condition: { type: 'score', min: 90 } },
+    { id: 'days_1_10', emoji: '📚', condition: { type: 'lessonDays', from: 1, to: 10 } },
+    { id: 'reviews_10', emoji: '🧠', condition: { type: 'reviewSessions', min: 10 } },
+    { id: 'level_5', emoji: '⭐', condition: { type: 'level', min: 5 } }
+  ]
+};
@@ -0,0 +1,90 @@
+const Joi = require('joi');
+
+/**
+ * Joi field types shared by the config sections
+ */
+
+const CLOCK_TIME = '([01]\\d|2[0-3]):[0-5]\\d';
+
+/**
+ * A string that is required unless MOCK_PROVIDERS is on
+ * @returns {Joi.StringSchema}
+ */
+function requiredUnlessMock() {
+  return Joi.string().when('MOCK_PROVIDERS', { is: true, then: Joi.optional(), otherwise: Joi.required() });
+}
+
+/**
+ * A string that is required when data is stored in Firestore
+ * Firestore is the default backend outside mock mode.
+ * @returns {Joi.StringSchema}
+ */
+function requiredForFirestore() {
+  return Joi.string().when('STORAGE_BACKEND', {
+    is: Joi.exist(),
+    then: Joi.when('STORAGE_BACKEND', { is: 'firestore', then: Joi.required() }),
+    otherwise: requiredUnlessMock()
+  });
+}
+
+/**
+ * An IANA timezone name
+ * @returns {Joi.StringSchema}
+ */
+function timeZoneName() {
+  return Joi.string().custom((value, helpers) => {
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (error) {
+      return helpers.message(`"${value}" is not an IANA timezone`);
+    }
+  });
+}
+
+/**
+ * A wall-clock time, HH:MM
+ * @returns {Joi.StringSchema}
+ */
+function clockTime() {
+  return Joi.string().pattern(new RegExp(`^${CLOCK_TIME}$`));
+}
+
+/**
+ * A range of wall-clock times, HH:MM-HH:MM
+ * @returns {Joi.StringSchema}
+ */
+function clockRange() {
+  return Joi.string().pattern(new RegExp(`^${CLOCK_TIME}-${CLOCK_TIME}$`));
+}
+
+/**
+ * Up to three comma-separated day counts in increasing order, e.g. 3,7,30
+ * @returns {Joi.StringSchema}
+ */
+function increasingDays() {
+  return Joi.string().pattern(/^\d+(,\d+){0,2}$/).custom((value, helpers) => {
+    const days = value.split(',').map(Number);
+    return days.every((day, i) => day > 0 && (i === 0 || day > days[i - 1]))
+      ? value
+      : helpers.message(`"${value}" must list increasing day counts`);
+  });
+}
+
+/**
+ * A comma-separated list of names from a fixed set, e.g. deepgram,openai
+ * @param {Array<string>} names - Allowed names
+ * @returns {Joi.StringSchema}
+ */
+function nameList(names) {
+  return Joi.string().pattern(new RegExp(`^(${names.join('|')})(,(${names.join('|')}))*$`));
+}
+
+module.exports = {
+  requiredUnlessMock,
+  requiredForFirestore,
+  timeZoneName,
+  clockTime,
+  clockRange,
+  increasingDays,
+  nameList
+};
@@ -0,0 +1,78 @@
+const path = require('path');
+const Joi = require('joi');
+const { timeZoneName, clockTime, clockRange, increasingDays } = require('./fields');
+
+/**
+ * Learning settings: lessons, the scheduler, nudges and leaderboards
+ */
+
+const schema = {
+  LESSON_PACKS_DIR: Joi.string().optional(),
+  LESSON_MIN_QUIZ_SCORE: Joi.number().integer().min(0).max(100).default(0),
+  SPEAKING_QUIZ_TTL_HOURS: Joi.number().min(1).default(48),
+  DEFAULT_TIMEZONE: timeZoneName().default('UTC'),
+  LESSON_SEND_CONCURRENCY: Joi.number().integer().min(1).max(30).default(5),
+  LESSON_CATCH_UP_MINUTES: Joi.number().integer().min(15).max(720).default(60),
+  SCHEDULER_LEASE_TTL_MINUTES: Joi.number().integer().min(1).default(20),
+  SCHEDULER_PAGE_SIZE: Joi.number().integer().min(1).max(1000).default(200),
+  NUDGE_REMINDER_HOURS: Joi.number().min(1).max(23).default(4),
+  NUDGE_STREAK_WARNING_TIME: clockTime().default('20:00'),
+  NUDGE_WIN_BACK_DAYS: increasingDays().default('3,7,30'),
+  NUDGE_QUIET_HOURS: clockRange().default('22:00-08:00'),
+  NUDGE_WEEKLY_CAP: Joi.number().integer().min(0).default(3),
+  LEADERBOARD_MIN_ATTEMPTS: Joi.number().integer().min(1).default(3),
+  LEADERBOARD_SIZE: Joi.number().integer().min(3).max(50).default(10)
+};
+
+/**
+ * Build the learning part of the config
+ * @param {Object} value - Validated environment
+ * @returns {Object}
+ */
+function build(value) {
+  const [quietStart, quietEnd] = value.NUDGE_QUIET_HOURS.split('-');
+
+  return {
+    lessons: {
+      packsDir: value.LESSON_PACKS_DIR
+        ? path.resolve(value.LESSON_PACKS_DIR)
+        : path.resolve(__dirname, '../../content/lessons'),
+      // Speaking quiz score needed to unlock the next day (0 = no gating)
+      minQuizScore: value.LESSON_MIN_QUIZ_SCORE,
+      // How long a speaking prompt accepts voice answers
+      speakingQuizTtlHours: value.SPEAKING_QUIZ_TTL_HOURS
+    },
+    scheduler: {
+      // Daily lessons sent at the same time
+      sendConcurrency: value.LESSON_SEND_CONCURRENCY,
+      // How long after a learner's lesson time a missed or failed delivery is still attempted
+      catchUpMinutes: value.LESSON_CATCH_UP_MINUTES,
+      // Only the instance holding the scheduler lease runs cron jobs; it renews on every run
+      leaseTtlMs: value.SCHEDULER_LEASE_TTL_MINUTES * 60 * 1000,
+      // Due users fetched per query
+      pageSize: value.SCHEDULER_PAGE_SIZE
+    },
+    nudges: {
+      // Reminder this long after an uncompleted daily lesson was sent
+      reminderHours: value.NUDGE_REMINDER_HOURS,
+      // Local time from which a learner who practiced yesterday but not today is warned
+      streakWarningTime: value.NUDGE_STREAK_WARNING_TIME,
+      // Days of inactivity that trigger each win-back message (up to three stages)
+      winBackDays: value.NUDGE_WIN_BACK_DAYS.split(',').map(Number),
+      // No nudges between these local times
+      quietHours: { start: quietStart, end: quietEnd },
+      // Nudges per learner in any 7 days (0 turns nudges off)
+      weeklyCap: value.NUDGE_WEEKLY_CAP
+    },
+    leaderboard: {
+      // Voice answers and quizzes in the period before a learner is ranked
+      minAttempts: value.LEADERBOARD_MIN_ATTEMPTS,
+      // Learners listed on each board
+      size: value.LEADERBOARD_SIZE
+    },
+    // Timezone for learners who haven't picked one and have no native-language guess
+    defaultTimeZone: value.DEFAULT_TIMEZONE
+  };
+}
+
+module.exports = { schema, build };
@@ -0,0 +1,117 @@
+const Joi = require('joi');
+const { requiredUnlessMock, nameList } = require('./fields');
+
+/**
+ * AI provider settings: speech-to-text, LLM grading and score blending
+ */
+
+const STT_PROVIDER_NAMES = ['openai', 'groq', 'deepgram', 'local'];
+
+const LLM_PROVIDER_NAMES = ['openai', 'groq', 'anthropic', 'local'];
+
+const schema = {
+  OPENAI_API_KEY: requiredUnlessMock(),
+  GROQ_API_KEY: Joi.string().optional(),
+  USE_GROQ: Joi.boolean().default(false),
+  DEEPGRAM_API_KEY: Joi.string().optional(),
+  USE_DEEPGRAM: Joi.boolean().default(false),
+  ANTHROPIC_API_KEY: Joi.string().optional(),
+  STT_PROVIDERS: nameList(STT_PROVIDER_NAMES).optional(),
+  STT_TIMEOUT_OPENAI_MS: Joi.number().integer().min(1000).default(30000),
+  STT_TIMEOUT_GROQ_MS: Joi.number().integer().min(1000).default(30000),
+  STT_TIMEOUT_DEEPGRAM_MS: Joi.number().integer().min(1000).default(30000),
+  STT_TIMEOUT_LOCAL_MS: Joi.number().integer().min(1000).default(120000),
+  STT_BREAKER_FAILURES: Joi.number().integer().min(1).default(3),
+  STT_BREAKER_RESET_MS: Joi.number().integer().min(1000).default(60000),
+  LOCAL_WHISPER_COMMAND: Joi.string().optional(),
+  LLM_PROVIDERS: nameList(LLM_PROVIDER_NAMES).optional(),
+  LLM_TIMEOUT_MS: Joi.number().integer().min(1000).default(60000),
+  LLM_GRADING_MODEL_OPENAI: Joi.string().default('gpt-4o'),
+  LLM_GRADING_MODEL_GROQ: Joi.string().default('llama-3.3-70b-versatile'),
+  LLM_GRADING_MODEL_ANTHROPIC: Joi.string().default('claude-3-5-sonnet-latest'),
+  LLM_GRADING_MODEL_LOCAL: Joi.string().default('llama3.1'),
+  LOCAL_LLM_BASE_URL: Joi.string().uri().optional(),
+  LOCAL_LLM_API_KEY: Joi.string().optional(),
+  SCORE_WEIGHT_LOCAL: Joi.number().min(0).default(0.4),
+  SCORE_WEIGHT_LLM: Joi.number().min(0).default(0.6)
+};
+
+/**
+ * Checks across provider settings
+ * @param {Object} value - Validated environment
+ * @returns {string|null} Problem found, or null
+ */
+function check(value) {
+  return value.SCORE_WEIGHT_LOCAL + value.SCORE_WEIGHT_LLM > 0
+    ? null
+    : 'SCORE_WEIGHT_LOCAL and SCORE_WEIGHT_LLM cannot both be 0';
+}
+
+/**
+ * Build the provider part of the config
+ * @param {Object} value - Validated environment
+ * @returns {Object}
+ */
+function build(value) {
+  const mock = value.MOCK_PROVIDERS;
+
+  return {
+    openai: {
+      apiKey: value.OPENAI_API_KEY || null,
+      groqApiKey: value.GROQ_API_KEY || null,
+      useGroq: value.USE_GROQ || false
+    },
+    deepgram: {
+      apiKey: value.DEEPGRAM_API_KEY || null,
+      useDeepgram: value.USE_DEEPGRAM || false
+    },
+    stt: {
+      // Without STT_PROVIDERS, keep the legacy order: Deepgram, then Groq, then OpenAI
+      providers: mock ? ['mock'] : (value.STT_PROVIDERS
+        ? value.STT_PROVIDERS.split(',')
+        : [value.USE_DEEPGRAM && 'deepgram', value.USE_GROQ && 'groq', 'openai'].filter(Boolean)),
+      timeouts: {
+        openai: value.STT_TIMEOUT_OPENAI_MS,
+        groq: value.STT_TIMEOUT_GROQ_MS,
+        deepgram: value.STT_TIMEOUT_DEEPGRAM_MS,
+        local: value.STT_TIMEOUT_LOCAL_MS,
+        mock: 5000
+      },
+      breaker: {
+        failureThreshold: value.STT_BREAKER_FAILURES,
+        resetTimeoutMs: value.STT_BREAKER_RESET_MS
+      },
+      localWhisperCommand: value.LOCAL_WHISPER_COMMAND || null
+    },
+    anthropic: {
+      apiKey: value.ANTHROPIC_API_KEY || null
+    },
+    llm: {
+      // Without LLM_PROVIDERS: Groq (if USE_GROQ), OpenAI, then Anthropic (if a key is set)
+      providers: mock ? ['mock'] : (value.LLM_PROVIDERS
+        ? value.LLM_PROVIDERS.split(',')
+        : [value.USE_GROQ && 'groq', 'openai', value.ANTHROPIC_API_KEY && 'anthropic'].filter(Boolean)),
+      timeoutMs: value.LLM_TIMEOUT_MS,
+      // Model per task, per provider
+      models: {
+        grading: {
+          openai: value.LLM_GRADING_MODEL_OPENAI,
+          groq: value.LLM_GRADING_MODEL_GROQ,
+          anthropic: value.LLM_GRADING_MODEL_ANTHROPIC,
+          local: value.LLM_GRADING_MODEL_LOCAL,
+          mock: 'mock-grader'
+        }
+      },
+      local: {
+        baseURL: value.LOCAL_LLM_BASE_URL || null,
+        apiKey: value.LOCAL_LLM_API_KEY || 'local'
+      }
+    },
+    scoring: {
+      localWeight: value.SCORE_WEIGHT_LOCAL,
+      llmWeight: value.SCORE_WEIGHT_LLM
+    }
+  };
+}
+
+module.exports = { schema, check, build };
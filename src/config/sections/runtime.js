@@ -0,0 +1,56 @@
+const path = require('path');
+const Joi = require('joi');
+const { requiredUnlessMock } = require('./fields');
+
+/**
+ * Runtime settings: mock mode, Telegram, the MCP server and the environment
+ */
+
+const schema = {
+  MOCK_PROVIDERS: Joi.boolean().default(false),
+  MOCK_TRANSCRIPTS_DIR: Joi.string().optional(),
+  TELEGRAM_BOT_TOKEN: requiredUnlessMock(),
+  BOT_WEBHOOK_PATH: Joi.string().optional(),
+  ADMIN_TELEGRAM_ID: requiredUnlessMock(),
+  TELEGRAM_GLOBAL_RATE: Joi.number().min(1).max(30).default(25),
+  TELEGRAM_CHAT_INTERVAL_MS: Joi.number().integer().min(0).default(1000),
+  TELEGRAM_SEND_ATTEMPTS: Joi.number().integer().min(1).max(10).default(4),
+  TELEGRAM_MAX_RETRY_AFTER_SECONDS: Joi.number().integer().min(1).default(60),
+  MCP_SERVER_PORT: Joi.number().integer().min(1).max(65535).default(3001),
+  MCP_SERVER_HOST: Joi.string().default('localhost'),
+  NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development')
+};
+
+/**
+ * Build the runtime part of the config
+ * @param {Object} value - Validated environment
+ * @returns {Object}
+ */
+function build(value) {
+  return {
+    mock: {
+      enabled: value.MOCK_PROVIDERS,
+      transcriptsDir: value.MOCK_TRANSCRIPTS_DIR ? path.resolve(value.MOCK_TRANSCRIPTS_DIR) : null
+    },
+    telegram: {
+      botToken: value.TELEGRAM_BOT_TOKEN || 'mock:token',
+      webhookPath: value.BOT_WEBHOOK_PATH || null,
+      adminId: value.ADMIN_TELEGRAM_ID || 'mock-admin',
+      // Outgoing messages stay within Telegram's limits (about 30/s overall, 1/s per chat)
+      delivery: {
+        globalPerSecond: value.TELEGRAM_GLOBAL_RATE,
+        perChatIntervalMs: value.TELEGRAM_CHAT_INTERVAL_MS,
+        maxAttempts: value.TELEGRAM_SEND_ATTEMPTS,
+        // A longer 429 retry_after fails the send instead of waiting
+        maxRetryAfterMs: value.TELEGRAM_MAX_RETRY_AFTER_SECONDS * 1000
+      }
+    },
+    mcp: {
+      port: value.MCP_SERVER_PORT,
+      host: value.MCP_SERVER_HOST
+    },
+    nodeEnv: value.NODE_ENV
+  };
+}
+
+module.exports = { schema, build };
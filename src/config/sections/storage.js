@@ -0,0 +1,43 @@
+const path = require('path');
+const Joi = require('joi');
+const { requiredForFirestore } = require('./fields');
+
+/**
+ * Storage settings: which backend holds the data, and its credentials
+ */
+
+const STORAGE_BACKENDS = ['firestore', 'sqlite', 'memory'];
+
+const schema = {
+  STORAGE_BACKEND: Joi.string().valid(...STORAGE_BACKENDS).optional(),
+  SQLITE_PATH: Joi.string().default('./data/bot.sqlite'),
+  FIREBASE_PROJECT_ID: requiredForFirestore(),
+  FIREBASE_PRIVATE_KEY: requiredForFirestore(),
+  FIREBASE_CLIENT_EMAIL: requiredForFirestore().email(),
+  FIREBASE_PRIVATE_KEY_ID: Joi.string().optional(),
+  FIREBASE_CLIENT_ID: Joi.string().optional()
+};
+
+/**
+ * Build the storage part of the config
+ * @param {Object} value - Validated environment
+ * @returns {Object}
+ */
+function build(value) {
+  return {
+    storage: {
+      // Mock mode keeps data in memory unless a backend is chosen explicitly
+      backend: value.STORAGE_BACKEND || (value.MOCK_PROVIDERS ? 'memory' : 'firestore'),
+      sqlitePath: path.resolve(value.SQLITE_PATH)
+    },
+    firebase: {
+      projectId: value.FIREBASE_PROJECT_ID,
+      privateKey: value.FIREBASE_PRIVATE_KEY ? value.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : null,
+      clientEmail: value.FIREBASE_CLIENT_EMAIL,
+      privateKeyId: value.FIREBASE_PRIVATE_KEY_ID || null,
+      clientId: value.FIREBASE_CLIENT_ID || null
+    }
+  };
+}
+
+module.exports = { schema, build };
@@ -0,0 +1,133 @@
+const dataService = require('../services/dataService');
+const logger = require('../utils/logger');
+const { levelForXp, nextLevelXp, getBadge, listBadges } = require('../utils/achievements');
+const { t, resolveLocale } = require('../i18n');
+
+/**
+ * Badge name with its emoji
+ * @param {Object} badge - Badge definition
+ * @param {string} locale - UI locale
+ * @returns {string}
+ */
+function badgeLabel(badge, locale) {
+  return `${badge.emoji} ${t(locale, `achievements.badges.${badge.id}.name`)}`;
+}
+
+/**
+ * Level and XP line, with the XP still needed for the next level
+ * @param {Object} user - User data
+ * @param {string} locale - UI locale
+ * @returns {string}
+ */
+function formatLevel(user, locale) {
+  const xp = user.xp || 0;
+  const level = levelForXp(xp);
+  const nextXp = nextLevelXp(level);
+
+  const progress = nextXp === null
+    ? t(locale, 'achievements.maxLevel')
+    : t(locale, 'achievements.nextLevel', { xp: nextXp - xp, level: level + 1 });
+  return `${t(locale, 'achievements.level', { level, xp })} (${progress})`;
+}
+
+/**
+ * Achievements section of /progress: level, XP and earned badges
+ * @param {Object} user - User data
+ * @param {string} locale - UI locale
+ * @returns {string}
+ */
+function formatAchievementsSummary(user, locale) {
+  const owned = listBadges().filter(badge => user.badges && user.badges[badge.id]);
+
+  let section = `${formatLevel(user, locale)}\n`;
+  if (owned.length > 0) {
+    section += `${t(locale, 'achievements.badgesSummary', { badges: owned.map(badge => badge.emoji).join(' ') })}\n`;
+  }
+  return `${section}\n`;
+}
+
+/**
+ * Message announcing XP, a level-up and new badges
+ * @param {{xpGained: number, level: number, leveledUp: boolean, badges: Array<string>}|null} outcome - From applyEvent
+ * @param {string} locale - UI locale
+ * @returns {string|null} Null when there is nothing to announce
+ */
+function formatAchievementNews(outcome, locale) {
+  if (!outcome || outcome.xpGained <= 0) {
+    return null;
+  }
+
+  const lines = [t(locale, 'achievements.xpGained', { xp: outcome.xpGained })];
+  if (outcome.leveledUp) {
+    lines.push(t(locale, 'achievements.levelUp', { level: outcome.level }));
+  }
+  outcome.badges.map(getBadge).filter(Boolean).forEach(badge => {
+    lines.push(t(locale, 'achievements.badgeUnlocked', {
+      badge: badgeLabel(badge, locale),
+      description: t(locale, `achievements.badges.${badge.id}.description`)
+    }));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Announce an event's achievements in the chat
+ * @param {Context} ctx - Telegraf context
+ * @param {Object|null} outcome - From applyEvent
+ * @param {string} locale - UI locale
+ * @returns {Promise<void>}
+ */
+async function announceAchievements(ctx, outcome, locale) {
+  const news = formatAchievementNews(outcome, locale);
+  if (news) {
+    await ctx.reply(news);
+  }
+}
+
+/**
+ * Handle /achievements command - level, XP and every badge, earned or not
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleAchievementsCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userResult = await dataService.getUser(ctx.from.id.toString());
+
+    if (!userResult.success) {
+      await ctx.reply(t(locale, 'common.startFirst'));
+      return;
+    }
+
+    const user = userResult.data;
+    locale = resolveLocale(user, ctx);
+
+    const badges = listBadges();
+    const owned = badges.filter(badge => user.badges && user.badges[badge.id]);
+    const locked = badges.filter(badge => !owned.includes(badge));
+    const describe = (badge, label) => `${label} - ${t(locale, `achievements.badges.${badge.id}.description`)}`;
+
+    let message = `${t(locale, 'achievements.title')}\n\n${formatLevel(user, locale)}\n\n`;
+    message += `${t(locale, 'achievements.badgesTitle', { earned: owned.length, total: badges.length })}\n`;
+    if (owned.length === 0) {
+      message += `${t(locale, 'achievements.noBadges')}\n`;
+    }
+    owned.forEach(badge => { message += `${describe(badge, badgeLabel(badge, locale))}\n`; });
+    locked.forEach(badge => {
+      message += `${describe(badge, `🔒 ${t(locale, `achievements.badges.${badge.id}.name`)}`)}\n`;
+    });
+
+    await ctx.reply(message);
+
+  } catch (error) {
+    logger.error('Error in handleAchievementsCommand', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+  }
+}
+
+module.exports = {
+  formatAchievementsSummary,
+  announceAchievements,
+  handleAchievementsCommand
+};
@@ -1,8 +1,13 @@
 const axios = require('axios');
-const firebaseService = require('../services/firebaseService');
+const config = require('../config/config');
+const dataService = require('../services/dataService');
 const assessmentService = require('../services/assessmentService');
 const lessonService = require('../services/lessonService');
+const speakingQuizService = require('../services/speakingQuizService');
+const { announceAchievements } = require('./achievementsHandler');
 const logger = require('../utils/logger');
+const { LESSON_STATES } = require('../utils/lessonStates');
+const { t, resolveLocale } = require('../i18n');
 
 /**
  * Handle voice message from user
@@ -10,40 +15,60 @@ const logger = require('../utils/logger');
  * @returns {Promise<void>}
  */
 async function handleVoiceMessage(ctx) {
+  let locale = resolveLocale(null, ctx);
+
   try {
     const userId = ctx.from.id.toString();
     const voice = ctx.message.voice;
 
     logger.debug('Received voice message', { userId, fileId: voice.file_id });
 
-    // Send processing message
-    const processingMsg = await ctx.reply('🎧 Processing your voice message...');
-
     // Get user data
-    const userResult = await firebaseService.getUser(userId);
+    const userResult = await dataService.getUser(userId);
+    if (userResult.success) {
+      locale = resolveLocale(userResult.data, ctx);
+    }
+
+    // Send processing message
+    const processingMsg = await ctx.reply(t(locale, 'assessment.processing'));
 
     if (!userResult.success) {
       await ctx.telegram.editMessageText(
         ctx.chat.id,
         processingMsg.message_id,
         null,
-        'Please use /start first to select your language.'
+        t(locale, 'common.startFirst')
       );
       return;
     }
 
     const user = userResult.data;
-    const currentLessonDay = Math.max(1, (user.lessonDay || 1) - 1);
+
+    // Match the voice note to the prompt it replies to, or the latest open one
+    const replyTo = ctx.message.reply_to_message;
+    const pendingQuiz = speakingQuizService.findPendingQuiz(user, replyTo ? replyTo.message_id : null);
+
+    if (!pendingQuiz) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        processingMsg.message_id,
+        null,
+        t(locale, replyTo ? 'assessment.promptClosed' : 'assessment.noPendingQuiz')
+      );
+      return;
+    }
+
+    const currentLessonDay = pendingQuiz.lessonDay;
 
     // Get lesson content for expected answer
-    const lessonResult = lessonService.getLesson(user.targetLanguage, currentLessonDay);
+    const lessonResult = lessonService.getLesson(user.targetLanguage, currentLessonDay, user.nativeLanguage);
 
     if (!lessonResult.success) {
       await ctx.telegram.editMessageText(
         ctx.chat.id,
         processingMsg.message_id,
         null,
-        'Could not find lesson content. Please try /lesson first.'
+        t(locale, 'assessment.lessonNotFound')
       );
       return;
     }
@@ -65,22 +90,30 @@ async function handleVoiceMessage(ctx) {
       nativeLanguage: user.nativeLanguage || 'he',
       audioBuffer,
       lessonWords: lesson.words,
-      expectedAnswer: lesson.quizPrompt
+      expectedAnswer: lesson.expectedSentence,
+      curriculumVersion: lesson.curriculumVersion,
+      quizMessageId: pendingQuiz.messageId
     });
 
     if (!assessmentResult.success) {
+      // An unusable grade is reported as such rather than as a 0 score
+      const errorKeys = {
+        ERR_GRADING_INVALID_OUTPUT: 'assessment.gradingInvalid',
+        ERR_QUIZ_ANSWERED: 'assessment.noPendingQuiz'
+      };
+      const errorKey = errorKeys[assessmentResult.code] || 'assessment.unavailable';
       await ctx.telegram.editMessageText(
         ctx.chat.id,
         processingMsg.message_id,
         null,
-        '❌ Assessment temporarily unavailable. Please try again later.'
+        t(locale, errorKey)
       );
       logger.error('Assessment failed', { userId, error: assessmentResult.error });
       return;
     }
 
     // Format and send result
-    const formattedResult = formatAssessmentResult(assessmentResult.data);
+    const formattedResult = formatAssessmentResult(assessmentResult.data, locale);
     
     await ctx.telegram.editMessageText(
       ctx.chat.id,
@@ -88,30 +121,46 @@ async function handleVoiceMessage(ctx) {
       null,
       formattedResult
     );
+    await announceAchievements(ctx, assessmentResult.data.achievements, locale);
 
   } catch (error) {
     logger.error('Error in handleVoiceMessage', { error: error.message });
-    await ctx.reply('❌ Sorry, something went wrong processing your voice message. Please try again.');
+    await ctx.reply(t(locale, 'assessment.failed'));
   }
 }
 
 /**
  * Format assessment result for display
  * @param {Object} assessment - Assessment result object
+ * @param {string} locale - UI locale
  * @returns {string} Formatted message
  */
-function formatAssessmentResult(assessment) {
-  let message = '🎯 Assessment Complete!\n\n';
+function formatAssessmentResult(assessment, locale) {
+  let message = `${t(locale, 'assessment.title')}\n\n`;
   
   // Show what was heard
-  message += `🎤 What I heard:\n"${assessment.transcript}"\n\n`;
+  message += `${t(locale, 'assessment.heard', { transcript: assessment.transcript })}\n\n`;
   
-  message += `📊 Score: ${assessment.score}/100\n\n`;
+  message += `${t(locale, 'assessment.score', { score: assessment.score })}\n`;
+
+  if (assessment.localScore !== undefined) {
+    message += `${t(locale, 'assessment.scoreBreakdown', {
+      accuracy: assessment.localScore,
+      used: assessment.lessonWordsUsed,
+      total: assessment.lessonWordsTotal,
+      llmScore: assessment.llmScore
+    })}\n`;
+  }
+  message += '\n';
   
-  message += `💬 Feedback:\n${assessment.feedback}\n\n`;
+  message += `${t(locale, 'assessment.feedback', { feedback: assessment.feedback })}\n\n`;
+
+  if (assessment.correctedSentence && assessment.correctedSentence !== assessment.transcript) {
+    message += `${t(locale, 'assessment.corrected', { sentence: assessment.correctedSentence })}\n\n`;
+  }
   
   if (assessment.strengths && assessment.strengths.length > 0) {
-    message += `✅ Strengths:\n`;
+    message += `${t(locale, 'assessment.strengths')}\n`;
     assessment.strengths.forEach(strength => {
       message += `  • ${strength}\n`;
     });
@@ -119,19 +168,42 @@ function formatAssessmentResult(assessment) {
   }
   
   if (assessment.weakAreas && assessment.weakAreas.length > 0) {
-    message += `⚠️ Areas to improve:\n`;
+    message += `${t(locale, 'assessment.weakAreas')}\n`;
     assessment.weakAreas.forEach(area => {
       message += `  • ${area}\n`;
     });
     message += '\n';
   }
   
-  message += `Keep practicing! 🚀\n\n`;
-  message += `Use /progress to see your stats or /lesson for the next lesson.`;
+  const unlockNotice = formatUnlockNotice(assessment.lessonState, locale);
+  if (unlockNotice) {
+    message += `${unlockNotice}\n\n`;
+  }
+
+  message += t(locale, 'assessment.footer');
   
   return message;
 }
 
+/**
+ * Tell the learner whether the speaking quiz unlocked the next lesson
+ * Only shown when a minimum quiz score is configured.
+ * @param {{lessonDay: number, previous: string|null, state: string}|null|undefined} lessonState - Lesson state change
+ * @param {string} locale - UI locale
+ * @returns {string|null}
+ */
+function formatUnlockNotice(lessonState, locale) {
+  if (!lessonState || config.lessons.minQuizScore <= 0) {
+    return null;
+  }
+
+  const nextDay = lessonState.lessonDay + 1;
+  if (lessonState.state === LESSON_STATES.PASSED) {
+    return t(locale, 'lesson.unlocked', { day: nextDay });
+  }
+  return t(locale, 'lesson.quizFailed', { score: config.lessons.minQuizScore, day: nextDay });
+}
+
 module.exports = {
   handleVoiceMessage,
   formatAssessmentResult
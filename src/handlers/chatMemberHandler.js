@@ -0,0 +1,36 @@
+const userStatusService = require('../services/userStatusService');
+const logger = require('../utils/logger');
+const { DELIVERY_ERRORS } = require('../utils/telegramErrors');
+
+/**
+ * Handle the bot's own membership changes (my_chat_member)
+ * In a private chat Telegram reports 'kicked' when the user blocks the bot and
+ * 'member' when they unblock it, so scheduled sends stop and resume without waiting
+ * for a failed delivery.
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleMyChatMember(ctx) {
+  const update = ctx.myChatMember;
+
+  try {
+    if (update.chat.type !== 'private') {
+      return;
+    }
+
+    const userId = update.chat.id.toString();
+    const status = update.new_chat_member.status;
+
+    if (status === 'kicked') {
+      await userStatusService.markInactive(userId, DELIVERY_ERRORS.BLOCKED, new Date(update.date * 1000));
+    } else if (status === 'member') {
+      await userStatusService.reactivate(userId);
+    }
+  } catch (error) {
+    logger.error('Error in handleMyChatMember', { error: error.message });
+  }
+}
+
+module.exports = {
+  handleMyChatMember
+};
@@ -0,0 +1,125 @@
+const dataService = require('../services/dataService');
+const { t, resolveLocale } = require('../i18n');
+const { handleStart, handleLanguageSelection, handleNativeLanguageSelection } = require('./startHandler');
+const { handleLessonComplete, handleLessonCommand } = require('./lessonHandler');
+const { handleVoiceMessage } = require('./assessmentHandler');
+const { handleProgress } = require('./progressHandler');
+const {
+  handleChangeLanguage,
+  handleLanguageChangeCallback,
+  handleTimezoneCommand,
+  handleTimezoneCallback
+} = require('./settingsHandler');
+const { handleSettingsCommand, handleSettingsCallback } = require('./settingsMenuHandler');
+const { handleReviewCommand, handleReviewShow, handleReviewRate } = require('./reviewHandler');
+const { handleQuizCommand, handleQuizStart, handleQuizAnswer, handleQuizTextAnswer } = require('./quizHandler');
+const { handleMyChatMember } = require('./chatMemberHandler');
+const { handleAchievementsCommand } = require('./achievementsHandler');
+const { handleLeaderboardCommand, handleLeaderboardCallback } = require('./leaderboardHandler');
+
+/**
+ * Register every command, callback query and message handler on the bot
+ * This is the single place that maps Telegram updates to handlers.
+ * @param {Telegraf} bot - Telegraf bot instance
+ * @returns {void}
+ */
+function registerHandlers(bot) {
+  // Commands
+  bot.command('start', handleStart);
+  bot.command('lesson', handleLessonCommand);
+  bot.command('progress', handleProgress);
+  bot.command('achievements', handleAchievementsCommand);
+  bot.command('leaderboard', handleLeaderboardCommand);
+  bot.command('change', handleChangeLanguage);
+  bot.command('review', handleReviewCommand);
+  bot.command('quiz', handleQuizCommand);
+  bot.command('timezone', handleTimezoneCommand);
+  bot.command('settings', handleSettingsCommand);
+
+  // Inline buttons
+  bot.action(/^lang_(.+)$/, async (ctx) => {
+    const languageCode = ctx.match[1];
+
+    // Check if this is a language change or initial selection
+    const userId = ctx.from.id.toString();
+    const userResult = await dataService.getUser(userId);
+
+    if (userResult.success) {
+      // Existing user - language change
+      await handleLanguageChangeCallback(ctx, languageCode, userResult.data);
+    } else {
+      // New user - initial selection
+      await handleLanguageSelection(ctx, languageCode);
+    }
+  });
+
+  bot.action(/^native_(.+)$/, async (ctx) => {
+    await handleNativeLanguageSelection(ctx, ctx.match[1]);
+  });
+
+  bot.action(/^tz_(.+)$/, async (ctx) => {
+    const userResult = await dataService.getUser(ctx.from.id.toString());
+    await handleTimezoneCallback(ctx, ctx.match[1], userResult.success ? userResult.data : null);
+  });
+
+  bot.action(/^settings_(.+)$/, async (ctx) => {
+    const userResult = await dataService.getUser(ctx.from.id.toString());
+
+    if (!userResult.success) {
+      await ctx.answerCbQuery(t(resolveLocale(null, ctx), 'common.startFirst'));
+      return;
+    }
+
+    await handleSettingsCallback(ctx, ctx.match[1], userResult.data);
+  });
+
+  bot.action(/^lesson_complete_(\d+)$/, handleLessonComplete);
+
+  bot.action(/^review_show_(.+)$/, handleReviewShow);
+  bot.action(/^review_rate_(.+)_([0-5])$/, handleReviewRate);
+
+  bot.action(/^quiz_start_(\d+)$/, handleQuizStart);
+  // Buttons sent before quizzes had IDs carry only the question and option
+  bot.action(/^quiz_answer_(?:([0-9a-f]+)_)?(\d+)_(\d+)$/, handleQuizAnswer);
+
+  bot.action(/^leaderboard_(week|all)_(xp|score)$/, handleLeaderboardCallback);
+
+  bot.action('action_lesson', async (ctx) => {
+    await ctx.answerCbQuery();
+    await handleLessonCommand(ctx);
+  });
+
+  bot.action('action_change', async (ctx) => {
+    await ctx.answerCbQuery();
+    await handleChangeLanguage(ctx);
+  });
+
+  // Messages
+  bot.on('voice', handleVoiceMessage);
+
+  // Blocking or unblocking the bot stops or resumes scheduled messages
+  bot.on('my_chat_member', handleMyChatMember);
+
+  // Fallback handler for text messages
+  bot.on('text', async (ctx) => {
+    const text = ctx.message.text;
+
+    // Ignore if it's a command (starts with /)
+    if (text.startsWith('/')) {
+      return;
+    }
+
+    const userResult = await dataService.getUser(ctx.from.id.toString());
+
+    // Typed answer to a pending quiz question
+    if (await handleQuizTextAnswer(ctx, userResult.success ? userResult.data : null)) {
+      return;
+    }
+
+    // Show available commands in the user's language
+    const locale = resolveLocale(userResult.success ? userResult.data : null, ctx);
+    await ctx.reply(t(locale, 'help.commands'));
+  });
+}
+
+module.exports = { registerHandlers };
@@ -0,0 +1,170 @@
+const { Markup } = require('telegraf');
+const dataService = require('../services/dataService');
+const leaderboardService = require('../services/leaderboardService');
+const logger = require('../utils/logger');
+const { PERIODS } = require('../utils/leaderboard');
+const { getLanguage } = require('../utils/languageRegistry');
+const { t, resolveLocale } = require('../i18n');
+
+/**
+ * Board buttons: switch to the other period or the other ranking
+ * @param {string} locale - UI locale
+ * @param {string} period - Period shown
+ * @param {string} metric - Ranking shown
+ * @returns {Object} Inline keyboard
+ */
+function boardKeyboard(locale, period, metric) {
+  const otherPeriod = period === PERIODS.WEEK ? PERIODS.ALL_TIME : PERIODS.WEEK;
+  const otherMetric = metric === 'xp' ? 'score' : 'xp';
+
+  return Markup.inlineKeyboard([[
+    Markup.button.callback(
+      t(locale, otherPeriod === PERIODS.WEEK ? 'leaderboard.weekButton' : 'leaderboard.allTimeButton'),
+      `leaderboard_${otherPeriod}_${metric}`
+    ),
+    Markup.button.callback(
+      t(locale, otherMetric === 'xp' ? 'leaderboard.xpButton' : 'leaderboard.scoreButton'),
+      `leaderboard_${period}_${otherMetric}`
+    )
+  ]]);
+}
+
+/**
+ * Format a board with the learner's own standing
+ * @param {Object} board - getBoard result data
+ * @param {string} locale - UI locale
+ * @returns {string} Formatted message
+ */
+function formatBoard(board, locale) {
+  const language = getLanguage(board.targetLanguage);
+  const value = amount => (board.metric === 'xp'
+    ? t(locale, 'leaderboard.xpValue', { value: amount })
+    : t(locale, 'leaderboard.scoreValue', { value: amount }));
+
+  let message = `${t(locale, 'leaderboard.title', {
+    language: language ? `${language.flag} ${language.name}` : board.targetLanguage.toUpperCase()
+  })}\n`;
+  message += `${t(locale, board.period === PERIODS.WEEK ? 'leaderboard.periodWeek' : 'leaderboard.periodAllTime')} · `;
+  message += `${t(locale, board.metric === 'xp' ? 'leaderboard.metricXp' : 'leaderboard.metricScore')}\n\n`;
+
+  if (board.rows.length === 0) {
+    message += `${t(locale, 'leaderboard.empty')}\n`;
+  }
+  board.rows.forEach(row => {
+    message += `${t(locale, row.self ? 'leaderboard.rowSelf' : 'leaderboard.row', {
+      rank: row.rank,
+      alias: row.alias,
+      value: value(row.value)
+    })}\n`;
+  });
+
+  const { me } = board;
+  message += '\n';
+  if (!me.joined) {
+    message += t(locale, 'leaderboard.notJoined');
+  } else if (me.rank === null) {
+    message += t(locale, 'leaderboard.notRankedYet', { count: me.attemptsNeeded });
+  } else {
+    message += t(locale, 'leaderboard.yourRank', { rank: me.rank, value: value(me.value) });
+  }
+
+  if (board.period === PERIODS.WEEK) {
+    message += `\n${t(locale, 'leaderboard.weeklyReset')}`;
+  }
+  return message;
+}
+
+/**
+ * Handle /leaderboard command
+ * `/leaderboard` shows this week's XP board, `/leaderboard join <alias>` joins the boards
+ * (or changes the alias) and `/leaderboard leave` hides the learner again.
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleLeaderboardCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const userResult = await dataService.getUser(userId);
+
+    if (!userResult.success) {
+      await ctx.reply(t(locale, 'common.startFirst'));
+      return;
+    }
+
+    locale = resolveLocale(userResult.data, ctx);
+
+    const [action, ...rest] = ctx.message.text.split(/\s+/).slice(1);
+    const subcommand = (action || '').toLowerCase();
+
+    if (subcommand === 'join') {
+      const joinResult = await leaderboardService.join(userId, rest.join(' '));
+      if (!joinResult.success) {
+        const key = joinResult.code === 'ERR_INVALID_INPUT' ? 'leaderboard.aliasInvalid' : 'leaderboard.updateFailed';
+        await ctx.reply(t(locale, key));
+        return;
+      }
+      await ctx.reply(t(locale, 'leaderboard.joined', { alias: joinResult.data.alias }));
+      return;
+    }
+
+    if (subcommand === 'leave') {
+      const leaveResult = await leaderboardService.leave(userId);
+      await ctx.reply(t(locale, leaveResult.success ? 'leaderboard.left' : 'leaderboard.updateFailed'));
+      return;
+    }
+
+    const boardResult = await leaderboardService.getBoard(userId, PERIODS.WEEK, 'xp');
+    if (!boardResult.success) {
+      await ctx.reply(t(locale, 'common.genericError'));
+      return;
+    }
+
+    await ctx.reply(formatBoard(boardResult.data, locale), boardKeyboard(locale, PERIODS.WEEK, 'xp'));
+
+  } catch (error) {
+    logger.error('Error in handleLeaderboardCommand', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle board buttons - switch period or ranking in place
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleLeaderboardCallback(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const [, period, metric] = ctx.match;
+    const userResult = await dataService.getUser(userId);
+
+    if (!userResult.success) {
+      await ctx.answerCbQuery(t(locale, 'common.userNotFound'));
+      return;
+    }
+
+    locale = resolveLocale(userResult.data, ctx);
+    const boardResult = await leaderboardService.getBoard(userId, period, metric);
+
+    if (!boardResult.success) {
+      await ctx.answerCbQuery(t(locale, 'common.genericError'));
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(formatBoard(boardResult.data, locale), boardKeyboard(locale, period, metric));
+
+  } catch (error) {
+    logger.error('Error in handleLeaderboardCallback', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+module.exports = {
+  handleLeaderboardCommand,
+  handleLeaderboardCallback
+};
@@ -1,7 +1,26 @@
 const { Markup } = require('telegraf');
-const firebaseService = require('../services/firebaseService');
+const config = require('../config/config');
+const dataService = require('../services/dataService');
 const lessonService = require('../services/lessonService');
+const reviewService = require('../services/reviewService');
+const lessonProgressService = require('../services/lessonProgressService');
+const speakingQuizService = require('../services/speakingQuizService');
+const deliveryService = require('../services/deliveryService');
+const { announceAchievements } = require('./achievementsHandler');
 const logger = require('../utils/logger');
+const { isLessonUnlocked } = require('../utils/lessonStates');
+const { t, resolveLocale, DEFAULT_LOCALE } = require('../i18n');
+
+const { COMPLETION } = lessonProgressService;
+
+/**
+ * Messages for completion requests that change nothing
+ */
+const REFUSED_COMPLETION_KEYS = {
+  [COMPLETION.ALREADY_COMPLETED]: 'lesson.alreadyCompleted',
+  [COMPLETION.NOT_REACHED]: 'lesson.notReached',
+  [COMPLETION.LOCKED]: 'lesson.locked'
+};
 
 /**
  * Send lesson to user
@@ -9,32 +28,41 @@ const logger = require('../utils/logger');
  * @param {string} userId - Telegram user ID
  * @param {string} languageCode - Target language
  * @param {number} lessonDay - Current lesson day
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {string} [nativeLanguage] - Learner's native language (translations and UI locale)
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
  */
-async function sendLesson(bot, userId, languageCode, lessonDay) {
+async function sendLesson(bot, userId, languageCode, lessonDay, nativeLanguage = DEFAULT_LOCALE) {
   try {
-    const lessonResult = lessonService.getLesson(languageCode, lessonDay);
+    const lessonResult = lessonService.getLesson(languageCode, lessonDay, nativeLanguage);
 
     if (!lessonResult.success) {
-      await bot.telegram.sendMessage(
-        userId,
-        `Sorry, lesson ${lessonDay} is not available yet. Stay tuned! 📚`
-      );
-      return { success: false, error: lessonResult.error };
+      await deliveryService.sendMessage(bot.telegram, userId, t(nativeLanguage, 'lesson.notAvailable', { day: lessonDay }));
+      return { success: false, error: lessonResult.error, code: lessonResult.code };
     }
 
     const lesson = lessonResult.data;
-    const formattedLesson = lessonService.formatLesson(lesson, lessonDay, lesson.languageFlag);
+    const formattedLesson = lessonService.formatLesson(lesson, lessonDay, lesson.languageFlag, nativeLanguage);
 
-    await bot.telegram.sendMessage(
+    const sendResult = await deliveryService.sendMessage(
+      bot.telegram,
       userId,
       formattedLesson,
       Markup.inlineKeyboard([
-        [Markup.button.callback('✅ Mark Complete', `lesson_complete_${lessonDay}`)]
+        [Markup.button.callback(t(nativeLanguage, 'common.markComplete'), `lesson_complete_${lessonDay}`)]
       ])
     );
+    if (!sendResult.success) {
+      return sendResult;
+    }
+
+    await lessonProgressService.markLessonSent(userId, lessonDay);
 
-    logger.info('Lesson sent successfully', { userId, lessonDay, languageCode });
+    logger.info('Lesson sent successfully', {
+      userId,
+      lessonDay,
+      languageCode,
+      curriculumVersion: lesson.curriculumVersion
+    });
 
     return { success: true };
   } catch (error) {
@@ -43,12 +71,49 @@ async function sendLesson(bot, userId, languageCode, lessonDay) {
   }
 }
 
+/**
+ * Send a lesson's speaking exercise and record it as the pending speaking quiz
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} user - User data
+ * @param {number} lessonDay - Lesson day the exercise belongs to
+ * @param {string} locale - UI locale
+ * @param {string} [messageKey='lesson.speakingPrompt'] - Intro message (first attempt or retry)
+ * @returns {Promise<void>}
+ */
+async function sendSpeakingPrompt(ctx, user, lessonDay, locale, messageKey = 'lesson.speakingPrompt') {
+  const lessonResult = lessonService.getLesson(user.targetLanguage, lessonDay, user.nativeLanguage);
+  const quizPrompt = lessonResult.success && lessonResult.data.quizPrompt
+    ? lessonResult.data.quizPrompt
+    : t(locale, 'lesson.defaultQuizPrompt');
+
+  let speakingPrompt = t(locale, messageKey, { prompt: quizPrompt });
+  if (config.lessons.minQuizScore > 0) {
+    speakingPrompt += `\n\n${t(locale, 'lesson.quizRequired', { score: config.lessons.minQuizScore, day: lessonDay + 1 })}`;
+  }
+
+  // Voice answer, with a text quiz as an alternative exercise
+  const message = await ctx.reply(
+    speakingPrompt,
+    Markup.inlineKeyboard([
+      [Markup.button.callback(t(locale, 'quiz.takeQuiz'), `quiz_start_${lessonDay}`)]
+    ])
+  );
+
+  await speakingQuizService.recordPrompt(user.telegramId, {
+    lessonDay,
+    targetLanguage: user.targetLanguage,
+    messageId: message.message_id
+  });
+}
+
 /**
  * Handle lesson completion callback
  * @param {Context} ctx - Telegraf context
  * @returns {Promise<void>}
  */
 async function handleLessonComplete(ctx) {
+  let locale = resolveLocale(null, ctx);
+
   try {
     const userId = ctx.from.id.toString();
     
@@ -59,46 +124,50 @@ async function handleLessonComplete(ctx) {
     logger.info('User completed lesson', { userId, lessonDay });
 
     // Get user data
-    const userResult = await firebaseService.getUser(userId);
+    const userResult = await dataService.getUser(userId);
 
     if (!userResult.success) {
-      await ctx.answerCbQuery('User data not found. Please use /start first.');
+      await ctx.answerCbQuery(t(locale, 'common.userNotFound'));
       return;
     }
 
     const user = userResult.data;
+    locale = resolveLocale(user, ctx);
 
-    // Increment totalLessons
-    const updateResult = await firebaseService.updateUserStats(userId, {
-      totalLessons: (user.totalLessons || 0) + 1,
-      lessonDay: lessonDay + 1
-    });
+    // Count the lesson once; stale, early or locked buttons get an explanation instead
+    const completeResult = await lessonProgressService.completeLesson(userId, lessonDay);
 
-    if (!updateResult.success) {
-      await ctx.answerCbQuery('Failed to save progress. Please try again.');
+    if (!completeResult.success) {
+      await ctx.answerCbQuery(t(locale, 'lesson.saveFailed'));
       return;
     }
 
-    await ctx.answerCbQuery('✅ Lesson completed!');
+    const { status, lessonDay: currentDay } = completeResult.data;
+    if (status !== COMPLETION.COMPLETED) {
+      await ctx.answerCbQuery(t(locale, REFUSED_COMPLETION_KEYS[status], {
+        day: currentDay,
+        previousDay: currentDay - 1,
+        score: config.lessons.minQuizScore
+      }), { show_alert: status !== COMPLETION.ALREADY_COMPLETED });
+      return;
+    }
 
-    // Get lesson for quiz prompt
-    const lessonResult = lessonService.getLesson(user.targetLanguage, lessonDay);
-    
-    const quizPrompt = lessonResult.success && lessonResult.data.quizPrompt
-      ? lessonResult.data.quizPrompt
-      : 'Practice speaking using the words from this lesson';
+    await ctx.answerCbQuery(t(locale, 'lesson.completed'));
+    await announceAchievements(ctx, completeResult.data.achievements, locale);
 
-    // Prompt for voice recording
-    await ctx.reply(
-      `🎉 Great job completing the lesson!\n\n` +
-      `Now let's practice your speaking:\n\n` +
-      `🎤 ${quizPrompt}\n\n` +
-      `Send me a voice message with your answer, and I'll give you feedback!`
-    );
+    // Get lesson words
+    const lessonResult = lessonService.getLesson(user.targetLanguage, lessonDay, user.nativeLanguage);
+
+    // Completed lesson words join the learner's review deck
+    if (lessonResult.success) {
+      await reviewService.seedCardsFromLesson(userId, user.targetLanguage, lessonDay, lessonResult.data.words);
+    }
+    
+    await sendSpeakingPrompt(ctx, user, lessonDay, locale);
 
   } catch (error) {
     logger.error('Error in handleLessonComplete', { error: error.message });
-    await ctx.answerCbQuery('Something went wrong. Please try again.');
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
   }
 }
 
@@ -108,24 +177,38 @@ async function handleLessonComplete(ctx) {
  * @returns {Promise<void>}
  */
 async function handleLessonCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
   try {
     const userId = ctx.from.id.toString();
 
-    const userResult = await firebaseService.getUser(userId);
+    const userResult = await dataService.getUser(userId);
 
     if (!userResult.success) {
-      await ctx.reply('Please use /start first to select your language.');
+      await ctx.reply(t(locale, 'common.startFirst'));
       return;
     }
 
     const user = userResult.data;
+    locale = resolveLocale(user, ctx);
     const currentDay = user.lessonDay || 1;
 
+    // Locked behind the previous day's speaking quiz: offer it again
+    if (!isLessonUnlocked(user, currentDay, config.lessons.minQuizScore)) {
+      await ctx.reply(t(locale, 'lesson.locked', {
+        day: currentDay,
+        previousDay: currentDay - 1,
+        score: config.lessons.minQuizScore
+      }));
+      await sendSpeakingPrompt(ctx, user, currentDay - 1, locale, 'lesson.speakingRetry');
+      return;
+    }
+
     // Get lesson
-    const lessonResult = lessonService.getLesson(user.targetLanguage, currentDay);
+    const lessonResult = lessonService.getLesson(user.targetLanguage, currentDay, user.nativeLanguage);
 
     if (!lessonResult.success) {
-      await ctx.reply(`Sorry, lesson ${currentDay} is not available yet. Stay tuned! 📚`);
+      await ctx.reply(t(locale, 'lesson.notAvailable', { day: currentDay }));
       return;
     }
 
@@ -134,21 +217,28 @@ async function handleLessonCommand(ctx) {
       lesson, 
       currentDay, 
       lesson.languageFlag,
-      user.nativeLanguage || 'he'
+      locale
     );
 
     await ctx.reply(
       formattedLesson,
       Markup.inlineKeyboard([
-        [Markup.button.callback('✅ Mark Complete', `lesson_complete_${currentDay}`)]
+        [Markup.button.callback(t(locale, 'common.markComplete'), `lesson_complete_${currentDay}`)]
       ])
     );
 
-    logger.info('Lesson sent successfully', { userId, lessonDay: currentDay, languageCode: user.targetLanguage });
+    await lessonProgressService.markLessonSent(userId, currentDay);
+
+    logger.info('Lesson sent successfully', {
+      userId,
+      lessonDay: currentDay,
+      languageCode: user.targetLanguage,
+      curriculumVersion: lesson.curriculumVersion
+    });
 
   } catch (error) {
     logger.error('Error in handleLessonCommand', { error: error.message });
-    await ctx.reply('Sorry, something went wrong. Please try again.');
+    await ctx.reply(t(locale, 'common.genericError'));
   }
 }
 
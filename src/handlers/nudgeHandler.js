@@ -0,0 +1,35 @@
+const { Markup } = require('telegraf');
+const deliveryService = require('../services/deliveryService');
+const logger = require('../utils/logger');
+const { NUDGE_TYPES } = require('../utils/nudges');
+const { t, resolveLocale } = require('../i18n');
+
+/**
+ * Send a nudge to a learner
+ * Day counts are spelled out in the learner's language; lesson reminders carry the
+ * lesson's complete button.
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} user - User data
+ * @param {{type: string, messageKey: string, params: Object}} nudge - Nudge
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+ */
+async function sendNudge(bot, user, nudge) {
+  try {
+    const locale = resolveLocale(user);
+    const params = { ...nudge.params, days: t(locale, 'nudges.days', { count: nudge.params.count }) };
+    const extra = nudge.type === NUDGE_TYPES.LESSON_REMINDER
+      ? Markup.inlineKeyboard([
+        [Markup.button.callback(t(locale, 'common.markComplete'), `lesson_complete_${nudge.params.day}`)]
+      ])
+      : {};
+
+    return await deliveryService.sendMessage(bot.telegram, user.telegramId, t(locale, nudge.messageKey, params), extra);
+  } catch (error) {
+    logger.error('Failed to send nudge', { userId: user.telegramId, type: nudge.type, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  sendNudge
+};
@@ -1,6 +1,72 @@
 const { Markup } = require('telegraf');
-const firebaseService = require('../services/firebaseService');
+const dataService = require('../services/dataService');
+const reviewService = require('../services/reviewService');
 const logger = require('../utils/logger');
+const { getLanguage } = require('../utils/languageRegistry');
+const { skillTrends, trendDirection } = require('../utils/skillStats');
+const { toDateKey, currentStreak } = require('../utils/userStats');
+const { listProfiles } = require('../utils/learnerProfiles');
+const { userTimeZone } = require('../utils/timeZones');
+const { t, resolveLocale } = require('../i18n');
+const { formatAchievementsSummary } = require('./achievementsHandler');
+
+/**
+ * Trend markers shown next to skill averages
+ */
+const TREND_ICONS = { up: '↑', down: '↓', flat: '→' };
+
+/**
+ * Format per-skill averages and trends
+ * @param {Array<Object>} assessments - Recent assessments, newest first
+ * @param {string} locale - UI locale
+ * @returns {string} Skills section, or empty string without graded answers
+ */
+function formatSkills(assessments, locale) {
+  const trends = skillTrends(assessments);
+  const skills = Object.keys(trends);
+
+  if (skills.length === 0) {
+    return '';
+  }
+
+  let section = `${t(locale, 'progress.skillsTitle')}\n`;
+  skills.forEach(skill => {
+    const { average, change } = trends[skill];
+    const direction = trendDirection(change);
+    const trend = direction ? ` ${TREND_ICONS[direction]} ${change > 0 ? '+' : ''}${change}` : '';
+    section += `  • ${t(locale, `skills.${skill}`)}: ${average}%${trend}\n`;
+  });
+
+  return `${section}\n`;
+}
+
+/**
+ * Format a one-line summary per studied language
+ * @param {Object} user - User data
+ * @param {string} locale - UI locale
+ * @returns {string} Languages section, or empty string for a single language
+ */
+function formatLanguages(user, locale) {
+  const profiles = listProfiles(user);
+
+  if (profiles.length < 2) {
+    return '';
+  }
+
+  let section = `${t(locale, 'progress.languagesTitle')}\n`;
+  profiles.forEach(profile => {
+    const language = getLanguage(profile.targetLanguage);
+    section += `  ${t(locale, 'progress.languageLine', {
+      flag: language ? language.flag : '🌍',
+      language: language ? language.name : profile.targetLanguage.toUpperCase(),
+      day: profile.lessonDay,
+      count: profile.totalLessons,
+      score: profile.avgScore
+    })}\n`;
+  });
+
+  return `${section}\n`;
+}
 
 /**
  * Handle /progress command
@@ -8,25 +74,32 @@ const logger = require('../utils/logger');
  * @returns {Promise<void>}
  */
 async function handleProgress(ctx) {
+  let locale = resolveLocale(null, ctx);
+
   try {
     const userId = ctx.from.id.toString();
 
     // Get user data
-    const userResult = await firebaseService.getUser(userId);
+    const userResult = await dataService.getUser(userId);
 
     if (!userResult.success) {
-      await ctx.reply('Please use /start first to select your language.');
+      await ctx.reply(t(locale, 'common.startFirst'));
       return;
     }
 
     const user = userResult.data;
+    locale = resolveLocale(user, ctx);
 
-    // Get user assessments for weak areas
-    const assessmentsResult = await firebaseService.getUserAssessments(userId, 10);
+    // Get user assessments for skill trends and weak areas
+    const assessmentsResult = await dataService.getUserAssessments(userId, 20);
+    // Skills and weak areas follow the language being studied
+    const assessments = (assessmentsResult.success ? assessmentsResult.data : [])
+      .filter(assessment => assessment.targetLanguage === user.targetLanguage);
     
     let weakAreasSet = new Set();
-    if (assessmentsResult.success && assessmentsResult.data.length > 0) {
-      assessmentsResult.data.forEach(assessment => {
+    if (assessments.length > 0) {
+      // Free-text weak areas from the 10 most recent answers
+      assessments.slice(0, 10).forEach(assessment => {
         if (assessment.weakAreas) {
           assessment.weakAreas.forEach(area => weakAreasSet.add(area));
         }
@@ -35,21 +108,34 @@ async function handleProgress(ctx) {
 
     const weakAreas = Array.from(weakAreasSet);
 
+    const dueResult = await reviewService.countDueCards(userId, user.targetLanguage);
+
     // Format progress message
-    let message = `📊 Your Progress\n\n`;
+    const language = getLanguage(user.targetLanguage);
+    let message = `${t(locale, 'progress.title')}\n\n`;
     
-    message += `🔥 Streak: ${user.streak || 0} days\n`;
-    message += `📈 Average Score: ${user.avgScore || 0}/100\n`;
-    message += `📚 Lessons Completed: ${user.totalLessons || 0}\n`;
-    message += `🌍 Learning: ${user.targetLanguage.toUpperCase()}\n\n`;
+    const today = toDateKey(new Date(), userTimeZone(user));
+    message += `${t(locale, 'progress.streak', { count: currentStreak(user, today) })}\n`;
+    message += `${t(locale, 'progress.avgScore', { score: user.avgScore || 0 })}\n`;
+    message += `${t(locale, 'progress.lessonsCompleted', { count: user.totalLessons || 0 })}\n`;
+    if (dueResult.success) {
+      message += `${t(locale, 'progress.reviewDue', { count: dueResult.data })}\n`;
+    }
+    message += `${t(locale, 'progress.learning', {
+      language: language ? `${language.flag} ${language.name}` : user.targetLanguage.toUpperCase()
+    })}\n\n`;
+
+    message += formatAchievementsSummary(user, locale);
+    message += formatLanguages(user, locale);
+    message += formatSkills(assessments, locale);
     
     if (weakAreas.length > 0) {
-      message += `⚠️ Focus Areas:\n`;
+      message += `${t(locale, 'progress.focusAreas')}\n`;
       weakAreas.slice(0, 5).forEach(area => {
         message += `  • ${area}\n`;
       });
     } else {
-      message += `✨ No weak areas identified yet. Keep practicing!\n`;
+      message += `${t(locale, 'progress.noWeakAreas')}\n`;
     }
 
     // Add action buttons
@@ -57,15 +143,15 @@ async function handleProgress(ctx) {
       message,
       Markup.inlineKeyboard([
         [
-          Markup.button.callback('📚 Next Lesson', 'action_lesson'),
-          Markup.button.callback('🔄 Change Language', 'action_change')
+          Markup.button.callback(t(locale, 'progress.nextLessonButton'), 'action_lesson'),
+          Markup.button.callback(t(locale, 'progress.changeLanguageButton'), 'action_change')
         ]
       ])
     );
 
   } catch (error) {
     logger.error('Error in handleProgress', { error: error.message });
-    await ctx.reply('Sorry, something went wrong. Please try again.');
+    await ctx.reply(t(locale, 'common.genericError'));
   }
 }
 
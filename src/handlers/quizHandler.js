@@ -0,0 +1,247 @@
+const { Markup } = require('telegraf');
+const dataService = require('../services/dataService');
+const lessonService = require('../services/lessonService');
+const quizService = require('../services/quizService');
+const { announceAchievements } = require('./achievementsHandler');
+const logger = require('../utils/logger');
+const { t, resolveLocale } = require('../i18n');
+
+/**
+ * Message shown for each answerQuestion error code tied to an outdated button
+ */
+const ANSWER_ERROR_KEYS = {
+  ERR_QUIZ_STALE: 'quiz.staleAnswer',
+  ERR_QUIZ_ENDED: 'quiz.quizEnded'
+};
+
+/**
+ * Send a quiz question
+ * Multiple-choice questions get an inline keyboard; typed questions wait for a text reply.
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} session - Quiz session
+ * @param {string} locale - UI locale
+ * @returns {Promise<void>}
+ */
+async function sendQuestion(ctx, session, locale) {
+  const index = session.currentIndex;
+  const question = session.questions[index];
+  const progress = { current: index + 1, total: session.questions.length };
+
+  if (question.type === 'choice') {
+    await ctx.reply(
+      t(locale, 'quiz.choiceQuestion', { ...progress, word: question.prompt }),
+      Markup.inlineKeyboard(question.options.map((option, optionIndex) => (
+        [Markup.button.callback(option, `quiz_answer_${session.id}_${index}_${optionIndex}`)]
+      )))
+    );
+    return;
+  }
+
+  await ctx.reply(t(locale, 'quiz.typedQuestion', { ...progress, translation: question.prompt }));
+}
+
+/**
+ * Start a quiz on a lesson's vocabulary
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} user - User record
+ * @param {number} lessonDay - Lesson day to quiz on
+ * @param {string} locale - UI locale
+ * @returns {Promise<void>}
+ */
+async function startQuizForLesson(ctx, user, lessonDay, locale) {
+  const lessonResult = lessonService.getLesson(user.targetLanguage, lessonDay, user.nativeLanguage);
+
+  if (!lessonResult.success) {
+    await ctx.reply(t(locale, 'quiz.unavailable'));
+    return;
+  }
+
+  const quizResult = await quizService.startQuiz({
+    userId: user.telegramId,
+    targetLanguage: user.targetLanguage,
+    lessonDay,
+    words: lessonResult.data.words,
+    curriculumVersion: lessonResult.data.curriculumVersion
+  });
+
+  if (!quizResult.success) {
+    await ctx.reply(t(locale, 'common.genericError'));
+    return;
+  }
+
+  await ctx.reply(t(locale, 'quiz.intro', { day: lessonDay, count: quizResult.data.questions.length }));
+  await sendQuestion(ctx, quizResult.data, locale);
+}
+
+/**
+ * Reply with the outcome of an answer, then the next question or the final score
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} result - answerQuestion result data
+ * @param {string} locale - UI locale
+ * @returns {Promise<void>}
+ */
+async function sendAnswerFeedback(ctx, result, locale) {
+  let feedback = t(locale, 'quiz.wrong', { expected: result.expected });
+  if (result.correct) {
+    feedback = result.exact ? t(locale, 'quiz.correct') : t(locale, 'quiz.almostCorrect', { expected: result.expected });
+  }
+  await ctx.reply(feedback);
+
+  if (!result.finished) {
+    await sendQuestion(ctx, result.session, locale);
+    return;
+  }
+
+  const correctCount = result.session.answers.filter(answer => answer.correct).length;
+  await ctx.reply(t(locale, 'quiz.finished', {
+    correct: correctCount,
+    total: result.session.questions.length,
+    score: result.score
+  }));
+  await announceAchievements(ctx, result.achievements, locale);
+}
+
+/**
+ * Handle /quiz command - quiz on the most recently completed lesson
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleQuizCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const userResult = await dataService.getUser(userId);
+
+    if (!userResult.success) {
+      await ctx.reply(t(locale, 'common.startFirst'));
+      return;
+    }
+
+    const user = userResult.data;
+    locale = resolveLocale(user, ctx);
+
+    if (!user.totalLessons) {
+      await ctx.reply(t(locale, 'quiz.noLessonsYet'));
+      return;
+    }
+
+    await startQuizForLesson(ctx, user, Math.max(1, (user.lessonDay || 1) - 1), locale);
+
+  } catch (error) {
+    logger.error('Error in handleQuizCommand', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle "take a quiz" callback offered after completing a lesson
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleQuizStart(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const lessonDay = parseInt(ctx.match[1], 10);
+    const userResult = await dataService.getUser(userId);
+
+    if (!userResult.success) {
+      await ctx.answerCbQuery(t(locale, 'common.userNotFound'));
+      return;
+    }
+
+    locale = resolveLocale(userResult.data, ctx);
+    await ctx.answerCbQuery();
+    await startQuizForLesson(ctx, userResult.data, lessonDay, locale);
+
+  } catch (error) {
+    logger.error('Error in handleQuizStart', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle a multiple-choice answer callback
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleQuizAnswer(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const sessionId = ctx.match[1];
+    const questionIndex = parseInt(ctx.match[2], 10);
+    const optionIndex = parseInt(ctx.match[3], 10);
+
+    const userResult = await dataService.getUser(userId);
+    if (userResult.success) {
+      locale = resolveLocale(userResult.data, ctx);
+    }
+
+    const result = await quizService.answerQuestion(userId, sessionId, questionIndex, optionIndex);
+
+    if (!result.success) {
+      await ctx.answerCbQuery(t(locale, ANSWER_ERROR_KEYS[result.code] || 'common.genericError'));
+      return;
+    }
+
+    await ctx.answerCbQuery();
+
+    // Drop the options so the question can't be answered twice from this message
+    await ctx.editMessageReplyMarkup(undefined);
+
+    await sendAnswerFeedback(ctx, result.data, locale);
+
+  } catch (error) {
+    logger.error('Error in handleQuizAnswer', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Treat a text message as the answer to a pending typed question
+ * @param {Context} ctx - Telegraf context
+ * @param {Object|null} user - User record, if registered
+ * @returns {Promise<boolean>} True if the message was consumed as a quiz answer
+ */
+async function handleQuizTextAnswer(ctx, user) {
+  if (!user) {
+    return false;
+  }
+
+  const locale = resolveLocale(user, ctx);
+
+  try {
+    const quizResult = await quizService.getActiveQuiz(user.telegramId);
+    const session = quizResult.success ? quizResult.data : null;
+
+    if (!session || session.questions[session.currentIndex].type !== 'typed') {
+      return false;
+    }
+
+    const result = await quizService.answerQuestion(user.telegramId, session.id, session.currentIndex, ctx.message.text);
+
+    if (!result.success) {
+      await ctx.reply(t(locale, 'common.genericError'));
+      return true;
+    }
+
+    await sendAnswerFeedback(ctx, result.data, locale);
+    return true;
+
+  } catch (error) {
+    logger.error('Error in handleQuizTextAnswer', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+    return true;
+  }
+}
+
+module.exports = {
+  handleQuizCommand,
+  handleQuizStart,
+  handleQuizAnswer,
+  handleQuizTextAnswer
+};
@@ -0,0 +1,201 @@
+const { Markup } = require('telegraf');
+const dataService = require('../services/dataService');
+const reviewService = require('../services/reviewService');
+const lessonService = require('../services/lessonService');
+const { announceAchievements } = require('./achievementsHandler');
+const logger = require('../utils/logger');
+const { t, resolveLocale } = require('../i18n');
+
+/**
+ * Recall ratings offered after revealing a card, mapped to SM-2 quality
+ */
+const RATINGS = [
+  { key: 'review.rateAgain', quality: 1 },
+  { key: 'review.rateHard', quality: 3 },
+  { key: 'review.rateGood', quality: 4 },
+  { key: 'review.rateEasy', quality: 5 }
+];
+
+/**
+ * Get the translation to show for a card in the learner's current native language
+ * Falls back to the translation stored when the card was created.
+ * @param {Object} card - Review card
+ * @param {string} nativeLanguage - Learner's native language
+ * @returns {string}
+ */
+function getCardTranslation(card, nativeLanguage) {
+  const lessonResult = lessonService.getLesson(card.targetLanguage, card.lessonDay, nativeLanguage);
+  const lessonWord = lessonResult.success
+    ? lessonResult.data.words.find(item => item.word === card.word)
+    : null;
+
+  return lessonWord ? lessonWord.translation : card.translation;
+}
+
+/**
+ * Send the next due card, or a message saying nothing is due
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} user - User record
+ * @param {string} locale - UI locale
+ * @param {string} emptyKey - Message key used when nothing is due
+ * @returns {Promise<boolean>} True when no card was due
+ */
+async function sendNextCard(ctx, user, locale, emptyKey = 'review.noneDue') {
+  const [dueResult, countResult] = await Promise.all([
+    reviewService.getDueCards(user.telegramId, user.targetLanguage, 1),
+    reviewService.countDueCards(user.telegramId, user.targetLanguage)
+  ]);
+
+  if (!dueResult.success) {
+    await ctx.reply(t(locale, 'common.genericError'));
+    return false;
+  }
+
+  if (dueResult.data.length === 0) {
+    await ctx.reply(t(locale, emptyKey));
+    return true;
+  }
+
+  const card = dueResult.data[0];
+  const dueCount = countResult.success ? countResult.data : 1;
+
+  await ctx.reply(
+    t(locale, 'review.cardFront', {
+      header: t(locale, 'review.dueHeader', { count: dueCount }),
+      word: card.word
+    }),
+    Markup.inlineKeyboard([
+      [Markup.button.callback(t(locale, 'review.showTranslation'), `review_show_${card.id}`)]
+    ])
+  );
+  return false;
+}
+
+/**
+ * Handle /review command - start serving due cards
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleReviewCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const userResult = await dataService.getUser(userId);
+
+    if (!userResult.success) {
+      await ctx.reply(t(locale, 'common.startFirst'));
+      return;
+    }
+
+    locale = resolveLocale(userResult.data, ctx);
+    await sendNextCard(ctx, userResult.data, locale);
+
+  } catch (error) {
+    logger.error('Error in handleReviewCommand', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle "show translation" callback - reveal the card and offer ratings
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleReviewShow(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const cardId = ctx.match[1];
+
+    const userResult = await dataService.getUser(userId);
+    if (userResult.success) {
+      locale = resolveLocale(userResult.data, ctx);
+    }
+
+    const cardResult = await reviewService.getCard(userId, cardId);
+
+    if (!userResult.success || !cardResult.success) {
+      await ctx.answerCbQuery(t(locale, 'review.cardNotFound'));
+      return;
+    }
+
+    const card = cardResult.data;
+    await ctx.answerCbQuery();
+
+    await ctx.editMessageText(
+      t(locale, 'review.cardBack', {
+        word: card.word,
+        translation: getCardTranslation(card, userResult.data.nativeLanguage),
+        example: card.example
+      }),
+      Markup.inlineKeyboard([
+        RATINGS.map(rating => Markup.button.callback(
+          t(locale, rating.key),
+          `review_rate_${card.id}_${rating.quality}`
+        ))
+      ])
+    );
+
+  } catch (error) {
+    logger.error('Error in handleReviewShow', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle recall rating callback - reschedule the card and serve the next one
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleReviewRate(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+    const cardId = ctx.match[1];
+    const quality = parseInt(ctx.match[2], 10);
+
+    const userResult = await dataService.getUser(userId);
+
+    if (!userResult.success) {
+      await ctx.answerCbQuery(t(locale, 'common.userNotFound'));
+      return;
+    }
+
+    locale = resolveLocale(userResult.data, ctx);
+    const rateResult = await reviewService.rateCard(userId, cardId, quality);
+
+    if (!rateResult.success) {
+      await ctx.answerCbQuery(t(locale, 'review.cardNotFound'));
+      return;
+    }
+
+    const rescheduled = t(locale, 'review.rescheduled', { count: rateResult.data.interval });
+    await ctx.answerCbQuery(rescheduled);
+
+    // Drop the rating buttons so the same card can't be rated twice from this message
+    await ctx.editMessageReplyMarkup(undefined);
+
+    const sessionFinished = await sendNextCard(ctx, userResult.data, locale, 'review.sessionComplete');
+
+    // Clearing the last due card finishes a session
+    if (sessionFinished) {
+      const sessionResult = await reviewService.recordSessionFinished(userId);
+      if (sessionResult.success) {
+        await announceAchievements(ctx, sessionResult.data, locale);
+      }
+    }
+
+  } catch (error) {
+    logger.error('Error in handleReviewRate', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+module.exports = {
+  handleReviewCommand,
+  handleReviewShow,
+  handleReviewRate
+};
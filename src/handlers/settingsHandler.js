@@ -1,6 +1,12 @@
-const firebaseService = require('../services/firebaseService');
+const { Markup } = require('telegraf');
+const dataService = require('../services/dataService');
+const profileService = require('../services/profileService');
+const settingsService = require('../services/settingsService');
 const { showLanguageSelection } = require('./startHandler');
 const logger = require('../utils/logger');
+const { isTargetLanguage, getLanguage } = require('../utils/languageRegistry');
+const { COMMON_TIME_ZONES, normalizeTimeZone, userTimeZone, zonedTime } = require('../utils/timeZones');
+const { t, resolveLocale } = require('../i18n');
 
 /**
  * Handle /change command
@@ -8,58 +14,195 @@ const logger = require('../utils/logger');
  * @returns {Promise<void>}
  */
 async function handleChangeLanguage(ctx) {
+  let locale = resolveLocale(null, ctx);
+
   try {
     const userId = ctx.from.id.toString();
     const userName = ctx.from.first_name || ctx.from.username || 'there';
 
     logger.info('User requested language change', { userId });
 
+    const userResult = await dataService.getUser(userId);
+    if (userResult.success) {
+      locale = resolveLocale(userResult.data, ctx);
+    }
+
     // Show language selection
-    await showLanguageSelection(ctx, userName);
+    await showLanguageSelection(ctx, userName, locale);
 
   } catch (error) {
     logger.error('Error in handleChangeLanguage', { error: error.message });
-    await ctx.reply('Sorry, something went wrong. Please try again.');
+    await ctx.reply(t(locale, 'common.genericError'));
   }
 }
 
 /**
  * Handle language change callback (when user selects new language)
+ * Progress is kept per language, so switching back resumes where the learner left off.
  * @param {Context} ctx - Telegraf context
  * @param {string} newLanguageCode - New language code
+ * @param {Object} [user] - Current user record, used to pick the reply locale
  * @returns {Promise<void>}
  */
-async function handleLanguageChangeCallback(ctx, newLanguageCode) {
+async function handleLanguageChangeCallback(ctx, newLanguageCode, user = null) {
+  const locale = resolveLocale(user, ctx);
+
   try {
     const userId = ctx.from.id.toString();
 
     logger.info('User changing language', { userId, newLanguage: newLanguageCode });
 
-    // Update user's language and reset lesson day
-    const updateResult = await firebaseService.updateUserStats(userId, {
-      targetLanguage: newLanguageCode,
-      lessonDay: 1
-    });
+    if (!isTargetLanguage(newLanguageCode)) {
+      logger.warn('Unsupported language selected', { userId, newLanguage: newLanguageCode });
+      await ctx.answerCbQuery(t(locale, 'settings.unsupportedLanguage'));
+      return;
+    }
 
-    if (!updateResult.success) {
-      await ctx.answerCbQuery('Failed to update language. Please try again.');
+    const switchResult = await profileService.switchLanguage(userId, newLanguageCode);
+
+    if (!switchResult.success) {
+      await ctx.answerCbQuery(t(locale, 'settings.updateFailed'));
       return;
     }
 
-    await ctx.answerCbQuery('Language updated!');
-    await ctx.reply(
-      `✅ Language changed successfully!\n\n` +
-      `Your progress has been reset to Day 1.\n\n` +
-      `Use /lesson to start your first lesson.`
-    );
+    const { name, flag } = getLanguage(newLanguageCode);
+    const { resumed, lessonDay } = switchResult.data;
+
+    await ctx.answerCbQuery(t(locale, 'settings.updated'));
+    await ctx.reply(resumed
+      ? t(locale, 'settings.resumed', { language: name, flag, day: lessonDay })
+      : t(locale, 'settings.changed', { language: name, flag }));
 
   } catch (error) {
     logger.error('Error in handleLanguageChangeCallback', { error: error.message });
-    await ctx.answerCbQuery('Something went wrong. Please try again.');
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Keyboard with buttons for common timezones
+ * @param {Array<Array<Object>>} [extraRows] - Rows appended below the timezones
+ * @returns {Object} Telegraf inline keyboard markup
+ */
+function timeZoneKeyboard(extraRows = []) {
+  const buttons = COMMON_TIME_ZONES.map(timeZone => Markup.button.callback(timeZone, `tz_${timeZone}`));
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    keyboard.push(buttons.slice(i, i + 2));
+  }
+
+  return Markup.inlineKeyboard([...keyboard, ...extraRows]);
+}
+
+/**
+ * Current timezone message, shown above the timezone buttons
+ * @param {Object} user - User data
+ * @param {string} locale - UI locale
+ * @returns {string}
+ */
+function formatTimeZone(user, locale) {
+  const timeZone = userTimeZone(user);
+  return t(locale, 'settings.timezoneCurrent', { timezone: timeZone, time: zonedTime(new Date(), timeZone).time });
+}
+
+/**
+ * Save a user's timezone and confirm it with the local time there
+ * @param {Context} ctx - Telegraf context
+ * @param {string} timeZone - Canonical IANA timezone
+ * @param {string} locale - UI locale
+ * @returns {Promise<boolean>} Whether the timezone was saved
+ */
+async function saveTimeZone(ctx, timeZone, locale) {
+  const userId = ctx.from.id.toString();
+  const updateResult = await settingsService.updateUserSettings(userId, { timezone: timeZone });
+
+  if (!updateResult.success) {
+    return false;
+  }
+
+  logger.info('User changed timezone', { userId, timeZone });
+  await ctx.reply(t(locale, 'settings.timezoneChanged', { timezone: timeZone, time: zonedTime(new Date(), timeZone).time }));
+  return true;
+}
+
+/**
+ * Handle /timezone command
+ * `/timezone Europe/Berlin` sets the timezone; without an argument the current one
+ * is shown with buttons for common timezones.
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleTimezoneCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userResult = await dataService.getUser(ctx.from.id.toString());
+
+    if (!userResult.success) {
+      await ctx.reply(t(locale, 'common.startFirst'));
+      return;
+    }
+
+    const user = userResult.data;
+    locale = resolveLocale(user, ctx);
+
+    const requested = ctx.message.text.split(/\s+/).slice(1).join('_');
+    if (requested) {
+      const timeZone = normalizeTimeZone(requested);
+      if (!timeZone) {
+        await ctx.reply(t(locale, 'settings.timezoneInvalid', { timezone: requested }));
+        return;
+      }
+      if (!await saveTimeZone(ctx, timeZone, locale)) {
+        await ctx.reply(t(locale, 'settings.timezoneFailed'));
+      }
+      return;
+    }
+
+    await ctx.reply(formatTimeZone(user, locale), timeZoneKeyboard());
+
+  } catch (error) {
+    logger.error('Error in handleTimezoneCommand', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle timezone button callback
+ * @param {Context} ctx - Telegraf context
+ * @param {string} requested - Timezone from the button
+ * @param {Object} [user] - Current user record, used to pick the reply locale
+ * @returns {Promise<void>}
+ */
+async function handleTimezoneCallback(ctx, requested, user = null) {
+  const locale = resolveLocale(user, ctx);
+
+  try {
+    const timeZone = normalizeTimeZone(requested);
+
+    if (!timeZone) {
+      await ctx.answerCbQuery(t(locale, 'settings.timezoneInvalid', { timezone: requested }));
+      return;
+    }
+
+    if (!await saveTimeZone(ctx, timeZone, locale)) {
+      await ctx.answerCbQuery(t(locale, 'settings.timezoneFailed'));
+      return;
+    }
+
+    await ctx.answerCbQuery();
+
+  } catch (error) {
+    logger.error('Error in handleTimezoneCallback', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
   }
 }
 
 module.exports = {
   handleChangeLanguage,
-  handleLanguageChangeCallback
+  handleLanguageChangeCallback,
+  handleTimezoneCommand,
+  handleTimezoneCallback,
+  timeZoneKeyboard,
+  formatTimeZone
 };
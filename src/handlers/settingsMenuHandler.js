@@ -0,0 +1,230 @@
+const { Markup } = require('telegraf');
+const dataService = require('../services/dataService');
+const settingsService = require('../services/settingsService');
+const { timeZoneKeyboard, formatTimeZone } = require('./settingsHandler');
+const logger = require('../utils/logger');
+const { getLanguage, getNativeLanguageCodes } = require('../utils/languageRegistry');
+const { userTimeZone } = require('../utils/timeZones');
+const {
+  LESSON_TIME_OPTIONS,
+  PAUSE_DAY_OPTIONS,
+  pauseEndDate,
+  parsePauseDate,
+  isLessonPaused
+} = require('../utils/userSettings');
+const { t, resolveLocale } = require('../i18n');
+
+/**
+ * Split buttons into rows of two
+ * @param {Array<Object>} buttons - Inline buttons
+ * @returns {Array<Array<Object>>}
+ */
+function inRows(buttons) {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return rows;
+}
+
+/**
+ * Row with a button back to the main settings menu
+ * @param {string} locale - UI locale
+ * @returns {Array<Object>}
+ */
+function backRow(locale) {
+  return [Markup.button.callback(t(locale, 'settings.backButton'), 'settings_menu')];
+}
+
+/**
+ * Main settings menu: current values plus a button per setting
+ * @param {Object} user - User data
+ * @param {string} locale - UI locale
+ * @returns {{text: string, keyboard: Object}}
+ */
+function buildMenu(user, locale) {
+  const settings = user.settings || {};
+  const notificationsOn = settings.notificationEnabled !== false;
+  const paused = isLessonPaused(user);
+  const nativeLanguage = getLanguage(user.nativeLanguage);
+
+  let text = `${t(locale, 'settings.menuTitle')}\n\n`;
+  text += `${t(locale, 'settings.lessonTime', { time: settings.lessonTime || '09:00' })}\n`;
+  text += `${t(locale, 'settings.timezone', { timezone: userTimeZone(user) })}\n`;
+  text += `${t(locale, notificationsOn ? 'settings.notificationsOn' : 'settings.notificationsOff')}\n`;
+  if (nativeLanguage) {
+    text += `${t(locale, 'settings.nativeLanguage', { language: `${nativeLanguage.flag} ${nativeLanguage.nativeName}` })}\n`;
+  }
+  if (paused) {
+    text += `${t(locale, 'settings.pausedUntil', { date: settings.pausedUntil })}\n`;
+  }
+
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback(t(locale, 'settings.timeButton'), 'settings_time'),
+      Markup.button.callback(t(locale, 'settings.timezoneButton'), 'settings_tz')
+    ],
+    [
+      Markup.button.callback(
+        t(locale, notificationsOn ? 'settings.notificationsOffButton' : 'settings.notificationsOnButton'),
+        'settings_notify'
+      ),
+      Markup.button.callback(t(locale, 'settings.nativeLanguageButton'), 'settings_native')
+    ],
+    [paused
+      ? Markup.button.callback(t(locale, 'settings.resumeButton'), 'settings_resume')
+      : Markup.button.callback(t(locale, 'settings.pauseButton'), 'settings_pause')]
+  ]);
+
+  return { text, keyboard };
+}
+
+/**
+ * Handle /settings command
+ * `/settings pause YYYY-MM-DD` pauses lessons until that date without going through the menu.
+ * @param {Context} ctx - Telegraf context
+ * @returns {Promise<void>}
+ */
+async function handleSettingsCommand(ctx) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userResult = await dataService.getUser(ctx.from.id.toString());
+
+    if (!userResult.success) {
+      await ctx.reply(t(locale, 'common.startFirst'));
+      return;
+    }
+
+    const user = userResult.data;
+    locale = resolveLocale(user, ctx);
+    const [action, requested] = ctx.message.text.split(/\s+/).slice(1);
+
+    if ((action || '').toLowerCase() === 'pause') {
+      const pausedUntil = parsePauseDate(user, requested);
+      if (!pausedUntil) {
+        await ctx.reply(t(locale, 'settings.pauseDateInvalid'));
+        return;
+      }
+
+      const updateResult = await settingsService.updateUserSettings(user.telegramId, { pausedUntil });
+      await ctx.reply(updateResult.success
+        ? t(locale, 'settings.paused', { date: pausedUntil })
+        : t(locale, 'settings.saveFailed'));
+      return;
+    }
+
+    const { text, keyboard } = buildMenu(user, locale);
+    await ctx.reply(text, keyboard);
+
+  } catch (error) {
+    logger.error('Error in handleSettingsCommand', { error: error.message });
+    await ctx.reply(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Apply a settings change and show the menu with the new values
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} user - User data
+ * @param {Object} changes - Setting name -> new value
+ * @param {string} confirmationKey - Message key for the confirmation toast
+ * @param {Object} [params] - Interpolation values for the confirmation
+ * @returns {Promise<void>}
+ */
+async function applyChange(ctx, user, changes, confirmationKey, params = {}) {
+  const updateResult = await settingsService.updateUserSettings(user.telegramId, changes);
+
+  if (!updateResult.success) {
+    logger.warn('Settings change rejected', { userId: user.telegramId, changes, error: updateResult.error });
+    await ctx.answerCbQuery(t(resolveLocale(user, ctx), 'settings.saveFailed'));
+    return;
+  }
+
+  const { nativeLanguage = user.nativeLanguage, ...settings } = updateResult.data;
+  const updated = { ...user, nativeLanguage, settings: { ...user.settings, ...settings } };
+  // A new native language switches the menu language too
+  const locale = resolveLocale(updated, ctx);
+  const { text, keyboard } = buildMenu(updated, locale);
+
+  await ctx.answerCbQuery(t(locale, confirmationKey, params));
+  await ctx.editMessageText(text, keyboard);
+}
+
+/**
+ * Handle settings menu callbacks (settings_<action>)
+ * @param {Context} ctx - Telegraf context
+ * @param {string} action - Menu action, e.g. 'time', 'time_08:00', 'native_ru', 'pause_7'
+ * @param {Object} user - Current user record
+ * @returns {Promise<void>}
+ */
+async function handleSettingsCallback(ctx, action, user) {
+  const locale = resolveLocale(user, ctx);
+
+  try {
+    const [name, value] = action.split(/_(.+)/);
+    const settings = user.settings || {};
+
+    if (name === 'menu') {
+      const { text, keyboard } = buildMenu(user, locale);
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(text, keyboard);
+    } else if (name === 'time' && value) {
+      await applyChange(ctx, user, { lessonTime: value }, 'settings.lessonTimeChanged', { time: value });
+    } else if (name === 'time') {
+      const buttons = LESSON_TIME_OPTIONS.map(time => Markup.button.callback(time, `settings_time_${time}`));
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(
+        t(locale, 'settings.chooseLessonTime', { timezone: userTimeZone(user) }),
+        Markup.inlineKeyboard([...inRows(buttons), backRow(locale)])
+      );
+    } else if (name === 'notify') {
+      const enabled = settings.notificationEnabled === false;
+      await applyChange(ctx, user, { notificationEnabled: enabled },
+        enabled ? 'settings.notificationsEnabled' : 'settings.notificationsDisabled');
+    } else if (name === 'tz') {
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(formatTimeZone(user, locale), timeZoneKeyboard([backRow(locale)]));
+    } else if (name === 'native' && getNativeLanguageCodes().includes(value)) {
+      const { nativeName } = getLanguage(value);
+      await applyChange(ctx, user, { nativeLanguage: value }, 'settings.nativeLanguageChanged', { language: nativeName });
+    } else if (name === 'native') {
+      const buttons = getNativeLanguageCodes().map(code => getLanguage(code)).map(language => Markup.button.callback(
+        `${language.flag} ${language.nativeName}`,
+        `settings_native_${language.code}`
+      ));
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(
+        t(locale, 'start.chooseNativeLanguage'),
+        Markup.inlineKeyboard([...inRows(buttons), backRow(locale)])
+      );
+    } else if (name === 'pause' && PAUSE_DAY_OPTIONS.includes(Number(value))) {
+      const pausedUntil = pauseEndDate(user, Number(value));
+      await applyChange(ctx, user, { pausedUntil }, 'settings.paused', { date: pausedUntil });
+    } else if (name === 'pause') {
+      const buttons = PAUSE_DAY_OPTIONS.map(days => Markup.button.callback(
+        t(locale, 'settings.pauseDays', { count: days }),
+        `settings_pause_${days}`
+      ));
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(
+        t(locale, 'settings.choosePause'),
+        Markup.inlineKeyboard([...inRows(buttons), backRow(locale)])
+      );
+    } else if (name === 'resume') {
+      await applyChange(ctx, user, { pausedUntil: null }, 'settings.resumedLessons');
+    } else {
+      logger.warn('Unknown settings action', { userId: user.telegramId, action });
+      await ctx.answerCbQuery();
+    }
+
+  } catch (error) {
+    logger.error('Error in handleSettingsCallback', { action, error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+module.exports = {
+  handleSettingsCommand,
+  handleSettingsCallback
+};
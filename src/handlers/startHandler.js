@@ -1,7 +1,14 @@
 const { Markup } = require('telegraf');
-const firebaseService = require('../services/firebaseService');
+const dataService = require('../services/dataService');
 const lessonService = require('../services/lessonService');
+const onboardingService = require('../services/onboardingService');
+const userStatusService = require('../services/userStatusService');
 const logger = require('../utils/logger');
+const { getLanguage, getNativeLanguageCodes } = require('../utils/languageRegistry');
+const { userTimeZone } = require('../utils/timeZones');
+const { t, resolveLocale } = require('../i18n');
+
+const DEFAULT_NATIVE_LANGUAGE = 'he';
 
 /**
  * Handle /start command
@@ -16,20 +23,21 @@ async function handleStart(ctx) {
     logger.debug('User started bot', { userId, userName });
 
     // Check if user already exists
-    const userResult = await firebaseService.getUser(userId);
+    const userResult = await dataService.getUser(userId);
     
     if (userResult.success) {
-      // Existing user - show welcome in Hebrew
-      const langName = userResult.data.targetLanguage.toUpperCase();
-      await ctx.reply(
-        `ברוך שובך, ${userName}! 👋\n\n` +
-        `אתה לומד כרגע ${langName}.\n\n` +
-        `השתמש ב-/lesson כדי להמשיך, או ב-/change כדי להחליף שפה.\n\n` +
-        `───────────────\n` +
-        `Welcome back, ${userName}! 👋\n\n` +
-        `You're currently learning ${langName}.\n\n` +
-        `Use /lesson to continue, or /change to switch languages.`
-      );
+      // Existing user - show welcome in their native language
+      const user = userResult.data;
+      const language = getLanguage(user.targetLanguage);
+
+      // A learner who was unreachable is clearly back
+      if (user.inactive) {
+        await userStatusService.reactivate(userId);
+      }
+      await ctx.reply(t(resolveLocale(user, ctx), 'start.welcomeBack', {
+        name: userName,
+        language: language ? `${language.flag} ${language.name}` : user.targetLanguage.toUpperCase()
+      }));
       return;
     }
 
@@ -37,120 +45,206 @@ async function handleStart(ctx) {
     await showLanguageSelection(ctx, userName);
   } catch (error) {
     logger.error('Error in handleStart', { error: error.message });
-    await ctx.reply('Sorry, something went wrong. Please try again.');
+    await ctx.reply(t(resolveLocale(null, ctx), 'common.genericError'));
+  }
+}
+
+/**
+ * Build an inline keyboard with 2 language buttons per row
+ * @param {Array<{code: string, flag: string, label: string}>} languages - Languages to offer
+ * @param {string} callbackPrefix - Callback data prefix (e.g. 'lang_')
+ * @returns {Object} Telegraf inline keyboard markup
+ */
+function buildLanguageKeyboard(languages, callbackPrefix) {
+  const keyboard = [];
+  for (let i = 0; i < languages.length; i += 2) {
+    keyboard.push(languages.slice(i, i + 2).map(language => Markup.button.callback(
+      `${language.flag} ${language.label}`,
+      `${callbackPrefix}${language.code}`
+    )));
   }
+
+  return Markup.inlineKeyboard(keyboard);
+}
+
+/**
+ * Guess the learner's native language from their Telegram client language
+ * @param {Context} ctx - Telegraf context
+ * @returns {string} Native language code
+ */
+function guessNativeLanguage(ctx) {
+  const telegramCode = (ctx.from.language_code || '').split('-')[0].toLowerCase();
+  return getNativeLanguageCodes().includes(telegramCode) ? telegramCode : DEFAULT_NATIVE_LANGUAGE;
 }
 
 /**
  * Show language selection keyboard
  * @param {Context} ctx - Telegraf context
  * @param {string} userName - User's name
+ * @param {string} [locale] - UI locale (defaults to the Telegram client language)
  * @returns {Promise<void>}
  */
-async function showLanguageSelection(ctx, userName = 'there') {
-  const languages = lessonService.getAvailableLanguages();
-  
-  // Create inline keyboard with 2 buttons per row
-  const keyboard = [];
-  for (let i = 0; i < languages.length; i += 2) {
-    const row = [
-      Markup.button.callback(
-        `${languages[i].flag} ${languages[i].name}`,
-        `lang_${languages[i].code}`
-      )
-    ];
-    
-    if (i + 1 < languages.length) {
-      row.push(
-        Markup.button.callback(
-          `${languages[i + 1].flag} ${languages[i + 1].name}`,
-          `lang_${languages[i + 1].code}`
-        )
-      );
-    }
-    
-    keyboard.push(row);
+async function showLanguageSelection(ctx, userName = 'there', locale = resolveLocale(null, ctx)) {
+  const languages = lessonService.getAvailableLanguages()
+    .map(language => ({ ...language, label: language.name }));
+
+  await ctx.reply(
+    t(locale, 'start.chooseLanguage', { name: userName }),
+    buildLanguageKeyboard(languages, 'lang_')
+  );
+}
+
+/**
+ * Show native language selection keyboard
+ * @param {Context} ctx - Telegraf context
+ * @param {string} locale - UI locale
+ * @returns {Promise<void>}
+ */
+async function showNativeLanguageSelection(ctx, locale) {
+  const languages = getNativeLanguageCodes()
+    .map(code => getLanguage(code))
+    .map(language => ({ code: language.code, flag: language.flag, label: language.nativeName }));
+
+  await ctx.reply(
+    t(locale, 'start.chooseNativeLanguage'),
+    buildLanguageKeyboard(languages, 'native_')
+  );
+}
+
+/**
+ * Send the lesson a learner should start with, preceded by a short intro
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} user - User record
+ * @returns {Promise<void>}
+ */
+async function sendFirstLesson(ctx, user) {
+  const locale = resolveLocale(user, ctx);
+  const lessonDay = user.lessonDay || 1;
+  const lessonResult = lessonService.getLesson(user.targetLanguage, lessonDay, user.nativeLanguage);
+
+  if (!lessonResult.success) {
+    await ctx.reply(t(locale, 'start.noLessonsYet'));
+    return;
   }
 
+  const lesson = lessonResult.data;
+  const formattedLesson = lessonService.formatLesson(lesson, lessonDay, lesson.languageFlag, locale);
+
+  await ctx.reply(t(locale, 'start.firstLesson', { language: lesson.languageName, flag: lesson.languageFlag }));
+
   await ctx.reply(
-    `Welcome, ${userName}! 🎉\n\n` +
-    `I'm your language learning assistant. Pick your target language to get started:`,
-    Markup.inlineKeyboard(keyboard)
+    formattedLesson,
+    Markup.inlineKeyboard([
+      [Markup.button.callback(t(locale, 'common.markComplete'), `lesson_complete_${lessonDay}`)]
+    ])
   );
 }
 
 /**
  * Handle language selection callback
+ * Creates the user record, then asks for the learner's native language.
  * @param {Context} ctx - Telegraf context
  * @param {string} languageCode - Selected language code
  * @returns {Promise<void>}
  */
 async function handleLanguageSelection(ctx, languageCode) {
+  const locale = resolveLocale(null, ctx);
+
   try {
     const userId = ctx.from.id.toString();
     const userName = ctx.from.first_name || ctx.from.username || 'User';
 
     logger.info('User selected language', { userId, languageCode });
 
-    // Create user record
-    const userData = {
-      telegramId: userId,
+    // Create user record (native language is confirmed in the next step)
+    const upsertResult = await onboardingService.createLearner({
+      userId,
       name: userName,
       targetLanguage: languageCode,
-      nativeLanguage: 'he',
-      lessonDay: 1,
-      createdAt: new Date(),
-      streak: 0,
-      totalLessons: 0,
-      avgScore: 0,
-      settings: {
-        lessonTime: '09:00',
-        notificationEnabled: true
-      }
-    };
+      nativeLanguage: guessNativeLanguage(ctx)
+    });
 
-    const upsertResult = await firebaseService.upsertUser(userData);
+    // A racing tap already created the learner and is showing the next step
+    if (upsertResult.code === 'ERR_USER_EXISTS') {
+      await ctx.answerCbQuery();
+      return;
+    }
 
     if (!upsertResult.success) {
-      await ctx.answerCbQuery('Failed to save your selection. Please try again.');
+      await ctx.answerCbQuery(t(locale, 'start.saveFailed'));
       return;
     }
 
-    // Get Day 1 lesson
-    const lessonResult = lessonService.getLesson(languageCode, 1);
+    const { name, flag } = getLanguage(languageCode);
+    await ctx.answerCbQuery(t(locale, 'start.languageSelectedNamed', { language: name, flag }));
 
-    if (!lessonResult.success) {
-      await ctx.answerCbQuery('Language selected!');
-      await ctx.reply('Great! Your language has been set, but lessons are not yet available.');
+    await showNativeLanguageSelection(ctx, locale);
+
+  } catch (error) {
+    logger.error('Error in handleLanguageSelection', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
+  }
+}
+
+/**
+ * Handle native language selection callback
+ * During onboarding this also sends the first lesson.
+ * @param {Context} ctx - Telegraf context
+ * @param {string} nativeLanguage - Selected native language code
+ * @returns {Promise<void>}
+ */
+async function handleNativeLanguageSelection(ctx, nativeLanguage) {
+  let locale = resolveLocale(null, ctx);
+
+  try {
+    const userId = ctx.from.id.toString();
+
+    if (!getNativeLanguageCodes().includes(nativeLanguage)) {
+      logger.warn('Unsupported native language selected', { userId, nativeLanguage });
+      await ctx.answerCbQuery(t(locale, 'settings.unsupportedLanguage'));
       return;
     }
 
-    const lesson = lessonResult.data;
-    const formattedLesson = lessonService.formatLesson(lesson, 1, lesson.languageFlag);
+    const userResult = await dataService.getUser(userId);
 
-    await ctx.answerCbQuery(`${lesson.languageFlag} ${lesson.languageName} selected!`);
-    
-    await ctx.reply(
-      `Perfect! You're now learning ${lesson.languageName} ${lesson.languageFlag}\n\n` +
-      `Let's start with your first lesson:`
-    );
-
-    // Send Day 1 lesson with completion button
-    await ctx.reply(
-      formattedLesson,
-      Markup.inlineKeyboard([
-        [Markup.button.callback('✅ Mark Complete', 'lesson_complete_1')]
-      ])
-    );
+    if (!userResult.success) {
+      await ctx.answerCbQuery(t(locale, 'common.userNotFound'));
+      return;
+    }
+
+    const confirmResult = await onboardingService.confirmNativeLanguage(userResult.data, nativeLanguage);
+
+    if (!confirmResult.success) {
+      await ctx.answerCbQuery(t(locale, 'start.saveFailed'));
+      return;
+    }
+
+    const { user, isOnboarding } = confirmResult.data;
+    locale = resolveLocale(user, ctx);
+    const language = getLanguage(nativeLanguage);
+
+    await ctx.answerCbQuery(t(locale, 'start.languageSelectedNamed', { language: language.nativeName, flag: language.flag }));
+
+    if (isOnboarding) {
+      await ctx.reply(t(locale, 'start.timezoneGuess', {
+        time: user.settings.lessonTime || '09:00',
+        timezone: userTimeZone(user)
+      }));
+      await sendFirstLesson(ctx, user);
+    } else {
+      await ctx.reply(t(locale, 'settings.nativeLanguageChanged', { language: language.nativeName }));
+    }
 
   } catch (error) {
-    logger.error('Error in handleLanguageSelection', { error: error.message });
-    await ctx.answerCbQuery('Something went wrong. Please try again.');
+    logger.error('Error in handleNativeLanguageSelection', { error: error.message });
+    await ctx.answerCbQuery(t(locale, 'common.genericError'));
   }
 }
 
 module.exports = {
   handleStart,
   handleLanguageSelection,
-  showLanguageSelection
+  handleNativeLanguageSelection,
+  showLanguageSelection,
+  showNativeLanguageSelection
 };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Check whether a catalog node is a plural message ({one, other, ...})
+ * @param {any} node - Catalog node
+ * @returns {boolean}
+ */
+function isPluralNode(node) {
+  return node !== null &&
+    typeof node === 'object' &&
+    typeof node.other === 'string' &&
+    Object.keys(node).every(key => PLURAL_CATEGORIES.includes(key));
+}
+
+/**
+ * Flatten a nested catalog into dot-separated message keys
+ * @param {Object} node - Catalog node
+ * @param {string} prefix - Key prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} Flat catalog
+ */
+function flattenCatalog(node, prefix = '', result = {}) {
+  Object.entries(node).forEach(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string' || isPluralNode(value)) {
+      result[fullKey] = value;
+    } else if (value && typeof value === 'object') {
+      flattenCatalog(value, fullKey, result);
+    }
+  });
+  return result;
+}
+
+/**
+ * Load every locale catalog from disk
+ * @returns {Object} Flat catalogs keyed by locale
+ */
+function loadCatalogs() {
+  const catalogs = {};
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const locale = path.basename(file, '.json');
+      const content = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+      catalogs[locale] = flattenCatalog(content);
+    });
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+/**
+ * Get locales that have a catalog
+ * @returns {Array<string>}
+ */
+function getSupportedLocales() {
+  return Object.keys(catalogs);
+}
+
+/**
+ * Check whether a locale has a catalog
+ * @param {string} locale - Locale code
+ * @returns {boolean}
+ */
+function isSupportedLocale(locale) {
+  return Boolean(locale && catalogs[locale]);
+}
+
+/**
+ * Resolve the UI locale for a user
+ * Prefers the stored native language, then Telegram's language_code.
+ * @param {Object|null} user - User record
+ * @param {Object} [ctx] - Telegraf context
+ * @returns {string} Locale code
+ */
+function resolveLocale(user, ctx) {
+  if (user && isSupportedLocale(user.nativeLanguage)) {
+    return user.nativeLanguage;
+  }
+
+  const telegramCode = ctx && ctx.from && ctx.from.language_code;
+  const telegramLocale = telegramCode ? telegramCode.split('-')[0].toLowerCase() : null;
+  if (isSupportedLocale(telegramLocale)) {
+    return telegramLocale;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Replace {placeholders} with parameter values
+ * @param {string} template - Message template
+ * @param {Object} params - Interpolation values
+ * @returns {string}
+ */
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Translate a message key
+ * Plural messages pick their form from params.count.
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key (e.g. 'progress.streak')
+ * @param {Object} params - Interpolation values
+ * @returns {string} Localized message, or the key itself if it is missing everywhere
+ */
+function t(locale, key, params = {}) {
+  const activeLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  let message = catalogs[activeLocale][key];
+
+  if (message === undefined) {
+    message = catalogs[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+      logger.warn('Missing i18n key', { locale: activeLocale, key });
+      return key;
+    }
+  }
+
+  if (isPluralNode(message)) {
+    const category = new Intl.PluralRules(activeLocale).select(Number(params.count) || 0);
+    message = message[category] || message.other;
+  }
+
+  return interpolate(message, params);
+}
+
+/**
+ * Report keys present in the default catalog but missing from other locales
+ * @returns {Object<string, Array<string>>} Missing keys per locale
+ */
+function findMissingKeys() {
+  const baseKeys = Object.keys(catalogs[DEFAULT_LOCALE]);
+  const missing = {};
+
+  getSupportedLocales()
+    .filter(locale => locale !== DEFAULT_LOCALE)
+    .forEach(locale => {
+      const keys = baseKeys.filter(key => catalogs[locale][key] === undefined);
+      if (keys.length > 0) {
+        missing[locale] = keys;
+      }
+    });
+
+  return missing;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  t,
+  resolveLocale,
+  getSupportedLocales,
+  isSupportedLocale,
+  findMissingKeys
+};
@@ -1,171 +1,63 @@
 const { Telegraf } = require('telegraf');
-const cron = require('node-cron');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const i18n = require('./i18n');
 
-// Handlers
-const { handleStart, handleLanguageSelection } = require('./handlers/startHandler');
-const { handleLessonComplete, handleLessonCommand } = require('./handlers/lessonHandler');
-const { handleVoiceMessage } = require('./handlers/assessmentHandler');
-const { handleProgress } = require('./handlers/progressHandler');
-const { handleChangeLanguage, handleLanguageChangeCallback } = require('./handlers/settingsHandler');
+// Command, button and message routing
+const { registerHandlers } = require('./handlers');
 
 // Services
-const { sendLesson } = require('./handlers/lessonHandler');
-const reportService = require('./services/reportService');
-const firebaseService = require('./services/firebaseService');
+const lessonService = require('./services/lessonService');
+const repositories = require('./repositories');
+
+// Scheduled jobs
+const { createScheduler } = require('./scheduler');
 
 // MCP Server
 const { startMcpServer } = require('./mcp/assessmentMcp');
 
-/**
- * Initialize Telegraf bot
- */
-const bot = new Telegraf(config.telegram.botToken);
-
-/**
- * Register command handlers
- */
-bot.command('start', handleStart);
-bot.command('lesson', handleLessonCommand);
-bot.command('progress', handleProgress);
-bot.command('change', handleChangeLanguage);
+// Offline mode
+const { installMockTelegram, startMockConsole } = require('./mock/mockTelegram');
 
 /**
- * Register callback query handlers
+ * Load lesson packs before anything else - a malformed curriculum must not boot
  */
-bot.action(/^lang_(.+)$/, async (ctx) => {
-  const languageCode = ctx.match[1];
-  
-  // Check if this is a language change or initial selection
-  const userId = ctx.from.id.toString();
-  const userResult = await firebaseService.getUser(userId);
-  
-  if (userResult.success) {
-    // Existing user - language change
-    await handleLanguageChangeCallback(ctx, languageCode);
-  } else {
-    // New user - initial selection
-    await handleLanguageSelection(ctx, languageCode);
-  }
-});
-
-bot.action(/^lesson_complete_(\d+)$/, handleLessonComplete);
-
-bot.action('action_lesson', async (ctx) => {
-  await ctx.answerCbQuery();
-  await handleLessonCommand(ctx);
-});
+const curriculumResult = lessonService.loadCurriculum();
+if (!curriculumResult.success) {
+  logger.error('FATAL: Lesson pack validation failed', { error: curriculumResult.error });
+  process.exit(1);
+}
 
-bot.action('action_change', async (ctx) => {
-  await ctx.answerCbQuery();
-  await handleChangeLanguage(ctx);
+const missingTranslations = i18n.findMissingKeys();
+Object.entries(missingTranslations).forEach(([locale, keys]) => {
+  logger.warn('Missing translations', { locale, count: keys.length, keys });
 });
 
 /**
- * Register message handlers
+ * Connect to the datastore up front so bad credentials fail at boot, not on the first message
  */
-bot.on('voice', handleVoiceMessage);
+try {
+  repositories.getStore();
+} catch (error) {
+  logger.error('FATAL: Datastore initialization failed', { error: error.message });
+  process.exit(1);
+}
 
-// Fallback handler for text messages
-bot.on('text', async (ctx) => {
-  const text = ctx.message.text;
-  
-  // Ignore if it's a command (starts with /)
-  if (text.startsWith('/')) {
-    return;
-  }
-  
-  // Show available commands in Hebrew and English
-  await ctx.reply(
-    `שלום! 👋 הנה הפקודות הזמינות:\n\n` +
-    `/start - התחל מחדש או בחר שפה\n` +
-    `/lesson - קבל את השיעור הנוכחי\n` +
-    `/progress - ראה את ההתקדמות שלך\n` +
-    `/change - החלף שפת לימוד\n\n` +
-    `───────────────\n\n` +
-    `Hello! 👋 Here are the available commands:\n\n` +
-    `/start - Start over or select language\n` +
-    `/lesson - Get your current lesson\n` +
-    `/progress - View your progress\n` +
-    `/change - Change learning language\n\n` +
-    `💡 Tip: Send a voice message after completing a lesson to get feedback!`
-  );
-});
+if (config.mock.enabled) {
+  installMockTelegram();
+  logger.info('Mock mode: fake Telegram, transcription and grading');
+}
 
 /**
- * Daily lesson cron job
- * Runs every day and sends lessons to users at their configured time
+ * Initialize Telegraf bot
  */
-let dailyLessonJob = null;
-
-function scheduleDailyLessons() {
-  // Run every hour to check for users who need lessons
-  dailyLessonJob = cron.schedule('0 * * * *', async () => {
-    try {
-      logger.info('Running daily lesson check');
-      
-      const db = firebaseService.getFirestore();
-      const usersSnapshot = await db.collection('users').get();
-      
-      const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      
-      usersSnapshot.forEach(async (doc) => {
-        const user = doc.data();
-        
-        if (!user.settings || !user.settings.notificationEnabled) {
-          return;
-        }
-        
-        const lessonTime = user.settings.lessonTime || '09:00';
-        const [lessonHour, lessonMinute] = lessonTime.split(':').map(Number);
-        
-        // Check if it's time for this user's lesson (within the current hour)
-        if (lessonHour === currentHour && currentMinute < 15) {
-          const currentDay = user.lessonDay || 1;
-          await sendLesson(bot, user.telegramId, user.targetLanguage, currentDay);
-          logger.info('Daily lesson sent', { userId: user.telegramId, lessonDay: currentDay });
-        }
-      });
-      
-    } catch (error) {
-      logger.error('Daily lesson cron job failed', { error: error.message });
-    }
-  });
-  
-  logger.info('Daily lesson cron job scheduled');
-}
+const bot = new Telegraf(config.telegram.botToken);
+registerHandlers(bot);
 
 /**
- * Weekly report cron job
- * Runs every Sunday at 20:00
+ * Daily lessons, nudges, the weekly report and the leaderboard reset
  */
-let weeklyReportJob = null;
-
-function scheduleWeeklyReports() {
-  // Run every Sunday at 20:00
-  weeklyReportJob = cron.schedule('0 20 * * 0', async () => {
-    try {
-      logger.info('Generating weekly report');
-      
-      const reportResult = await reportService.generateWeeklyReport();
-      
-      if (reportResult.success) {
-        await bot.telegram.sendMessage(config.telegram.adminId, reportResult.data);
-        logger.info('Weekly report sent to admin');
-      } else {
-        logger.error('Failed to generate weekly report', { error: reportResult.error });
-      }
-      
-    } catch (error) {
-      logger.error('Weekly report cron job failed', { error: error.message });
-    }
-  });
-  
-  logger.info('Weekly report cron job scheduled (Sunday 20:00)');
-}
+const scheduler = createScheduler({ bot });
 
 /**
  * Start the bot with retry logic
@@ -190,8 +82,12 @@ async function startBot() {
       }
       
       // Schedule cron jobs
-      scheduleDailyLessons();
-      scheduleWeeklyReports();
+      scheduler.start();
+      
+      if (config.mock.enabled) {
+        startMockConsole(bot);
+        return;
+      }
       
       // Start bot based on environment
       // Only use webhook if we have a full URL (not just a path like "/webhook")
@@ -254,18 +150,12 @@ async function shutdown() {
     logger.info('Shutting down bot gracefully');
     
     // Stop cron jobs
-    if (dailyLessonJob) {
-      dailyLessonJob.stop();
-      logger.info('Daily lesson cron job stopped');
-    }
+    await scheduler.stop();
     
-    if (weeklyReportJob) {
-      weeklyReportJob.stop();
-      logger.info('Weekly report cron job stopped');
+    // Stop bot (never launched in mock mode)
+    if (!config.mock.enabled) {
+      bot.stop('SIGTERM');
     }
-    
-    // Stop bot
-    bot.stop('SIGTERM');
     logger.info('Bot stopped');
     
     // Give time for in-flight requests to complete
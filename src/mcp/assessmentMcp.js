@@ -1,8 +1,10 @@
 const express = require('express');
 const axios = require('axios');
 const assessmentService = require('../services/assessmentService');
+const sttService = require('../services/stt');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { getTargetLanguageCodes, getNativeLanguageCodes } = require('../utils/languageRegistry');
 
 const app = express();
 app.use(express.json());
@@ -26,8 +28,8 @@ const ASSESS_VOICE_TOOL = {
       },
       targetLanguage: {
         type: 'string',
-        description: 'Target language code (en, es, fr, de)',
-        enum: ['en', 'es', 'fr', 'de']
+        description: 'Target language code',
+        enum: getTargetLanguageCodes()
       },
       audioUrl: {
         type: 'string',
@@ -47,11 +49,12 @@ const ASSESS_VOICE_TOOL = {
       },
       expectedAnswer: {
         type: 'string',
-        description: 'Expected response or quiz prompt'
+        description: 'Sentence the learner was asked to say; [placeholders] match any words'
       },
       nativeLanguage: {
         type: 'string',
         description: 'Native language code (default: he)',
+        enum: getNativeLanguageCodes(),
         default: 'he'
       }
     },
@@ -120,10 +123,16 @@ async function handleAssessVoice(params) {
     return {
       success: true,
       score: result.data.score,
+      llmScore: result.data.llmScore,
+      localScore: result.data.localScore,
+      wordErrorRate: result.data.wordErrorRate,
+      lessonWordsUsed: result.data.lessonWordsUsed,
+      rubric: result.data.rubric,
       feedback: result.data.feedback,
       transcript: result.data.transcript,
       strengths: result.data.strengths,
       weakAreas: result.data.weakAreas,
+      correctedSentence: result.data.correctedSentence,
       assessmentId: result.data.assessmentId
     };
 
@@ -174,7 +183,11 @@ app.post('/mcp/call-tool', async (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'language-learning-mcp' });
+  res.json({
+    status: 'ok',
+    service: 'language-learning-mcp',
+    transcriptionProviders: sttService.getProviderStatus()
+  });
 });
 
 /**
@@ -0,0 +1,161 @@
+const readline = require('readline');
+const { Telegram } = require('telegraf');
+const logger = require('../utils/logger');
+
+/**
+ * Offline Telegram for MOCK_PROVIDERS mode
+ * Bot API calls are answered locally and printed to the console, and a console
+ * prompt turns typed lines into updates, so the bot runs without network access.
+ */
+
+const MOCK_USER = { id: 1001, is_bot: false, first_name: 'Tester', language_code: 'en' };
+const MOCK_CHAT = { id: MOCK_USER.id, type: 'private', first_name: MOCK_USER.first_name };
+const BOT_USER = { id: 1, is_bot: true, first_name: 'Mock Bot', username: 'mock_bot' };
+
+const files = new Map();
+let lastButtons = [];
+let messageId = 0;
+let updateId = 0;
+
+/**
+ * Print an outgoing message and remember its inline buttons for :tap
+ * @param {string} label - Prefix shown before the text
+ * @param {Object} payload - Bot API payload
+ * @returns {void}
+ */
+function printMessage(label, payload) {
+  console.log(`\n${label} ${payload.text}`);
+
+  const keyboard = payload.reply_markup && payload.reply_markup.inline_keyboard;
+  if (keyboard) {
+    lastButtons = keyboard.flat();
+    lastButtons.forEach((button, index) => {
+      console.log(`   [${index + 1}] ${button.text}  (${button.callback_data})`);
+    });
+  }
+}
+
+/**
+ * Answer a Bot API call locally
+ * @param {string} method - Bot API method
+ * @param {Object} payload - Method parameters
+ * @returns {Promise<any>} Fake API result
+ */
+async function callApi(method, payload = {}) {
+  switch (method) {
+    case 'getMe':
+      return BOT_USER;
+    case 'sendMessage':
+      printMessage('🤖', payload);
+      return { message_id: ++messageId, date: Math.floor(Date.now() / 1000), chat: MOCK_CHAT, text: payload.text };
+    case 'editMessageText':
+      printMessage('🤖 (edited)', payload);
+      return true;
+    case 'answerCallbackQuery':
+      if (payload.text) console.log(`\n🔔 ${payload.text}`);
+      return true;
+    case 'getFile':
+      return { file_id: payload.file_id, file_path: `voice/${payload.file_id}.ogg` };
+    default:
+      logger.debug('Mock Telegram call', { method });
+      return true;
+  }
+}
+
+/**
+ * Route all Bot API traffic to the local mock
+ * Patches the Telegram prototype because Telegraf creates a client per update.
+ * Voice files are served as data: URLs so downloads need no network.
+ * @returns {void}
+ */
+function installMockTelegram() {
+  Telegram.prototype.callApi = function mockCallApi(method, payload) {
+    return callApi(method, payload);
+  };
+  Telegram.prototype.getFileLink = async function mockGetFileLink(fileId) {
+    const buffer = files.get(typeof fileId === 'string' ? fileId : fileId.file_id) || Buffer.alloc(0);
+    return new URL(`data:audio/ogg;base64,${buffer.toString('base64')}`);
+  };
+}
+
+/**
+ * Build an update from a console line
+ * - `:voice <text>` sends a voice message whose audio "contains" the text
+ * - `:tap <n|data>` taps a button from the last keyboard, or sends raw callback data
+ * - anything else is sent as a text message (including /commands)
+ * @param {string} line - Console input
+ * @returns {Object|null} Telegram update, or null for an unknown console command
+ */
+function buildUpdate(line) {
+  const base = { update_id: ++updateId };
+  const date = Math.floor(Date.now() / 1000);
+
+  if (line.startsWith(':voice ')) {
+    const fileId = `mock_voice_${updateId}`;
+    files.set(fileId, Buffer.from(line.slice(7).trim(), 'utf8'));
+    return {
+      ...base,
+      message: {
+        message_id: ++messageId, date, chat: MOCK_CHAT, from: MOCK_USER,
+        voice: { file_id: fileId, file_unique_id: fileId, duration: 3, mime_type: 'audio/ogg' }
+      }
+    };
+  }
+
+  if (line.startsWith(':tap ')) {
+    const choice = line.slice(5).trim();
+    const button = lastButtons[parseInt(choice, 10) - 1];
+    return {
+      ...base,
+      callback_query: {
+        id: String(updateId), from: MOCK_USER, chat_instance: 'mock',
+        message: { message_id: messageId, date, chat: MOCK_CHAT, text: '' },
+        data: button ? button.callback_data : choice
+      }
+    };
+  }
+
+  if (line.startsWith(':')) {
+    return null;
+  }
+
+  const entities = line.startsWith('/') ? [{ type: 'bot_command', offset: 0, length: line.split(' ')[0].length }] : undefined;
+  return { ...base, message: { message_id: ++messageId, date, chat: MOCK_CHAT, from: MOCK_USER, text: line, entities } };
+}
+
+/**
+ * Read updates from the console and feed them to the bot
+ * @param {Telegraf} bot - Bot instance
+ * @returns {readline.Interface} Console interface
+ */
+function startMockConsole(bot) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '\nyou> ' });
+
+  console.log('Mock mode: type messages or /commands, ":voice <what you say>" to send a voice message,');
+  console.log('":tap <n>" to press a button from the last keyboard. Ctrl+C quits.');
+  rl.prompt();
+
+  // Handle lines one at a time, like a real chat
+  let queue = Promise.resolve();
+  rl.on('line', (input) => {
+    queue = queue.then(async () => {
+      const line = input.trim();
+      if (line) {
+        const update = buildUpdate(line);
+        if (update) {
+          await bot.handleUpdate(update);
+        } else {
+          console.log('Unknown console command. Use :voice <text> or :tap <n|data>.');
+        }
+      }
+      rl.prompt();
+    });
+  });
+
+  return rl;
+}
+
+module.exports = {
+  installMockTelegram,
+  startMockConsole
+};
@@ -0,0 +1,35 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Voice and quiz assessments, with generated IDs
+ */
+const assessments = createRepository('assessments');
+
+/**
+ * A user's most recent assessments, newest first
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum number of assessments
+ * @returns {Promise<Array<Object>>}
+ */
+function findByUser(userId, limit) {
+  return assessments.find({
+    where: [['userId', '==', userId]],
+    orderBy: { field: 'timestamp', direction: 'desc' },
+    limit
+  });
+}
+
+/**
+ * All assessments since a point in time
+ * @param {Date} since - Earliest timestamp
+ * @returns {Promise<Array<Object>>}
+ */
+function findSince(since) {
+  return assessments.find({ where: [['timestamp', '>=', since]] });
+}
+
+module.exports = {
+  ...assessments,
+  findByUser,
+  findSince
+};
@@ -0,0 +1,77 @@
+/**
+ * Helpers for dotted field paths ('settings.lessonTime') and stored values, shared by the storage backends
+ */
+
+/**
+ * Read a possibly dotted field path
+ * @param {Object} data - Document data
+ * @param {string} field - Field path, e.g. 'settings.lessonTime'
+ * @returns {any}
+ */
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+/**
+ * Apply an update with possibly dotted field paths
+ * @param {Object} data - Document data (mutated)
+ * @param {Object} updates - Field path -> value
+ * @returns {Object} The document data
+ */
+function applyUpdate(data, updates) {
+  Object.entries(updates).forEach(([field, value]) => {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      return node[key];
+    }, data);
+    target[last] = value;
+  });
+  return data;
+}
+
+/**
+ * Whether a value is a Date, including one cloned from another realm
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Whether a value is a nested map (not an array, Date or other object)
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+  // Compared by shape, not identity: cloned data may come from another realm
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+/**
+ * Merge data into a document the way Firestore's set(..., {merge: true}) does
+ * Nested maps are merged key by key; arrays, Dates and other values replace what was there.
+ * @param {Object} base - Current document data
+ * @param {Object} data - Data to merge in
+ * @returns {Object} New document data
+ */
+function mergeFields(base, data) {
+  const merged = { ...base };
+  Object.entries(data).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeFields(base[key], value) : value;
+  });
+  return merged;
+}
+
+module.exports = {
+  getField,
+  applyUpdate,
+  isDate,
+  mergeFields
+};
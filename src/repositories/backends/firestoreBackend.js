@@ -0,0 +1,110 @@
+const admin = require('firebase-admin');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { isDate } = require('./fieldPaths');
+
+/**
+ * Storage backend on top of the Firestore API
+ * Also used with the in-memory Firestore stand-in for STORAGE_BACKEND=memory.
+ */
+
+/**
+ * Initialize the Firebase Admin SDK and return its Firestore
+ * @returns {FirebaseFirestore.Firestore}
+ */
+function connectFirestore() {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: config.firebase.projectId,
+        privateKey: config.firebase.privateKey,
+        clientEmail: config.firebase.clientEmail
+      })
+    });
+    logger.info('Firebase Admin SDK initialized successfully');
+    return admin.firestore();
+  } catch (error) {
+    logger.error('Failed to initialize Firebase Admin SDK', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Convert Firestore Timestamps to Dates, recursively
+ * @param {any} value - Stored value
+ * @returns {any}
+ */
+function fromFirestore(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  if (value && typeof value === 'object' && !isDate(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestore(item)]));
+  }
+  return value;
+}
+
+/**
+ * Create a backend over a Firestore-compatible database
+ * @param {Object} db - Firestore instance (or the in-memory stand-in)
+ * @param {string} [name='firestore'] - Backend name for logs and health
+ * @returns {Object} Storage backend
+ */
+function createFirestoreBackend(db, name = 'firestore') {
+  const docRef = (collection, id) => db.collection(collection).doc(id);
+
+  /**
+   * Build a Firestore query
+   * @param {string} collection - Collection name
+   * @param {{where?: Array, orderBy?: {field: string, direction?: string}, limit?: number}} options - Query
+   * @returns {FirebaseFirestore.Query}
+   */
+  function buildQuery(collection, { where = [], orderBy, limit } = {}) {
+    let query = where.reduce((q, [field, op, value]) => q.where(field, op, value), db.collection(collection));
+    if (orderBy) query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+    if (limit) query = query.limit(limit);
+    return query;
+  }
+
+  const readDoc = (doc) => (doc.exists ? fromFirestore(doc.data()) : null);
+
+  return {
+    name,
+    get: async (collection, id) => readDoc(await docRef(collection, id).get()),
+    set: async (collection, id, data, options = {}) => {
+      await docRef(collection, id).set(data, { merge: Boolean(options.merge) });
+    },
+    update: async (collection, id, updates) => {
+      await docRef(collection, id).update(updates);
+    },
+    delete: async (collection, id) => {
+      await docRef(collection, id).delete();
+    },
+    add: async (collection, data) => (await db.collection(collection).add(data)).id,
+    find: async (collection, options) => {
+      const snapshot = await buildQuery(collection, options).get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...fromFirestore(doc.data()) }));
+    },
+    count: async (collection, options) => (await buildQuery(collection, options).count().get()).data().count,
+    runTransaction: (fn) => db.runTransaction(transaction => fn({
+      get: async (collection, id) => readDoc(await transaction.get(docRef(collection, id))),
+      set: (collection, id, data, options = {}) => {
+        transaction.set(docRef(collection, id), data, { merge: Boolean(options.merge) });
+      },
+      update: (collection, id, updates) => {
+        transaction.update(docRef(collection, id), updates);
+      },
+      delete: (collection, id) => {
+        transaction.delete(docRef(collection, id));
+      }
+    }))
+  };
+}
+
+module.exports = {
+  connectFirestore,
+  createFirestoreBackend
+};
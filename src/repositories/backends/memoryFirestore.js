@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getField, applyUpdate, isDate, mergeFields } = require('./fieldPaths');
+
+/**
+ * In-memory stand-in for the subset of the Firestore API this bot uses
+ * (doc get/set/update/delete, add, where/orderBy/limit queries, count() and
+ * transactions). Data lives for the lifetime of the process. Backs STORAGE_BACKEND=memory.
+ */
+
+/**
+ * Compare two stored values, treating Dates by time
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const left = isDate(a) ? a.getTime() : a;
+  const right = isDate(b) ? b.getTime() : b;
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Whether a field can take part in a range filter (Firestore skips missing and null values)
+ * @param {any} value - Field value
+ * @returns {boolean}
+ */
+function isRangeComparable(value) {
+  return value !== undefined && value !== null;
+}
+
+const OPERATORS = {
+  '==': (a, b) => compareValues(a, b) === 0,
+  '!=': (a, b) => compareValues(a, b) !== 0,
+  '<': (a, b) => isRangeComparable(a) && compareValues(a, b) < 0,
+  '<=': (a, b) => isRangeComparable(a) && compareValues(a, b) <= 0,
+  '>': (a, b) => isRangeComparable(a) && compareValues(a, b) > 0,
+  '>=': (a, b) => isRangeComparable(a) && compareValues(a, b) >= 0,
+  'in': (a, b) => b.some(item => compareValues(a, item) === 0),
+  'array-contains': (a, b) => Array.isArray(a) && a.some(item => compareValues(item, b) === 0)
+};
+
+/**
+ * Build a document snapshot
+ * @param {string} id - Document ID
+ * @param {Object|undefined} data - Stored data
+ * @returns {{id: string, exists: boolean, data: Function}}
+ */
+function snapshot(id, data) {
+  return {
+    id,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : structuredClone(data))
+  };
+}
+
+/**
+ * Create an in-memory Firestore
+ * @returns {Object} Firestore-like database
+ */
+function createMemoryFirestore() {
+  const collections = new Map();
+  let transactionQueue = Promise.resolve();
+
+  /**
+   * Get a collection's document map
+   * @param {string} name - Collection name
+   * @returns {Map<string, Object>}
+   */
+  function store(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  /**
+   * Build a document reference
+   * @param {string} collectionName - Collection name
+   * @param {string} id - Document ID
+   * @returns {Object} Document reference
+   */
+  function docRef(collectionName, id) {
+    const docs = store(collectionName);
+    return {
+      id,
+      get: async () => snapshot(id, docs.get(id)),
+      set: async (data, options = {}) => {
+        const base = options.merge && docs.has(id) ? docs.get(id) : {};
+        docs.set(id, mergeFields(base, structuredClone(data)));
+      },
+      update: async (updates) => {
+        if (!docs.has(id)) throw new Error(`No document to update: ${collectionName}/${id}`);
+        docs.set(id, applyUpdate(docs.get(id), structuredClone(updates)));
+      },
+      delete: async () => {
+        docs.delete(id);
+      }
+    };
+  }
+
+  /**
+   * Build an immutable query over a collection
+   * @param {string} collectionName - Collection name
+   * @param {Array} filters - where() clauses
+   * @param {Object|null} order - orderBy() clause
+   * @param {number|null} max - limit()
+   * @returns {Object} Query
+   */
+  function query(collectionName, filters = [], order = null, max = null) {
+    const run = () => {
+      let results = [...store(collectionName).entries()]
+        .filter(([, data]) => filters.every(({ field, op, value }) => OPERATORS[op](getField(data, field), value)));
+      if (order) {
+        const direction = order.direction === 'desc' ? -1 : 1;
+        results.sort(([, a], [, b]) => direction * compareValues(getField(a, order.field), getField(b, order.field)));
+      }
+      if (max !== null) results = results.slice(0, max);
+      return results.map(([id, data]) => snapshot(id, data));
+    };
+
+    return {
+      where: (field, op, value) => query(collectionName, [...filters, { field, op, value }], order, max),
+      orderBy: (field, direction = 'asc') => query(collectionName, filters, { field, direction }, max),
+      limit: (n) => query(collectionName, filters, order, n),
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+      get: async () => {
+        const docs = run();
+        return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+      }
+    };
+  }
+
+  return {
+    collection: (name) => ({
+      ...query(name),
+      doc: (id = crypto.randomUUID()) => docRef(name, id),
+      add: async (data) => {
+        const ref = docRef(name, crypto.randomUUID());
+        await ref.set(data);
+        return ref;
+      }
+    }),
+
+    // Transactions run one at a time, so reads and writes inside one are isolated
+    runTransaction: (fn) => {
+      const run = transactionQueue.then(async () => {
+        const writes = [];
+        const result = await fn({
+          get: (ref) => ref.get(),
+          set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+          update: (ref, updates) => writes.push(() => ref.update(updates)),
+          delete: (ref) => writes.push(() => ref.delete())
+        });
+        for (const write of writes) await write();
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+module.exports = { createMemoryFirestore };
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { applyUpdate, isDate, mergeFields } = require('./fieldPaths');
+
+/**
+ * SQLite storage backend for self-hosting without Firebase
+ * Documents are stored as JSON in a single table; queries run through json_extract.
+ * Dates are stored as {"$date": <ms>} so they survive the round trip and compare by time.
+ * Transactions and plain writes share one queue within the process, so a write never lands
+ * between a transaction's reads and its commit. This suits a single bot instance.
+ */
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Serialize document data, tagging Dates
+ * @param {Object} data - Document data
+ * @returns {string} JSON
+ */
+function encode(data) {
+  return JSON.stringify(data, function replacer(key, value) {
+    return isDate(this[key]) ? { $date: this[key].getTime() } : value;
+  });
+}
+
+/**
+ * Parse stored JSON, reviving tagged Dates
+ * @param {string} json - Stored JSON
+ * @returns {Object} Document data
+ */
+function decode(json) {
+  return JSON.parse(json, (key, value) => (
+    value && typeof value === 'object' && Object.keys(value).length === 1 && '$date' in value
+      ? new Date(value.$date)
+      : value
+  ));
+}
+
+/**
+ * Convert a filter value to an SQLite parameter
+ * @param {any} value - Filter value
+ * @returns {any}
+ */
+function toParam(value) {
+  if (isDate(value)) return value.getTime();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * JSON path for a dotted field path
+ * @param {string} field - Dotted field path
+ * @returns {string}
+ */
+function toJsonPath(field) {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field path: ${field}`);
+  }
+  return `$.${field.split('.').map(key => `"${key}"`).join('.')}`;
+}
+
+/**
+ * SQL expression reading a field, unwrapping tagged Dates
+ * @param {string} field - Dotted field path
+ * @returns {string}
+ */
+function fieldExpression(field) {
+  const jsonPath = toJsonPath(field);
+  return `COALESCE(json_extract(data, '${jsonPath}."$date"'), json_extract(data, '${jsonPath}'))`;
+}
+
+/**
+ * Translate a where() clause to SQL
+ * @param {[string, string, any]} clause - [field, operator, value]
+ * @returns {{sql: string, params: Array}}
+ */
+function whereClause([field, op, value]) {
+  const expression = fieldExpression(field);
+
+  if (value === null && (op === '==' || op === '!=')) {
+    return { sql: `${expression} IS ${op === '==' ? '' : 'NOT '}NULL`, params: [] };
+  }
+  if (COMPARISONS.includes(op)) {
+    return { sql: `${expression} ${op === '==' ? '=' : op} ?`, params: [toParam(value)] };
+  }
+  if (op === 'in') {
+    return { sql: `${expression} IN (${value.map(() => '?').join(', ')})`, params: value.map(toParam) };
+  }
+  if (op === 'array-contains') {
+    return { sql: `EXISTS (SELECT 1 FROM json_each(data, '${toJsonPath(field)}') WHERE value = ?)`, params: [toParam(value)] };
+  }
+  throw new Error(`Unsupported query operator: ${op}`);
+}
+
+/**
+ * Create a SQLite backend
+ * @param {string} filename - Database file, or ':memory:'
+ * @returns {Object} Storage backend
+ */
+function createSqliteBackend(filename) {
+  // Loaded lazily so Firestore deployments don't need the native module
+  const Database = require('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  )`);
+
+  const statements = {
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    put: db.prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    delete: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+  };
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Run a job after every queued transaction and write has finished
+   * @param {Function} job - Sync or async job
+   * @returns {Promise<any>} The job's result
+   */
+  const enqueue = (job) => {
+    const run = writeQueue.then(job);
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const read = (collection, id) => {
+    const row = statements.get.get(collection, id);
+    return row ? decode(row.data) : null;
+  };
+
+  const write = {
+    set: (collection, id, data, options = {}) => {
+      const base = options.merge ? read(collection, id) || {} : {};
+      statements.put.run(collection, id, encode(mergeFields(base, data)));
+    },
+    update: (collection, id, updates) => {
+      const current = read(collection, id);
+      if (!current) throw new Error(`No document to update: ${collection}/${id}`);
+      statements.put.run(collection, id, encode(applyUpdate(current, updates)));
+    },
+    delete: (collection, id) => {
+      statements.delete.run(collection, id);
+    }
+  };
+
+  /**
+   * Build a SELECT over a collection
+   * @param {string} columns - Selected columns
+   * @param {string} collection - Collection name
+   * @param {{where?: Array, orderBy?: {field: string, direction?: string}, limit?: number}} options - Query
+   * @returns {{sql: string, params: Array}}
+   */
+  function buildQuery(columns, collection, { where = [], orderBy, limit } = {}) {
+    const clauses = where.map(whereClause);
+    let sql = `SELECT ${columns} FROM documents WHERE collection = ?`;
+    clauses.forEach(clause => { sql += ` AND ${clause.sql}`; });
+    if (orderBy) sql += ` ORDER BY ${fieldExpression(orderBy.field)} ${orderBy.direction === 'desc' ? 'DESC' : 'ASC'}`;
+    if (limit) sql += ` LIMIT ${Number(limit)}`;
+    return { sql, params: [collection, ...clauses.flatMap(clause => clause.params)] };
+  }
+
+  return {
+    name: 'sqlite',
+    get: async (collection, id) => read(collection, id),
+    set: (collection, id, data, options) => enqueue(() => write.set(collection, id, data, options)),
+    update: (collection, id, updates) => enqueue(() => write.update(collection, id, updates)),
+    delete: (collection, id) => enqueue(() => write.delete(collection, id)),
+    add: (collection, data) => enqueue(() => {
+      const id = crypto.randomUUID();
+      write.set(collection, id, data);
+      return id;
+    }),
+    find: async (collection, options) => {
+      const { sql, params } = buildQuery('id, data', collection, options);
+      return db.prepare(sql).all(...params).map(row => ({ id: row.id, ...decode(row.data) }));
+    },
+    count: async (collection, options) => {
+      const { sql, params } = buildQuery('COUNT(*) AS count', collection, options);
+      return db.prepare(sql).get(...params).count;
+    },
+    // Writes are buffered and committed together once the callback resolves
+    runTransaction: (fn) => enqueue(async () => {
+      const writes = [];
+      const result = await fn({
+        get: async (collection, id) => read(collection, id),
+        set: (...args) => writes.push(() => write.set(...args)),
+        update: (...args) => writes.push(() => write.update(...args)),
+        delete: (...args) => writes.push(() => write.delete(...args))
+      });
+      db.transaction(() => writes.forEach(apply => apply()))();
+      return result;
+    }),
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteBackend };
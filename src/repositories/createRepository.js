@@ -0,0 +1,36 @@
+const { getStore } = require('./store');
+
+/**
+ * Create a repository for one collection
+ * Reads return plain data (Dates, never backend timestamps); `find` returns
+ * records with their document id. `within(tx)` gives the same methods bound to a
+ * transaction from `runTransaction`, where writes are buffered until commit.
+ * @param {string} collection - Collection name
+ * @returns {Object} Repository
+ */
+function createRepository(collection) {
+  /**
+   * Bind the document methods to a store or transaction
+   * @param {Function} target - Returns the store or transaction to use
+   * @returns {Object}
+   */
+  function bind(target) {
+    return {
+      get: (id) => target().get(collection, id),
+      set: (id, data, options = {}) => target().set(collection, id, data, options),
+      update: (id, updates) => target().update(collection, id, updates),
+      delete: (id) => target().delete(collection, id)
+    };
+  }
+
+  return {
+    collection,
+    ...bind(getStore),
+    add: (data) => getStore().add(collection, data),
+    find: (query = {}) => getStore().find(collection, query),
+    count: (query = {}) => getStore().count(collection, query),
+    within: (tx) => bind(() => tx)
+  };
+}
+
+module.exports = { createRepository };
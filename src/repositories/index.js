@@ -0,0 +1,20 @@
+const { getStore, setStore, runTransaction } = require('./store');
+
+/**
+ * Data access layer
+ * Services use these repositories instead of talking to a database directly, so the
+ * storage backend (Firestore, SQLite or in-memory) is a configuration choice.
+ */
+module.exports = {
+  users: require('./usersRepository'),
+  assessments: require('./assessmentsRepository'),
+  reviewCards: require('./reviewCardsRepository'),
+  quizSessions: require('./quizSessionsRepository'),
+  leases: require('./leasesRepository'),
+  migrations: require('./migrationsRepository'),
+  nudges: require('./nudgesRepository'),
+  leaderboard: require('./leaderboardRepository'),
+  getStore,
+  setStore,
+  runTransaction
+};
@@ -0,0 +1,75 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Leaderboard entries, one per learner, target language and board ('all' or a week start)
+ */
+const leaderboard = createRepository('leaderboard');
+
+/**
+ * Document ID of a learner's entry on a board
+ * @param {string} board - Board key ('all' or a week start date key)
+ * @param {string} targetLanguage - Target language code
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+function entryId(board, targetLanguage, userId) {
+  return `${board}_${targetLanguage}_${userId}`;
+}
+
+/**
+ * Best ranked entries of a board
+ * @param {string} board - Board key
+ * @param {string} targetLanguage - Target language code
+ * @param {string} field - Field to rank by (xp or avgScore)
+ * @param {number} limit - Number of entries
+ * @returns {Promise<Array<Object>>}
+ */
+function findTop(board, targetLanguage, field, limit) {
+  return leaderboard.find({
+    where: [['board', '==', board], ['targetLanguage', '==', targetLanguage], ['ranked', '==', true]],
+    orderBy: { field, direction: 'desc' },
+    limit
+  });
+}
+
+/**
+ * Number of ranked entries on a board ahead of a value
+ * @param {string} board - Board key
+ * @param {string} targetLanguage - Target language code
+ * @param {string} field - Field to rank by
+ * @param {number} value - Value to beat
+ * @returns {Promise<number>}
+ */
+function countAhead(board, targetLanguage, field, value) {
+  return leaderboard.count({
+    where: [['board', '==', board], ['targetLanguage', '==', targetLanguage], ['ranked', '==', true], [field, '>', value]]
+  });
+}
+
+/**
+ * Every entry of a learner, on all boards
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>}
+ */
+function findByUser(userId) {
+  return leaderboard.find({ where: [['userId', '==', userId]] });
+}
+
+/**
+ * Weekly entries from weeks that started before a given day
+ * @param {string} week - Week start date key
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array<Object>>}
+ */
+function findWeeksBefore(week, limit) {
+  return leaderboard.find({ where: [['weekStart', '<', week]], limit });
+}
+
+module.exports = {
+  ...leaderboard,
+  entryId,
+  findTop,
+  countAhead,
+  findByUser,
+  findWeeksBefore
+};
@@ -0,0 +1,6 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Time-limited locks shared by all bot instances, keyed by lease name
+ */
+module.exports = createRepository('leases');
@@ -0,0 +1,6 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * One-off data migrations that have completed, keyed by migration name
+ */
+module.exports = createRepository('migrations');
@@ -0,0 +1,32 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Nudges sent to learners, keyed by user and nudge key so each is sent once
+ */
+const nudges = createRepository('nudges');
+
+/**
+ * Document ID of a user's nudge
+ * @param {string} userId - User ID
+ * @param {string} key - Nudge key
+ * @returns {string}
+ */
+function nudgeId(userId, key) {
+  return `${userId}_${key}`;
+}
+
+/**
+ * Number of nudges sent to a user since a given time
+ * @param {string} userId - User ID
+ * @param {Date} since - Start of the period
+ * @returns {Promise<number>}
+ */
+function countSentSince(userId, since) {
+  return nudges.count({ where: [['userId', '==', userId], ['sentAt', '>=', since]] });
+}
+
+module.exports = {
+  ...nudges,
+  nudgeId,
+  countSentSince
+};
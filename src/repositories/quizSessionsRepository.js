@@ -0,0 +1,6 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Quizzes in progress, one per user (keyed by user ID)
+ */
+module.exports = createRepository('quizSessions');
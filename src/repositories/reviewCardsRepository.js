@@ -0,0 +1,54 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Spaced-repetition review cards, keyed by user, language and word
+ */
+const reviewCards = createRepository('reviewCards');
+
+/**
+ * Filters for a user's cards that are due
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {Date} now - Reference time
+ * @returns {Array}
+ */
+function dueFilters(userId, targetLanguage, now) {
+  return [
+    ['userId', '==', userId],
+    ['targetLanguage', '==', targetLanguage],
+    ['dueAt', '<=', now]
+  ];
+}
+
+/**
+ * Due cards, most overdue first
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {Date} now - Reference time
+ * @param {number} limit - Maximum number of cards
+ * @returns {Promise<Array<Object>>}
+ */
+function findDue(userId, targetLanguage, now, limit) {
+  return reviewCards.find({
+    where: dueFilters(userId, targetLanguage, now),
+    orderBy: { field: 'dueAt', direction: 'asc' },
+    limit
+  });
+}
+
+/**
+ * Number of due cards
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>}
+ */
+function countDue(userId, targetLanguage, now) {
+  return reviewCards.count({ where: dueFilters(userId, targetLanguage, now) });
+}
+
+module.exports = {
+  ...reviewCards,
+  findDue,
+  countDue
+};
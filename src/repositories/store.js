@@ -0,0 +1,67 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { connectFirestore, createFirestoreBackend } = require('./backends/firestoreBackend');
+const { createMemoryFirestore } = require('./backends/memoryFirestore');
+const { createSqliteBackend } = require('./backends/sqliteBackend');
+
+/**
+ * Storage backend selection
+ * Every backend exposes the same document-store interface:
+ * get, set(merge), update (dotted paths), delete, add, find, count and runTransaction.
+ */
+
+let store = null;
+
+/**
+ * Create the configured storage backend
+ * @returns {Object} Storage backend
+ */
+function createStore() {
+  switch (config.storage.backend) {
+    case 'sqlite':
+      logger.info('Using SQLite datastore', { path: config.storage.sqlitePath });
+      return createSqliteBackend(config.storage.sqlitePath);
+    case 'memory':
+      logger.info('Using in-memory datastore');
+      return createFirestoreBackend(createMemoryFirestore(), 'memory');
+    default:
+      return createFirestoreBackend(connectFirestore());
+  }
+}
+
+/**
+ * Get the storage backend, connecting on first use
+ * @returns {Object} Storage backend
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Use a specific backend instead of the configured one (e.g. an in-memory store in tests)
+ * @param {Object|null} backend - Storage backend, or null to reset
+ * @returns {void}
+ */
+function setStore(backend) {
+  store = backend;
+}
+
+/**
+ * Run a transaction on the storage backend
+ * The callback receives a transaction with get/set/update/delete(collection, id, ...);
+ * writes are committed together when it resolves.
+ * @param {Function} fn - Async transaction callback
+ * @returns {Promise<any>} The callback's result
+ */
+function runTransaction(fn) {
+  return getStore().runTransaction(fn);
+}
+
+module.exports = {
+  getStore,
+  setStore,
+  runTransaction
+};
@@ -0,0 +1,76 @@
+const { createRepository } = require('./createRepository');
+
+/**
+ * Users, keyed by Telegram ID
+ */
+const users = createRepository('users');
+
+/**
+ * List users who want scheduled lessons
+ * @returns {Promise<Array<Object>>}
+ */
+function findNotificationEnabled() {
+  return users.find({ where: [['settings.notificationEnabled', '==', true]] });
+}
+
+/**
+ * Users whose next scheduled lesson slot has come, earliest first
+ * Backed by the single-field index on nextLessonAt; users without scheduled lessons have it null.
+ * @param {Date} now - Current time
+ * @param {number} limit - Page size
+ * @returns {Promise<Array<Object>>}
+ */
+function findDueForLesson(now, limit) {
+  return users.find({
+    where: [['nextLessonAt', '<=', now]],
+    orderBy: { field: 'nextLessonAt', direction: 'asc' },
+    limit
+  });
+}
+
+/**
+ * Users whose daily lesson was last sent within a period
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<Array<Object>>}
+ */
+function findLessonSentBetween(from, to) {
+  return users.find({ where: [['lastLessonSentAt', '>=', from], ['lastLessonSentAt', '<=', to]] });
+}
+
+/**
+ * Users whose last practice day is one of the given days
+ * @param {Array<string>} dateKeys - Days, YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+function findLastPracticedOn(dateKeys) {
+  return users.find({ where: [['lastActivityDate', 'in', dateKeys]] });
+}
+
+/**
+ * Users last active within a period
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<Array<Object>>}
+ */
+function findLastActiveBetween(from, to) {
+  return users.find({ where: [['lastActiveAt', '>=', from], ['lastActiveAt', '<=', to]] });
+}
+
+/**
+ * List all users
+ * @returns {Promise<Array<Object>>}
+ */
+function findAll() {
+  return users.find();
+}
+
+module.exports = {
+  ...users,
+  findNotificationEnabled,
+  findDueForLesson,
+  findLessonSentBetween,
+  findLastPracticedOn,
+  findLastActiveBetween,
+  findAll
+};
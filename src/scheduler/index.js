@@ -0,0 +1,244 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const dataService = require('../services/dataService');
+const deliveryService = require('../services/deliveryService');
+const leaderboardService = require('../services/leaderboardService');
+const leaseService = require('../services/leaseService');
+const lessonDeliveryService = require('../services/lessonDeliveryService');
+const nudgeService = require('../services/nudgeService');
+const reportService = require('../services/reportService');
+const repositories = require('../repositories');
+const { sendLesson } = require('../handlers/lessonHandler');
+const { sendNudge } = require('../handlers/nudgeHandler');
+const { runPendingMigrations } = require('./migrations');
+const { addCounts } = require('./summary');
+
+/**
+ * Scheduled jobs: daily lessons, nudges, the weekly admin report and the leaderboard reset
+ *
+ * Daily lessons query users by their indexed `nextLessonAt` slot, page by page, instead of
+ * scanning the users collection. Jobs run only on the instance holding the scheduler
+ * lease, renewed between pages; a run that loses it stops. The clock is injectable so
+ * runs can be driven with any time.
+ */
+
+/**
+ * Scheduled jobs run only on the instance holding this lease
+ */
+const SCHEDULER_LEASE = 'scheduler';
+
+/**
+ * Create the scheduler
+ * @param {Object} options
+ * @param {Object} options.bot - Telegraf bot instance
+ * @param {Function} [options.clock] - Returns the current time
+ * @param {number} [options.pageSize] - Due users fetched per query
+ * @returns {{start: Function, stop: Function, runDailyLessons: Function, runNudges: Function, runWeeklyReport: Function, runLeaderboardReset: Function}}
+ */
+function createScheduler({ bot, clock = () => new Date(), pageSize = config.scheduler.pageSize }) {
+  const jobs = [];
+
+  /**
+   * Acquire or renew the scheduler lease
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Whether this instance should run scheduled jobs
+   */
+  async function holdsLease(now) {
+    const leaseResult = await leaseService.acquireLease(SCHEDULER_LEASE, config.scheduler.leaseTtlMs, now);
+
+    if (leaseResult.success && !leaseResult.data.acquired) {
+      logger.debug('Scheduled job skipped, another instance holds the lease', { holder: leaseResult.data.holder });
+    }
+    return leaseResult.success && leaseResult.data.acquired;
+  }
+
+  /**
+   * Renew the scheduler lease between pages of a run
+   * A run that outlasts the lease would otherwise overlap with the instance taking over.
+   * @param {string} job - Job name, for the log
+   * @returns {Promise<boolean>} Whether the run may go on
+   */
+  async function keepsLease(job) {
+    if (await holdsLease(clock())) {
+      return true;
+    }
+    logger.warn('Scheduled job stopped, the scheduler lease was lost', { job });
+    return false;
+  }
+
+  /**
+   * Send the lessons that are due, one page of users at a time
+   * Delivered and skipped users move their slot forward, so each query returns new users.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} Run summary
+   */
+  async function runDailyLessons(now = clock()) {
+    try {
+      if (!await holdsLease(now)) {
+        return { success: true, data: { ran: false } };
+      }
+
+      logger.info('Running daily lesson check');
+      await runPendingMigrations(now);
+
+      const send = (user, lessonDay) => sendLesson(bot, user.telegramId, user.targetLanguage, lessonDay, user.nativeLanguage);
+      const summary = { ran: true, pages: 0, due: 0, sent: 0, skipped: 0, failed: 0, unscheduled: 0, skippedBy: {} };
+      const seen = new Set();
+
+      for (;;) {
+        if (summary.pages > 0 && !await keepsLease('dailyLessons')) {
+          summary.leaseLost = true;
+          break;
+        }
+
+        // Users whose delivery errored keep their slot and stay in the results; fetch past them
+        const limit = pageSize + summary.unscheduled;
+        const page = await dataService.retryWithBackoff(() => repositories.users.findDueForLesson(now, limit));
+        const fresh = page.filter(user => !seen.has(user.telegramId));
+
+        if (fresh.length === 0) {
+          break;
+        }
+        fresh.forEach(user => seen.add(user.telegramId));
+
+        const { data } = await lessonDeliveryService.deliverDailyLessons(fresh, send, now);
+        summary.pages += 1;
+        addCounts(summary, data);
+
+        if (page.length < limit) {
+          break;
+        }
+      }
+
+      logger.info('Daily lesson run finished', summary);
+      return { success: true, data: summary };
+    } catch (error) {
+      logger.error('Daily lesson run failed', { error: error.message });
+      return { success: false, error: 'Daily lesson run failed', code: 'ERR_SCHEDULER' };
+    }
+  }
+
+  /**
+   * Send the reminder and re-engagement nudges that are due
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} Run summary
+   */
+  async function runNudges(now = clock()) {
+    try {
+      if (config.nudges.weeklyCap === 0 || !await holdsLease(now)) {
+        return { success: true, data: { ran: false } };
+      }
+
+      await runPendingMigrations(now);
+
+      const candidates = await nudgeService.findNudgeCandidates(now);
+      const summary = { ran: true, candidates: 0, sent: 0, skipped: 0, failed: 0, sentBy: {}, skippedBy: {} };
+
+      for (let start = 0; start < candidates.length; start += pageSize) {
+        if (start > 0 && !await keepsLease('nudges')) {
+          summary.leaseLost = true;
+          break;
+        }
+
+        const page = candidates.slice(start, start + pageSize);
+        const { data } = await nudgeService.deliverNudges(page, (user, nudge) => sendNudge(bot, user, nudge), now);
+        addCounts(summary, data);
+      }
+
+      logger.info('Nudge run finished', summary);
+      return { success: true, data: summary };
+    } catch (error) {
+      logger.error('Nudge run failed', { error: error.message });
+      return { success: false, error: 'Nudge run failed', code: 'ERR_SCHEDULER' };
+    }
+  }
+
+  /**
+   * Send the weekly report to the admin
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{success: boolean, data?: {ran: boolean}, error?: string, code?: string}>}
+   */
+  async function runWeeklyReport(now = clock()) {
+    try {
+      if (!await holdsLease(now)) {
+        return { success: true, data: { ran: false } };
+      }
+
+      logger.info('Generating weekly report');
+
+      const reportResult = await reportService.generateWeeklyReport();
+      if (!reportResult.success) {
+        logger.error('Failed to generate weekly report', { error: reportResult.error });
+        return reportResult;
+      }
+
+      const sendResult = await deliveryService.sendMessage(bot.telegram, config.telegram.adminId, reportResult.data);
+      if (!sendResult.success) {
+        logger.error('Failed to send weekly report', { error: sendResult.error, code: sendResult.code });
+        return sendResult;
+      }
+      logger.info('Weekly report sent to admin');
+      return { success: true, data: { ran: true } };
+    } catch (error) {
+      logger.error('Weekly report run failed', { error: error.message });
+      return { success: false, error: 'Weekly report run failed', code: 'ERR_SCHEDULER' };
+    }
+  }
+
+  /**
+   * Clear last week's leaderboard entries; the new week's boards start empty on their own
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>}
+   */
+  async function runLeaderboardReset(now = clock()) {
+    try {
+      if (!await holdsLease(now)) {
+        return { success: true, data: { ran: false } };
+      }
+
+      const pruneResult = await leaderboardService.pruneOldWeeks(now);
+      return pruneResult.success ? { success: true, data: { ran: true, ...pruneResult.data } } : pruneResult;
+    } catch (error) {
+      logger.error('Leaderboard reset failed', { error: error.message });
+      return { success: false, error: 'Leaderboard reset failed', code: 'ERR_SCHEDULER' };
+    }
+  }
+
+  /**
+   * Start the cron jobs
+   * @returns {void}
+   */
+  function start() {
+    // Quarter-hour ticks also cover timezones with :30 and :45 offsets
+    jobs.push(cron.schedule('*/15 * * * *', () => runDailyLessons()));
+    logger.info('Daily lesson cron job scheduled');
+
+    // Between the lesson runs, to spread the load
+    jobs.push(cron.schedule('7,22,37,52 * * * *', () => runNudges()));
+    logger.info('Nudge cron job scheduled');
+
+    jobs.push(cron.schedule('0 20 * * 0', () => runWeeklyReport()));
+    logger.info('Weekly report cron job scheduled (Sunday 20:00)');
+
+    // Weekly boards start on Monday, UTC
+    jobs.push(cron.schedule('5 0 * * 1', () => runLeaderboardReset(), { timezone: 'Etc/UTC' }));
+    logger.info('Leaderboard reset cron job scheduled (Monday 00:05 UTC)');
+  }
+
+  /**
+   * Stop the cron jobs and hand the lease to another instance
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    jobs.splice(0).forEach(job => job.stop());
+    logger.info('Scheduled jobs stopped');
+
+    // Let another instance take over without waiting for the lease to expire
+    await leaseService.releaseLease(SCHEDULER_LEASE);
+  }
+
+  return { start, stop, runDailyLessons, runNudges, runWeeklyReport, runLeaderboardReset };
+}
+
+module.exports = { createScheduler };
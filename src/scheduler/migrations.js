@@ -0,0 +1,66 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const dataService = require('../services/dataService');
+const repositories = require('../repositories');
+const { nextLessonAt } = require('../utils/lessonSchedule');
+const { inferLastActiveAt } = require('../utils/nudges');
+
+/**
+ * One-time backfills of the indexed user fields the scheduled jobs query
+ * Each is a single full scan, run once; a marker in the `migrations` collection
+ * records that it is done.
+ */
+
+/**
+ * Backfills by name: each returns the updates for a user, or null to leave it as is
+ */
+const MIGRATIONS = {
+  // Users created before slot scheduling get their first slot
+  nextLessonAt: (user, now) => (
+    user.nextLessonAt === undefined && user.settings && user.settings.notificationEnabled
+      ? { nextLessonAt: nextLessonAt(user, now, config.scheduler.catchUpMinutes) }
+      : null
+  ),
+  // Users created before activity tracking get a best guess, so win-back nudges find them
+  lastActiveAt: (user) => (
+    user.lastActiveAt === undefined ? { lastActiveAt: inferLastActiveAt(user) } : null
+  )
+};
+
+const completed = new Set();
+
+/**
+ * Run the migrations that have not run yet
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+async function runPendingMigrations(now) {
+  for (const [name, migrate] of Object.entries(MIGRATIONS)) {
+    if (completed.has(name)) {
+      continue;
+    }
+    if (await repositories.migrations.get(name)) {
+      completed.add(name);
+      continue;
+    }
+
+    const users = await dataService.retryWithBackoff(() => repositories.users.findAll());
+    let updated = 0;
+
+    for (const user of users) {
+      const updates = migrate(user, now);
+      if (updates) {
+        await repositories.users.update(user.telegramId, updates);
+        updated += 1;
+      }
+    }
+
+    await repositories.migrations.set(name, { completedAt: now, users: updated });
+    completed.add(name);
+    logger.info('User migration completed', { migration: name, users: updated });
+  }
+}
+
+module.exports = {
+  runPendingMigrations
+};
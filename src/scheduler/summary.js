@@ -0,0 +1,23 @@
+/**
+ * Run summaries of the scheduled jobs, built up page by page
+ */
+
+/**
+ * Add a page's counts to a run summary
+ * @param {Object} summary - Run summary (mutated)
+ * @param {Object} counts - Page counts: numbers, and maps of reason or type to number
+ * @returns {void}
+ */
+function addCounts(summary, counts) {
+  Object.entries(counts).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      summary[key] += value;
+      return;
+    }
+    Object.entries(value).forEach(([name, count]) => {
+      summary[key][name] = (summary[key][name] || 0) + count;
+    });
+  });
+}
+
+module.exports = { addCounts };
@@ -1,10 +1,11 @@
 const Joi = require('joi');
-const openaiService = require('./openaiService');
-const deepgramService = require('./deepgramService');
-const firebaseService = require('./firebaseService');
-const config = require('../config/config');
+const gradingService = require('./gradingService');
+const sttService = require('./stt');
+const statsService = require('./statsService');
+const scoringService = require('./scoringService');
 const logger = require('../utils/logger');
 const { validate } = require('../utils/validator');
+const { targetLanguageSchema, nativeLanguageSchema } = require('../utils/languageRegistry');
 
 /**
  * Assessment parameters validation schema
@@ -12,7 +13,7 @@ const { validate } = require('../utils/validator');
 const assessmentParamsSchema = Joi.object({
   userId: Joi.string().required(),
   lessonDay: Joi.number().integer().min(1).required(),
-  targetLanguage: Joi.string().valid('en', 'es', 'fr', 'de').required(),
+  targetLanguage: targetLanguageSchema().required(),
   audioBuffer: Joi.binary().required(),
   lessonWords: Joi.array().items(Joi.object({
     word: Joi.string().required(),
@@ -20,115 +21,12 @@ const assessmentParamsSchema = Joi.object({
     example: Joi.string().required()
   })).min(1).required(),
   expectedAnswer: Joi.string().required(),
-  nativeLanguage: Joi.string().default('he')
+  nativeLanguage: nativeLanguageSchema().default('he'),
+  curriculumVersion: Joi.string().optional(),
+  // Speaking quiz the recording answers; it is marked answered with the stored result
+  quizMessageId: Joi.number().integer().optional()
 });
 
-/**
- * Parse LLM grading response
- * @param {string} llmResponse - Raw LLM response text
- * @returns {{score: number, feedback: string, strengths: string[], weakAreas: string[]}}
- */
-function parseGradingResponse(llmResponse) {
-  try {
-    // Extract SCORE
-    const scoreMatch = llmResponse.match(/SCORE:\s*(\d+)\/100/i);
-    const score = scoreMatch ? parseInt(scoreMatch[1], 10) : 0;
-
-    // Extract FEEDBACK
-    const feedbackMatch = llmResponse.match(/FEEDBACK:\s*(.+?)(?=\n|STRENGTHS:|WEAK_AREAS:|$)/is);
-    const feedback = feedbackMatch ? feedbackMatch[1].trim() : 'No feedback available';
-
-    // Extract STRENGTHS
-    const strengthsMatch = llmResponse.match(/STRENGTHS:\s*(.+?)(?=\n|WEAK_AREAS:|$)/is);
-    const strengthsStr = strengthsMatch ? strengthsMatch[1].trim() : '';
-    const strengths = strengthsStr
-      .split(',')
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-
-    // Extract WEAK_AREAS
-    const weakAreasMatch = llmResponse.match(/WEAK_AREAS:\s*(.+?)$/is);
-    const weakAreasStr = weakAreasMatch ? weakAreasMatch[1].trim() : '';
-    const weakAreas = weakAreasStr
-      .split(',')
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-
-    if (!scoreMatch) {
-      logger.warn('Failed to parse score from LLM response');
-    }
-
-    return {
-      score: Math.min(100, Math.max(0, score)),
-      feedback,
-      strengths,
-      weakAreas
-    };
-  } catch (error) {
-    logger.error('Failed to parse grading response', { error: error.message });
-    return {
-      score: 0,
-      feedback: 'Unable to process assessment. Please try again.',
-      strengths: [],
-      weakAreas: ['Assessment parsing error']
-    };
-  }
-}
-
-/**
- * Calculate user streak based on assessment history
- * @param {string} userId - User ID
- * @param {Date} newAssessmentDate - Date of new assessment
- * @returns {Promise<number>} New streak value
- */
-async function calculateStreak(userId, newAssessmentDate) {
-  try {
-    const assessmentsResult = await firebaseService.getUserAssessments(userId, 100);
-    
-    if (!assessmentsResult.success || assessmentsResult.data.length === 0) {
-      return 1; // First assessment
-    }
-
-    const assessments = assessmentsResult.data;
-    
-    // Get unique dates (YYYY-MM-DD format)
-    const uniqueDates = new Set();
-    assessments.forEach(assessment => {
-      const date = new Date(assessment.timestamp.toDate ? assessment.timestamp.toDate() : assessment.timestamp);
-      const dateStr = date.toISOString().split('T')[0];
-      uniqueDates.add(dateStr);
-    });
-
-    // Add new assessment date
-    const newDateStr = newAssessmentDate.toISOString().split('T')[0];
-    uniqueDates.add(newDateStr);
-
-    // Sort dates in descending order
-    const sortedDates = Array.from(uniqueDates).sort().reverse();
-
-    // Calculate streak
-    let streak = 1;
-    for (let i = 0; i < sortedDates.length - 1; i++) {
-      const currentDate = new Date(sortedDates[i]);
-      const nextDate = new Date(sortedDates[i + 1]);
-      
-      const diffTime = currentDate - nextDate;
-      const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-
-      if (diffDays === 1) {
-        streak++;
-      } else {
-        break;
-      }
-    }
-
-    return streak;
-  } catch (error) {
-    logger.error('Failed to calculate streak', { userId, error: error.message });
-    return 1;
-  }
-}
-
 /**
  * Assess voice recording
  * @param {Object} params - Assessment parameters
@@ -148,41 +46,20 @@ async function assessVoice(params) {
 
     const validatedParams = validation.value;
 
-    // Step 1: Transcribe audio
-    // Use Deepgram if configured, otherwise fall back to OpenAI/Groq
-    let transcriptionResult;
-    
-    if (config.deepgram && config.deepgram.useDeepgram && config.deepgram.apiKey) {
-      logger.info('Using Deepgram for transcription');
-      transcriptionResult = await deepgramService.transcribeAudio(
-        validatedParams.audioBuffer,
-        validatedParams.targetLanguage
-      );
-      
-      // Fallback to OpenAI/Groq if Deepgram fails
-      if (!transcriptionResult.success) {
-        logger.warn('Deepgram transcription failed, falling back to OpenAI/Groq');
-        transcriptionResult = await openaiService.transcribeAudio(
-          validatedParams.audioBuffer,
-          validatedParams.targetLanguage
-        );
-      }
-    } else {
-      logger.info('Using OpenAI/Groq for transcription');
-      transcriptionResult = await openaiService.transcribeAudio(
-        validatedParams.audioBuffer,
-        validatedParams.targetLanguage
-      );
-    }
+    // Step 1: Transcribe audio with the configured provider chain
+    const transcriptionResult = await sttService.transcribe(
+      validatedParams.audioBuffer,
+      validatedParams.targetLanguage
+    );
 
     if (!transcriptionResult.success) {
       return transcriptionResult;
     }
 
-    const transcript = transcriptionResult.data;
+    const { transcript, provider: sttProvider } = transcriptionResult.data;
 
     // Step 2: Grade transcript
-    const gradingResult = await openaiService.gradeTranscript({
+    const gradingResult = await gradingService.gradeTranscript({
       transcript,
       targetLanguage: validatedParams.targetLanguage,
       nativeLanguage: validatedParams.nativeLanguage,
@@ -194,50 +71,59 @@ async function assessVoice(params) {
       return gradingResult;
     }
 
-    // Step 3: Parse grading response
-    const { score, feedback, strengths, weakAreas } = parseGradingResponse(gradingResult.data);
+    const { rubric, feedback, strengths, weakAreas, correctedSentence } = gradingResult.data;
+    const { score: llmScore, llmProvider } = gradingResult.data;
+
+    // Step 3: Blend with the deterministic transcript-vs-expected score
+    const { localScore, wordErrorRate, lessonWordsUsed } = scoringService.scoreTranscript({
+      transcript,
+      expectedAnswer: validatedParams.expectedAnswer,
+      lessonWords: validatedParams.lessonWords
+    });
+    const score = scoringService.blendScores(localScore, llmScore);
 
-    // Step 4: Store assessment
+    // Step 4: Build assessment record
     const assessmentData = {
+      type: 'voice',
       userId: validatedParams.userId,
       lessonDay: validatedParams.lessonDay,
       targetLanguage: validatedParams.targetLanguage,
       score,
+      llmScore,
+      localScore,
+      wordErrorRate,
+      lessonWordsUsed,
+      rubric,
       transcript,
+      sttProvider,
+      llmProvider,
       expectedAnswer: validatedParams.expectedAnswer,
       feedback,
       strengths,
       weakAreas,
+      correctedSentence,
+      curriculumVersion: validatedParams.curriculumVersion,
       timestamp: new Date()
     };
 
-    const storeResult = await firebaseService.storeAssessment(assessmentData);
+    // Step 5: Store assessment and update user statistics
+    const recordResult = await statsService.recordAssessment(assessmentData, {
+      quizMessageId: validatedParams.quizMessageId
+    });
 
-    if (!storeResult.success) {
-      return storeResult;
+    if (!recordResult.success) {
+      return recordResult;
     }
 
-    const assessmentId = storeResult.data;
-
-    // Step 5: Update user statistics
-    const assessmentsResult = await firebaseService.getUserAssessments(validatedParams.userId);
-    
-    if (assessmentsResult.success) {
-      const allAssessments = assessmentsResult.data;
-      const avgScore = allAssessments.reduce((sum, a) => sum + a.score, 0) / allAssessments.length;
-      
-      const streak = await calculateStreak(validatedParams.userId, new Date());
-
-      await firebaseService.updateUserStats(validatedParams.userId, {
-        avgScore: Math.round(avgScore * 10) / 10,
-        streak
-      });
-    }
+    const { assessmentId, lessonState, achievements } = recordResult.data;
 
     logger.info('Assessment completed successfully', {
       userId: validatedParams.userId,
       assessmentId,
-      score
+      score,
+      llmScore,
+      localScore,
+      sttProvider
     });
 
     return {
@@ -245,10 +131,19 @@ async function assessVoice(params) {
       data: {
         assessmentId,
         score,
+        llmScore,
+        localScore,
+        wordErrorRate,
+        lessonWordsUsed,
+        lessonWordsTotal: validatedParams.lessonWords.length,
+        rubric,
         transcript,
         feedback,
         strengths,
-        weakAreas
+        weakAreas,
+        correctedSentence,
+        lessonState,
+        achievements
       }
     };
   } catch (error) {
@@ -262,7 +157,5 @@ async function assessVoice(params) {
 }
 
 module.exports = {
-  assessVoice,
-  parseGradingResponse,
-  calculateStreak
+  assessVoice
 };
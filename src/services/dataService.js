@@ -1,38 +1,11 @@
-const admin = require('firebase-admin');
 const Joi = require('joi');
-const config = require('../config/config');
 const logger = require('../utils/logger');
 const { validate } = require('../utils/validator');
-
-/**
- * Initialize Firebase Admin SDK
- */
-function initializeFirebase() {
-  try {
-    admin.initializeApp({
-      credential: admin.credential.cert({
-        projectId: config.firebase.projectId,
-        privateKey: config.firebase.privateKey,
-        clientEmail: config.firebase.clientEmail
-      })
-    });
-    logger.info('Firebase Admin SDK initialized successfully');
-  } catch (error) {
-    logger.error('Failed to initialize Firebase Admin SDK', { error: error.message });
-    throw error;
-  }
-}
-
-// Initialize Firebase on module load
-initializeFirebase();
-
-/**
- * Get Firestore instance
- * @returns {FirebaseFirestore.Firestore} Firestore instance
- */
-function getFirestore() {
-  return admin.firestore();
-}
+const { targetLanguageSchema, nativeLanguageSchema } = require('../utils/languageRegistry');
+const { rubricSchema } = require('../utils/gradingSchema');
+const { isValidTimeZone } = require('../utils/timeZones');
+const { aliasSchema } = require('../utils/leaderboard');
+const repositories = require('../repositories');
 
 /**
  * User data validation schema
@@ -40,16 +13,43 @@ function getFirestore() {
 const userSchema = Joi.object({
   telegramId: Joi.string().required(),
   name: Joi.string().required(),
-  targetLanguage: Joi.string().valid('en', 'es', 'fr', 'de').required(),
-  nativeLanguage: Joi.string().default('he'),
+  targetLanguage: targetLanguageSchema().required(),
+  nativeLanguage: nativeLanguageSchema().default('he'),
   createdAt: Joi.date().default(() => new Date()),
   streak: Joi.number().integer().min(0).default(0),
   totalLessons: Joi.number().integer().min(0).default(0),
   avgScore: Joi.number().min(0).max(100).default(0),
+  assessmentCount: Joi.number().integer().min(0).default(0),
+  lastActivityDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).default(null),
   lessonDay: Joi.number().integer().min(1).default(1),
+  // Step of onboarding still to do (null once done)
+  onboardingStep: Joi.string().valid('native_language').allow(null).default(null),
+  xp: Joi.number().integer().min(0).default(0),
+  level: Joi.number().integer().min(1).default(1),
+  badges: Joi.object().pattern(Joi.string(), Joi.object({ unlockedAt: Joi.date().required() })).default({}),
+  reviewSessions: Joi.number().integer().min(0).default(0),
+  lastLessonSentAt: Joi.date().allow(null).default(null),
+  nextLessonAt: Joi.date().allow(null).default(null),
+  // Last lesson completion or practice, for win-back nudges
+  lastActiveAt: Joi.date().allow(null).default(null),
+  // Set while Telegram can't deliver to the user (blocked the bot, chat gone)
+  inactive: Joi.object({
+    reason: Joi.string().required(),
+    since: Joi.date().required()
+  }).allow(null).default(null),
+  // Set while the learner is on the leaderboards, under this alias
+  leaderboard: Joi.object({
+    alias: aliasSchema,
+    joinedAt: Joi.date().required()
+  }).allow(null).default(null),
   settings: Joi.object({
     lessonTime: Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d)$/).default('09:00'),
-    notificationEnabled: Joi.boolean().default(true)
+    notificationEnabled: Joi.boolean().default(true),
+    timezone: Joi.string().custom((value, helpers) => (
+      isValidTimeZone(value) ? value : helpers.message('"settings.timezone" must be an IANA timezone')
+    )),
+    // Scheduled lessons resume on this day (YYYY-MM-DD in the user's timezone)
+    pausedUntil: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null)
   }).default()
 });
 
@@ -57,15 +57,25 @@ const userSchema = Joi.object({
  * Assessment data validation schema
  */
 const assessmentSchema = Joi.object({
+  type: Joi.string().valid('voice', 'quiz').default('voice'),
   userId: Joi.string().required(),
   lessonDay: Joi.number().integer().min(1).required(),
-  targetLanguage: Joi.string().valid('en', 'es', 'fr', 'de').required(),
+  targetLanguage: targetLanguageSchema().required(),
   score: Joi.number().min(0).max(100).required(),
+  llmScore: Joi.number().min(0).max(100).optional(),
+  localScore: Joi.number().min(0).max(100).optional(),
+  wordErrorRate: Joi.number().min(0).optional(),
+  lessonWordsUsed: Joi.number().integer().min(0).optional(),
+  rubric: rubricSchema.optional(),
   transcript: Joi.string().required(),
+  sttProvider: Joi.string().optional(),
+  llmProvider: Joi.string().optional(),
   expectedAnswer: Joi.string().required(),
   feedback: Joi.string().required(),
   strengths: Joi.array().items(Joi.string()).default([]),
   weakAreas: Joi.array().items(Joi.string()).default([]),
+  correctedSentence: Joi.string().allow('').optional(),
+  curriculumVersion: Joi.string().optional(),
   timestamp: Joi.date().default(() => new Date())
 });
 
@@ -87,7 +97,7 @@ async function retryWithBackoff(fn, maxRetries = 3, delays = [100, 200, 400]) {
       
       if (attempt < maxRetries) {
         const delay = delays[attempt] || delays[delays.length - 1];
-        logger.warn(`Firestore operation failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
+        logger.warn(`Storage operation failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
           error: error.message
         });
         await new Promise(resolve => setTimeout(resolve, delay));
@@ -116,11 +126,10 @@ async function upsertUser(userData) {
     }
 
     const validatedData = validation.value;
-    const db = getFirestore();
-    
-    await retryWithBackoff(async () => {
-      await db.collection('users').doc(validatedData.telegramId).set(validatedData, { merge: true });
-    });
+
+    await retryWithBackoff(() => (
+      repositories.users.set(validatedData.telegramId, validatedData, { merge: true })
+    ));
 
     logger.info('User upserted successfully', { userId: validatedData.telegramId });
     
@@ -142,13 +151,9 @@ async function upsertUser(userData) {
  */
 async function getUser(telegramId) {
   try {
-    const db = getFirestore();
-    
-    const doc = await retryWithBackoff(async () => {
-      return await db.collection('users').doc(telegramId).get();
-    });
+    const user = await retryWithBackoff(() => repositories.users.get(telegramId));
 
-    if (!doc.exists) {
+    if (!user) {
       return {
         success: false,
         error: 'User not found',
@@ -158,7 +163,7 @@ async function getUser(telegramId) {
 
     return {
       success: true,
-      data: doc.data()
+      data: user
     };
   } catch (error) {
     logger.error('Failed to get user', { telegramId, error: error.message });
@@ -170,50 +175,6 @@ async function getUser(telegramId) {
   }
 }
 
-/**
- * Store assessment
- * @param {Object} assessmentData - Assessment data object
- * @returns {Promise<{success: boolean, data?: string, error?: string, code?: string}>}
- */
-async function storeAssessment(assessmentData) {
-  try {
-    // Validate assessment data
-    const validation = validate(assessmentData, assessmentSchema);
-    if (!validation.valid) {
-      return {
-        success: false,
-        error: validation.error,
-        code: 'ERR_INVALID_INPUT'
-      };
-    }
-
-    const validatedData = validation.value;
-    const db = getFirestore();
-    
-    const docRef = await retryWithBackoff(async () => {
-      return await db.collection('assessments').add(validatedData);
-    });
-
-    logger.info('Assessment stored successfully', { 
-      assessmentId: docRef.id,
-      userId: validatedData.userId,
-      score: validatedData.score
-    });
-    
-    return {
-      success: true,
-      data: docRef.id
-    };
-  } catch (error) {
-    logger.error('Failed to store assessment', { error: error.message });
-    return {
-      success: false,
-      error: 'Failed to save assessment',
-      code: 'ERR_DATABASE_ERROR'
-    };
-  }
-}
-
 /**
  * Get user assessments
  * @param {string} userId - User ID
@@ -222,20 +183,7 @@ async function storeAssessment(assessmentData) {
  */
 async function getUserAssessments(userId, limit = 50) {
   try {
-    const db = getFirestore();
-    
-    const snapshot = await retryWithBackoff(async () => {
-      return await db.collection('assessments')
-        .where('userId', '==', userId)
-        .orderBy('timestamp', 'desc')
-        .limit(limit)
-        .get();
-    });
-
-    const assessments = [];
-    snapshot.forEach(doc => {
-      assessments.push({ id: doc.id, ...doc.data() });
-    });
+    const assessments = await retryWithBackoff(() => repositories.assessments.findByUser(userId, limit));
 
     return {
       success: true,
@@ -259,11 +207,7 @@ async function getUserAssessments(userId, limit = 50) {
  */
 async function updateUserStats(userId, updates) {
   try {
-    const db = getFirestore();
-    
-    await retryWithBackoff(async () => {
-      await db.collection('users').doc(userId).update(updates);
-    });
+    await retryWithBackoff(() => repositories.users.update(userId, updates));
 
     logger.info('User stats updated successfully', { userId, updates });
     
@@ -281,8 +225,9 @@ async function updateUserStats(userId, updates) {
 module.exports = {
   upsertUser,
   getUser,
-  storeAssessment,
   getUserAssessments,
   updateUserStats,
-  getFirestore
+  userSchema,
+  assessmentSchema,
+  retryWithBackoff
 };
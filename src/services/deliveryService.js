@@ -0,0 +1,101 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const userStatusService = require('./userStatusService');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { DELIVERY_ERRORS, classifyTelegramError, isUndeliverable } = require('../utils/telegramErrors');
+
+/**
+ * Outgoing messages the bot starts (scheduled lessons, nudges, reports)
+ * Sends are rate limited, transient failures and 429s are retried, and users Telegram
+ * can't deliver to are marked inactive so the scheduler stops trying.
+ */
+
+/**
+ * Waits between retries of transient failures
+ */
+const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+/**
+ * Error code returned for each kind of failure
+ */
+const ERROR_CODES = {
+  [DELIVERY_ERRORS.BLOCKED]: 'ERR_USER_BLOCKED',
+  [DELIVERY_ERRORS.CHAT_NOT_FOUND]: 'ERR_CHAT_NOT_FOUND',
+  [DELIVERY_ERRORS.RATE_LIMITED]: 'ERR_RATE_LIMITED',
+  [DELIVERY_ERRORS.TRANSIENT]: 'ERR_TELEGRAM_UNAVAILABLE',
+  [DELIVERY_ERRORS.PERMANENT]: 'ERR_TELEGRAM_REJECTED'
+};
+
+// One limiter per process: Telegram's limits apply to the bot token
+const limiter = createRateLimiter(config.telegram.delivery);
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed attempt is worth another, waiting as needed first
+ * @param {{kind: string, retryAfterMs?: number}} failure - Classified failure
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @returns {Promise<boolean>}
+ */
+async function prepareRetry(failure, attempt) {
+  const { maxAttempts, maxRetryAfterMs } = config.telegram.delivery;
+
+  if (attempt >= maxAttempts) {
+    return false;
+  }
+  if (failure.kind === DELIVERY_ERRORS.RATE_LIMITED && failure.retryAfterMs <= maxRetryAfterMs) {
+    // The next acquire waits out the pause, along with every other send
+    limiter.pause(failure.retryAfterMs);
+    return true;
+  }
+  if (failure.kind === DELIVERY_ERRORS.TRANSIENT) {
+    await sleep(RETRY_DELAYS_MS[Math.min(attempt, RETRY_DELAYS_MS.length) - 1]);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Send a message through the delivery layer
+ * @param {Object} telegram - Telegraf Telegram client (bot.telegram)
+ * @param {string|number} chatId - Chat ID (the user ID for private chats)
+ * @param {string} text - Message text
+ * @param {Object} [extra] - sendMessage options (keyboard, parse mode, ...)
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} data is the sent message
+ */
+async function sendMessage(telegram, chatId, text, extra = {}) {
+  let failure;
+  let attempt = 0;
+
+  do {
+    attempt += 1;
+    await limiter.acquire(chatId);
+
+    try {
+      const message = await telegram.sendMessage(chatId, text, extra);
+      return { success: true, data: message };
+    } catch (error) {
+      failure = classifyTelegramError(error);
+      logger.debug('Telegram send attempt failed', { chatId, attempt, kind: failure.kind, error: failure.description });
+    }
+  } while (await prepareRetry(failure, attempt));
+
+  logger.warn('Telegram delivery failed', { chatId, attempts: attempt, kind: failure.kind, error: failure.description });
+
+  if (isUndeliverable(failure.kind)) {
+    await userStatusService.markInactive(String(chatId), failure.kind);
+  }
+
+  return { success: false, error: failure.description, code: ERROR_CODES[failure.kind] };
+}
+
+module.exports = {
+  sendMessage
+};
@@ -0,0 +1,121 @@
+const llmService = require('./llm');
+const logger = require('../utils/logger');
+const { getLlmLanguageName } = require('../utils/languageRegistry');
+const { RUBRIC, gradingJsonSchema, parseGradingResult } = require('../utils/gradingSchema');
+
+/**
+ * Request a grading completion constrained to the grading JSON schema
+ * Providers enforce the schema where they can; it is also spelled out in the prompt.
+ * A provider whose reply fails validation counts as failed, so the next one is tried.
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Promise<{success: boolean, data?: {text: string, provider: string, model: string}, error?: string, code?: string}>}
+ */
+async function requestGrading(messages) {
+  return llmService.complete('grading', {
+    messages,
+    jsonSchema: gradingJsonSchema,
+    temperature: 0,
+    maxTokens: 500,
+    validate: parseGradingResult
+  });
+}
+
+/**
+ * Grade transcript using LLM
+ * The reply is validated against the grading schema; an invalid reply gets one repair attempt.
+ * @param {Object} params - Grading parameters
+ * @param {string} params.transcript - Transcribed text
+ * @param {string} params.targetLanguage - Target language
+ * @param {string} params.nativeLanguage - Native language
+ * @param {Array} params.lessonWords - Lesson vocabulary
+ * @param {string} params.expectedAnswer - Sentence the learner was asked to say
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>}
+ *   data: {score, rubric, feedback, strengths, weakAreas, correctedSentence, llmProvider, llmModel}
+ */
+async function gradeTranscript(params) {
+  try {
+    const { transcript, targetLanguage, nativeLanguage, lessonWords, expectedAnswer } = params;
+
+    // Build lesson words string
+    const wordsString = lessonWords.map(w => w.word).join(', ');
+
+    const targetLangName = getLlmLanguageName(targetLanguage);
+    const nativeLangName = getLlmLanguageName(nativeLanguage);
+
+    const rubricLines = Object.entries(RUBRIC)
+      .map(([skill, points]) => `- ${skill}: 0-${points} points`)
+      .join('\n');
+
+    const prompt = `You are an expert teacher for ${nativeLangName} speakers learning ${targetLangName}.
+Grade this beginner-level response:
+
+TRANSCRIPT: ${transcript}
+LESSON WORDS: ${wordsString}
+EXPECTED: ${expectedAnswer}
+
+Score each rubric skill (total 100):
+${rubricLines}
+
+RESPOND ONLY with a JSON object matching this JSON schema:
+${JSON.stringify(gradingJsonSchema)}
+
+"feedback" is 1-2 sentences of actionable advice. "correctedSentence" is the transcript with mistakes fixed.`;
+
+    const messages = [
+      { role: 'system', content: 'You are an expert language teacher providing assessment feedback as JSON.' },
+      { role: 'user', content: prompt }
+    ];
+
+    let reply = await requestGrading(messages);
+
+    if (reply.code === 'ERR_LLM_INVALID_OUTPUT') {
+      logger.warn('Invalid grading output, requesting repair', { provider: reply.data.provider, error: reply.error });
+
+      reply = await requestGrading([
+        ...messages,
+        { role: 'assistant', content: reply.data.text || '' },
+        {
+          role: 'user',
+          content: `Your reply did not match the schema: ${reply.error}. Reply again with ONLY the corrected JSON object.`
+        }
+      ]);
+    }
+
+    if (reply.code === 'ERR_LLM_INVALID_OUTPUT') {
+      logger.error('Grading output invalid after repair', { targetLanguage, error: reply.error });
+      return {
+        success: false,
+        error: 'Grading model returned an invalid result',
+        code: 'ERR_GRADING_INVALID_OUTPUT'
+      };
+    }
+    if (!reply.success) {
+      return { success: false, error: 'Grading failed', code: 'ERR_GRADING_FAILED' };
+    }
+    const result = parseGradingResult(reply.data.text);
+
+    logger.info('Transcript graded successfully', {
+      targetLanguage,
+      transcriptLength: transcript.length,
+      score: result.value.score,
+      provider: reply.data.provider,
+      model: reply.data.model
+    });
+
+    return {
+      success: true,
+      data: { ...result.value, llmProvider: reply.data.provider, llmModel: reply.data.model }
+    };
+  } catch (error) {
+    logger.error('Failed to grade transcript', { error: error.message });
+    return {
+      success: false,
+      error: 'Grading failed',
+      code: 'ERR_GRADING_FAILED'
+    };
+  }
+}
+
+module.exports = {
+  gradeTranscript
+};
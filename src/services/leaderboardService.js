@@ -0,0 +1,225 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validator');
+const {
+  PERIODS,
+  METRICS,
+  aliasSchema,
+  weekStart,
+  boardKey,
+  addProgress,
+  isRanked,
+  rankRows
+} = require('../utils/leaderboard');
+
+/**
+ * Opt-in leaderboards per target language (rules in src/utils/leaderboard.js)
+ * Entries are kept for every learner so their progress counts from the start, but only
+ * learners who joined with an alias are ranked or shown.
+ */
+
+/**
+ * Weekly entries deleted per query when old weeks are cleared
+ */
+const PRUNE_PAGE_SIZE = 200;
+
+/**
+ * Add an event's XP and score to the learner's weekly and all-time entries
+ * Call inside the transaction that awards the XP, before any of its writes.
+ * @param {Object} transaction - Transaction from runTransaction
+ * @param {string} userId - User ID
+ * @param {Object} user - User data (targetLanguage, leaderboard)
+ * @param {{xp: number, score?: number}} progress - XP gained and, for voice answers and quizzes, the score
+ * @param {Date} now - Time of the event
+ * @returns {Promise<void>}
+ */
+async function recordProgress(transaction, userId, user, progress, now) {
+  const entries = repositories.leaderboard.within(transaction);
+  const boards = [PERIODS.ALL_TIME, PERIODS.WEEK].map(period => {
+    const board = boardKey(period, now);
+    return { period, board, id: repositories.leaderboard.entryId(board, user.targetLanguage, userId) };
+  });
+  const current = await Promise.all(boards.map(({ id }) => entries.get(id)));
+
+  boards.forEach(({ period, board, id }, index) => {
+    const entry = {
+      userId,
+      targetLanguage: user.targetLanguage,
+      board,
+      alias: user.leaderboard ? user.leaderboard.alias : null,
+      listed: Boolean(user.leaderboard),
+      ...addProgress(current[index], progress),
+      updatedAt: now
+    };
+    if (period === PERIODS.WEEK) {
+      entry.weekStart = board;
+    }
+    entries.set(id, { ...entry, ranked: isRanked(entry, config.leaderboard.minAttempts) });
+  });
+}
+
+/**
+ * Show or hide all of a learner's entries
+ * @param {string} userId - User ID
+ * @param {string|null} alias - Alias to show, or null to hide them
+ * @returns {Promise<void>}
+ */
+async function listEntries(userId, alias) {
+  const entries = await dataService.retryWithBackoff(() => repositories.leaderboard.findByUser(userId));
+  const listed = alias !== null;
+
+  await Promise.all(entries.map(entry => dataService.retryWithBackoff(() => repositories.leaderboard.update(entry.id, {
+    alias,
+    listed,
+    ranked: isRanked({ ...entry, listed }, config.leaderboard.minAttempts)
+  }))));
+}
+
+/**
+ * Join the leaderboards, or change the alias shown on them
+ * @param {string} userId - User ID
+ * @param {string} alias - Display alias
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: {alias: string}, error?: string, code?: string}>}
+ */
+async function join(userId, alias, now = new Date()) {
+  const validation = validate(alias, aliasSchema);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: 'ERR_INVALID_INPUT' };
+  }
+
+  try {
+    const userResult = await dataService.getUser(userId);
+    if (!userResult.success) {
+      return userResult;
+    }
+
+    const previous = userResult.data.leaderboard;
+    await dataService.retryWithBackoff(() => repositories.users.update(userId, {
+      leaderboard: { alias: validation.value, joinedAt: previous ? previous.joinedAt : now }
+    }));
+    await listEntries(userId, validation.value);
+
+    logger.info('User joined leaderboards', { userId, aliasChanged: Boolean(previous) });
+    return { success: true, data: { alias: validation.value } };
+  } catch (error) {
+    logger.error('Failed to join leaderboards', { userId, error: error.message });
+    return { success: false, error: 'Failed to join leaderboards', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Leave the leaderboards; entries keep counting but are no longer shown
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+ */
+async function leave(userId) {
+  try {
+    await dataService.retryWithBackoff(() => repositories.users.update(userId, { leaderboard: null }));
+    await listEntries(userId, null);
+
+    logger.info('User left leaderboards', { userId });
+    return { success: true };
+  } catch (error) {
+    logger.error('Failed to leave leaderboards', { userId, error: error.message });
+    return { success: false, error: 'Failed to leave leaderboards', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * A board for the learner's target language, with the learner's own standing
+ * @param {string} userId - User ID
+ * @param {string} period - PERIODS value
+ * @param {string} metric - METRICS key ('xp' or 'score')
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>}
+ *   data: {targetLanguage, period, metric, rows: [{rank, alias, value, self}],
+ *   me: {joined, alias, rank, value, attemptsNeeded}} (rank is null while the learner isn't ranked)
+ */
+async function getBoard(userId, period, metric, now = new Date()) {
+  try {
+    const userResult = await dataService.getUser(userId);
+    if (!userResult.success) {
+      return userResult;
+    }
+
+    const user = userResult.data;
+    const board = boardKey(period, now);
+    const field = METRICS[metric];
+    const { targetLanguage } = user;
+
+    const [top, own] = await Promise.all([
+      dataService.retryWithBackoff(() => repositories.leaderboard.findTop(board, targetLanguage, field, config.leaderboard.size)),
+      dataService.retryWithBackoff(() => repositories.leaderboard.get(repositories.leaderboard.entryId(board, targetLanguage, userId)))
+    ]);
+
+    let rank = null;
+    if (own && own.ranked) {
+      const ahead = await dataService.retryWithBackoff(() => repositories.leaderboard.countAhead(board, targetLanguage, field, own[field]));
+      rank = ahead + 1;
+    }
+
+    return {
+      success: true,
+      data: {
+        targetLanguage,
+        period,
+        metric,
+        rows: rankRows(top, field).map(entry => ({
+          rank: entry.rank,
+          alias: entry.alias,
+          value: entry[field],
+          self: entry.userId === userId
+        })),
+        me: {
+          joined: Boolean(user.leaderboard),
+          alias: user.leaderboard ? user.leaderboard.alias : null,
+          rank,
+          value: own ? own[field] : 0,
+          attemptsNeeded: Math.max(0, config.leaderboard.minAttempts - (own ? own.attempts : 0))
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to load leaderboard', { userId, period, metric, error: error.message });
+    return { success: false, error: 'Failed to load leaderboard', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Delete the entries of weeks before the current one
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: {deleted: number}, error?: string, code?: string}>}
+ */
+async function pruneOldWeeks(now = new Date()) {
+  try {
+    const currentWeek = weekStart(now);
+    let deleted = 0;
+
+    for (;;) {
+      const page = await dataService.retryWithBackoff(() => repositories.leaderboard.findWeeksBefore(currentWeek, PRUNE_PAGE_SIZE));
+      await Promise.all(page.map(entry => dataService.retryWithBackoff(() => repositories.leaderboard.delete(entry.id))));
+      deleted += page.length;
+
+      if (page.length < PRUNE_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    logger.info('Old leaderboard weeks cleared', { before: currentWeek, deleted });
+    return { success: true, data: { deleted } };
+  } catch (error) {
+    logger.error('Failed to clear old leaderboard weeks', { error: error.message });
+    return { success: false, error: 'Failed to clear old leaderboard weeks', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  recordProgress,
+  join,
+  leave,
+  getBoard,
+  pruneOldWeeks
+};
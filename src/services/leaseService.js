@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const os = require('os');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+
+/**
+ * Leases: time-limited locks stored in the datastore
+ * With several replicas running, the one holding a lease runs the guarded work. The
+ * holder renews the lease on every use, so leadership moves to another instance only
+ * after the holder stops renewing (crash, shutdown) and the lease expires.
+ */
+
+/**
+ * Identifies this process as a lease holder
+ */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Acquire or renew a lease for this instance
+ * @param {string} name - Lease name
+ * @param {number} ttlMs - How long the lease lasts without renewal
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: {acquired: boolean, holder: string, expiresAt: Date}, error?: string, code?: string}>}
+ */
+async function acquireLease(name, ttlMs, now = new Date()) {
+  try {
+    const lease = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const leases = repositories.leases.within(transaction);
+      const current = await leases.get(name);
+
+      if (current && current.holder !== INSTANCE_ID && new Date(current.expiresAt) > now) {
+        return { acquired: false, holder: current.holder, expiresAt: new Date(current.expiresAt) };
+      }
+
+      const renewed = { holder: INSTANCE_ID, expiresAt: new Date(now.getTime() + ttlMs), renewedAt: now };
+      leases.set(name, renewed);
+      return { acquired: true, holder: INSTANCE_ID, expiresAt: renewed.expiresAt };
+    }));
+
+    return { success: true, data: lease };
+  } catch (error) {
+    logger.error('Failed to acquire lease', { name, error: error.message });
+    return { success: false, error: 'Failed to acquire lease', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Give up a lease held by this instance, so another one can take over right away
+ * @param {string} name - Lease name
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+ */
+async function releaseLease(name) {
+  try {
+    await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const leases = repositories.leases.within(transaction);
+      const current = await leases.get(name);
+
+      if (current && current.holder === INSTANCE_ID) {
+        leases.delete(name);
+      }
+    }));
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Failed to release lease', { name, error: error.message });
+    return { success: false, error: 'Failed to release lease', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLease,
+  releaseLease
+};
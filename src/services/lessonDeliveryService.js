@@ -0,0 +1,186 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { isLessonUnlocked } = require('../utils/lessonStates');
+const { isLessonPaused } = require('../utils/userSettings');
+const { sentToday, nextLessonAt } = require('../utils/lessonSchedule');
+
+/**
+ * Scheduled daily lesson delivery
+ * Each user's lesson is claimed (lastLessonSentAt) in a transaction before it is sent,
+ * so restarts and concurrent instances never send the same day's lesson twice. Every
+ * outcome moves the user's nextLessonAt forward, out of the scheduler's due query.
+ */
+
+/**
+ * How long a failed delivery waits before the next attempt
+ */
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * Why a due user did not get a lesson
+ */
+const SKIP_REASONS = {
+  INACTIVE: 'inactive',
+  PAUSED: 'paused',
+  LOCKED: 'locked',
+  ALREADY_SENT: 'already_sent',
+  NO_LESSON: 'no_lesson'
+};
+
+/**
+ * Claim today's daily lesson for a user
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<{claimed: boolean, user?: Object, previous?: Date|null}>} The fresh user record when claimed
+ */
+function claimDailyLesson(userId, now) {
+  return dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+    const users = repositories.users.within(transaction);
+    const user = await users.get(userId);
+
+    if (!user) {
+      return { claimed: false };
+    }
+    if (sentToday(user, now)) {
+      users.update(userId, { nextLessonAt: nextLessonAt(user, now, config.scheduler.catchUpMinutes) });
+      return { claimed: false };
+    }
+
+    users.update(userId, {
+      lastLessonSentAt: now,
+      nextLessonAt: nextLessonAt({ ...user, lastLessonSentAt: now }, now, config.scheduler.catchUpMinutes)
+    });
+    return { claimed: true, user, previous: user.lastLessonSentAt || null };
+  }));
+}
+
+/**
+ * Undo a claim after the lesson could not be sent, unless a newer claim replaced it
+ * The lesson is retried after a delay while its catch-up window lasts.
+ * @param {string} userId - User ID
+ * @param {Date} claimedAt - Time of the claim
+ * @param {Date|null} previous - lastLessonSentAt before the claim
+ * @returns {Promise<void>}
+ */
+function releaseDailyLesson(userId, claimedAt, previous) {
+  return dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+    const users = repositories.users.within(transaction);
+    const user = await users.get(userId);
+
+    if (user && user.lastLessonSentAt && new Date(user.lastLessonSentAt).getTime() === claimedAt.getTime()) {
+      const retryAt = new Date(claimedAt.getTime() + RETRY_DELAY_MS);
+      const slot = nextLessonAt({ ...user, lastLessonSentAt: previous }, retryAt, config.scheduler.catchUpMinutes);
+      users.update(userId, {
+        lastLessonSentAt: previous,
+        nextLessonAt: slot && slot < retryAt ? retryAt : slot
+      });
+    }
+  }));
+}
+
+/**
+ * Move a skipped user's next slot forward
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @param {Object} [options] - nextLessonAt options (e.g. skipToday)
+ * @returns {Promise<void>}
+ */
+function reschedule(userId, now, options = {}) {
+  return dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+    const users = repositories.users.within(transaction);
+    const user = await users.get(userId);
+
+    if (user) {
+      users.update(userId, { nextLessonAt: nextLessonAt(user, now, config.scheduler.catchUpMinutes, options) });
+    }
+  }));
+}
+
+/**
+ * Deliver the daily lesson to one due user
+ * @param {Object} user - User data from the due query
+ * @param {Date} now - Current time
+ * @param {Function} send - Sends the lesson: async (user, lessonDay) => {success, error?, code?}
+ * @returns {Promise<{status: string, reason?: string, error?: string}>} status is sent, skipped or failed
+ */
+async function deliverDailyLesson(user, now, send) {
+  const userId = user.telegramId;
+
+  if (user.inactive) {
+    await reschedule(userId, now);
+    return { status: 'skipped', reason: SKIP_REASONS.INACTIVE };
+  }
+  if (isLessonPaused(user, now)) {
+    await reschedule(userId, now);
+    return { status: 'skipped', reason: SKIP_REASONS.PAUSED };
+  }
+  if (!isLessonUnlocked(user, user.lessonDay || 1, config.lessons.minQuizScore)) {
+    await reschedule(userId, now, { skipToday: true });
+    return { status: 'skipped', reason: SKIP_REASONS.LOCKED };
+  }
+
+  const claim = await claimDailyLesson(userId, now);
+  if (!claim.claimed) {
+    return { status: 'skipped', reason: SKIP_REASONS.ALREADY_SENT };
+  }
+
+  // Send what the fresh record says, not the possibly stale query result
+  const lessonDay = claim.user.lessonDay || 1;
+  const sendResult = await send(claim.user, lessonDay);
+
+  // Past the end of the pack: the learner was told once, the claim keeps today's slot done
+  if (!sendResult.success && sendResult.code === 'ERR_LESSON_NOT_FOUND') {
+    logger.info('No daily lesson to send', { userId, lessonDay });
+    return { status: 'skipped', reason: SKIP_REASONS.NO_LESSON };
+  }
+
+  if (!sendResult.success) {
+    await releaseDailyLesson(userId, now, claim.previous);
+    return { status: 'failed', error: sendResult.error };
+  }
+
+  logger.info('Daily lesson sent', { userId, lessonDay });
+  return { status: 'sent' };
+}
+
+/**
+ * Deliver daily lessons to due users with bounded concurrency
+ * @param {Array<Object>} users - Users whose next slot is due
+ * @param {Function} send - Sends the lesson: async (user, lessonDay) => {success, error?, code?}
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data: {due: number, sent: number, skipped: number, failed: number, unscheduled: number, skippedBy: Object}}>}
+ *   unscheduled counts failures that left nextLessonAt unchanged (the user is still due)
+ */
+async function deliverDailyLessons(users, send, now = new Date()) {
+  const startedAt = Date.now();
+
+  const results = await mapWithConcurrency(users, config.scheduler.sendConcurrency, async (user) => {
+    try {
+      return await deliverDailyLesson(user, now, send);
+    } catch (error) {
+      logger.error('Daily lesson delivery failed', { userId: user.telegramId, error: error.message });
+      return { status: 'failed', error: error.message, unscheduled: true };
+    }
+  });
+
+  const summary = { due: users.length, sent: 0, skipped: 0, failed: 0, unscheduled: 0, skippedBy: {} };
+  results.forEach(({ value }) => {
+    summary[value.status] += 1;
+    summary.unscheduled += value.unscheduled ? 1 : 0;
+    if (value.reason) {
+      summary.skippedBy[value.reason] = (summary.skippedBy[value.reason] || 0) + 1;
+    }
+  });
+
+  logger.debug('Daily lesson batch delivered', { ...summary, durationMs: Date.now() - startedAt });
+
+  return { success: true, data: summary };
+}
+
+module.exports = {
+  SKIP_REASONS,
+  deliverDailyLessons
+};
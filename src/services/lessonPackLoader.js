@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validator');
+const { targetLanguageSchema, nativeLanguageSchema, getNativeLanguageCodes } = require('../utils/languageRegistry');
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Lesson word validation schema
+ */
+const wordSchema = Joi.object({
+  word: Joi.string().required(),
+  translations: Joi.object().pattern(nativeLanguageSchema(), Joi.string()).min(1).required(),
+  example: Joi.string().required()
+});
+
+/**
+ * Single lesson validation schema
+ */
+const lessonSchema = Joi.object({
+  day: Joi.number().integer().min(1).required(),
+  title: Joi.string().required(),
+  words: Joi.array().items(wordSchema).min(1).required(),
+  quizPrompt: Joi.object().pattern(nativeLanguageSchema(), Joi.string()).min(1).required(),
+  // The target-language sentence the quiz prompt asks for; `[placeholders]` match any words
+  expectedSentence: Joi.string().trim().min(1).required(),
+  metadata: Joi.object({
+    level: Joi.string().required(),
+    topic: Joi.string().optional(),
+    estimatedMinutes: Joi.number().integer().min(1).optional()
+  }).unknown(true).required()
+});
+
+/**
+ * Lesson pack validation schema
+ */
+const packSchema = Joi.object({
+  language: targetLanguageSchema().required(),
+  version: Joi.string().required(),
+  fallbackLanguage: nativeLanguageSchema().default('he'),
+  lessons: Joi.array().items(lessonSchema).min(1).unique('day').required()
+});
+
+/**
+ * Parse a lesson pack file based on its extension
+ * @param {string} filePath - Absolute path to the pack file
+ * @returns {Object} Parsed pack content
+ */
+function parsePackFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath) === '.json' ? JSON.parse(raw) : yaml.load(raw);
+}
+
+/**
+ * Native languages a pack does not fully translate (learners of those fall back to another language)
+ * @param {Object} pack - Validated lesson pack
+ * @returns {Array<string>} Native language codes missing from some word or quiz prompt
+ */
+function findUntranslatedLanguages(pack) {
+  const localized = pack.lessons.flatMap(lesson => [lesson.quizPrompt, ...lesson.words.map(word => word.translations)]);
+  return getNativeLanguageCodes().filter(code => localized.some(values => !values[code]));
+}
+
+/**
+ * Convert a validated pack into the lookup structure used by lessonService
+ * @param {Object} pack - Validated lesson pack
+ * @param {string} source - Pack file name
+ * @returns {Object} Pack with lessons keyed by day
+ */
+function indexPack(pack, source) {
+  const lessons = {};
+  pack.lessons.forEach(({ day, ...lesson }) => {
+    lessons[day] = lesson;
+  });
+
+  return { ...pack, lessons, source };
+}
+
+/**
+ * Load and validate every lesson pack in a directory
+ * All problems are collected so a single run reports every malformed pack.
+ * @param {string} packsDir - Directory containing per-language pack files
+ * @returns {{success: boolean, data?: Object, error?: string, code?: string}}
+ */
+function loadLessonPacks(packsDir) {
+  let files;
+  try {
+    files = fs.readdirSync(packsDir)
+      .filter(file => PACK_EXTENSIONS.includes(path.extname(file)))
+      .sort();
+  } catch (error) {
+    return {
+      success: false,
+      error: `Cannot read lesson pack directory ${packsDir}: ${error.message}`,
+      code: 'ERR_INVALID_LESSON_PACK'
+    };
+  }
+
+  if (files.length === 0) {
+    return {
+      success: false,
+      error: `No lesson packs found in ${packsDir}`,
+      code: 'ERR_INVALID_LESSON_PACK'
+    };
+  }
+
+  const packs = {};
+  const problems = [];
+
+  files.forEach(file => {
+    let content;
+    try {
+      content = parsePackFile(path.join(packsDir, file));
+    } catch (error) {
+      problems.push(`${file}: could not be parsed (${error.message})`);
+      return;
+    }
+
+    const validation = validate(content, packSchema);
+    if (!validation.valid) {
+      problems.push(`${file}: ${validation.error}`);
+      return;
+    }
+
+    const pack = validation.value;
+    if (packs[pack.language]) {
+      problems.push(`${file}: language '${pack.language}' is already defined in ${packs[pack.language].source}`);
+      return;
+    }
+
+    const untranslated = findUntranslatedLanguages(pack);
+    if (untranslated.length > 0) {
+      logger.warn('Lesson pack is missing native language translations', { file, languages: untranslated });
+    }
+
+    packs[pack.language] = indexPack(pack, file);
+  });
+
+  if (problems.length > 0) {
+    return {
+      success: false,
+      error: `Invalid lesson packs in ${packsDir}:\n  - ${problems.join('\n  - ')}`,
+      code: 'ERR_INVALID_LESSON_PACK'
+    };
+  }
+
+  logger.info('Lesson packs loaded', {
+    packsDir,
+    packs: Object.values(packs).map(pack => ({
+      language: pack.language,
+      version: pack.version,
+      lessons: Object.keys(pack.lessons).length
+    }))
+  });
+
+  return {
+    success: true,
+    data: packs
+  };
+}
+
+module.exports = {
+  loadLessonPacks,
+  packSchema
+};
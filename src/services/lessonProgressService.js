@@ -0,0 +1,149 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const leaderboardService = require('./leaderboardService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { EVENT_TYPES, applyEvent } = require('../utils/achievements');
+const {
+  LESSON_STATES,
+  getLessonState,
+  canTransition,
+  isCompletedState,
+  completionState,
+  isLessonUnlocked
+} = require('../utils/lessonStates');
+
+/**
+ * Outcomes of a completion request
+ */
+const COMPLETION = {
+  COMPLETED: 'completed',
+  ALREADY_COMPLETED: 'already_completed',
+  NOT_REACHED: 'not_reached',
+  LOCKED: 'locked'
+};
+
+/**
+ * Record that a lesson was delivered
+ * Lessons already further along keep their state.
+ * @param {string} userId - User ID
+ * @param {number} lessonDay - Lesson day
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+ */
+async function markLessonSent(userId, lessonDay) {
+  try {
+    await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+
+      if (user && canTransition(getLessonState(user, lessonDay), LESSON_STATES.SENT)) {
+        users.update(userId, { [`lessonStates.${lessonDay}`]: { state: LESSON_STATES.SENT, updatedAt: new Date() } });
+      }
+    }));
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Failed to record lesson delivery', { userId, lessonDay, error: error.message });
+    return { success: false, error: 'Failed to update lesson state', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Decide what completing a lesson day does for a user
+ * @param {Object} user - User data
+ * @param {number} lessonDay - Lesson day from the button
+ * @returns {string} One of COMPLETION
+ */
+function completionOutcome(user, lessonDay) {
+  const currentDay = user.lessonDay || 1;
+
+  if (lessonDay < currentDay || isCompletedState(getLessonState(user, lessonDay))) {
+    return COMPLETION.ALREADY_COMPLETED;
+  }
+  if (lessonDay > currentDay) {
+    return COMPLETION.NOT_REACHED;
+  }
+  if (!isLessonUnlocked(user, lessonDay, config.lessons.minQuizScore)) {
+    return COMPLETION.LOCKED;
+  }
+  return COMPLETION.COMPLETED;
+}
+
+/**
+ * Mark a lesson day complete
+ * Idempotent: double taps and old buttons never count a lesson twice or move the
+ * user backwards, and days that are not reached or still locked are refused.
+ * @param {string} userId - User ID
+ * @param {number} lessonDay - Lesson day from the button
+ * @returns {Promise<{success: boolean, data?: {status: string, state: string|null, lessonDay: number, totalLessons: number, achievements?: Object}, error?: string, code?: string}>}
+ *   achievements (XP, level, new badges) only when the lesson was completed now
+ */
+async function completeLesson(userId, lessonDay) {
+  try {
+    const outcome = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+
+      if (!user) {
+        return null;
+      }
+
+      const status = completionOutcome(user, lessonDay);
+      if (status !== COMPLETION.COMPLETED) {
+        return {
+          status,
+          state: getLessonState(user, lessonDay),
+          lessonDay: user.lessonDay || 1,
+          totalLessons: user.totalLessons || 0
+        };
+      }
+
+      const state = completionState(config.lessons.minQuizScore);
+      const now = new Date();
+      const entry = { state, updatedAt: now };
+      const updates = {
+        totalLessons: (user.totalLessons || 0) + 1,
+        lessonDay: lessonDay + 1,
+        lastActiveAt: now
+      };
+      const achievements = applyEvent({
+        ...user,
+        ...updates,
+        lessonStates: { ...user.lessonStates, [lessonDay]: entry }
+      }, { type: EVENT_TYPES.LESSON_COMPLETED }, now);
+      await leaderboardService.recordProgress(transaction, userId, user, { xp: achievements.outcome.xpGained }, now);
+
+      users.update(userId, { ...updates, ...achievements.updates, [`lessonStates.${lessonDay}`]: entry });
+      return {
+        status,
+        state,
+        lessonDay: updates.lessonDay,
+        totalLessons: updates.totalLessons,
+        achievements: achievements.outcome
+      };
+    }));
+
+    if (!outcome) {
+      return { success: false, error: 'User not found', code: 'ERR_USER_NOT_FOUND' };
+    }
+
+    logger.info('Lesson completion recorded', {
+      userId,
+      lessonDay,
+      status: outcome.status,
+      state: outcome.state,
+      totalLessons: outcome.totalLessons
+    });
+
+    return { success: true, data: outcome };
+  } catch (error) {
+    logger.error('Failed to record lesson completion', { userId, lessonDay, error: error.message });
+    return { success: false, error: 'Failed to update user statistics', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  COMPLETION,
+  markLessonSent,
+  completeLesson
+};
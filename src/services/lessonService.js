@@ -1,16 +1,71 @@
-const languages = require('../config/languages');
+const config = require('../config/config');
+const { loadLessonPacks } = require('./lessonPackLoader');
+const languageRegistry = require('../utils/languageRegistry');
 const logger = require('../utils/logger');
+const { t } = require('../i18n');
+
+let curriculum = null;
+
+/**
+ * Load the curriculum from lesson packs on disk
+ * Called at startup so malformed packs stop the bot before it serves users.
+ * @param {string} packsDir - Directory containing lesson packs
+ * @returns {{success: boolean, data?: Object, error?: string, code?: string}}
+ */
+function loadCurriculum(packsDir = config.lessons.packsDir) {
+  const result = loadLessonPacks(packsDir);
+
+  if (result.success) {
+    curriculum = result.data;
+  }
+
+  return result;
+}
+
+/**
+ * Get the loaded curriculum, loading it on first use
+ * @returns {Object} Lesson packs keyed by language code
+ * @throws {Error} If the lesson packs are invalid
+ */
+function getCurriculum() {
+  if (!curriculum) {
+    const result = loadCurriculum();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  return curriculum;
+}
+
+/**
+ * Pick the entry for a native language from a per-language map
+ * Falls back to the pack's fallback language, then English, then any entry.
+ * @param {Object<string, string>} localized - Values keyed by native language
+ * @param {string} nativeLanguage - Preferred native language
+ * @param {string} fallbackLanguage - Pack fallback language
+ * @returns {{value: string, language: string}}
+ */
+function pickLocalized(localized, nativeLanguage, fallbackLanguage) {
+  const candidates = [nativeLanguage, fallbackLanguage, 'en', ...Object.keys(localized)];
+  const language = candidates.find(code => code && localized[code]);
+  return { value: localized[language], language };
+}
 
 /**
  * Get lesson content for a specific language and day
- * @param {string} languageCode - Target language code (en, es, fr, de)
+ * Word translations and the quiz prompt are resolved for the learner's native language.
+ * @param {string} languageCode - Target language code from the language registry
  * @param {number} lessonDay - Lesson day number
+ * @param {string} [nativeLanguage] - Learner's native language (defaults to the pack fallback)
  * @returns {{success: boolean, data?: Object, error?: string, code?: string}}
  */
-function getLesson(languageCode, lessonDay) {
+function getLesson(languageCode, lessonDay, nativeLanguage) {
   try {
+    const languages = getCurriculum();
+
     // Validate language code
-    if (!languages[languageCode]) {
+    if (!languageRegistry.isTargetLanguage(languageCode) || !languages[languageCode]) {
       logger.warn('Invalid language code requested', { languageCode });
       return {
         success: false,
@@ -20,36 +75,55 @@ function getLesson(languageCode, lessonDay) {
     }
 
     const language = languages[languageCode];
+    const registryEntry = languageRegistry.getLanguage(languageCode);
     
     // Validate lesson day
     if (!language.lessons[lessonDay]) {
       logger.warn('Lesson not found', { languageCode, lessonDay });
       return {
         success: false,
-        error: `Lesson ${lessonDay} not available for ${language.name}`,
+        error: `Lesson ${lessonDay} not available for ${registryEntry.name}`,
         code: 'ERR_LESSON_NOT_FOUND'
       };
     }
 
+    // Lesson structure is validated by the pack schema at load time
     const lesson = language.lessons[lessonDay];
-    
-    // Validate lesson structure
-    if (!lesson.words || lesson.words.length !== 5) {
-      logger.error('Invalid lesson structure', { languageCode, lessonDay });
-      return {
-        success: false,
-        error: 'Lesson content is malformed',
-        code: 'ERR_LESSON_NOT_FOUND'
-      };
+    const requestedLanguage = nativeLanguage || language.fallbackLanguage;
+    const missingTranslations = [];
+
+    const words = lesson.words.map(({ translations, ...item }) => {
+      const { value, language: resolved } = pickLocalized(translations, requestedLanguage, language.fallbackLanguage);
+      if (resolved !== requestedLanguage) {
+        missingTranslations.push(item.word);
+      }
+      return { ...item, translation: value };
+    });
+
+    const quizPrompt = pickLocalized(lesson.quizPrompt, requestedLanguage, language.fallbackLanguage);
+    if (quizPrompt.language !== requestedLanguage) {
+      missingTranslations.push('quizPrompt');
+    }
+
+    if (missingTranslations.length > 0) {
+      logger.warn('Lesson translation missing, using fallback', {
+        languageCode,
+        lessonDay,
+        nativeLanguage: requestedLanguage,
+        missing: missingTranslations
+      });
     }
 
     return {
       success: true,
       data: {
         ...lesson,
-        languageName: language.name,
-        languageFlag: language.flag,
-        nativeLanguage: language.nativeLanguage
+        words,
+        quizPrompt: quizPrompt.value,
+        languageName: registryEntry.name,
+        languageFlag: registryEntry.flag,
+        nativeLanguage: requestedLanguage,
+        curriculumVersion: language.version
       }
     };
   } catch (error) {
@@ -67,45 +141,45 @@ function getLesson(languageCode, lessonDay) {
  * @param {Object} lesson - Lesson object
  * @param {number} lessonDay - Lesson day number
  * @param {string} languageFlag - Language flag emoji
- * @param {string} nativeLanguage - User's native language code
+ * @param {string} nativeLanguage - User's native language code (UI locale)
  * @returns {string} Formatted lesson message
  */
 function formatLesson(lesson, lessonDay, languageFlag = '📚', nativeLanguage = 'he') {
-  let message = `${languageFlag} Day ${lessonDay} - ${lesson.title}\n\n`;
+  let message = t(nativeLanguage, 'lesson.header', {
+    flag: languageFlag,
+    day: lessonDay,
+    title: lesson.title
+  }) + '\n\n';
   
   lesson.words.forEach((item, index) => {
     message += `${index + 1}. ${item.word} (${item.translation})\n`;
-    message += `   Example: ${item.example}\n\n`;
+    message += `   ${t(nativeLanguage, 'lesson.example', { example: item.example })}\n\n`;
   });
   
-  // Add practice instruction in native language first
-  const practiceInstructions = {
-    he: '📝 תרגול: ',
-    en: '📝 Practice: ',
-    es: '📝 Práctica: ',
-    fr: '📝 Pratique: ',
-    de: '📝 Übung: '
-  };
-  
-  const instruction = practiceInstructions[nativeLanguage] || practiceInstructions['en'];
-  message += `${instruction}${lesson.quizPrompt}`;
+  // Practice instruction label is shown in the learner's native language
+  message += t(nativeLanguage, 'lesson.practice', { prompt: lesson.quizPrompt });
   
   return message;
 }
 
 /**
  * Get all available languages
+ * Only registry target languages that ship a lesson pack are offered.
  * @returns {Array<{code: string, name: string, flag: string}>}
  */
 function getAvailableLanguages() {
-  return Object.keys(languages).map(code => ({
-    code,
-    name: languages[code].name,
-    flag: languages[code].flag
-  }));
+  const languages = getCurriculum();
+
+  return languageRegistry.getTargetLanguageCodes()
+    .filter(code => languages[code])
+    .map(code => {
+      const { name, flag } = languageRegistry.getLanguage(code);
+      return { code, name, flag };
+    });
 }
 
 module.exports = {
+  loadCurriculum,
   getLesson,
   formatLesson,
   getAvailableLanguages
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const config = require('../../config/config');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Request a completion from the Anthropic Messages API
+ * JSON schemas are enforced by forcing a single tool call whose input is the reply.
+ * @param {Object} request - Completion request
+ * @param {string} request.model - Model ID
+ * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+ * @param {Object} [request.jsonSchema] - JSON schema the reply must match
+ * @param {number} [request.temperature] - Sampling temperature
+ * @param {number} [request.maxTokens] - Maximum reply tokens
+ * @returns {Promise<string>} Reply text (JSON when a schema is given)
+ */
+async function complete({ model, messages, jsonSchema, temperature = 0, maxTokens = 500 }) {
+  // The Messages API takes the system prompt separately
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+  const body = {
+    model,
+    system: system || undefined,
+    messages: messages.filter(message => message.role !== 'system'),
+    temperature,
+    max_tokens: maxTokens
+  };
+
+  if (jsonSchema) {
+    body.tools = [{ name: 'respond', description: 'Submit the response', input_schema: jsonSchema }];
+    body.tool_choice = { type: 'tool', name: 'respond' };
+  }
+
+  const response = await axios.post(API_URL, body, {
+    headers: {
+      'x-api-key': config.anthropic.apiKey,
+      'anthropic-version': API_VERSION,
+      'content-type': 'application/json'
+    },
+    timeout: config.llm.timeoutMs
+  });
+
+  const content = response.data.content || [];
+  const toolUse = content.find(block => block.type === 'tool_use');
+  if (toolUse) {
+    return JSON.stringify(toolUse.input);
+  }
+
+  return content.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+module.exports = {
+  name: 'anthropic',
+  isConfigured: () => Boolean(config.anthropic.apiKey),
+  complete
+};
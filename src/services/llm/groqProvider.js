@@ -0,0 +1,11 @@
+const config = require('../../config/config');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+/**
+ * Groq chat provider (free tier)
+ */
+module.exports = createOpenAICompatibleProvider({
+  name: 'groq',
+  getApiKey: () => config.openai.groqApiKey,
+  getBaseURL: () => 'https://api.groq.com/openai/v1'
+});
@@ -0,0 +1,78 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+/**
+ * Available LLM providers by name
+ * Each provider exposes {name, isConfigured(), complete(request)}.
+ */
+const PROVIDERS = {
+  openai: require('./openaiProvider'),
+  groq: require('./groqProvider'),
+  anthropic: require('./anthropicProvider'),
+  local: require('./localProvider'),
+  mock: require('./mockProvider')
+};
+
+/**
+ * Run a completion for a task with the first provider that succeeds
+ * Providers are tried in the configured order; the model comes from config.llm.models[task].
+ * A reply that fails `request.validate` counts as a provider failure. If every provider
+ * failed and at least one replied, the last invalid reply comes back with
+ * ERR_LLM_INVALID_OUTPUT so the caller can ask for a repair.
+ * @param {string} task - Task name, e.g. 'grading'
+ * @param {Object} request - Completion request
+ * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+ * @param {Object} [request.jsonSchema] - JSON schema the reply must match
+ * @param {number} [request.temperature] - Sampling temperature
+ * @param {number} [request.maxTokens] - Maximum reply tokens
+ * @param {Function} [request.validate] - Checks a reply: (text) => {valid, error?}
+ * @returns {Promise<{success: boolean, data?: {text: string, provider: string, model: string}, error?: string, code?: string}>}
+ *   On ERR_LLM_INVALID_OUTPUT, data is the last invalid reply and error says why it was rejected
+ */
+async function complete(task, request) {
+  const models = config.llm.models[task];
+
+  if (!models) {
+    return { success: false, error: `Unknown LLM task '${task}'`, code: 'ERR_INVALID_INPUT' };
+  }
+
+  const { validate, ...completion } = request;
+  let invalid = null;
+
+  for (const name of config.llm.providers) {
+    const provider = PROVIDERS[name];
+    const model = models[name];
+
+    if (!provider.isConfigured()) {
+      logger.debug('Skipping unconfigured LLM provider', { provider: name });
+      continue;
+    }
+
+    try {
+      const text = await provider.complete({ ...completion, model });
+      const check = validate ? validate(text) : { valid: true };
+
+      if (check.valid) {
+        return { success: true, data: { text, provider: name, model } };
+      }
+      logger.warn('LLM provider returned invalid output, trying next', { provider: name, model, task, error: check.error });
+      invalid = { data: { text, provider: name, model }, error: check.error };
+    } catch (error) {
+      logger.warn('LLM provider failed, trying next', { provider: name, model, task, error: error.message });
+    }
+  }
+
+  if (invalid) {
+    return { success: false, data: invalid.data, error: invalid.error, code: 'ERR_LLM_INVALID_OUTPUT' };
+  }
+
+  return {
+    success: false,
+    error: 'No LLM provider available',
+    code: 'ERR_LLM_UNAVAILABLE'
+  };
+}
+
+module.exports = {
+  complete
+};
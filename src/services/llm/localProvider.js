@@ -0,0 +1,11 @@
+const config = require('../../config/config');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+/**
+ * Local OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM...)
+ */
+module.exports = createOpenAICompatibleProvider({
+  name: 'local',
+  getApiKey: () => config.llm.local.apiKey,
+  getBaseURL: () => config.llm.local.baseURL
+});
@@ -0,0 +1,53 @@
+const config = require('../../config/config');
+const { RUBRIC, RUBRIC_SKILLS } = require('../../utils/gradingSchema');
+const { wordErrorRate } = require('../scoringService');
+
+/**
+ * Read a `LABEL: value` line from the grading prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} label - Line label, e.g. 'TRANSCRIPT'
+ * @returns {string}
+ */
+function readPromptLine(prompt, label) {
+  const match = prompt.match(new RegExp(`^${label}: (.*)$`, 'm'));
+  return match ? match[1] : '';
+}
+
+/**
+ * Rule-based fake completion for MOCK_PROVIDERS mode
+ * For grading requests, every rubric skill gets the same share of its points,
+ * based on how closely the TRANSCRIPT line of the prompt matches the EXPECTED line.
+ * @param {Object} request - Completion request
+ * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+ * @param {Object} [request.jsonSchema] - JSON schema the reply must match
+ * @returns {Promise<string>} Reply text
+ */
+async function complete({ messages, jsonSchema }) {
+  const prompt = messages.filter(message => message.role === 'user').map(message => message.content)[0] || '';
+
+  if (!jsonSchema) {
+    return 'This is a mock reply.';
+  }
+
+  const transcript = readPromptLine(prompt, 'TRANSCRIPT');
+  const expected = readPromptLine(prompt, 'EXPECTED');
+  const accuracy = Math.max(0, 1 - wordErrorRate(transcript, expected));
+
+  const rubric = Object.fromEntries(RUBRIC_SKILLS.map(skill => [skill, Math.round(RUBRIC[skill] * accuracy)]));
+
+  return JSON.stringify({
+    rubric,
+    feedback: accuracy >= 0.8
+      ? 'Great job! (mock grading)'
+      : `Try to say the full sentence: "${expected}" (mock grading)`,
+    strengths: accuracy >= 0.5 ? ['Sentence structure'] : [],
+    weakAreas: accuracy < 0.8 ? ['Completeness'] : [],
+    correctedSentence: accuracy >= 0.8 ? transcript : expected
+  });
+}
+
+module.exports = {
+  name: 'mock',
+  isConfigured: () => config.mock.enabled,
+  complete
+};
@@ -0,0 +1,71 @@
+const OpenAI = require('openai');
+const config = require('../../config/config');
+
+/**
+ * Create a chat completion provider for an OpenAI-compatible API
+ * The client is created on first use and reused afterwards.
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {Function} options.getApiKey - Returns the API key, or null when not configured
+ * @param {Function} [options.getBaseURL] - Returns the API base URL (undefined for OpenAI, null when not configured)
+ * @param {boolean} [options.strictSchema] - Enforce the JSON schema (structured outputs);
+ *   otherwise only a JSON object is requested and the schema must be in the prompt
+ * @returns {{name: string, isConfigured: Function, complete: Function}}
+ */
+function createOpenAICompatibleProvider({ name, getApiKey, getBaseURL = () => undefined, strictSchema = false }) {
+  let client = null;
+
+  /**
+   * Get the shared API client
+   * @returns {OpenAI}
+   */
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: getApiKey(),
+        baseURL: getBaseURL(),
+        timeout: config.llm.timeoutMs,
+        maxRetries: 1
+      });
+    }
+    return client;
+  }
+
+  /**
+   * Request a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model ID
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {Object} [request.jsonSchema] - JSON schema the reply must match
+   * @param {number} [request.temperature] - Sampling temperature
+   * @param {number} [request.maxTokens] - Maximum reply tokens
+   * @returns {Promise<string>} Reply text
+   */
+  async function complete({ model, messages, jsonSchema, temperature = 0, maxTokens = 500 }) {
+    let responseFormat;
+    if (jsonSchema) {
+      responseFormat = strictSchema
+        ? { type: 'json_schema', json_schema: { name: 'response', strict: true, schema: jsonSchema } }
+        : { type: 'json_object' };
+    }
+
+    const completion = await getClient().chat.completions.create({
+      model,
+      messages,
+      response_format: responseFormat,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return completion.choices[0].message.content;
+  }
+
+  return {
+    name,
+    // A null base URL means the endpoint has not been set up
+    isConfigured: () => Boolean(getApiKey()) && getBaseURL() !== null,
+    complete
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,11 @@
+const config = require('../../config/config');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+/**
+ * OpenAI chat provider (enforces JSON schemas via structured outputs)
+ */
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  getApiKey: () => config.openai.apiKey,
+  strictSchema: true
+});
@@ -0,0 +1,152 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toDateKey, addDays } = require('../utils/userStats');
+const { isQuietTime, dueNudges } = require('../utils/nudges');
+
+/**
+ * Reminder and re-engagement nudges
+ * Candidates come from indexed queries (lesson sent today, practiced yesterday, last
+ * active N days ago), never a scan of all users. Each nudge is claimed in the `nudges`
+ * collection before it is sent, so it goes out at most once.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Why a candidate got no nudge
+ */
+const SKIP_REASONS = {
+  QUIET_HOURS: 'quiet_hours',
+  CAPPED: 'capped',
+  ALREADY_SENT: 'already_sent'
+};
+
+/**
+ * Users who may be due a nudge, with the nudges they are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<{user: Object, nudges: Array<Object>}>>}
+ */
+async function findNudgeCandidates(now) {
+  const { reminderHours, winBackDays } = config.nudges;
+  const today = toDateKey(now);
+
+  const queries = [
+    () => repositories.users.findLessonSentBetween(new Date(now.getTime() - DAY_MS), new Date(now.getTime() - reminderHours * HOUR_MS)),
+    // Yesterday on the learner's clock is one of these in any timezone
+    () => repositories.users.findLastPracticedOn([addDays(today, -2), addDays(today, -1), today]),
+    ...winBackDays.map(days => () => repositories.users.findLastActiveBetween(
+      new Date(now.getTime() - (days + 1) * DAY_MS),
+      new Date(now.getTime() - days * DAY_MS)
+    ))
+  ];
+
+  const results = await Promise.all(queries.map(query => dataService.retryWithBackoff(query)));
+  const users = new Map(results.flat().map(user => [user.telegramId, user]));
+
+  return [...users.values()]
+    .map(user => ({ user, nudges: dueNudges(user, now, config.nudges) }))
+    .filter(candidate => candidate.nudges.length > 0);
+}
+
+/**
+ * Record a nudge as sent, unless it already was
+ * @param {string} userId - User ID
+ * @param {Object} nudge - Nudge
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} Whether this call claimed it
+ */
+function claimNudge(userId, nudge, now) {
+  const id = repositories.nudges.nudgeId(userId, nudge.key);
+
+  return dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+    const nudges = repositories.nudges.within(transaction);
+
+    if (await nudges.get(id)) {
+      return false;
+    }
+    nudges.set(id, { userId, type: nudge.type, key: nudge.key, sentAt: now });
+    return true;
+  }));
+}
+
+/**
+ * Send one learner the most relevant nudge they haven't had yet
+ * @param {{user: Object, nudges: Array<Object>}} candidate - User and due nudges
+ * @param {Date} now - Current time
+ * @param {Function} send - Sends a nudge: async (user, nudge) => {success, error?}
+ * @returns {Promise<{status: string, type?: string, reason?: string, error?: string}>} status is sent, skipped or failed
+ */
+async function deliverNudge({ user, nudges }, now, send) {
+  const userId = user.telegramId;
+
+  if (isQuietTime(user, now, config.nudges.quietHours)) {
+    return { status: 'skipped', reason: SKIP_REASONS.QUIET_HOURS };
+  }
+
+  const recent = await dataService.retryWithBackoff(() => (
+    repositories.nudges.countSentSince(userId, new Date(now.getTime() - WEEK_MS))
+  ));
+  if (recent >= config.nudges.weeklyCap) {
+    return { status: 'skipped', reason: SKIP_REASONS.CAPPED };
+  }
+
+  for (const nudge of nudges) {
+    if (!await claimNudge(userId, nudge, now)) {
+      continue;
+    }
+
+    const sendResult = await send(user, nudge);
+    if (!sendResult.success) {
+      // Unrecord it so a later run can try again
+      await repositories.nudges.delete(repositories.nudges.nudgeId(userId, nudge.key));
+      return { status: 'failed', error: sendResult.error };
+    }
+
+    logger.info('Nudge sent', { userId, type: nudge.type, key: nudge.key });
+    return { status: 'sent', type: nudge.type };
+  }
+
+  return { status: 'skipped', reason: SKIP_REASONS.ALREADY_SENT };
+}
+
+/**
+ * Send due nudges with bounded concurrency, at most one per learner
+ * @param {Array<{user: Object, nudges: Array<Object>}>} candidates - From findNudgeCandidates
+ * @param {Function} send - Sends a nudge: async (user, nudge) => {success, error?}
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data: {candidates: number, sent: number, skipped: number, failed: number, sentBy: Object, skippedBy: Object}}>}
+ */
+async function deliverNudges(candidates, send, now = new Date()) {
+  const results = await mapWithConcurrency(candidates, config.scheduler.sendConcurrency, async (candidate) => {
+    try {
+      return await deliverNudge(candidate, now, send);
+    } catch (error) {
+      logger.error('Nudge delivery failed', { userId: candidate.user.telegramId, error: error.message });
+      return { status: 'failed', error: error.message };
+    }
+  });
+
+  const summary = { candidates: candidates.length, sent: 0, skipped: 0, failed: 0, sentBy: {}, skippedBy: {} };
+  results.forEach(({ value }) => {
+    summary[value.status] += 1;
+    if (value.type) {
+      summary.sentBy[value.type] = (summary.sentBy[value.type] || 0) + 1;
+    }
+    if (value.reason) {
+      summary.skippedBy[value.reason] = (summary.skippedBy[value.reason] || 0) + 1;
+    }
+  });
+
+  return { success: true, data: summary };
+}
+
+module.exports = {
+  SKIP_REASONS,
+  findNudgeCandidates,
+  deliverNudges
+};
@@ -0,0 +1,128 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const settingsService = require('./settingsService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validator');
+const { guessTimeZone } = require('../utils/timeZones');
+const { nextLessonAt } = require('../utils/lessonSchedule');
+
+/**
+ * Onboarding: create the learner on their first language pick, then confirm the native language
+ */
+
+/**
+ * Onboarding step a new user is on (`onboardingStep`, null once onboarding is done)
+ */
+const ONBOARDING_STEPS = {
+  NATIVE_LANGUAGE: 'native_language'
+};
+
+/**
+ * Create a learner who picked the language they want to study
+ * The native language is only a guess until the learner confirms it. The record is
+ * only written if none exists yet, so a second, racing language tap can't reset the
+ * progress and settings the first one saved.
+ * @param {Object} profile
+ * @param {string} profile.userId - Telegram user ID
+ * @param {string} profile.name - Display name
+ * @param {string} profile.targetLanguage - Language to study
+ * @param {string} profile.nativeLanguage - Guessed native language
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} The user record;
+ *   ERR_USER_EXISTS if the learner already has one
+ */
+async function createLearner({ userId, name, targetLanguage, nativeLanguage }, now = new Date()) {
+  const userData = {
+    telegramId: userId,
+    name,
+    targetLanguage,
+    nativeLanguage,
+    lessonDay: 1,
+    createdAt: now,
+    // Onboarding sends the first lesson, so scheduled lessons start tomorrow
+    lastLessonSentAt: now,
+    lastActiveAt: now,
+    streak: 0,
+    totalLessons: 0,
+    avgScore: 0,
+    onboardingStep: ONBOARDING_STEPS.NATIVE_LANGUAGE,
+    // The timezone is guessed once the native language is confirmed
+    settings: {
+      lessonTime: '09:00',
+      notificationEnabled: true
+    }
+  };
+  userData.nextLessonAt = nextLessonAt(userData, now, config.scheduler.catchUpMinutes);
+
+  const validation = validate(userData, dataService.userSchema);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: 'ERR_INVALID_INPUT' };
+  }
+
+  try {
+    const created = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+
+      if (await users.get(userId)) {
+        return false;
+      }
+      users.set(userId, validation.value);
+      return true;
+    }));
+
+    if (!created) {
+      logger.info('Learner already exists, not created again', { userId });
+      return { success: false, error: 'User already exists', code: 'ERR_USER_EXISTS' };
+    }
+
+    logger.info('Learner created', { userId, targetLanguage });
+    return { success: true, data: validation.value };
+  } catch (error) {
+    logger.error('Failed to create learner', { userId, error: error.message });
+    return { success: false, error: 'Failed to save user data', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Save the learner's native language
+ * During onboarding this finishes the step and, unless the learner already picked a
+ * timezone, guesses one from the native language.
+ * @param {Object} user - Current user record
+ * @param {string} nativeLanguage - Native language code
+ * @returns {Promise<{success: boolean, data?: {user: Object, isOnboarding: boolean}, error?: string, code?: string}>}
+ *   data.user is the record with the changes applied
+ */
+async function confirmNativeLanguage(user, nativeLanguage) {
+  const userId = user.telegramId;
+  const settings = user.settings || {};
+  const isOnboarding = user.onboardingStep === ONBOARDING_STEPS.NATIVE_LANGUAGE;
+
+  const updateResult = await dataService.updateUserStats(userId, { nativeLanguage, onboardingStep: null });
+  if (!updateResult.success) {
+    return updateResult;
+  }
+
+  const timeZoneResult = isOnboarding && !settings.timezone
+    ? await settingsService.updateUserSettings(userId, { timezone: guessTimeZone(nativeLanguage) })
+    : { success: true, data: {} };
+  if (!timeZoneResult.success) {
+    return timeZoneResult;
+  }
+
+  logger.info('User confirmed native language', { userId, nativeLanguage, isOnboarding });
+
+  return {
+    success: true,
+    data: {
+      user: { ...user, nativeLanguage, onboardingStep: null, settings: { ...settings, ...timeZoneResult.data } },
+      isOnboarding
+    }
+  };
+}
+
+module.exports = {
+  ONBOARDING_STEPS,
+  createLearner,
+  confirmNativeLanguage
+};
@@ -0,0 +1,54 @@
+const dataService = require('./dataService');
+const statsService = require('./statsService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { switchProfileUpdates } = require('../utils/learnerProfiles');
+const { userTimeZone } = require('../utils/timeZones');
+
+/**
+ * Switch the language a user is studying
+ * Progress of the previous language is kept, and a language studied before resumes
+ * where the learner left off.
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Language to switch to
+ * @returns {Promise<{success: boolean, data?: {targetLanguage: string, resumed: boolean, lessonDay: number, totalLessons: number}, error?: string, code?: string}>}
+ */
+async function switchLanguage(userId, targetLanguage) {
+  try {
+    const outcome = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+
+      if (!user) {
+        return null;
+      }
+
+      if (user.targetLanguage === targetLanguage) {
+        return { resumed: true, lessonDay: user.lessonDay || 1, totalLessons: user.totalLessons || 0 };
+      }
+
+      // Park legacy progress with real counters so its running mean stays correct
+      const counters = user.assessmentCount === undefined
+        ? await statsService.backfillCounters(userId, userTimeZone(user))
+        : {};
+      const { updates, resumed, profile } = switchProfileUpdates({ ...user, ...counters }, targetLanguage);
+      users.update(userId, updates);
+      return { resumed, lessonDay: profile.lessonDay, totalLessons: profile.totalLessons };
+    }));
+
+    if (!outcome) {
+      return { success: false, error: 'User not found', code: 'ERR_USER_NOT_FOUND' };
+    }
+
+    logger.info('Target language switched', { userId, targetLanguage, ...outcome });
+
+    return { success: true, data: { targetLanguage, ...outcome } };
+  } catch (error) {
+    logger.error('Failed to switch language', { userId, targetLanguage, error: error.message });
+    return { success: false, error: 'Failed to update language', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  switchLanguage
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const statsService = require('./statsService');
+const logger = require('../utils/logger');
+const { matchAnswer } = require('../utils/textMatch');
+
+const CHOICE_OPTIONS = 4;
+
+/**
+ * Shuffle an array (Fisher-Yates), returning a new array
+ * @param {Array} items - Items to shuffle
+ * @returns {Array}
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Build quiz questions from lesson words
+ * Alternates multiple-choice translation questions and typed-answer questions.
+ * @param {Array<{word: string, translation: string}>} words - Localized lesson words
+ * @returns {Array<Object>} Questions
+ */
+function generateQuestions(words) {
+  return shuffle(words).map((item, index) => {
+    if (index % 2 === 1) {
+      return { type: 'typed', word: item.word, prompt: item.translation, answer: item.word };
+    }
+
+    const distractors = shuffle(words.filter(other => other.word !== item.word))
+      .slice(0, CHOICE_OPTIONS - 1)
+      .map(other => other.translation);
+    const options = shuffle([item.translation, ...distractors]);
+
+    return {
+      type: 'choice',
+      word: item.word,
+      prompt: item.word,
+      options,
+      answerIndex: options.indexOf(item.translation)
+    };
+  });
+}
+
+/**
+ * Start a new quiz for a lesson, replacing any quiz in progress
+ * @param {Object} params - Quiz parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.targetLanguage - Target language code
+ * @param {number} params.lessonDay - Lesson day
+ * @param {Array} params.words - Localized lesson words
+ * @param {string} [params.curriculumVersion] - Lesson pack version
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} The new session
+ */
+async function startQuiz({ userId, targetLanguage, lessonDay, words, curriculumVersion }) {
+  try {
+    const session = {
+      // Answer buttons carry it, so buttons left over from an earlier quiz are refused
+      id: crypto.randomBytes(4).toString('hex'),
+      userId,
+      targetLanguage,
+      lessonDay,
+      curriculumVersion: curriculumVersion || null,
+      questions: generateQuestions(words),
+      currentIndex: 0,
+      answers: [],
+      startedAt: new Date()
+    };
+
+    await dataService.retryWithBackoff(() => (
+      repositories.quizSessions.set(userId, session)
+    ));
+
+    logger.info('Quiz started', { userId, targetLanguage, lessonDay, questions: session.questions.length });
+
+    return { success: true, data: session };
+  } catch (error) {
+    logger.error('Failed to start quiz', { userId, error: error.message });
+    return { success: false, error: 'Failed to start quiz', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Get the user's quiz in progress
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, data?: Object|null, error?: string, code?: string}>}
+ */
+async function getActiveQuiz(userId) {
+  try {
+    const session = await dataService.retryWithBackoff(() => repositories.quizSessions.get(userId));
+
+    return { success: true, data: session };
+  } catch (error) {
+    logger.error('Failed to get quiz session', { userId, error: error.message });
+    return { success: false, error: 'Failed to retrieve quiz', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Grade a single answer against a question
+ * @param {Object} question - Quiz question
+ * @param {string|number} answer - Option index (choice) or typed text
+ * @returns {{correct: boolean, exact: boolean, given: string}}
+ */
+function gradeAnswer(question, answer) {
+  if (question.type === 'choice') {
+    const index = Number(answer);
+    const correct = index === question.answerIndex;
+    return { correct, exact: correct, given: question.options[index] || '' };
+  }
+
+  const { correct, exact } = matchAnswer(String(answer), question.answer);
+  return { correct, exact, given: String(answer).trim() };
+}
+
+/**
+ * Store a finished quiz as an assessment so it feeds average score, streak and XP
+ * @param {Object} session - Finished quiz session
+ * @returns {Promise<{success: boolean, data?: {assessmentId: string, lessonState: Object|null, achievements: Object|null}, error?: string, code?: string}>}
+ */
+async function recordQuizResult(session) {
+  const correctCount = session.answers.filter(answer => answer.correct).length;
+  const total = session.questions.length;
+
+  return statsService.recordAssessment({
+    type: 'quiz',
+    userId: session.userId,
+    lessonDay: session.lessonDay,
+    targetLanguage: session.targetLanguage,
+    score: Math.round((correctCount / total) * 100),
+    transcript: session.answers.map(answer => answer.given || '-').join('; '),
+    expectedAnswer: session.questions.map(question => question.word).join('; '),
+    feedback: `${correctCount}/${total} correct`,
+    strengths: session.questions.filter((question, i) => session.answers[i].correct).map(q => q.word),
+    weakAreas: session.questions.filter((question, i) => !session.answers[i].correct).map(q => q.word),
+    curriculumVersion: session.curriculumVersion || undefined,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * Answer the current quiz question
+ * The session ID guards against keyboards from an earlier quiz (ERR_QUIZ_ENDED), the
+ * question index against double taps (ERR_QUIZ_STALE).
+ * @param {string} userId - User ID
+ * @param {string} [sessionId] - ID of the quiz being answered; quizzes started before
+ *   sessions had IDs have none
+ * @param {number} questionIndex - Index of the question being answered
+ * @param {string|number} answer - Option index (choice) or typed text
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>}
+ */
+async function answerQuestion(userId, sessionId, questionIndex, answer) {
+  try {
+    const outcome = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const sessions = repositories.quizSessions.within(transaction);
+      const session = await sessions.get(userId);
+      if (!session || session.id !== sessionId) {
+        return { ended: true };
+      }
+      if (session.currentIndex !== questionIndex) {
+        return { stale: true };
+      }
+
+      const question = session.questions[questionIndex];
+      const graded = gradeAnswer(question, answer);
+      const answers = [...session.answers, graded];
+      const finished = answers.length >= session.questions.length;
+
+      if (finished) {
+        sessions.delete(userId);
+      } else {
+        sessions.update(userId, { answers, currentIndex: questionIndex + 1 });
+      }
+
+      return { session: { ...session, answers, currentIndex: questionIndex + 1 }, question, graded, finished };
+    }));
+
+    if (outcome.ended) {
+      return { success: false, error: 'Quiz no longer in progress', code: 'ERR_QUIZ_ENDED' };
+    }
+    if (outcome.stale) {
+      return { success: false, error: 'Question already answered', code: 'ERR_QUIZ_STALE' };
+    }
+
+    let score = null;
+    let achievements = null;
+    if (outcome.finished) {
+      const correctCount = outcome.session.answers.filter(item => item.correct).length;
+      score = Math.round((correctCount / outcome.session.questions.length) * 100);
+      const recordResult = await recordQuizResult(outcome.session);
+      if (!recordResult.success) {
+        logger.warn('Failed to record quiz result', { userId, error: recordResult.error });
+      } else {
+        achievements = recordResult.data.achievements;
+      }
+      logger.info('Quiz completed', { userId, lessonDay: outcome.session.lessonDay, score });
+    }
+
+    return {
+      success: true,
+      data: {
+        ...outcome.graded,
+        expected: outcome.question.type === 'choice'
+          ? outcome.question.options[outcome.question.answerIndex]
+          : outcome.question.answer,
+        finished: outcome.finished,
+        score,
+        achievements,
+        session: outcome.session
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to answer quiz question', { userId, error: error.message });
+    return { success: false, error: 'Failed to save answer', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  generateQuestions,
+  startQuiz,
+  getActiveQuiz,
+  answerQuestion
+};
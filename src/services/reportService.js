@@ -1,5 +1,7 @@
-const firebaseService = require('./firebaseService');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
 const logger = require('../utils/logger');
+const { averageSkills, weakestSkill } = require('../utils/skillStats');
 
 /**
  * Calculate user consistency metrics
@@ -9,7 +11,7 @@ const logger = require('../utils/logger');
  */
 async function calculateConsistency(userId, days = 7) {
   try {
-    const assessmentsResult = await firebaseService.getUserAssessments(userId, 100);
+    const assessmentsResult = await dataService.getUserAssessments(userId, 100);
     
     if (!assessmentsResult.success || assessmentsResult.data.length === 0) {
       return { daysActive: 0, streak: 0 };
@@ -22,7 +24,7 @@ async function calculateConsistency(userId, days = 7) {
     // Get unique dates in the last N days
     const uniqueDates = new Set();
     assessments.forEach(assessment => {
-      const date = new Date(assessment.timestamp.toDate ? assessment.timestamp.toDate() : assessment.timestamp);
+      const date = new Date(assessment.timestamp);
       if (date >= cutoffDate) {
         const dateStr = date.toISOString().split('T')[0];
         uniqueDates.add(dateStr);
@@ -30,7 +32,7 @@ async function calculateConsistency(userId, days = 7) {
     });
 
     // Get user data for streak
-    const userResult = await firebaseService.getUser(userId);
+    const userResult = await dataService.getUser(userId);
     const streak = userResult.success ? (userResult.data.streak || 0) : 0;
 
     return {
@@ -44,35 +46,43 @@ async function calculateConsistency(userId, days = 7) {
 }
 
 /**
- * Analyze weak areas across users
+ * Aggregate rubric sub-scores across users
  * @param {Array} assessments - Array of assessment objects
- * @returns {Object} Aggregated weak areas with counts
+ * @returns {{averages: Object<string, number>, weakest: Object<string, number>}}
+ *   averages: skill -> average percentage; weakest: skill -> number of users for whom it is the weakest skill
  */
-function aggregateWeakAreas(assessments) {
-  const weakAreaCounts = {};
-
+function aggregateSkills(assessments) {
+  const byUser = {};
   assessments.forEach(assessment => {
-    if (assessment.weakAreas && Array.isArray(assessment.weakAreas)) {
-      assessment.weakAreas.forEach(area => {
-        weakAreaCounts[area] = (weakAreaCounts[area] || 0) + 1;
-      });
+    if (assessment.rubric) {
+      byUser[assessment.userId] = byUser[assessment.userId] || [];
+      byUser[assessment.userId].push(assessment);
     }
   });
 
+  const weakestCounts = {};
+  Object.values(byUser).forEach(userAssessments => {
+    const skill = weakestSkill(averageSkills(userAssessments));
+    weakestCounts[skill] = (weakestCounts[skill] || 0) + 1;
+  });
+
   // Sort by count descending
-  const sorted = Object.entries(weakAreaCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5);
+  const weakest = Object.fromEntries(
+    Object.entries(weakestCounts).sort((a, b) => b[1] - a[1])
+  );
 
-  return Object.fromEntries(sorted);
+  return {
+    averages: averageSkills(assessments),
+    weakest
+  };
 }
 
 /**
- * Generate personalized recommendations based on weak areas
- * @param {Object} weakAreas - Weak areas with counts
+ * Generate personalized recommendations based on weakest skills
+ * @param {Object} weakSkills - Rubric skills with user counts
  * @returns {Array<string>} Recommendations
  */
-function generateRecommendations(weakAreas) {
+function generateRecommendations(weakSkills) {
   const recommendations = [];
 
   const areaRecommendations = {
@@ -83,13 +93,9 @@ function generateRecommendations(weakAreas) {
     'comprehension': 'Add listening comprehension exercises'
   };
 
-  Object.keys(weakAreas).forEach(area => {
-    const lowerArea = area.toLowerCase();
-    for (const [key, recommendation] of Object.entries(areaRecommendations)) {
-      if (lowerArea.includes(key)) {
-        recommendations.push(recommendation);
-        break;
-      }
+  Object.keys(weakSkills).forEach(skill => {
+    if (areaRecommendations[skill]) {
+      recommendations.push(areaRecommendations[skill]);
     }
   });
 
@@ -108,14 +114,8 @@ async function generateWeeklyReport() {
   try {
     logger.info('Generating weekly report');
 
-    const db = firebaseService.getFirestore();
-    
     // Get all users
-    const usersSnapshot = await db.collection('users').get();
-    const users = [];
-    usersSnapshot.forEach(doc => {
-      users.push({ id: doc.id, ...doc.data() });
-    });
+    const users = await dataService.retryWithBackoff(() => repositories.users.findAll());
 
     if (users.length === 0) {
       return {
@@ -126,14 +126,7 @@ async function generateWeeklyReport() {
 
     // Get all assessments from the last week
     const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    const assessmentsSnapshot = await db.collection('assessments')
-      .where('timestamp', '>=', oneWeekAgo)
-      .get();
-    
-    const allAssessments = [];
-    assessmentsSnapshot.forEach(doc => {
-      allAssessments.push({ id: doc.id, ...doc.data() });
-    });
+    const allAssessments = await dataService.retryWithBackoff(() => repositories.assessments.findSince(oneWeekAgo));
 
     // Calculate metrics
     const activeUsers = new Set(allAssessments.map(a => a.userId)).size;
@@ -165,9 +158,9 @@ async function generateWeeklyReport() {
       .sort((a, b) => b.avgScore - a.avgScore)
       .slice(0, 3);
 
-    // Aggregate weak areas
-    const weakAreas = aggregateWeakAreas(allAssessments);
-    const recommendations = generateRecommendations(weakAreas);
+    // Aggregate rubric skills
+    const skills = aggregateSkills(allAssessments);
+    const recommendations = generateRecommendations(skills.weakest);
 
     // Format report
     const startDate = new Date(oneWeekAgo);
@@ -190,10 +183,16 @@ async function generateWeeklyReport() {
       report += '\n';
     }
     
-    if (Object.keys(weakAreas).length > 0) {
-      report += `⚠️ Common Weak Areas:\n`;
-      Object.entries(weakAreas).forEach(([area, count]) => {
-        report += `  • ${area} (${count} users)\n`;
+    if (Object.keys(skills.averages).length > 0) {
+      report += `🧩 Skill Averages:\n`;
+      Object.entries(skills.averages).forEach(([skill, average]) => {
+        report += `  • ${skill}: ${average}%\n`;
+      });
+      report += '\n';
+
+      report += `⚠️ Weakest Skills:\n`;
+      Object.entries(skills.weakest).forEach(([skill, count]) => {
+        report += `  • ${skill} (${count} users)\n`;
       });
       report += '\n';
     }
@@ -231,6 +230,6 @@ async function generateWeeklyReport() {
 module.exports = {
   generateWeeklyReport,
   calculateConsistency,
-  aggregateWeakAreas,
+  aggregateSkills,
   generateRecommendations
 };
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const dataService = require('./dataService');
+const leaderboardService = require('./leaderboardService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validator');
+const { targetLanguageSchema } = require('../utils/languageRegistry');
+const { calculateNextReview, MIN_EASE_FACTOR, DEFAULT_EASE_FACTOR } = require('../utils/spacedRepetition');
+const { EVENT_TYPES, applyEvent } = require('../utils/achievements');
+
+/**
+ * Review card validation schema
+ */
+const cardSchema = Joi.object({
+  userId: Joi.string().required(),
+  targetLanguage: targetLanguageSchema().required(),
+  lessonDay: Joi.number().integer().min(1).required(),
+  word: Joi.string().required(),
+  translation: Joi.string().required(),
+  example: Joi.string().allow('').default(''),
+  easeFactor: Joi.number().min(MIN_EASE_FACTOR).default(DEFAULT_EASE_FACTOR),
+  interval: Joi.number().integer().min(0).default(0),
+  repetitions: Joi.number().integer().min(0).default(0),
+  dueAt: Joi.date().required(),
+  lastReviewedAt: Joi.date().allow(null).default(null),
+  createdAt: Joi.date().default(() => new Date())
+});
+
+/**
+ * Build a deterministic card ID so reseeding a lesson never duplicates cards
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {string} word - Word in the target language
+ * @returns {string} Card document ID
+ */
+function buildCardId(userId, targetLanguage, word) {
+  const wordHash = crypto.createHash('sha1').update(word.toLowerCase()).digest('hex').slice(0, 12);
+  return `${userId}_${targetLanguage}_${wordHash}`;
+}
+
+/**
+ * Create review cards for a completed lesson's words
+ * Words that already have a card keep their schedule.
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {number} lessonDay - Lesson day the words come from
+ * @param {Array<{word: string, translation: string, example: string}>} words - Lesson words
+ * @returns {Promise<{success: boolean, data?: number, error?: string, code?: string}>} Number of new cards
+ */
+async function seedCardsFromLesson(userId, targetLanguage, lessonDay, words) {
+  try {
+    const now = new Date();
+    let created = 0;
+
+    for (const item of words) {
+      const validation = validate({
+        userId,
+        targetLanguage,
+        lessonDay,
+        word: item.word,
+        translation: item.translation,
+        example: item.example,
+        dueAt: now
+      }, cardSchema);
+
+      if (!validation.valid) {
+        return { success: false, error: validation.error, code: 'ERR_INVALID_INPUT' };
+      }
+
+      const cardId = buildCardId(userId, targetLanguage, item.word);
+      const isNew = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+        const cards = repositories.reviewCards.within(transaction);
+        if (await cards.get(cardId)) {
+          return false;
+        }
+        cards.set(cardId, validation.value);
+        return true;
+      }));
+
+      if (isNew) {
+        created++;
+      }
+    }
+
+    logger.info('Review cards seeded', { userId, targetLanguage, lessonDay, created });
+
+    return { success: true, data: created };
+  } catch (error) {
+    logger.error('Failed to seed review cards', { userId, targetLanguage, lessonDay, error: error.message });
+    return { success: false, error: 'Failed to create review cards', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Get cards that are due for review, most overdue first
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {number} limit - Maximum number of cards
+ * @param {Date} now - Reference time
+ * @returns {Promise<{success: boolean, data?: Array, error?: string, code?: string}>}
+ */
+async function getDueCards(userId, targetLanguage, limit = 1, now = new Date()) {
+  try {
+    const cards = await dataService.retryWithBackoff(() => (
+      repositories.reviewCards.findDue(userId, targetLanguage, now, limit)
+    ));
+
+    return { success: true, data: cards };
+  } catch (error) {
+    logger.error('Failed to get due review cards', { userId, targetLanguage, error: error.message });
+    return { success: false, error: 'Failed to retrieve review cards', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Count cards that are due for review
+ * @param {string} userId - User ID
+ * @param {string} targetLanguage - Target language code
+ * @param {Date} now - Reference time
+ * @returns {Promise<{success: boolean, data?: number, error?: string, code?: string}>}
+ */
+async function countDueCards(userId, targetLanguage, now = new Date()) {
+  try {
+    const count = await dataService.retryWithBackoff(() => (
+      repositories.reviewCards.countDue(userId, targetLanguage, now)
+    ));
+
+    return { success: true, data: count };
+  } catch (error) {
+    logger.error('Failed to count due review cards', { userId, targetLanguage, error: error.message });
+    return { success: false, error: 'Failed to count review cards', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Get a single card owned by a user
+ * @param {string} userId - User ID
+ * @param {string} cardId - Card document ID
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>}
+ */
+async function getCard(userId, cardId) {
+  try {
+    const card = await dataService.retryWithBackoff(() => repositories.reviewCards.get(cardId));
+
+    if (!card || card.userId !== userId) {
+      return { success: false, error: 'Review card not found', code: 'ERR_CARD_NOT_FOUND' };
+    }
+
+    return { success: true, data: { id: cardId, ...card } };
+  } catch (error) {
+    logger.error('Failed to get review card', { userId, cardId, error: error.message });
+    return { success: false, error: 'Failed to retrieve review card', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Record a recall rating and reschedule the card
+ * @param {string} userId - User ID
+ * @param {string} cardId - Card document ID
+ * @param {number} quality - Recall quality 0-5
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} Updated schedule
+ */
+async function rateCard(userId, cardId, quality) {
+  const { error } = Joi.number().integer().min(0).max(5).required().validate(quality);
+  if (error) {
+    return { success: false, error: error.message, code: 'ERR_INVALID_INPUT' };
+  }
+
+  try {
+    const schedule = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const cards = repositories.reviewCards.within(transaction);
+      const card = await cards.get(cardId);
+      if (!card || card.userId !== userId) {
+        return null;
+      }
+      const next = calculateNextReview(card, quality);
+      cards.update(cardId, next);
+      return next;
+    }));
+
+    if (!schedule) {
+      return { success: false, error: 'Review card not found', code: 'ERR_CARD_NOT_FOUND' };
+    }
+
+    logger.info('Review card rated', { userId, cardId, quality, interval: schedule.interval });
+
+    return { success: true, data: schedule };
+  } catch (error) {
+    logger.error('Failed to rate review card', { userId, cardId, error: error.message });
+    return { success: false, error: 'Failed to save review', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Count a finished review session (no due cards left) and award its XP
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} Achievements outcome
+ */
+async function recordSessionFinished(userId) {
+  try {
+    const outcome = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+      if (!user) {
+        return null;
+      }
+
+      const reviewSessions = (user.reviewSessions || 0) + 1;
+      const now = new Date();
+      const achievements = applyEvent({ ...user, reviewSessions }, { type: EVENT_TYPES.REVIEW_SESSION }, now);
+      await leaderboardService.recordProgress(transaction, userId, user, { xp: achievements.outcome.xpGained }, now);
+      users.update(userId, { reviewSessions, ...achievements.updates });
+      return achievements.outcome;
+    }));
+
+    if (!outcome) {
+      return { success: false, error: 'User not found', code: 'ERR_USER_NOT_FOUND' };
+    }
+
+    logger.info('Review session finished', { userId, xp: outcome.xp });
+    return { success: true, data: outcome };
+  } catch (error) {
+    logger.error('Failed to record review session', { userId, error: error.message });
+    return { success: false, error: 'Failed to save review session', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  seedCardsFromLesson,
+  getDueCards,
+  countDueCards,
+  getCard,
+  rateCard,
+  recordSessionFinished
+};
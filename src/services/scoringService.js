@@ -0,0 +1,113 @@
+const config = require('../config/config');
+const { normalizeText } = require('../utils/textMatch');
+
+/**
+ * Token standing in for a `[placeholder]` in the expected sentence
+ */
+const WILDCARD = '\u0000';
+
+/**
+ * Tokenize an expected sentence, turning `[placeholders]` into wildcard tokens
+ * @param {string} sentence - Expected sentence
+ * @returns {Array<string>} Normalized tokens
+ */
+function tokenizeExpected(sentence) {
+  const parts = sentence.split(/\[[^\]]*\]/);
+
+  return parts.flatMap((part, index) => [
+    ...normalizeText(part).split(' ').filter(Boolean),
+    ...(index < parts.length - 1 ? [WILDCARD] : [])
+  ]);
+}
+
+/**
+ * Word error rate of a transcript against an expected sentence
+ * A wildcard matches one or more spoken words at no cost (names can be several words).
+ * @param {string} transcript - What the learner said
+ * @param {string} expected - Expected sentence, may contain `[placeholders]`
+ * @returns {number} Edits divided by expected length (0 = perfect, can exceed 1)
+ */
+function wordErrorRate(transcript, expected) {
+  const hyp = normalizeText(transcript).split(' ').filter(Boolean);
+  const ref = tokenizeExpected(expected);
+
+  if (ref.length === 0) {
+    return hyp.length === 0 ? 0 : 1;
+  }
+
+  // dist[i][j]: edits to turn the first i spoken words into the first j expected tokens
+  const dist = Array.from({ length: hyp.length + 1 }, () => new Array(ref.length + 1).fill(0));
+  for (let j = 0; j <= ref.length; j++) dist[0][j] = j;
+  for (let i = 0; i <= hyp.length; i++) dist[i][0] = i;
+
+  for (let j = 1; j <= ref.length; j++) {
+    for (let i = 1; i <= hyp.length; i++) {
+      if (ref[j - 1] === WILDCARD) {
+        let best = dist[i][j - 1] + 1;
+        for (let k = 0; k < i; k++) {
+          best = Math.min(best, dist[k][j - 1]);
+        }
+        dist[i][j] = best;
+      } else {
+        const cost = hyp[i - 1] === ref[j - 1] ? 0 : 1;
+        dist[i][j] = Math.min(dist[i - 1][j] + 1, dist[i][j - 1] + 1, dist[i - 1][j - 1] + cost);
+      }
+    }
+  }
+
+  return dist[hyp.length][ref.length] / ref.length;
+}
+
+/**
+ * Count lesson words (or phrases) that appear in the transcript
+ * @param {string} transcript - What the learner said
+ * @param {Array<{word: string}>} lessonWords - Lesson vocabulary
+ * @returns {number}
+ */
+function countLessonWordsUsed(transcript, lessonWords) {
+  const spoken = ` ${normalizeText(transcript)} `;
+
+  return lessonWords.filter(item => {
+    const word = normalizeText(item.word);
+    return word.length > 0 && spoken.includes(` ${word} `);
+  }).length;
+}
+
+/**
+ * Deterministic score of a transcript against the lesson's expected answer
+ * @param {Object} params - Scoring parameters
+ * @param {string} params.transcript - What the learner said
+ * @param {string} params.expectedAnswer - Sentence the learner was asked to say (the lesson's expectedSentence)
+ * @param {Array<{word: string}>} params.lessonWords - Lesson vocabulary
+ * @returns {{localScore: number, wordErrorRate: number, lessonWordsUsed: number}}
+ */
+function scoreTranscript({ transcript, expectedAnswer, lessonWords }) {
+  const wer = wordErrorRate(transcript, expectedAnswer);
+
+  return {
+    localScore: Math.round(Math.max(0, 1 - wer) * 100),
+    wordErrorRate: Math.round(wer * 1000) / 1000,
+    lessonWordsUsed: countLessonWordsUsed(transcript, lessonWords)
+  };
+}
+
+/**
+ * Blend the local and LLM scores with the configured weights
+ * @param {number} localScore - Deterministic score 0-100
+ * @param {number} llmScore - LLM rubric score 0-100
+ * @param {{localWeight: number, llmWeight: number}} weights - Blend weights
+ * @returns {number} Blended score 0-100
+ */
+function blendScores(localScore, llmScore, weights = config.scoring) {
+  const total = weights.localWeight + weights.llmWeight;
+  const blended = (localScore * weights.localWeight + llmScore * weights.llmWeight) / total;
+
+  return Math.round(Math.min(100, Math.max(0, blended)));
+}
+
+module.exports = {
+  wordErrorRate,
+  countLessonWordsUsed,
+  scoreTranscript,
+  blendScores
+};
@@ -0,0 +1,74 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validator');
+const { nextLessonAt } = require('../utils/lessonSchedule');
+
+/**
+ * User settings: lesson time, timezone, daily lessons on/off, vacation pause and native language
+ * Every change moves the learner's next scheduled lesson slot to match.
+ */
+
+/**
+ * Settings kept at the top level of the user record rather than under `settings`
+ */
+const TOP_LEVEL_SETTINGS = ['nativeLanguage'];
+
+/**
+ * Update user settings
+ * Each changed setting is validated against its field in userSchema; other settings are left untouched.
+ * The native language is a setting too, though it lives at the top level of the user record.
+ * The next scheduled lesson slot is recalculated in the same transaction.
+ * @param {string} userId - User ID
+ * @param {Object} changes - Setting name -> new value (e.g. {lessonTime: '08:00'})
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} Validated changes
+ */
+async function updateUserSettings(userId, changes) {
+  const settings = {};
+  const updates = {};
+
+  for (const [name, value] of Object.entries(changes)) {
+    const path = TOP_LEVEL_SETTINGS.includes(name) ? name : `settings.${name}`;
+    let fieldSchema;
+    try {
+      fieldSchema = dataService.userSchema.extract(path.split('.'));
+    } catch (error) {
+      return { success: false, error: `Unknown setting "${name}"`, code: 'ERR_INVALID_INPUT' };
+    }
+
+    const validation = validate(value, fieldSchema.label(path));
+    if (!validation.valid) {
+      return { success: false, error: validation.error, code: 'ERR_INVALID_INPUT' };
+    }
+    settings[name] = validation.value;
+    updates[path] = validation.value;
+  }
+
+  try {
+    await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+      const updated = { ...user, settings: { ...(user && user.settings), ...settings } };
+      TOP_LEVEL_SETTINGS.forEach(name => { delete updated.settings[name]; });
+
+      updates.nextLessonAt = nextLessonAt(updated, new Date(), config.scheduler.catchUpMinutes);
+      users.update(userId, updates);
+    }));
+
+    logger.info('User settings updated', { userId, updates });
+
+    return { success: true, data: settings };
+  } catch (error) {
+    logger.error('Failed to update user settings', { userId, error: error.message });
+    return {
+      success: false,
+      error: 'Failed to update user settings',
+      code: 'ERR_DATABASE_ERROR'
+    };
+  }
+}
+
+module.exports = {
+  updateUserSettings
+};
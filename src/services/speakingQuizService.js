@@ -0,0 +1,112 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+
+/**
+ * Speaking quizzes waiting for a voice answer
+ * Each speaking prompt the bot sends is kept on the user document as
+ * {messageId, lessonDay, targetLanguage, sentAt, expiresAt, answeredAt?}, so a voice message
+ * can be matched to the prompt it replies to, or to the latest one still open. A graded answer
+ * sets answeredAt, so each prompt is graded once.
+ */
+
+const MAX_PENDING_QUIZZES = 5;
+
+/**
+ * Whether a pending quiz is still open (not expired and not answered)
+ * @param {Object} quiz - Pending quiz
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function isOpen(quiz, now) {
+  return !quiz.answeredAt && new Date(quiz.expiresAt) > now;
+}
+
+/**
+ * Mark a pending quiz answered
+ * Used inside the transaction that stores the graded answer.
+ * @param {Array<Object>} pendingQuizzes - The user's pending quizzes
+ * @param {number} messageId - Telegram message ID of the prompt
+ * @param {Date} now - Time of the answer
+ * @returns {Array<Object>|null} Updated pending quizzes, or null if that quiz is no longer open
+ */
+function markAnswered(pendingQuizzes, messageId, now) {
+  const quizzes = pendingQuizzes || [];
+  if (!quizzes.some(quiz => quiz.messageId === messageId && isOpen(quiz, now))) {
+    return null;
+  }
+
+  return quizzes.map(quiz => (quiz.messageId === messageId ? { ...quiz, answeredAt: now } : quiz));
+}
+
+/**
+ * Record a speaking prompt as a pending quiz
+ * Expired prompts are dropped and only the most recent few are kept.
+ * @param {string} userId - User ID
+ * @param {Object} prompt - Prompt details
+ * @param {number} prompt.lessonDay - Lesson day the prompt belongs to
+ * @param {string} prompt.targetLanguage - Target language of the lesson
+ * @param {number} prompt.messageId - Telegram message ID of the prompt
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, code?: string}>} The pending quiz
+ */
+async function recordPrompt(userId, { lessonDay, targetLanguage, messageId }, now = new Date()) {
+  const quiz = {
+    messageId,
+    lessonDay,
+    targetLanguage,
+    sentAt: now,
+    expiresAt: new Date(now.getTime() + config.lessons.speakingQuizTtlHours * 60 * 60 * 1000)
+  };
+
+  try {
+    await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+
+      if (!user) {
+        return;
+      }
+
+      const pending = (user.pendingQuizzes || [])
+        .filter(item => isOpen(item, now) && item.messageId !== messageId);
+      users.update(userId, { pendingQuizzes: [...pending, quiz].slice(-MAX_PENDING_QUIZZES) });
+    }));
+
+    logger.info('Speaking quiz pending', { userId, lessonDay, targetLanguage, messageId });
+
+    return { success: true, data: quiz };
+  } catch (error) {
+    logger.error('Failed to record speaking quiz', { userId, lessonDay, error: error.message });
+    return { success: false, error: 'Failed to record speaking quiz', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Find the speaking quiz a voice message answers
+ * A reply answers the prompt it replies to, and only that one: a reply to a prompt that is
+ * closed (answered, expired) or to any other message matches nothing. Without a reply,
+ * the latest open prompt is used. Prompts for another target language (after a language
+ * switch) never match.
+ * @param {Object} user - User data
+ * @param {number|null} [replyToMessageId] - Message the voice note replies to
+ * @param {Date} [now] - Reference time
+ * @returns {Object|null} Pending quiz, or null if none is open
+ */
+function findPendingQuiz(user, replyToMessageId = null, now = new Date()) {
+  const open = (user.pendingQuizzes || [])
+    .filter(quiz => isOpen(quiz, now) && quiz.targetLanguage === user.targetLanguage);
+
+  if (replyToMessageId) {
+    return open.find(quiz => quiz.messageId === replyToMessageId) || null;
+  }
+
+  return open[open.length - 1] || null;
+}
+
+module.exports = {
+  recordPrompt,
+  findPendingQuiz,
+  markAnswered
+};
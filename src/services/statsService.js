@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const dataService = require('./dataService');
+const leaderboardService = require('./leaderboardService');
+const speakingQuizService = require('./speakingQuizService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validator');
+const { toDateKey, runningMean, nextStreak } = require('../utils/userStats');
+const { getLessonState, canTransition, quizState } = require('../utils/lessonStates');
+const { userTimeZone } = require('../utils/timeZones');
+const { EVENT_TYPES, applyEvent } = require('../utils/achievements');
+
+/**
+ * Counters for users whose stats predate incremental updates
+ * Costs one count and one read, only on such a user's first activity.
+ * @param {string} userId - User ID
+ * @param {string} timeZone - Timezone the last activity day is counted in
+ * @returns {Promise<{assessmentCount: number, lastActivityDate: string|null}>}
+ */
+async function backfillCounters(userId, timeZone) {
+  const [assessmentCount, latest] = await Promise.all([
+    repositories.assessments.count({ where: [['userId', '==', userId]] }),
+    repositories.assessments.findByUser(userId, 1)
+  ]);
+
+  return {
+    assessmentCount,
+    lastActivityDate: latest.length > 0 ? toDateKey(new Date(latest[0].timestamp), timeZone) : null
+  };
+}
+
+/**
+ * Lesson state change caused by a speaking quiz (voice assessment)
+ * @param {Object} user - User data
+ * @param {Object} assessment - Validated assessment
+ * @returns {{lessonDay: number, previous: string|null, state: string}|null} Null if the state doesn't change
+ */
+function lessonStateChange(user, assessment) {
+  if (assessment.type !== 'voice') {
+    return null;
+  }
+
+  const previous = getLessonState(user, assessment.lessonDay);
+  const state = quizState(assessment.score, config.lessons.minQuizScore);
+
+  return canTransition(previous, state) ? { lessonDay: assessment.lessonDay, previous, state } : null;
+}
+
+/**
+ * Store an assessment and update the user's average score, streak, lesson state and XP in one transaction
+ * Shared by voice assessments and text quizzes so both feed the same stats.
+ * A voice answer to a speaking quiz marks that quiz answered in the same transaction;
+ * if it was answered meanwhile, nothing is stored and the code is ERR_QUIZ_ANSWERED.
+ * @param {Object} assessmentData - Assessment data (see dataService assessmentSchema)
+ * @param {Object} [options]
+ * @param {number} [options.quizMessageId] - Message ID of the speaking quiz being answered
+ * @returns {Promise<{success: boolean, data?: {assessmentId: string, lessonState: Object|null, achievements: Object|null}, error?: string, code?: string}>}
+ */
+async function recordAssessment(assessmentData, { quizMessageId } = {}) {
+  const validation = validate(assessmentData, dataService.assessmentSchema);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: 'ERR_INVALID_INPUT' };
+  }
+
+  const assessment = validation.value;
+  const { userId } = assessment;
+  const assessmentId = crypto.randomUUID();
+
+  try {
+    const outcome = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+      const assessments = repositories.assessments.within(transaction);
+
+      // Assessments for unknown users (e.g. via MCP) are kept without stats
+      if (!user) {
+        assessments.set(assessmentId, assessment);
+        return { updates: null, lessonState: null, achievements: null };
+      }
+
+      let pendingQuizzes;
+      if (quizMessageId !== undefined) {
+        pendingQuizzes = speakingQuizService.markAnswered(user.pendingQuizzes, quizMessageId, assessment.timestamp);
+        if (!pendingQuizzes) {
+          return { quizAnswered: true };
+        }
+      }
+
+      const timeZone = userTimeZone(user);
+      const counters = user.assessmentCount === undefined ? await backfillCounters(userId, timeZone) : user;
+      const today = toDateKey(assessment.timestamp, timeZone);
+      const userUpdates = {
+        avgScore: runningMean(user.avgScore, counters.assessmentCount, assessment.score),
+        assessmentCount: counters.assessmentCount + 1,
+        streak: nextStreak(user.streak, counters.lastActivityDate, today),
+        lastActivityDate: counters.lastActivityDate > today ? counters.lastActivityDate : today,
+        lastActiveAt: assessment.timestamp
+      };
+
+      const achievements = applyEvent({ ...user, ...userUpdates }, {
+        type: EVENT_TYPES.ASSESSMENT,
+        score: assessment.score,
+        previousStreak: user.streak || 0
+      }, assessment.timestamp);
+      Object.assign(userUpdates, achievements.updates);
+      await leaderboardService.recordProgress(transaction, userId, user, {
+        xp: achievements.outcome.xpGained,
+        score: assessment.score
+      }, assessment.timestamp);
+
+      const lessonState = lessonStateChange(user, assessment);
+      if (lessonState) {
+        userUpdates[`lessonStates.${lessonState.lessonDay}`] = {
+          state: lessonState.state,
+          score: assessment.score,
+          updatedAt: assessment.timestamp
+        };
+      }
+
+      if (pendingQuizzes) {
+        userUpdates.pendingQuizzes = pendingQuizzes;
+      }
+
+      // Writes last: Firestore transactions read everything first
+      assessments.set(assessmentId, assessment);
+      users.update(userId, userUpdates);
+      return { updates: userUpdates, lessonState, achievements: achievements.outcome };
+    }));
+
+    if (outcome.quizAnswered) {
+      logger.info('Speaking quiz already answered', { userId, quizMessageId });
+      return { success: false, error: 'Speaking quiz already answered', code: 'ERR_QUIZ_ANSWERED' };
+    }
+
+    logger.info('Assessment stored successfully', {
+      assessmentId,
+      userId,
+      score: assessment.score,
+      stats: outcome.updates
+    });
+
+    return {
+      success: true,
+      data: { assessmentId, lessonState: outcome.lessonState, achievements: outcome.achievements }
+    };
+  } catch (error) {
+    logger.error('Failed to store assessment', { userId, error: error.message });
+    return { success: false, error: 'Failed to save assessment', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  recordAssessment,
+  backfillCounters
+};
@@ -0,0 +1,76 @@
+const { createClient } = require('@deepgram/sdk');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { getSttLanguage } = require('../../utils/languageRegistry');
+
+let client = null;
+
+/**
+ * Get the shared Deepgram client
+ * @returns {Object} Deepgram client
+ */
+function getClient() {
+  if (!client) {
+    client = createClient(config.deepgram.apiKey);
+  }
+  return client;
+}
+
+/**
+ * Transcribe audio using Deepgram API
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @param {string} language - Target language code from the language registry
+ * @returns {Promise<{success: boolean, data?: string, error?: string, code?: string}>}
+ */
+async function transcribe(audioBuffer, language) {
+  const deepgramLanguage = getSttLanguage(language, 'deepgram');
+
+  if (!deepgramLanguage) {
+    return {
+      success: false,
+      error: `Language '${language}' is not supported by deepgram`,
+      code: 'ERR_UNSUPPORTED_LANGUAGE'
+    };
+  }
+
+  try {
+    const { result, error } = await getClient().listen.prerecorded.transcribeFile(
+      audioBuffer,
+      {
+        model: 'nova-2',
+        language: deepgramLanguage,
+        smart_format: true,
+        punctuate: true
+      }
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    const transcript = result.results.channels[0].alternatives[0].transcript;
+
+    if (!transcript || transcript.trim().length === 0) {
+      return {
+        success: false,
+        error: 'No speech detected in audio',
+        code: 'ERR_NO_SPEECH'
+      };
+    }
+
+    return { success: true, data: transcript };
+  } catch (error) {
+    logger.error('Failed to transcribe audio with Deepgram', { error: error.message });
+    return {
+      success: false,
+      error: 'Audio transcription failed',
+      code: 'ERR_TRANSCRIPTION_FAILED'
+    };
+  }
+}
+
+module.exports = {
+  name: 'deepgram',
+  isConfigured: () => Boolean(config.deepgram.apiKey),
+  transcribe
+};
@@ -0,0 +1,12 @@
+const config = require('../../config/config');
+const { createWhisperApiProvider } = require('./whisperApiProvider');
+
+/**
+ * Groq Whisper transcription provider (free tier)
+ */
+module.exports = createWhisperApiProvider({
+  name: 'groq',
+  model: 'whisper-large-v3',
+  getApiKey: () => config.openai.groqApiKey,
+  baseURL: 'https://api.groq.com/openai/v1'
+});
@@ -0,0 +1,139 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { createCircuitBreaker } = require('../../utils/circuitBreaker');
+
+/**
+ * Available transcription providers by name
+ * Each provider exposes {name, isConfigured(), transcribe(audioBuffer, language)}.
+ */
+const PROVIDERS = {
+  openai: require('./openaiProvider'),
+  groq: require('./groqProvider'),
+  deepgram: require('./deepgramProvider'),
+  local: require('./localWhisperProvider'),
+  mock: require('./mockProvider')
+};
+
+/**
+ * Provider results that say nothing about provider health (don't trip the breaker)
+ */
+const NEUTRAL_CODES = ['ERR_UNSUPPORTED_LANGUAGE', 'ERR_NO_SPEECH'];
+
+const breakers = {};
+
+/**
+ * Get the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Circuit breaker
+ */
+function getBreaker(name) {
+  if (!breakers[name]) {
+    breakers[name] = createCircuitBreaker(config.stt.breaker);
+  }
+  return breakers[name];
+}
+
+/**
+ * Race a provider call against its timeout
+ * @param {Promise} promise - Provider call
+ * @param {number} timeoutMs - Timeout in ms
+ * @returns {Promise<{success: boolean, data?: string, error?: string, code?: string}>}
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({
+      success: false,
+      error: `Transcription timed out after ${timeoutMs}ms`,
+      code: 'ERR_TIMEOUT'
+    }), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Transcribe audio with the first healthy provider in the configured order
+ * Providers that are not configured or whose circuit is open are skipped.
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @param {string} language - Target language code from the language registry
+ * @returns {Promise<{success: boolean, data?: {transcript: string, provider: string}, error?: string, code?: string}>}
+ */
+async function transcribe(audioBuffer, language) {
+  if (!audioBuffer || audioBuffer.length === 0) {
+    return {
+      success: false,
+      error: 'Audio buffer is empty',
+      code: 'ERR_INVALID_INPUT'
+    };
+  }
+
+  let lastResult = null;
+
+  for (const name of config.stt.providers) {
+    const provider = PROVIDERS[name];
+    const breaker = getBreaker(name);
+
+    if (!provider.isConfigured()) {
+      logger.debug('Skipping unconfigured transcription provider', { provider: name });
+      continue;
+    }
+
+    if (!breaker.canRequest()) {
+      logger.warn('Skipping transcription provider with open circuit', { provider: name });
+      continue;
+    }
+
+    const result = await withTimeout(provider.transcribe(audioBuffer, language), config.stt.timeouts[name]);
+
+    if (result.success) {
+      breaker.recordSuccess();
+      logger.info('Audio transcribed successfully', {
+        provider: name,
+        language,
+        transcriptLength: result.data.length
+      });
+      return { success: true, data: { transcript: result.data, provider: name } };
+    }
+
+    if (result.code === 'ERR_NO_SPEECH') {
+      // The provider worked; the recording is the problem
+      breaker.recordSuccess();
+      return result;
+    }
+
+    if (!NEUTRAL_CODES.includes(result.code)) {
+      breaker.recordFailure();
+    }
+
+    logger.warn('Transcription provider failed, trying next', { provider: name, code: result.code });
+    lastResult = result;
+  }
+
+  if (lastResult && lastResult.code === 'ERR_UNSUPPORTED_LANGUAGE') {
+    return { ...lastResult, code: 'ERR_INVALID_INPUT' };
+  }
+
+  return {
+    success: false,
+    error: 'No transcription provider available',
+    code: 'ERR_TRANSCRIPTION_FAILED'
+  };
+}
+
+/**
+ * Report the configured providers and their circuit state
+ * @returns {Array<{name: string, configured: boolean, state: string, failures: number}>}
+ */
+function getProviderStatus() {
+  return config.stt.providers.map(name => ({
+    name,
+    configured: PROVIDERS[name].isConfigured(),
+    ...getBreaker(name).getState()
+  }));
+}
+
+module.exports = {
+  transcribe,
+  getProviderStatus
+};
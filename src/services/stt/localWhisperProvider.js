@@ -0,0 +1,87 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { getSttLanguage } = require('../../utils/languageRegistry');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Build the argument list for the local whisper command
+ * LOCAL_WHISPER_COMMAND is split on whitespace; `{input}` and `{language}` are substituted,
+ * e.g. "whisper-cli -m /models/ggml-base.bin -l {language} -nt -f {input}".
+ * @param {string} command - Command template
+ * @param {string} inputPath - Audio file path
+ * @param {string} language - Whisper language code
+ * @returns {{file: string, args: string[]}}
+ */
+function buildCommand(command, inputPath, language) {
+  const [file, ...args] = command.trim().split(/\s+/).map(part => (
+    part.replace('{input}', inputPath).replace('{language}', language)
+  ));
+  return { file, args };
+}
+
+/**
+ * Transcribe audio with a local whisper.cpp / faster-whisper executable
+ * The executable must print the transcript to stdout.
+ * @param {Buffer} audioBuffer - OGG/Opus audio from Telegram
+ * @param {string} language - Target language code from the language registry
+ * @returns {Promise<{success: boolean, data?: string, error?: string, code?: string}>}
+ */
+async function transcribe(audioBuffer, language) {
+  const whisperLanguage = getSttLanguage(language, 'whisper');
+
+  if (!whisperLanguage) {
+    return {
+      success: false,
+      error: `Language '${language}' is not supported by local whisper`,
+      code: 'ERR_UNSUPPORTED_LANGUAGE'
+    };
+  }
+
+  let tempDir = null;
+  try {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+    const inputPath = path.join(tempDir, 'audio.ogg');
+    await fs.writeFile(inputPath, audioBuffer);
+
+    const { file, args } = buildCommand(config.stt.localWhisperCommand, inputPath, whisperLanguage);
+    const { stdout } = await execFileAsync(file, args, {
+      timeout: config.stt.timeouts.local,
+      maxBuffer: 1024 * 1024
+    });
+
+    const transcript = stdout.split('\n').map(line => line.trim()).filter(Boolean).join(' ');
+
+    if (!transcript) {
+      return {
+        success: false,
+        error: 'No speech detected in audio',
+        code: 'ERR_NO_SPEECH'
+      };
+    }
+
+    return { success: true, data: transcript };
+  } catch (error) {
+    logger.error('Failed to transcribe audio with local whisper', { error: error.message });
+    return {
+      success: false,
+      error: 'Audio transcription failed',
+      code: 'ERR_TRANSCRIPTION_FAILED'
+    };
+  } finally {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  name: 'local',
+  isConfigured: () => Boolean(config.stt.localWhisperCommand),
+  transcribe
+};
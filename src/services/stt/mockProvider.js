@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+/**
+ * Canned transcripts, picked by audio hash when nothing better is available
+ */
+const CANNED_TRANSCRIPTS = [
+  'Hello, my name is Alex. Nice to meet you!',
+  'Hola, me llamo Alex. ¡Mucho gusto!',
+  'Bonjour, je m\'appelle Alex. Enchanté !',
+  'Hallo, ich heiße Alex. Freut mich!'
+];
+
+/**
+ * Deterministic fake transcription for MOCK_PROVIDERS mode
+ * In order: a sidecar `<sha1 of audio>.txt` in MOCK_TRANSCRIPTS_DIR, the audio itself
+ * when it is plain text (voice messages typed into the mock console), or a canned
+ * transcript chosen by the audio hash.
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @returns {Promise<{success: boolean, data?: string, error?: string, code?: string}>}
+ */
+async function transcribe(audioBuffer) {
+  const hash = crypto.createHash('sha1').update(audioBuffer).digest('hex');
+
+  if (config.mock.transcriptsDir) {
+    const sidecar = path.join(config.mock.transcriptsDir, `${hash}.txt`);
+    if (fs.existsSync(sidecar)) {
+      return { success: true, data: fs.readFileSync(sidecar, 'utf8').trim() };
+    }
+  }
+
+  const text = audioBuffer.toString('utf8');
+  if (!text.includes('�') && !/[\u0000-\u0008\u000E-\u001F]/.test(text)) {
+    return { success: true, data: text.trim() };
+  }
+
+  return { success: true, data: CANNED_TRANSCRIPTS[parseInt(hash.slice(0, 8), 16) % CANNED_TRANSCRIPTS.length] };
+}
+
+module.exports = {
+  name: 'mock',
+  isConfigured: () => config.mock.enabled,
+  transcribe
+};
@@ -0,0 +1,11 @@
+const config = require('../../config/config');
+const { createWhisperApiProvider } = require('./whisperApiProvider');
+
+/**
+ * OpenAI Whisper transcription provider
+ */
+module.exports = createWhisperApiProvider({
+  name: 'openai',
+  model: 'whisper-1',
+  getApiKey: () => config.openai.apiKey
+});
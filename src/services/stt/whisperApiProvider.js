@@ -0,0 +1,72 @@
+const OpenAI = require('openai');
+const logger = require('../../utils/logger');
+const { getSttLanguage } = require('../../utils/languageRegistry');
+
+/**
+ * Create a transcription provider for an OpenAI-compatible Whisper API
+ * The client is created on first use and reused afterwards.
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {string} options.model - Whisper model ID
+ * @param {Function} options.getApiKey - Returns the API key, or null when not configured
+ * @param {string} [options.baseURL] - API base URL (OpenAI when omitted)
+ * @returns {{name: string, isConfigured: Function, transcribe: Function}}
+ */
+function createWhisperApiProvider({ name, model, getApiKey, baseURL }) {
+  let client = null;
+
+  /**
+   * Get the shared API client
+   * @returns {OpenAI}
+   */
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey: getApiKey(), baseURL, maxRetries: 0 });
+    }
+    return client;
+  }
+
+  /**
+   * Transcribe audio
+   * @param {Buffer} audioBuffer - OGG/Opus audio from Telegram
+   * @param {string} language - Target language code from the language registry
+   * @returns {Promise<{success: boolean, data?: string, error?: string, code?: string}>}
+   */
+  async function transcribe(audioBuffer, language) {
+    const whisperLanguage = getSttLanguage(language, 'whisper');
+
+    if (!whisperLanguage) {
+      return {
+        success: false,
+        error: `Language '${language}' is not supported by ${name}`,
+        code: 'ERR_UNSUPPORTED_LANGUAGE'
+      };
+    }
+
+    try {
+      const file = new File([audioBuffer], 'audio.ogg', { type: 'audio/ogg' });
+      const transcription = await getClient().audio.transcriptions.create({
+        file,
+        model,
+        language: whisperLanguage
+      });
+
+      return { success: true, data: transcription.text };
+    } catch (error) {
+      logger.error(`Failed to transcribe audio with ${name}`, { error: error.message });
+      return {
+        success: false,
+        error: 'Audio transcription failed',
+        code: 'ERR_TRANSCRIPTION_FAILED'
+      };
+    }
+  }
+
+  return {
+    name,
+    isConfigured: () => Boolean(getApiKey()),
+    transcribe
+  };
+}
+
+module.exports = { createWhisperApiProvider };
@@ -0,0 +1,79 @@
+const config = require('../config/config');
+const dataService = require('./dataService');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { nextLessonAt } = require('../utils/lessonSchedule');
+
+/**
+ * Whether a learner can be reached
+ * Users Telegram won't deliver to (blocked the bot, deleted the chat) are marked
+ * `inactive`; their nextLessonAt is cleared, so scheduled lessons and nudges skip them
+ * until they come back.
+ */
+
+/**
+ * Mark a user unreachable
+ * @param {string} userId - User ID
+ * @param {string} reason - Why (a DELIVERY_ERRORS kind, e.g. 'blocked')
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: {changed: boolean}, error?: string, code?: string}>}
+ */
+async function markInactive(userId, reason, now = new Date()) {
+  try {
+    const changed = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+
+      if (!user || (user.inactive && user.inactive.reason === reason)) {
+        return false;
+      }
+      users.update(userId, { inactive: { reason, since: now }, nextLessonAt: null });
+      return true;
+    }));
+
+    if (changed) {
+      logger.info('User marked inactive', { userId, reason });
+    }
+    return { success: true, data: { changed } };
+  } catch (error) {
+    logger.error('Failed to mark user inactive', { userId, reason, error: error.message });
+    return { success: false, error: 'Failed to update user status', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+/**
+ * Make an inactive user reachable again and schedule their next lesson
+ * @param {string} userId - User ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{success: boolean, data?: {changed: boolean}, error?: string, code?: string}>}
+ */
+async function reactivate(userId, now = new Date()) {
+  try {
+    const changed = await dataService.retryWithBackoff(() => repositories.runTransaction(async (transaction) => {
+      const users = repositories.users.within(transaction);
+      const user = await users.get(userId);
+
+      if (!user || !user.inactive) {
+        return false;
+      }
+      users.update(userId, {
+        inactive: null,
+        nextLessonAt: nextLessonAt({ ...user, inactive: null }, now, config.scheduler.catchUpMinutes)
+      });
+      return true;
+    }));
+
+    if (changed) {
+      logger.info('User reactivated', { userId });
+    }
+    return { success: true, data: { changed } };
+  } catch (error) {
+    logger.error('Failed to reactivate user', { userId, error: error.message });
+    return { success: false, error: 'Failed to update user status', code: 'ERR_DATABASE_ERROR' };
+  }
+}
+
+module.exports = {
+  markInactive,
+  reactivate
+};
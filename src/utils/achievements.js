@@ -0,0 +1,140 @@
+const rules = require('../config/achievements');
+const { getLessonState, isCompletedState } = require('./lessonStates');
+
+/**
+ * XP, levels and badges (rules in src/config/achievements.js)
+ *
+ * Events:
+ * - { type: 'lesson_completed' }
+ * - { type: 'assessment', score, previousStreak } (voice assessment or quiz)
+ * - { type: 'review_session' }
+ */
+
+const EVENT_TYPES = {
+  LESSON_COMPLETED: 'lesson_completed',
+  ASSESSMENT: 'assessment',
+  REVIEW_SESSION: 'review_session'
+};
+
+/**
+ * Level reached with an amount of XP
+ * @param {number} xp - Total XP
+ * @returns {number} Level, from 1
+ */
+function levelForXp(xp) {
+  return rules.levels.filter(threshold => xp >= threshold).length;
+}
+
+/**
+ * XP needed for the level after a given one
+ * @param {number} level - Current level
+ * @returns {number|null} Total XP, or null at the top level
+ */
+function nextLevelXp(level) {
+  return level < rules.levels.length ? rules.levels[level] : null;
+}
+
+/**
+ * XP an event earns
+ * @param {Object} user - User data after the event
+ * @param {Object} event - Event
+ * @returns {number}
+ */
+function xpForEvent(user, event) {
+  switch (event.type) {
+    case EVENT_TYPES.LESSON_COMPLETED:
+      return rules.xp.lessonCompleted;
+    case EVENT_TYPES.REVIEW_SESSION:
+      return rules.xp.reviewSession;
+    case EVENT_TYPES.ASSESSMENT: {
+      const streak = user.streak || 0;
+      const milestone = streak > (event.previousStreak || 0) ? rules.xp.streakMilestones[streak] || 0 : 0;
+      return Math.round((event.score / 100) * rules.xp.assessmentMax) + milestone;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Whether a badge condition holds
+ * @param {Object} condition - Badge condition
+ * @param {Object} user - User data after the event, with its new level
+ * @param {Object} event - Event
+ * @returns {boolean}
+ */
+function meetsCondition(condition, user, event) {
+  switch (condition.type) {
+    case 'lessons':
+      return (user.totalLessons || 0) >= condition.min;
+    case 'lessonDays':
+      for (let day = condition.from; day <= condition.to; day++) {
+        if (!isCompletedState(getLessonState(user, day))) return false;
+      }
+      return true;
+    case 'streak':
+      return (user.streak || 0) >= condition.min;
+    case 'score':
+      return event.type === EVENT_TYPES.ASSESSMENT && event.score >= condition.min;
+    case 'reviewSessions':
+      return (user.reviewSessions || 0) >= condition.min;
+    case 'level':
+      return user.level >= condition.min;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply an event to a learner's XP, level and badges
+ * @param {Object} user - User data after the event (counters, streak and lesson states already updated)
+ * @param {Object} event - Event
+ * @param {Date} [now] - Current time
+ * @returns {{updates: Object, outcome: {xpGained: number, xp: number, level: number, leveledUp: boolean, badges: Array<string>}}}
+ *   updates are user field updates (badges as `badges.<id>` paths)
+ */
+function applyEvent(user, event, now = new Date()) {
+  const xpGained = xpForEvent(user, event);
+  const xp = (user.xp || 0) + xpGained;
+  const level = levelForXp(xp);
+  const after = { ...user, xp, level };
+
+  const owned = user.badges || {};
+  const badges = rules.badges
+    .filter(badge => !owned[badge.id] && meetsCondition(badge.condition, after, event))
+    .map(badge => badge.id);
+
+  const updates = { xp, level };
+  badges.forEach(id => { updates[`badges.${id}`] = { unlockedAt: now }; });
+
+  return {
+    updates,
+    outcome: { xpGained, xp, level, leveledUp: level > levelForXp(user.xp || 0), badges }
+  };
+}
+
+/**
+ * A badge's definition
+ * @param {string} id - Badge ID
+ * @returns {Object|undefined}
+ */
+function getBadge(id) {
+  return rules.badges.find(badge => badge.id === id);
+}
+
+/**
+ * All badge definitions, in display order
+ * @returns {Array<Object>}
+ */
+function listBadges() {
+  return rules.badges;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  levelForXp,
+  nextLevelXp,
+  applyEvent,
+  getBadge,
+  listBadges
+};
@@ -0,0 +1,64 @@
+/**
+ * Create a circuit breaker
+ * After `failureThreshold` consecutive failures the circuit opens and requests are
+ * refused until `resetTimeoutMs` has passed; then trial requests are let through
+ * (half-open) and the first outcome closes or re-opens the circuit.
+ * @param {Object} options - Breaker options
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.resetTimeoutMs - How long the circuit stays open
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ * @returns {{canRequest: Function, recordSuccess: Function, recordFailure: Function, getState: Function}}
+ */
+function createCircuitBreaker({ failureThreshold, resetTimeoutMs, now = Date.now }) {
+  let failures = 0;
+  let openedAt = null;
+
+  /**
+   * Current state: 'closed', 'open' or 'half-open'
+   * @returns {string}
+   */
+  function currentState() {
+    if (openedAt === null) {
+      return 'closed';
+    }
+    return now() - openedAt >= resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may be attempted
+   * @returns {boolean}
+   */
+  function canRequest() {
+    return currentState() !== 'open';
+  }
+
+  /**
+   * Record a successful request, closing the circuit
+   * @returns {void}
+   */
+  function recordSuccess() {
+    failures = 0;
+    openedAt = null;
+  }
+
+  /**
+   * Record a failed request, opening the circuit at the threshold
+   * A failed half-open trial re-opens the circuit immediately.
+   * @returns {void}
+   */
+  function recordFailure() {
+    failures++;
+    if (failures >= failureThreshold || currentState() === 'half-open') {
+      openedAt = now();
+    }
+  }
+
+  return {
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    getState: () => ({ state: currentState(), failures })
+  };
+}
+
+module.exports = { createCircuitBreaker };
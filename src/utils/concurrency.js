@@ -0,0 +1,28 @@
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * Every item is processed even if some calls reject.
+ * @param {Array<any>} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array<{status: string, value?: any, reason?: any}>>} Settled results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,96 @@
+const Joi = require('joi');
+const { validate } = require('./validator');
+
+/**
+ * Grading rubric: skill -> maximum points (sums to 100)
+ */
+const RUBRIC = {
+  pronunciation: 25,
+  grammar: 25,
+  vocabulary: 20,
+  fluency: 20,
+  comprehension: 10
+};
+
+const RUBRIC_SKILLS = Object.keys(RUBRIC);
+
+/**
+ * JSON Schema sent to the LLM as the response format
+ * Strict mode requires every property to be listed as required.
+ */
+const gradingJsonSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['rubric', 'feedback', 'strengths', 'weakAreas', 'correctedSentence'],
+  properties: {
+    rubric: {
+      type: 'object',
+      additionalProperties: false,
+      required: RUBRIC_SKILLS,
+      properties: Object.fromEntries(RUBRIC_SKILLS.map(skill => [
+        skill,
+        { type: 'integer', minimum: 0, maximum: RUBRIC[skill] }
+      ]))
+    },
+    feedback: { type: 'string', description: '1-2 sentences of actionable advice' },
+    strengths: { type: 'array', items: { type: 'string' } },
+    weakAreas: { type: 'array', items: { type: 'string' } },
+    correctedSentence: { type: 'string', description: 'The learner\'s answer with mistakes fixed' }
+  }
+};
+
+/**
+ * Joi schema for a rubric breakdown (also used when storing assessments)
+ */
+const rubricSchema = Joi.object(Object.fromEntries(RUBRIC_SKILLS.map(skill => [
+  skill,
+  Joi.number().integer().min(0).max(RUBRIC[skill]).required()
+])));
+
+/**
+ * Joi schema the parsed LLM output must satisfy
+ */
+const gradingResultSchema = Joi.object({
+  rubric: rubricSchema.required(),
+  feedback: Joi.string().trim().min(1).required(),
+  strengths: Joi.array().items(Joi.string().trim().min(1)).default([]),
+  weakAreas: Joi.array().items(Joi.string().trim().min(1)).default([]),
+  correctedSentence: Joi.string().trim().allow('').default('')
+}).unknown(true);
+
+/**
+ * Parse and validate a raw LLM grading reply
+ * The total score is the sum of the rubric sub-scores, never taken from the model.
+ * @param {string} text - Raw completion content
+ * @returns {{valid: boolean, value?: Object, error?: string}}
+ */
+function parseGradingResult(text) {
+  let parsed;
+  try {
+    // Tolerate a ```json fence around the object
+    parsed = JSON.parse(String(text || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+  } catch (error) {
+    return { valid: false, error: `Response is not valid JSON: ${error.message}` };
+  }
+
+  const validation = validate(parsed, gradingResultSchema);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const { rubric, feedback, strengths, weakAreas, correctedSentence } = validation.value;
+  const score = RUBRIC_SKILLS.reduce((sum, skill) => sum + rubric[skill], 0);
+
+  return {
+    valid: true,
+    value: { score, rubric, feedback, strengths, weakAreas, correctedSentence }
+  };
+}
+
+module.exports = {
+  RUBRIC,
+  RUBRIC_SKILLS,
+  rubricSchema,
+  gradingJsonSchema,
+  parseGradingResult
+};
@@ -0,0 +1,83 @@
+const Joi = require('joi');
+const languages = require('../config/languages');
+
+/**
+ * Get a language registry entry
+ * @param {string} code - Language code
+ * @returns {Object|null} Language entry with its code, or null if unknown
+ */
+function getLanguage(code) {
+  return languages[code] ? { code, ...languages[code] } : null;
+}
+
+/**
+ * Get codes of all languages that can be studied
+ * @returns {Array<string>} Target language codes in registry order
+ */
+function getTargetLanguageCodes() {
+  return Object.keys(languages).filter(code => languages[code].target);
+}
+
+/**
+ * Get codes of all languages that can be chosen as native language
+ * @returns {Array<string>} Native language codes in registry order
+ */
+function getNativeLanguageCodes() {
+  return Object.keys(languages).filter(code => languages[code].native);
+}
+
+/**
+ * Check whether a code is a supported target language
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+function isTargetLanguage(code) {
+  return Boolean(languages[code] && languages[code].target);
+}
+
+/**
+ * Get the language code a speech-to-text provider expects
+ * @param {string} code - Language code
+ * @param {string} provider - STT provider key (whisper, deepgram)
+ * @returns {string|null} Provider language code, or null if unsupported
+ */
+function getSttLanguage(code, provider) {
+  const language = languages[code];
+  return language && language.stt[provider] ? language.stt[provider] : null;
+}
+
+/**
+ * Get the language name used in LLM prompts
+ * @param {string} code - Language code
+ * @returns {string} Language name, or the code itself if unknown
+ */
+function getLlmLanguageName(code) {
+  return languages[code] ? languages[code].llmName : code;
+}
+
+/**
+ * Joi schema accepting only supported target language codes
+ * @returns {Joi.StringSchema}
+ */
+function targetLanguageSchema() {
+  return Joi.string().valid(...getTargetLanguageCodes());
+}
+
+/**
+ * Joi schema accepting only supported native language codes
+ * @returns {Joi.StringSchema}
+ */
+function nativeLanguageSchema() {
+  return Joi.string().valid(...getNativeLanguageCodes());
+}
+
+module.exports = {
+  getLanguage,
+  getTargetLanguageCodes,
+  getNativeLanguageCodes,
+  isTargetLanguage,
+  getSttLanguage,
+  getLlmLanguageName,
+  targetLanguageSchema,
+  nativeLanguageSchema
+};
@@ -0,0 +1,103 @@
+const Joi = require('joi');
+const { toDateKey, addDays, runningMean } = require('./userStats');
+
+/**
+ * Leaderboards: one board per target language and period, ranked by XP or average score
+ *
+ * Each learner has an entry per board (`leaderboard` collection) with the XP earned and
+ * the voice answers and quizzes taken in that period. Weekly boards are keyed by the
+ * Monday (UTC) the week starts on, so a new week starts from an empty board.
+ */
+
+const PERIODS = {
+  WEEK: 'week',
+  ALL_TIME: 'all'
+};
+
+/**
+ * Entry field each ranking sorts on
+ */
+const METRICS = {
+  xp: 'xp',
+  score: 'avgScore'
+};
+
+/**
+ * Display alias: letters, digits, spaces, dots, dashes and underscores
+ */
+const aliasSchema = Joi.string().trim().min(3).max(20).pattern(/^[\p{L}\p{N}][\p{L}\p{N} ._-]*$/u).required();
+
+/**
+ * First day (Monday, UTC) of the week containing a time
+ * @param {Date} now - Time
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function weekStart(now) {
+  return addDays(toDateKey(now), -((now.getUTCDay() + 6) % 7));
+}
+
+/**
+ * Key of the board a period refers to at a given time
+ * @param {string} period - PERIODS value
+ * @param {Date} now - Current time
+ * @returns {string} 'all', or the week's start date key
+ */
+function boardKey(period, now) {
+  return period === PERIODS.WEEK ? weekStart(now) : PERIODS.ALL_TIME;
+}
+
+/**
+ * An entry's counters with an event's progress added
+ * @param {Object|null} entry - Current entry, or null for the learner's first event on the board
+ * @param {{xp: number, score?: number}} progress - XP gained and, for voice answers and quizzes, the score
+ * @returns {{xp: number, attempts: number, avgScore: number}}
+ */
+function addProgress(entry, progress) {
+  const current = entry || { xp: 0, attempts: 0, avgScore: 0 };
+
+  if (typeof progress.score !== 'number') {
+    return { xp: current.xp + progress.xp, attempts: current.attempts, avgScore: current.avgScore };
+  }
+  return {
+    xp: current.xp + progress.xp,
+    attempts: current.attempts + 1,
+    avgScore: runningMean(current.avgScore, current.attempts, progress.score)
+  };
+}
+
+/**
+ * Whether an entry appears in rankings: its learner opted in and made enough attempts
+ * @param {{listed: boolean, attempts: number}} entry - Entry
+ * @param {number} minAttempts - Attempts needed in the period
+ * @returns {boolean}
+ */
+function isRanked(entry, minAttempts) {
+  return Boolean(entry.listed) && entry.attempts >= minAttempts;
+}
+
+/**
+ * Competition ranks ("1, 2, 2, 4") for rows already sorted by a field, best first
+ * @param {Array<Object>} rows - Sorted entries
+ * @param {string} field - Field the rows are sorted on
+ * @returns {Array<Object>} Rows with a `rank`
+ */
+function rankRows(rows, field) {
+  let rank = 0;
+  return rows.map((row, index) => {
+    if (index === 0 || rows[index - 1][field] !== row[field]) {
+      rank = index + 1;
+    }
+    return { ...row, rank };
+  });
+}
+
+module.exports = {
+  PERIODS,
+  METRICS,
+  aliasSchema,
+  weekStart,
+  boardKey,
+  addProgress,
+  isRanked,
+  rankRows
+};
@@ -0,0 +1,89 @@
+/**
+ * Per-language learner profiles
+ *
+ * The active language's progress lives at the top level of the user document
+ * (lessonDay, streak, avgScore, ...), so lessons, quizzes and stats only ever touch
+ * the language being studied. Other languages are parked under `profiles.<code>`
+ * and swapped back in when the learner switches to them.
+ */
+
+const PROFILE_FIELDS = [
+  'lessonDay',
+  'totalLessons',
+  'streak',
+  'avgScore',
+  'assessmentCount',
+  'lastActivityDate',
+  'lessonStates'
+];
+
+/**
+ * Progress of a language nobody has studied yet
+ * @returns {Object}
+ */
+function newProfile() {
+  return {
+    lessonDay: 1,
+    totalLessons: 0,
+    streak: 0,
+    avgScore: 0,
+    assessmentCount: 0,
+    lastActivityDate: null,
+    lessonStates: {}
+  };
+}
+
+/**
+ * Progress of the active language, read from the top-level fields
+ * @param {Object} user - User data
+ * @returns {Object}
+ */
+function activeProfile(user) {
+  const defaults = newProfile();
+  return PROFILE_FIELDS.reduce((profile, field) => {
+    profile[field] = user[field] === undefined ? defaults[field] : user[field];
+    return profile;
+  }, {});
+}
+
+/**
+ * Every language a user studies, active language first
+ * @param {Object} user - User data
+ * @returns {Array<{targetLanguage: string, active: boolean}>} Profiles with their progress fields
+ */
+function listProfiles(user) {
+  const parked = Object.entries(user.profiles || {})
+    .filter(([code]) => code !== user.targetLanguage)
+    .map(([code, profile]) => ({ ...newProfile(), ...profile, targetLanguage: code, active: false }));
+
+  return [{ ...activeProfile(user), targetLanguage: user.targetLanguage, active: true }, ...parked];
+}
+
+/**
+ * Updates that switch the active language
+ * Parks the current language's progress and restores the new one's, or starts it fresh.
+ * @param {Object} user - User data
+ * @param {string} targetLanguage - Language to switch to
+ * @returns {{updates: Object, resumed: boolean, profile: Object}}
+ */
+function switchProfileUpdates(user, targetLanguage) {
+  const profiles = { ...(user.profiles || {}) };
+  const saved = profiles[targetLanguage];
+  const profile = saved ? { ...newProfile(), ...saved } : newProfile();
+
+  profiles[user.targetLanguage] = activeProfile(user);
+  delete profiles[targetLanguage];
+
+  return {
+    updates: { ...profile, targetLanguage, profiles },
+    resumed: Boolean(saved),
+    profile
+  };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  activeProfile,
+  listProfiles,
+  switchProfileUpdates
+};
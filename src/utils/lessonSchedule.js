@@ -0,0 +1,62 @@
+const { userTimeZone, zonedTime, zonedTimeToDate } = require('./timeZones');
+const { addDays } = require('./userStats');
+
+/**
+ * When a user's next scheduled lesson is due
+ *
+ * Each user stores `nextLessonAt`, the instant of their next delivery slot, so the
+ * scheduler only queries users with `nextLessonAt <= now` instead of scanning everyone.
+ * A slot stays due for a catch-up window after the lesson time, so runs missed during
+ * a restart are made up.
+ */
+
+/**
+ * Whether a user's daily lesson was already sent on the current local day
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function sentToday(user, now) {
+  if (!user.lastLessonSentAt) {
+    return false;
+  }
+
+  const timeZone = userTimeZone(user);
+  return zonedTime(new Date(user.lastLessonSentAt), timeZone).dateKey === zonedTime(now, timeZone).dateKey;
+}
+
+/**
+ * Next delivery slot of a user
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @param {number} catchUpMinutes - How long after the lesson time a slot stays due
+ * @param {Object} [options]
+ * @param {boolean} [options.skipToday] - Don't deliver again today (e.g. the lesson is locked)
+ * @returns {Date|null} Slot instant (possibly in the past while still catchable), or null without scheduled lessons
+ */
+function nextLessonAt(user, now, catchUpMinutes, { skipToday = false } = {}) {
+  const settings = user.settings || {};
+  if (settings.notificationEnabled === false || user.inactive) {
+    return null;
+  }
+
+  const timeZone = userTimeZone(user);
+  const lessonTime = settings.lessonTime || '09:00';
+  const today = zonedTime(now, timeZone).dateKey;
+
+  let day = skipToday || sentToday(user, now) ? addDays(today) : today;
+  if (settings.pausedUntil && settings.pausedUntil > day) {
+    day = settings.pausedUntil;
+  }
+
+  const slot = zonedTimeToDate(day, lessonTime, timeZone);
+  if (day === today && now.getTime() - slot.getTime() >= catchUpMinutes * 60 * 1000) {
+    return zonedTimeToDate(addDays(today), lessonTime, timeZone);
+  }
+  return slot;
+}
+
+module.exports = {
+  sentToday,
+  nextLessonAt
+};
@@ -0,0 +1,103 @@
+/**
+ * Per-lesson progression states and the transitions between them
+ *
+ *   sent ──complete──> completed          (no minimum quiz score)
+ *        └─complete──> quiz_pending       (minimum quiz score configured)
+ *   completed | quiz_pending | failed ──speaking quiz──> passed | failed
+ *
+ * A passed lesson stays passed; retakes never lock it again.
+ */
+
+const LESSON_STATES = {
+  SENT: 'sent',
+  COMPLETED: 'completed',
+  QUIZ_PENDING: 'quiz_pending',
+  PASSED: 'passed',
+  FAILED: 'failed'
+};
+
+const TRANSITIONS = {
+  none: [LESSON_STATES.SENT, LESSON_STATES.COMPLETED, LESSON_STATES.QUIZ_PENDING],
+  [LESSON_STATES.SENT]: [LESSON_STATES.COMPLETED, LESSON_STATES.QUIZ_PENDING],
+  [LESSON_STATES.COMPLETED]: [LESSON_STATES.PASSED, LESSON_STATES.FAILED],
+  [LESSON_STATES.QUIZ_PENDING]: [LESSON_STATES.PASSED, LESSON_STATES.FAILED],
+  [LESSON_STATES.FAILED]: [LESSON_STATES.PASSED, LESSON_STATES.FAILED],
+  [LESSON_STATES.PASSED]: []
+};
+
+/**
+ * Stored state of a lesson day
+ * @param {Object} user - User data
+ * @param {number} lessonDay - Lesson day
+ * @returns {string|null} State, or null if nothing was recorded
+ */
+function getLessonState(user, lessonDay) {
+  const entry = user.lessonStates && user.lessonStates[lessonDay];
+  return entry ? entry.state : null;
+}
+
+/**
+ * Whether a lesson may move from one state to another
+ * @param {string|null} from - Current state (null when none was recorded)
+ * @param {string} to - Requested state
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from || 'none'] || []).includes(to);
+}
+
+/**
+ * Whether a lesson day has been marked complete (in any later state)
+ * @param {string|null} state - Lesson state
+ * @returns {boolean}
+ */
+function isCompletedState(state) {
+  return state !== null && state !== LESSON_STATES.SENT;
+}
+
+/**
+ * State a lesson enters when marked complete
+ * @param {number} minQuizScore - Minimum speaking quiz score, 0 when not required
+ * @returns {string}
+ */
+function completionState(minQuizScore) {
+  return minQuizScore > 0 ? LESSON_STATES.QUIZ_PENDING : LESSON_STATES.COMPLETED;
+}
+
+/**
+ * State after a speaking quiz
+ * @param {number} score - Quiz score 0-100
+ * @param {number} minQuizScore - Minimum speaking quiz score, 0 when not required
+ * @returns {string}
+ */
+function quizState(score, minQuizScore) {
+  return score >= minQuizScore ? LESSON_STATES.PASSED : LESSON_STATES.FAILED;
+}
+
+/**
+ * Whether a lesson day is unlocked
+ * With a minimum quiz score, the previous day's speaking quiz must be passed.
+ * Days completed before states were recorded count as passed.
+ * @param {Object} user - User data
+ * @param {number} lessonDay - Lesson day
+ * @param {number} minQuizScore - Minimum speaking quiz score, 0 when not required
+ * @returns {boolean}
+ */
+function isLessonUnlocked(user, lessonDay, minQuizScore) {
+  if (lessonDay <= 1 || minQuizScore <= 0) {
+    return true;
+  }
+
+  const previous = getLessonState(user, lessonDay - 1);
+  return previous === null || previous === LESSON_STATES.PASSED;
+}
+
+module.exports = {
+  LESSON_STATES,
+  getLessonState,
+  canTransition,
+  isCompletedState,
+  completionState,
+  quizState,
+  isLessonUnlocked
+};
@@ -0,0 +1,166 @@
+const { userTimeZone, zonedTime } = require('./timeZones');
+const { daysBetween } = require('./userStats');
+const { sentToday } = require('./lessonSchedule');
+const { isLessonPaused } = require('./userSettings');
+const { LESSON_STATES, getLessonState, isCompletedState } = require('./lessonStates');
+
+/**
+ * Which follow-up messages (nudges) a learner is due
+ *
+ * Each nudge has a key that identifies the one occasion it is for (a day's lesson, a
+ * day's streak, a lapse), so recording the key makes sure it is sent only once.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const NUDGE_TYPES = {
+  LESSON_REMINDER: 'lesson_reminder',
+  STREAK_RISK: 'streak_risk',
+  WIN_BACK: 'win_back'
+};
+
+/**
+ * Message per win-back stage, from the first to the last configured day count
+ */
+const WIN_BACK_MESSAGES = ['nudges.winBackFirst', 'nudges.winBackSecond', 'nudges.winBackFinal'];
+
+/**
+ * Whether it is quiet time on the learner's clock
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @param {{start: string, end: string}} quietHours - Local times (HH:MM); the range may wrap midnight
+ * @returns {boolean}
+ */
+function isQuietTime(user, now, { start, end }) {
+  const { time } = zonedTime(now, userTimeZone(user));
+
+  if (start === end) {
+    return false;
+  }
+  return start < end ? time >= start && time < end : time >= start || time < end;
+}
+
+/**
+ * Reminder for today's daily lesson, once it has gone uncompleted for a while
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @param {number} reminderHours - Hours after delivery
+ * @returns {Object|null} Nudge
+ */
+function lessonReminder(user, now, reminderHours) {
+  const lessonDay = user.lessonDay || 1;
+
+  if (!sentToday(user, now) || getLessonState(user, lessonDay) !== LESSON_STATES.SENT) {
+    return null;
+  }
+  if (now.getTime() - new Date(user.lastLessonSentAt).getTime() < reminderHours * HOUR_MS) {
+    return null;
+  }
+
+  return {
+    type: NUDGE_TYPES.LESSON_REMINDER,
+    key: `${NUDGE_TYPES.LESSON_REMINDER}_${zonedTime(now, userTimeZone(user)).dateKey}`,
+    messageKey: 'nudges.lessonReminder',
+    params: { day: lessonDay }
+  };
+}
+
+/**
+ * Warning that the streak ends at local midnight: practiced yesterday, not yet today
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @param {string} warningTime - Local time (HH:MM) from which to warn
+ * @returns {Object|null} Nudge
+ */
+function streakRisk(user, now, warningTime) {
+  const { dateKey: today, time } = zonedTime(now, userTimeZone(user));
+
+  if (time < warningTime || !user.streak || !user.lastActivityDate || daysBetween(user.lastActivityDate, today) !== 1) {
+    return null;
+  }
+
+  return {
+    type: NUDGE_TYPES.STREAK_RISK,
+    key: `${NUDGE_TYPES.STREAK_RISK}_${today}`,
+    messageKey: 'nudges.streakRisk',
+    params: { count: user.streak }
+  };
+}
+
+/**
+ * Win-back message for the latest inactivity stage reached
+ * Keyed by stage and by the lapse's last activity, so a learner who comes back and
+ * lapses again goes through the stages again.
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @param {Array<number>} winBackDays - Inactive days per stage, increasing
+ * @returns {Object|null} Nudge
+ */
+function winBack(user, now, winBackDays) {
+  if (!user.lastActiveAt) {
+    return null;
+  }
+
+  const lastActiveAt = new Date(user.lastActiveAt).getTime();
+  const inactiveDays = Math.floor((now.getTime() - lastActiveAt) / DAY_MS);
+  const stage = winBackDays.filter(days => days <= inactiveDays).length - 1;
+
+  if (stage < 0) {
+    return null;
+  }
+
+  return {
+    type: NUDGE_TYPES.WIN_BACK,
+    key: `${NUDGE_TYPES.WIN_BACK}_${winBackDays[stage]}_${lastActiveAt}`,
+    messageKey: WIN_BACK_MESSAGES[stage],
+    params: { count: winBackDays[stage], day: user.lessonDay || 1 }
+  };
+}
+
+/**
+ * Nudges a learner is due, most relevant first
+ * Unreachable learners and those without scheduled lessons or on a pause get none.
+ * Quiet hours and the cap are left to the caller.
+ * @param {Object} user - User data
+ * @param {Date} now - Current time
+ * @param {{reminderHours: number, streakWarningTime: string, winBackDays: Array<number>}} options - Nudge config
+ * @returns {Array<Object>} Nudges: {type, key, messageKey, params}
+ */
+function dueNudges(user, now, { reminderHours, streakWarningTime, winBackDays }) {
+  const settings = user.settings || {};
+  if (user.inactive || settings.notificationEnabled === false || isLessonPaused(user, now)) {
+    return [];
+  }
+
+  return [
+    lessonReminder(user, now, reminderHours),
+    streakRisk(user, now, streakWarningTime),
+    winBack(user, now, winBackDays)
+  ].filter(Boolean);
+}
+
+/**
+ * Best guess of a learner's last activity, for records from before it was tracked
+ * Latest of sign-up, the last practice day and the last lesson state change.
+ * @param {Object} user - User data
+ * @returns {Date|null}
+ */
+function inferLastActiveAt(user) {
+  const times = [
+    user.createdAt && new Date(user.createdAt).getTime(),
+    user.lastActivityDate && Date.parse(user.lastActivityDate),
+    ...Object.values(user.lessonStates || {})
+      .filter(entry => isCompletedState(entry.state) && entry.updatedAt)
+      .map(entry => new Date(entry.updatedAt).getTime())
+  ].filter(Number.isFinite);
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+module.exports = {
+  NUDGE_TYPES,
+  isQuietTime,
+  dueNudges,
+  inferLastActiveAt
+};
@@ -0,0 +1,86 @@
+/**
+ * Create a rate limiter for outgoing messages
+ * Sends are spaced at least `perChatIntervalMs` apart within a chat and at most
+ * `globalPerSecond` per second overall. Slots are reserved in call order, so
+ * concurrent senders queue fairly. A pause (e.g. after a 429) holds every send.
+ * @param {Object} options - Limiter options
+ * @param {number} options.globalPerSecond - Sends per second across all chats
+ * @param {number} options.perChatIntervalMs - Minimum gap between sends to one chat
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ * @returns {{acquire: Function, pause: Function}}
+ */
+function createRateLimiter({ globalPerSecond, perChatIntervalMs, now = Date.now }) {
+  const globalIntervalMs = 1000 / globalPerSecond;
+  const chats = new Map();
+  let nextGlobalAt = 0;
+  let pausedUntil = 0;
+
+  /**
+   * Wait until a time
+   * @param {number} time - Epoch ms
+   * @returns {Promise<void>}
+   */
+  function waitUntil(time) {
+    const delay = time - now();
+    return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+  }
+
+  /**
+   * Forget chats whose last send is granted and long enough ago, so the map only holds recently used chats
+   * @returns {void}
+   */
+  function prune() {
+    const current = now();
+    chats.forEach((chat, chatId) => {
+      if (chat.grantedAt !== null && chat.grantedAt + perChatIntervalMs <= current) chats.delete(chatId);
+    });
+  }
+
+  /**
+   * Wait for the global slot, after any pause
+   * @returns {Promise<number>} Time the slot was granted
+   */
+  async function acquireGlobal() {
+    const globalAt = Math.max(now(), nextGlobalAt, pausedUntil);
+    nextGlobalAt = globalAt + globalIntervalMs;
+    await waitUntil(globalAt);
+    return now();
+  }
+
+  /**
+   * Wait for a send slot
+   * @param {string|number} chatId - Chat the message goes to
+   * @returns {Promise<void>}
+   */
+  async function acquire(chatId) {
+    if (chats.size > 1000) {
+      prune();
+    }
+
+    // Sends to a chat are chained, so the gap is measured from when the previous one was granted
+    const key = String(chatId);
+    const previous = chats.get(key);
+    const chat = { grantedAt: null, granted: null };
+    chat.granted = (previous ? previous.granted : Promise.resolve(-Infinity)).then(async (lastAt) => {
+      await waitUntil(lastAt + perChatIntervalMs);
+      // Take the global slot only once the chat is ready, so one busy chat doesn't hold up the rest
+      chat.grantedAt = await acquireGlobal();
+      return chat.grantedAt;
+    });
+    chats.set(key, chat);
+    await chat.granted;
+  }
+
+  /**
+   * Hold all sends for a while
+   * @param {number} ms - Pause length
+   * @returns {void}
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+  }
+
+  return { acquire, pause };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,79 @@
+const { RUBRIC, RUBRIC_SKILLS } = require('./gradingSchema');
+
+/**
+ * Minimum change (percentage points) reported as an improvement or decline
+ */
+const TREND_THRESHOLD = 5;
+
+/**
+ * Average each rubric skill as a percentage of its maximum points
+ * Assessments without a rubric (e.g. quizzes) are ignored.
+ * @param {Array<Object>} assessments - Assessment records
+ * @returns {Object<string, number>} Skill -> average percentage, only for skills with data
+ */
+function averageSkills(assessments) {
+  const graded = assessments.filter(assessment => assessment.rubric);
+  if (graded.length === 0) {
+    return {};
+  }
+
+  return Object.fromEntries(RUBRIC_SKILLS.map(skill => {
+    const total = graded.reduce((sum, assessment) => sum + (assessment.rubric[skill] / RUBRIC[skill]) * 100, 0);
+    return [skill, Math.round(total / graded.length)];
+  }));
+}
+
+/**
+ * Per-skill averages with a trend comparing recent answers to earlier ones
+ * @param {Array<Object>} assessments - Assessment records, newest first
+ * @returns {Object<string, {average: number, change: number|null}>}
+ *   change: recent half minus earlier half in percentage points, null with fewer than 2 graded answers
+ */
+function skillTrends(assessments) {
+  const graded = assessments.filter(assessment => assessment.rubric);
+  const averages = averageSkills(graded);
+
+  const half = Math.floor(graded.length / 2);
+  const recent = half > 0 ? averageSkills(graded.slice(0, half)) : {};
+  const earlier = half > 0 ? averageSkills(graded.slice(half)) : {};
+
+  return Object.fromEntries(Object.entries(averages).map(([skill, average]) => [
+    skill,
+    { average, change: half > 0 ? recent[skill] - earlier[skill] : null }
+  ]));
+}
+
+/**
+ * Direction of a skill trend
+ * @param {number|null} change - Change in percentage points
+ * @returns {'up'|'down'|'flat'|null}
+ */
+function trendDirection(change) {
+  if (change === null || change === undefined) {
+    return null;
+  }
+  if (change >= TREND_THRESHOLD) {
+    return 'up';
+  }
+  return change <= -TREND_THRESHOLD ? 'down' : 'flat';
+}
+
+/**
+ * Find the lowest-scoring skill
+ * @param {Object<string, number>} averages - Skill -> average percentage
+ * @returns {string|null}
+ */
+function weakestSkill(averages) {
+  const entries = Object.entries(averages);
+  if (entries.length === 0) {
+    return null;
+  }
+  return entries.reduce((lowest, entry) => (entry[1] < lowest[1] ? entry : lowest))[0];
+}
+
+module.exports = {
+  averageSkills,
+  skillTrends,
+  trendDirection,
+  weakestSkill
+};
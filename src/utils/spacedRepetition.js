@@ -0,0 +1,49 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+
+/**
+ * Calculate the next review state using the SM-2 algorithm
+ * @param {Object} card - Current card state (easeFactor, interval, repetitions)
+ * @param {number} quality - Recall quality 0-5 (below 3 counts as a lapse)
+ * @param {Date} now - Review time
+ * @returns {{easeFactor: number, interval: number, repetitions: number, dueAt: Date, lastReviewedAt: Date}}
+ */
+function calculateNextReview(card, quality, now = new Date()) {
+  const easeFactor = card.easeFactor || DEFAULT_EASE_FACTOR;
+  let repetitions = card.repetitions || 0;
+  let interval;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round((card.interval || 1) * easeFactor);
+    }
+  }
+
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(nextEaseFactor * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS),
+    lastReviewedAt: now
+  };
+}
+
+module.exports = {
+  calculateNextReview,
+  MIN_EASE_FACTOR,
+  DEFAULT_EASE_FACTOR
+};
@@ -0,0 +1,61 @@
+/**
+ * Classify Bot API failures so callers know whether to retry, wait or give up
+ */
+
+const DELIVERY_ERRORS = {
+  // The user blocked the bot or deleted their account (403)
+  BLOCKED: 'blocked',
+  // The chat does not exist or the bot can't see it (400)
+  CHAT_NOT_FOUND: 'chat_not_found',
+  // Too many requests; retry after the given delay (429)
+  RATE_LIMITED: 'rate_limited',
+  // Server or network trouble, worth retrying
+  TRANSIENT: 'transient',
+  // Anything else (bad markup, message too long, ...); retrying won't help
+  PERMANENT: 'permanent'
+};
+
+const CHAT_NOT_FOUND_PATTERN = /chat not found|user not found|peer_id_invalid/i;
+
+const NETWORK_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Classify an error thrown by a Bot API call
+ * @param {Error} error - Telegraf TelegramError, or a network error
+ * @returns {{kind: string, retryAfterMs?: number, description: string}} kind is one of DELIVERY_ERRORS
+ */
+function classifyTelegramError(error) {
+  const response = error.response || {};
+  const status = response.error_code;
+  const description = response.description || error.description || error.message || '';
+
+  if (status === 403) {
+    return { kind: DELIVERY_ERRORS.BLOCKED, description };
+  }
+  if (status === 400 && CHAT_NOT_FOUND_PATTERN.test(description)) {
+    return { kind: DELIVERY_ERRORS.CHAT_NOT_FOUND, description };
+  }
+  if (status === 429) {
+    const retryAfter = (response.parameters && response.parameters.retry_after) || 1;
+    return { kind: DELIVERY_ERRORS.RATE_LIMITED, retryAfterMs: retryAfter * 1000, description };
+  }
+  if (status >= 500 || (!status && (NETWORK_ERROR_CODES.includes(error.code) || error.name === 'AbortError'))) {
+    return { kind: DELIVERY_ERRORS.TRANSIENT, description };
+  }
+  return { kind: DELIVERY_ERRORS.PERMANENT, description };
+}
+
+/**
+ * Whether a failure means the chat can no longer receive messages
+ * @param {string} kind - One of DELIVERY_ERRORS
+ * @returns {boolean}
+ */
+function isUndeliverable(kind) {
+  return kind === DELIVERY_ERRORS.BLOCKED || kind === DELIVERY_ERRORS.CHAT_NOT_FOUND;
+}
+
+module.exports = {
+  DELIVERY_ERRORS,
+  classifyTelegramError,
+  isUndeliverable
+};
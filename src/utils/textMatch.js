@@ -0,0 +1,73 @@
+/**
+ * Normalize text for lenient comparison
+ * Lowercases, strips diacritics (días -> dias) and punctuation, collapses whitespace.
+ * @param {string} text - Input text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two sequences
+ * Works on strings (characters) and arrays (e.g. words).
+ * @param {string|Array} a - First sequence
+ * @param {string|Array} b - Second sequence
+ * @returns {number} Minimum number of insertions, deletions and substitutions
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for an expected answer of a given length
+ * @param {number} length - Normalized answer length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+  if (length <= 3) {
+    return 0;
+  }
+  return length <= 8 ? 1 : 2;
+}
+
+/**
+ * Compare a typed answer with the expected one, tolerating casing, diacritics and small typos
+ * @param {string} answer - What the learner typed
+ * @param {string} expected - Expected answer
+ * @returns {{correct: boolean, exact: boolean, distance: number}}
+ */
+function matchAnswer(answer, expected) {
+  const normalizedAnswer = normalizeText(answer);
+  const normalizedExpected = normalizeText(expected);
+  const distance = editDistance(normalizedAnswer, normalizedExpected);
+
+  return {
+    correct: normalizedAnswer.length > 0 && distance <= allowedTypos(normalizedExpected.length),
+    exact: (answer || '').trim() === (expected || '').trim(),
+    distance
+  };
+}
+
+module.exports = {
+  normalizeText,
+  editDistance,
+  matchAnswer
+};
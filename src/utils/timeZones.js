@@ -0,0 +1,148 @@
+const config = require('../config/config');
+const { getLanguage } = require('./languageRegistry');
+
+/**
+ * IANA timezone helpers
+ * Lesson times and calendar days (streaks) are read in the learner's own timezone.
+ */
+
+/**
+ * Timezones offered as buttons by /timezone
+ */
+const COMMON_TIME_ZONES = [
+  'Asia/Jerusalem',
+  'Europe/Moscow',
+  'Asia/Riyadh',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Los_Angeles',
+  'UTC'
+];
+
+const formatters = new Map();
+
+/**
+ * Cached formatter that splits a date into wall-clock parts in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Canonical name of an IANA timezone
+ * @param {string} timeZone - Timezone as typed (case-insensitive)
+ * @returns {string|null} Canonical name, or null if unknown
+ */
+function normalizeTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return null;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a string is a known IANA timezone
+ * @param {string} timeZone - Timezone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  return normalizeTimeZone(timeZone) !== null;
+}
+
+/**
+ * Timezone to assume for a learner with a given native language
+ * @param {string} nativeLanguage - Native language code
+ * @returns {string}
+ */
+function guessTimeZone(nativeLanguage) {
+  const language = getLanguage(nativeLanguage);
+  return (language && language.timeZone) || config.defaultTimeZone;
+}
+
+/**
+ * Timezone of a user, falling back to the configured default
+ * @param {Object} user - User data
+ * @returns {string}
+ */
+function userTimeZone(user) {
+  const timeZone = user && user.settings && user.settings.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : config.defaultTimeZone;
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {{dateKey: string, hour: number, minute: number, time: string}} dateKey is YYYY-MM-DD, time is HH:MM
+ */
+function zonedTime(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(date)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Instant at which a timezone's wall clock shows a given day and time
+ * Times skipped by a DST change resolve to the instant just after the gap.
+ * @param {string} dateKey - Day, YYYY-MM-DD
+ * @param {string} time - Wall-clock time, HH:MM
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToDate(dateKey, time, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the zone at a given instant, in ms
+  const offsetAt = (instant) => {
+    const local = zonedTime(new Date(instant), timeZone);
+    const [y, m, d] = local.dateKey.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, local.hour, local.minute) - Math.floor(instant / 60000) * 60000;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  const candidate = wallClock - offsetAt(guess);
+  const shown = zonedTime(new Date(candidate), timeZone);
+  if (shown.dateKey === dateKey && shown.time === time) {
+    return new Date(candidate);
+  }
+
+  // Inside a DST gap: keep the offset from before the change, which lands just after the gap
+  return new Date(wallClock - Math.min(offsetAt(guess), offsetAt(candidate)));
+}
+
+module.exports = {
+  COMMON_TIME_ZONES,
+  normalizeTimeZone,
+  isValidTimeZone,
+  guessTimeZone,
+  userTimeZone,
+  zonedTime,
+  zonedTimeToDate
+};
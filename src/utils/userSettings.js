@@ -0,0 +1,65 @@
+const { userTimeZone, zonedTime } = require('./timeZones');
+
+/**
+ * Choices offered by the /settings menu, and the vacation-mode pause check
+ */
+
+const LESSON_TIME_OPTIONS = ['07:00', '08:00', '09:00', '12:00', '17:00', '19:00', '20:00', '21:00'];
+
+const PAUSE_DAY_OPTIONS = [3, 7, 14, 30];
+
+// Longest pause a typed date may ask for
+const MAX_PAUSE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Day a pause started now ends on, in the user's timezone
+ * @param {Object} user - User data
+ * @param {number} days - Length of the pause in days
+ * @param {Date} [now] - Current time
+ * @returns {string} YYYY-MM-DD on which scheduled lessons resume
+ */
+function pauseEndDate(user, days, now = new Date()) {
+  const today = zonedTime(now, userTimeZone(user)).dateKey;
+  return new Date(Date.parse(today) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Check a typed "pause until" date: a real day after today, at most MAX_PAUSE_DAYS away
+ * @param {Object} user - User data
+ * @param {string} requested - Date as typed (YYYY-MM-DD)
+ * @param {Date} [now] - Current time
+ * @returns {string|null} The date key, or null when it can't be used
+ */
+function parsePauseDate(user, requested, now = new Date()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(requested || '')) {
+    return null;
+  }
+  const parsed = new Date(Date.parse(requested));
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().split('T')[0] !== requested) {
+    return null;
+  }
+
+  const today = zonedTime(now, userTimeZone(user)).dateKey;
+  return requested > today && requested <= pauseEndDate(user, MAX_PAUSE_DAYS, now) ? requested : null;
+}
+
+/**
+ * Whether scheduled lessons are paused for a user today
+ * @param {Object} user - User data
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function isLessonPaused(user, now = new Date()) {
+  const pausedUntil = user.settings && user.settings.pausedUntil;
+  return Boolean(pausedUntil) && zonedTime(now, userTimeZone(user)).dateKey < pausedUntil;
+}
+
+module.exports = {
+  LESSON_TIME_OPTIONS,
+  PAUSE_DAY_OPTIONS,
+  pauseEndDate,
+  parsePauseDate,
+  isLessonPaused
+};
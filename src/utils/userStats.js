@@ -0,0 +1,92 @@
+const { zonedTime } = require('./timeZones');
+
+/**
+ * Pure helpers for the counters kept on the user document
+ * (running average score, streak and last activity day)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar day of a date, as YYYY-MM-DD
+ * @param {Date} date - Point in time
+ * @param {string} [timeZone] - IANA timezone the day is counted in
+ * @returns {string}
+ */
+function toDateKey(date, timeZone = 'UTC') {
+  return zonedTime(date, timeZone).dateKey;
+}
+
+/**
+ * Whole days from one day key to another
+ * @param {string} fromKey - Earlier day (YYYY-MM-DD)
+ * @param {string} toKey - Later day (YYYY-MM-DD)
+ * @returns {number}
+ */
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+}
+
+/**
+ * Day a number of days after a day key
+ * @param {string} dateKey - Day, YYYY-MM-DD
+ * @param {number} [days] - Days to add (negative to go back)
+ * @returns {string}
+ */
+function addDays(dateKey, days = 1) {
+  return new Date(Date.parse(dateKey) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Add a value to a running mean
+ * @param {number} mean - Current mean
+ * @param {number} count - Values included in the current mean
+ * @param {number} value - New value
+ * @returns {number} New mean, rounded to one decimal
+ */
+function runningMean(mean, count, value) {
+  const next = ((mean || 0) * count + value) / (count + 1);
+  return Math.round(next * 10) / 10;
+}
+
+/**
+ * Streak after activity on a given day
+ * Same day keeps the streak, the next day extends it, a gap restarts it.
+ * @param {number} streak - Stored streak
+ * @param {string|null} lastActivityDate - Day of the previous activity
+ * @param {string} today - Day of this activity
+ * @returns {number}
+ */
+function nextStreak(streak, lastActivityDate, today) {
+  if (!lastActivityDate) {
+    return 1;
+  }
+
+  const gap = daysBetween(lastActivityDate, today);
+  if (gap <= 0) {
+    return Math.max(streak || 0, 1);
+  }
+  return gap === 1 ? (streak || 0) + 1 : 1;
+}
+
+/**
+ * Streak to display: a stored streak lapses once a full day passes without activity
+ * @param {{streak?: number, lastActivityDate?: string|null}} user - User data
+ * @param {string} today - Current day
+ * @returns {number}
+ */
+function currentStreak(user, today) {
+  if (!user.lastActivityDate) {
+    return user.streak || 0;
+  }
+  return daysBetween(user.lastActivityDate, today) <= 1 ? user.streak || 0 : 0;
+}
+
+module.exports = {
+  toDateKey,
+  daysBetween,
+  addDays,
+  runningMean,
+  nextStreak,
+  currentStreak
+};
@@ -0,0 +1,99 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { handleSettingsCommand, handleSettingsCallback } = require('../../src/handlers/settingsMenuHandler');
+const { t } = require('../../src/i18n');
+
+const NOW = new Date('2026-01-10T08:00:00Z');
+
+/**
+ * Telegraf context stub for the test learner
+ * @param {string} [text] - Message text
+ * @returns {Object}
+ */
+function fakeContext(text) {
+  return {
+    from: { id: 1, language_code: 'en' },
+    message: { text },
+    reply: jest.fn(),
+    answerCbQuery: jest.fn(),
+    editMessageText: jest.fn()
+  };
+}
+
+/**
+ * Settings stored for the test learner
+ * @returns {Promise<Object>}
+ */
+async function storedSettings() {
+  return (await repositories.users.get('1')).settings;
+}
+
+describe('settings menu', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW });
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+    user = {
+      telegramId: '1',
+      name: 'Ana',
+      targetLanguage: 'es',
+      nativeLanguage: 'en',
+      lessonDay: 1,
+      settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC', pausedUntil: null }
+    };
+    await repositories.users.set('1', user);
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+    jest.useRealTimers();
+  });
+
+  it('saves a lesson time picked from the menu and shows the updated menu', async () => {
+    const ctx = fakeContext();
+
+    await handleSettingsCallback(ctx, 'time_12:00', user);
+
+    expect((await storedSettings()).lessonTime).toBe('12:00');
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith(t('en', 'settings.lessonTimeChanged', { time: '12:00' }));
+    expect(ctx.editMessageText.mock.calls[0][0]).toContain('12:00');
+  });
+
+  it('refuses a lesson time that fails the user schema, as from tampered callback data', async () => {
+    const ctx = fakeContext();
+
+    await handleSettingsCallback(ctx, 'time_25:00', user);
+
+    expect((await storedSettings()).lessonTime).toBe('09:00');
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith(t('en', 'settings.saveFailed'));
+    expect(ctx.editMessageText).not.toHaveBeenCalled();
+  });
+
+  it('pauses lessons until a typed date', async () => {
+    const ctx = fakeContext('/settings pause 2026-01-20');
+
+    await handleSettingsCommand(ctx);
+
+    expect((await storedSettings()).pausedUntil).toBe('2026-01-20');
+    expect(ctx.reply).toHaveBeenCalledWith(t('en', 'settings.paused', { date: '2026-01-20' }));
+  });
+
+  it('refuses a typed pause date in the past', async () => {
+    const ctx = fakeContext('/settings pause 2026-01-05');
+
+    await handleSettingsCommand(ctx);
+
+    expect((await storedSettings()).pausedUntil).toBeNull();
+    expect(ctx.reply).toHaveBeenCalledWith(t('en', 'settings.pauseDateInvalid'));
+  });
+
+  it('pauses for a number of days picked from the menu and resumes on request', async () => {
+    await handleSettingsCallback(fakeContext(), 'pause_7', user);
+    expect((await storedSettings()).pausedUntil).toBe('2026-01-17');
+
+    await handleSettingsCallback(fakeContext(), 'resume', user);
+    expect((await storedSettings()).pausedUntil).toBeNull();
+  });
+});
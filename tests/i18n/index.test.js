@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '../../scripts/check-i18n.js');
+
+// Runs the script with quiz.quizEnded dropped from the Russian catalog as it is read
+const RUN_WITHOUT_RU_KEY = `
+const fs = require('fs');
+const readFileSync = fs.readFileSync;
+fs.readFileSync = (file, ...rest) => {
+  const content = readFileSync(file, ...rest);
+  if (!String(file).endsWith('ru.json')) return content;
+  const catalog = JSON.parse(content);
+  delete catalog.quiz.quizEnded;
+  return JSON.stringify(catalog);
+};
+require(${JSON.stringify(SCRIPT)});
+`;
+
+/**
+ * Load the i18n module with one key removed from a locale catalog
+ * @param {string} locale - Catalog to strip
+ * @param {Array<string>} keyPath - Nested key to delete, e.g. ['quiz', 'quizEnded']
+ * @returns {Object} Freshly loaded i18n module
+ */
+function loadWithout(locale, keyPath) {
+  const readFileSync = fs.readFileSync;
+  const spy = jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => {
+    const content = readFileSync(file, ...rest);
+    if (path.basename(String(file)) !== `${locale}.json`) {
+      return content;
+    }
+    const catalog = JSON.parse(content);
+    const parent = keyPath.slice(0, -1).reduce((node, key) => node[key], catalog);
+    delete parent[keyPath[keyPath.length - 1]];
+    return JSON.stringify(catalog);
+  });
+
+  let i18n;
+  jest.isolateModules(() => {
+    i18n = require('../../src/i18n');
+  });
+  spy.mockRestore();
+  return i18n;
+}
+
+describe('findMissingKeys', () => {
+  it('finds nothing missing in the shipped catalogs', () => {
+    expect(require('../../src/i18n').findMissingKeys()).toEqual({});
+  });
+
+  it('reports a key the default locale has but another locale lacks', () => {
+    const i18n = loadWithout('ru', ['quiz', 'quizEnded']);
+
+    expect(i18n.findMissingKeys()).toEqual({ ru: ['quiz.quizEnded'] });
+  });
+
+  it('ignores keys that only a translation has', () => {
+    const i18n = loadWithout('en', ['quiz', 'quizEnded']);
+
+    expect(i18n.findMissingKeys()).toEqual({});
+  });
+});
+
+describe('check-i18n script', () => {
+  it('exits cleanly when every locale is complete', () => {
+    const result = spawnSync(process.execPath, [SCRIPT], { encoding: 'utf8', timeout: 30000 });
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('✅ ru: complete');
+  });
+
+  it('fails and lists the key when a locale is missing one', () => {
+    const result = spawnSync(process.execPath, ['-e', RUN_WITHOUT_RU_KEY], { encoding: 'utf8', timeout: 30000 });
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('❌ ru: 1 missing key(s)');
+    expect(result.stdout).toContain('- quiz.quizEnded');
+    expect(result.stdout).toContain('✅ he: complete');
+  });
+});
@@ -0,0 +1,194 @@
+const { setStore } = require('../../src/repositories/store');
+const { createRepository } = require('../../src/repositories/createRepository');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { createSqliteBackend } = require('../../src/repositories/backends/sqliteBackend');
+
+const backends = [
+  ['memory', () => createFirestoreBackend(createMemoryFirestore(), 'memory')],
+  ['sqlite', () => createSqliteBackend(':memory:')]
+];
+
+describe.each(backends)('%s backend', (name, createBackend) => {
+  let backend;
+  let things;
+
+  beforeEach(() => {
+    backend = createBackend();
+    setStore(backend);
+    things = createRepository('things');
+  });
+
+  afterEach(() => {
+    if (backend.close) backend.close();
+    setStore(null);
+  });
+
+  describe('documents', () => {
+    it('returns null for a missing document', async () => {
+      expect(await things.get('missing')).toBeNull();
+    });
+
+    it('round-trips nested data and Dates', async () => {
+      const createdAt = new Date('2026-01-02T03:04:05Z');
+      await things.set('a', { name: 'A', createdAt, tags: ['x'], nested: { count: 1 } });
+
+      const stored = await things.get('a');
+      expect(stored).toEqual({ name: 'A', createdAt, tags: ['x'], nested: { count: 1 } });
+      expect(stored.createdAt.getTime()).toBe(createdAt.getTime());
+    });
+
+    it('replaces the document on a plain set', async () => {
+      await things.set('a', { keep: 1, nested: { x: 1 } });
+      await things.set('a', { nested: { y: 2 } });
+
+      expect(await things.get('a')).toEqual({ nested: { y: 2 } });
+    });
+
+    it('deep-merges nested objects on set with merge', async () => {
+      await things.set('a', { keep: 1, nested: { x: 1, deeper: { a: 1 } }, list: [1, 2] });
+      await things.set('a', { nested: { y: 2, deeper: { b: 2 } }, list: [3] }, { merge: true });
+
+      expect(await things.get('a')).toEqual({
+        keep: 1,
+        nested: { x: 1, y: 2, deeper: { a: 1, b: 2 } },
+        list: [3]
+      });
+    });
+
+    it('creates the document on set with merge', async () => {
+      await things.set('new', { nested: { x: 1 } }, { merge: true });
+      expect(await things.get('new')).toEqual({ nested: { x: 1 } });
+    });
+
+    it('updates dotted field paths without touching siblings', async () => {
+      await things.set('a', { settings: { lessonTime: '09:00', timezone: 'UTC' } });
+      await things.update('a', { 'settings.lessonTime': '08:00', 'stats.count': 2 });
+
+      expect(await things.get('a')).toEqual({
+        settings: { lessonTime: '08:00', timezone: 'UTC' },
+        stats: { count: 2 }
+      });
+    });
+
+    it('refuses to update a missing document', async () => {
+      await expect(things.update('missing', { x: 1 })).rejects.toThrow();
+    });
+
+    it('deletes and adds documents', async () => {
+      await things.set('a', { x: 1 });
+      await things.delete('a');
+      const id = await things.add({ x: 2 });
+
+      expect(await things.get('a')).toBeNull();
+      expect(await things.get(id)).toEqual({ x: 2 });
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(async () => {
+      await things.set('a', { lang: 'es', score: 70, listed: true, dueAt: new Date('2026-01-01T00:00:00Z'), tags: ['x'] });
+      await things.set('b', { lang: 'es', score: 90, listed: false, dueAt: new Date('2026-01-03T00:00:00Z'), tags: [] });
+      await things.set('c', { lang: 'fr', score: 80, listed: true, dueAt: null, tags: ['x', 'y'] });
+    });
+
+    it('filters, orders and limits', async () => {
+      const found = await things.find({
+        where: [['lang', '==', 'es']],
+        orderBy: { field: 'score', direction: 'desc' },
+        limit: 1
+      });
+
+      expect(found).toEqual([expect.objectContaining({ id: 'b', score: 90 })]);
+    });
+
+    it('compares booleans, Dates, nulls and array members', async () => {
+      const ids = async where => (await things.find({ where })).map(thing => thing.id).sort();
+
+      expect(await ids([['listed', '==', true]])).toEqual(['a', 'c']);
+      expect(await ids([['dueAt', '<=', new Date('2026-01-02T00:00:00Z')]])).toEqual(['a']);
+      expect(await ids([['dueAt', '==', null]])).toEqual(['c']);
+      expect(await ids([['tags', 'array-contains', 'x']])).toEqual(['a', 'c']);
+      expect(await ids([['lang', 'in', ['fr', 'de']]])).toEqual(['c']);
+    });
+
+    it('counts matching documents', async () => {
+      expect(await things.count({ where: [['score', '>', 75]] })).toBe(2);
+      expect(await things.count()).toBe(3);
+    });
+  });
+
+  describe('transactions', () => {
+    it('commits buffered writes together when the callback resolves', async () => {
+      await things.set('a', { count: 1 });
+
+      const result = await backend.runTransaction(async (transaction) => {
+        const tx = things.within(transaction);
+        const current = await tx.get('a');
+        tx.update('a', { count: current.count + 1 });
+        tx.set('b', { from: 'tx' });
+
+        expect(await things.get('b')).toBeNull();
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(await things.get('a')).toEqual({ count: 2 });
+      expect(await things.get('b')).toEqual({ from: 'tx' });
+    });
+
+    it('writes nothing when the callback throws', async () => {
+      await things.set('a', { count: 1 });
+
+      await expect(backend.runTransaction(async (transaction) => {
+        things.within(transaction).update('a', { count: 99 });
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await things.get('a')).toEqual({ count: 1 });
+    });
+
+    it('loses no increments when transactions run concurrently', async () => {
+      await things.set('counter', { value: 0 });
+
+      await Promise.all(Array.from({ length: 20 }, () => backend.runTransaction(async (transaction) => {
+        const tx = things.within(transaction);
+        const { value } = await tx.get('counter');
+        await new Promise(resolve => setImmediate(resolve));
+        tx.update('counter', { value: value + 1 });
+      })));
+
+      expect(await things.get('counter')).toEqual({ value: 20 });
+    });
+
+    it('keeps running after a failed transaction', async () => {
+      await expect(backend.runTransaction(async () => { throw new Error('first'); })).rejects.toThrow('first');
+
+      await backend.runTransaction(async (transaction) => {
+        things.within(transaction).set('after', { ok: true });
+      });
+      expect(await things.get('after')).toEqual({ ok: true });
+    });
+  });
+
+  if (name === 'sqlite') {
+    it('queues a plain write until a running transaction has committed', async () => {
+      await things.set('a', { value: 1 });
+      let releaseTransaction;
+      const gate = new Promise(resolve => { releaseTransaction = resolve; });
+
+      const transaction = backend.runTransaction(async (tx) => {
+        const { value } = await things.within(tx).get('a');
+        await gate;
+        things.within(tx).update('a', { value: value + 1 });
+      });
+      const plainWrite = things.update('a', { value: 10 });
+
+      releaseTransaction();
+      await Promise.all([transaction, plainWrite]);
+
+      // The plain write lands after the transaction instead of being overwritten by it
+      expect(await things.get('a')).toEqual({ value: 10 });
+    });
+  }
+});
@@ -0,0 +1,111 @@
+jest.mock('../../src/handlers/lessonHandler', () => ({ sendLesson: jest.fn() }));
+
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { sendLesson } = require('../../src/handlers/lessonHandler');
+const { createScheduler } = require('../../src/scheduler');
+
+const NOW = new Date('2026-01-10T09:00:00Z');
+
+/**
+ * Store learners whose 09:00 UTC lesson is due, oldest slot first
+ * @param {number} count - Number of learners
+ * @returns {Promise<Array<string>>} Their Telegram IDs
+ */
+async function seedDueLearners(count) {
+  const ids = Array.from({ length: count }, (_, index) => `u${index + 1}`);
+  await Promise.all(ids.map((id, index) => repositories.users.set(id, {
+    telegramId: id,
+    targetLanguage: 'es',
+    nativeLanguage: 'he',
+    lessonDay: 1,
+    lastLessonSentAt: null,
+    nextLessonAt: new Date(NOW.getTime() - (count - index) * 60 * 1000),
+    settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC' }
+  })));
+  return ids;
+}
+
+/**
+ * Telegram IDs the mocked sendLesson was called with
+ * @returns {Array<string>}
+ */
+function sentTo() {
+  return sendLesson.mock.calls.map(([, telegramId]) => telegramId).sort();
+}
+
+describe('runDailyLessons', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+    sendLesson.mockReset();
+    sendLesson.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    repositories.setStore(null);
+  });
+
+  it('reaches every due user across several pages', async () => {
+    const ids = await seedDueLearners(5);
+    const scheduler = createScheduler({ bot: {}, clock: () => NOW, pageSize: 2 });
+
+    const { data } = await scheduler.runDailyLessons();
+
+    expect(data).toMatchObject({ ran: true, pages: 3, due: 5, sent: 5 });
+    expect(sentTo()).toEqual(ids.sort());
+  });
+
+  it('fetches past users whose delivery keeps erroring, without retrying them', async () => {
+    const ids = await seedDueLearners(5);
+    const runTransaction = repositories.runTransaction;
+    jest.spyOn(repositories, 'runTransaction').mockImplementation(fn => runTransaction(transaction => fn({
+      ...transaction,
+      get: (collection, id) => (id === 'u1' ? Promise.reject(new Error('contention')) : transaction.get(collection, id))
+    })));
+    const scheduler = createScheduler({ bot: {}, clock: () => NOW, pageSize: 2 });
+
+    const { data } = await scheduler.runDailyLessons();
+
+    expect(data).toMatchObject({ ran: true, due: 5, sent: 4, unscheduled: 1 });
+    expect(sentTo()).toEqual(ids.filter(id => id !== 'u1'));
+    expect((await repositories.users.get('u1')).nextLessonAt).toEqual(new Date(NOW.getTime() - 5 * 60 * 1000));
+  });
+
+  it('sends nothing while another instance holds the scheduler lease', async () => {
+    await seedDueLearners(2);
+    await repositories.leases.set('scheduler', { holder: 'other-instance', expiresAt: new Date(NOW.getTime() + 60 * 1000) });
+    const scheduler = createScheduler({ bot: {}, clock: () => NOW, pageSize: 2 });
+
+    const { data } = await scheduler.runDailyLessons();
+
+    expect(data).toEqual({ ran: false });
+    expect(sendLesson).not.toHaveBeenCalled();
+  });
+
+  it('stops between pages once another instance has taken the lease', async () => {
+    await seedDueLearners(5);
+    sendLesson.mockImplementation(async () => {
+      await repositories.leases.set('scheduler', { holder: 'other-instance', expiresAt: new Date(NOW.getTime() + 60 * 1000) });
+      return { success: true };
+    });
+    const scheduler = createScheduler({ bot: {}, clock: () => NOW, pageSize: 2 });
+
+    const { data } = await scheduler.runDailyLessons();
+
+    expect(data).toMatchObject({ ran: true, pages: 1, sent: 2, leaseLost: true });
+    expect(sentTo()).toEqual(['u1', 'u2']);
+  });
+
+  it('takes over and sends once the other instance\'s lease has expired', async () => {
+    const ids = await seedDueLearners(2);
+    await repositories.leases.set('scheduler', { holder: 'other-instance', expiresAt: NOW });
+    const scheduler = createScheduler({ bot: {}, clock: () => NOW, pageSize: 2 });
+
+    const { data } = await scheduler.runDailyLessons();
+
+    expect(data.sent).toBe(2);
+    expect(sentTo()).toEqual(ids);
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/services/userStatusService', () => ({ markInactive: jest.fn(async () => ({ success: true })) }));
+
+const userStatusService = require('../../src/services/userStatusService');
+const { sendMessage } = require('../../src/services/deliveryService');
+
+/**
+ * Error shaped like a Telegraf TelegramError
+ * @param {number} status - Bot API error_code
+ * @param {string} description - Bot API description
+ * @param {Object} [parameters] - Bot API response parameters
+ * @returns {Error}
+ */
+function telegramError(status, description, parameters) {
+  return Object.assign(new Error(description), { response: { ok: false, error_code: status, description, parameters } });
+}
+
+/**
+ * Telegram client whose sendMessage fails with the given errors, then succeeds
+ * @param {...Error} errors - Errors thrown by the first calls
+ * @returns {{sendMessage: jest.Mock}}
+ */
+function telegramFailing(...errors) {
+  const sendMessage = jest.fn(async () => ({ message_id: 1 }));
+  errors.forEach(error => sendMessage.mockRejectedValueOnce(error));
+  return { sendMessage };
+}
+
+/**
+ * Send a message, running the retry waits on the fake clock
+ * @param {Object} telegram - Telegram client
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object>} sendMessage result
+ */
+async function send(telegram, chatId) {
+  const result = sendMessage(telegram, chatId, 'Hola');
+  await jest.runAllTimersAsync();
+  return result;
+}
+
+describe('sendMessage', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    userStatusService.markInactive.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('returns the sent message', async () => {
+    const telegram = telegramFailing();
+
+    expect(await send(telegram, '1')).toEqual({ success: true, data: { message_id: 1 } });
+    expect(telegram.sendMessage).toHaveBeenCalledWith('1', 'Hola', {});
+  });
+
+  it('retries once after a 429, once retry_after has passed', async () => {
+    const telegram = telegramFailing();
+    const calledAt = [];
+    telegram.sendMessage.mockImplementation(async () => {
+      calledAt.push(Date.now());
+      if (calledAt.length === 1) {
+        throw telegramError(429, 'Too Many Requests: retry after 3', { retry_after: 3 });
+      }
+      return { message_id: 1 };
+    });
+
+    const result = await send(telegram, '2');
+
+    expect(result.success).toBe(true);
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(2);
+    // The limiter reads the real clock, so allow for the time the test itself took
+    expect(calledAt[1] - calledAt[0]).toBeGreaterThan(2900);
+  });
+
+  it('gives up at once when retry_after is longer than the configured maximum', async () => {
+    const telegram = telegramFailing(telegramError(429, 'Too Many Requests: retry after 3600', { retry_after: 3600 }));
+
+    expect(await send(telegram, '3')).toMatchObject({ success: false, code: 'ERR_RATE_LIMITED' });
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks a user who blocked the bot inactive without retrying', async () => {
+    const telegram = telegramFailing(telegramError(403, 'Forbidden: bot was blocked by the user'));
+
+    expect(await send(telegram, '4')).toMatchObject({ success: false, code: 'ERR_USER_BLOCKED' });
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+    expect(userStatusService.markInactive).toHaveBeenCalledWith('4', 'blocked');
+  });
+
+  it('marks a user whose chat is gone inactive without retrying', async () => {
+    const telegram = telegramFailing(telegramError(400, 'Bad Request: chat not found'));
+
+    expect(await send(telegram, '5')).toMatchObject({ success: false, code: 'ERR_CHAT_NOT_FOUND' });
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+    expect(userStatusService.markInactive).toHaveBeenCalledWith('5', 'chat_not_found');
+  });
+
+  it('retries server errors and recovers', async () => {
+    const telegram = telegramFailing(telegramError(502, 'Bad Gateway'), telegramError(500, 'Internal Server Error'));
+
+    expect((await send(telegram, '6')).success).toBe(true);
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps the user active when server errors outlast the attempts', async () => {
+    const telegram = telegramFailing(...Array(4).fill(telegramError(502, 'Bad Gateway')));
+
+    expect(await send(telegram, '7')).toMatchObject({ success: false, code: 'ERR_TELEGRAM_UNAVAILABLE' });
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(4);
+    expect(userStatusService.markInactive).not.toHaveBeenCalled();
+  });
+
+  it('does not retry messages Telegram rejects', async () => {
+    const telegram = telegramFailing(telegramError(400, 'Bad Request: message is too long'));
+
+    expect(await send(telegram, '8')).toMatchObject({ success: false, code: 'ERR_TELEGRAM_REJECTED' });
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+    expect(userStatusService.markInactive).not.toHaveBeenCalled();
+  });
+});
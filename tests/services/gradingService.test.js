@@ -0,0 +1,70 @@
+jest.mock('../../src/services/llm/mockProvider', () => ({ name: 'mock', isConfigured: () => true, complete: jest.fn() }));
+
+const mockProvider = require('../../src/services/llm/mockProvider');
+const { gradeTranscript } = require('../../src/services/gradingService');
+
+const REPLY = {
+  rubric: { pronunciation: 20, grammar: 18, vocabulary: 15, fluency: 12, comprehension: 9 },
+  feedback: 'Roll the r in "perro".',
+  strengths: ['clear vowels'],
+  weakAreas: ['r sound'],
+  correctedSentence: 'Tengo un perro.'
+};
+
+const PARAMS = {
+  transcript: 'Tengo un pero',
+  targetLanguage: 'es',
+  nativeLanguage: 'en',
+  lessonWords: [{ word: 'perro' }],
+  expectedAnswer: 'Tengo un perro.'
+};
+
+describe('gradeTranscript', () => {
+  beforeEach(() => {
+    mockProvider.complete.mockReset();
+  });
+
+  it('grades a valid reply with one request', async () => {
+    mockProvider.complete.mockResolvedValueOnce(JSON.stringify(REPLY));
+
+    const result = await gradeTranscript(PARAMS);
+
+    expect(result).toEqual({
+      success: true,
+      data: { score: 74, ...REPLY, llmProvider: 'mock', llmModel: 'mock-grader' }
+    });
+    expect(mockProvider.complete).toHaveBeenCalledTimes(1);
+    expect(mockProvider.complete).toHaveBeenCalledWith(expect.objectContaining({ jsonSchema: expect.any(Object), temperature: 0 }));
+  });
+
+  it('asks once for a repair and uses the repaired reply', async () => {
+    mockProvider.complete
+      .mockResolvedValueOnce('{"rubric": {"pronunciation": 30}}')
+      .mockResolvedValueOnce(JSON.stringify(REPLY));
+
+    const result = await gradeTranscript(PARAMS);
+    const repairMessages = mockProvider.complete.mock.calls[1][0].messages;
+
+    expect(result.success).toBe(true);
+    expect(result.data.score).toBe(74);
+    expect(repairMessages[repairMessages.length - 2]).toEqual({ role: 'assistant', content: '{"rubric": {"pronunciation": 30}}' });
+    expect(repairMessages[repairMessages.length - 1].content).toMatch(/did not match the schema/);
+  });
+
+  it('fails with ERR_GRADING_INVALID_OUTPUT when the repair is invalid too', async () => {
+    mockProvider.complete
+      .mockResolvedValueOnce('not json')
+      .mockResolvedValueOnce(JSON.stringify({ ...REPLY, rubric: { ...REPLY.rubric, grammar: 40 } }));
+
+    const result = await gradeTranscript(PARAMS);
+
+    expect(result).toMatchObject({ success: false, code: 'ERR_GRADING_INVALID_OUTPUT' });
+    expect(mockProvider.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails with ERR_GRADING_FAILED when no provider answers', async () => {
+    mockProvider.complete.mockRejectedValueOnce(new Error('Service unavailable'));
+
+    expect(await gradeTranscript(PARAMS)).toMatchObject({ success: false, code: 'ERR_GRADING_FAILED' });
+  });
+});
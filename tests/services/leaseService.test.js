@@ -0,0 +1,82 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { INSTANCE_ID, acquireLease, releaseLease } = require('../../src/services/leaseService');
+
+const NOW = new Date('2026-01-10T09:00:00Z');
+const TTL_MS = 20 * 60 * 1000;
+
+/**
+ * Time a number of minutes after NOW
+ * @param {number} minutes - Minutes
+ * @returns {Date}
+ */
+function minutesLater(minutes) {
+  return new Date(NOW.getTime() + minutes * 60 * 1000);
+}
+
+describe('acquireLease', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('takes a free lease', async () => {
+    const { data } = await acquireLease('scheduler', TTL_MS, NOW);
+
+    expect(data).toEqual({ acquired: true, holder: INSTANCE_ID, expiresAt: minutesLater(20) });
+  });
+
+  it('renews a lease this instance already holds', async () => {
+    await acquireLease('scheduler', TTL_MS, NOW);
+    const { data } = await acquireLease('scheduler', TTL_MS, minutesLater(5));
+
+    expect(data.acquired).toBe(true);
+    expect(data.expiresAt).toEqual(minutesLater(25));
+  });
+
+  it('is refused while another instance holds a live lease', async () => {
+    await repositories.leases.set('scheduler', { holder: 'other-instance', expiresAt: minutesLater(10) });
+
+    const { data } = await acquireLease('scheduler', TTL_MS, NOW);
+
+    expect(data).toEqual({ acquired: false, holder: 'other-instance', expiresAt: minutesLater(10) });
+    expect((await repositories.leases.get('scheduler')).holder).toBe('other-instance');
+  });
+
+  it('takes over once the other holder stops renewing and the lease expires', async () => {
+    await repositories.leases.set('scheduler', { holder: 'other-instance', expiresAt: minutesLater(10) });
+
+    const { data } = await acquireLease('scheduler', TTL_MS, minutesLater(10));
+
+    expect(data.acquired).toBe(true);
+    expect((await repositories.leases.get('scheduler')).holder).toBe(INSTANCE_ID);
+  });
+});
+
+describe('releaseLease', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('frees a lease this instance holds', async () => {
+    await acquireLease('scheduler', TTL_MS, NOW);
+    await releaseLease('scheduler');
+
+    expect(await repositories.leases.get('scheduler')).toBeNull();
+  });
+
+  it('leaves a lease held by another instance alone', async () => {
+    await repositories.leases.set('scheduler', { holder: 'other-instance', expiresAt: minutesLater(10) });
+    await releaseLease('scheduler');
+
+    expect((await repositories.leases.get('scheduler')).holder).toBe('other-instance');
+  });
+});
@@ -0,0 +1,122 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { SKIP_REASONS, deliverDailyLessons } = require('../../src/services/lessonDeliveryService');
+
+const NOW = new Date('2026-01-10T09:00:00Z');
+
+/**
+ * Store learners whose 09:00 UTC lesson is due
+ * @param {Array<string>} ids - Telegram IDs
+ * @returns {Promise<Array<Object>>} The stored users
+ */
+async function seedDueLearners(ids) {
+  const users = ids.map(id => ({
+    telegramId: id,
+    targetLanguage: 'es',
+    nativeLanguage: 'he',
+    lessonDay: 1,
+    lastLessonSentAt: null,
+    nextLessonAt: NOW,
+    settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC' }
+  }));
+  await Promise.all(users.map(user => repositories.users.set(user.telegramId, user)));
+  return users;
+}
+
+/**
+ * Lesson sender that records each call
+ * @param {Object} [result] - What every send returns
+ * @returns {jest.Mock}
+ */
+function recordingSend(result = { success: true }) {
+  return jest.fn(async () => result);
+}
+
+describe('deliverDailyLessons', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('claims the lesson and moves the slot to the next day', async () => {
+    const [user] = await seedDueLearners(['u1']);
+    const send = recordingSend();
+
+    const { data } = await deliverDailyLessons([user], send, NOW);
+    const stored = await repositories.users.get('u1');
+
+    expect(data).toMatchObject({ due: 1, sent: 1, skipped: 0, failed: 0 });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ telegramId: 'u1' }), 1);
+    expect(stored.lastLessonSentAt.getTime()).toBe(NOW.getTime());
+    expect(stored.nextLessonAt.toISOString()).toBe('2026-01-11T09:00:00.000Z');
+  });
+
+  it('delivers each due user once when two runs overlap', async () => {
+    const users = await seedDueLearners(['u1', 'u2', 'u3']);
+    const send = recordingSend();
+
+    const [first, second] = await Promise.all([
+      deliverDailyLessons(users, send, NOW),
+      deliverDailyLessons(users, send, NOW)
+    ]);
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(send.mock.calls.map(([user]) => user.telegramId).sort()).toEqual(['u1', 'u2', 'u3']);
+    expect(first.data.sent + second.data.sent).toBe(3);
+    expect(first.data.skippedBy[SKIP_REASONS.ALREADY_SENT] || 0).toBe(3 - first.data.sent);
+  });
+
+  it('does not send again on a later run the same day', async () => {
+    const users = await seedDueLearners(['u1']);
+    const send = recordingSend();
+
+    await deliverDailyLessons(users, send, NOW);
+    const { data } = await deliverDailyLessons(users, send, new Date('2026-01-10T09:15:00Z'));
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(data.skippedBy).toEqual({ [SKIP_REASONS.ALREADY_SENT]: 1 });
+  });
+
+  it('releases the claim when the send fails, so a later run retries it', async () => {
+    const users = await seedDueLearners(['u1']);
+
+    const failed = await deliverDailyLessons(users, recordingSend({ success: false, error: 'Telegram down' }), NOW);
+    const released = await repositories.users.get('u1');
+
+    expect(failed.data).toMatchObject({ sent: 0, failed: 1 });
+    expect(released.lastLessonSentAt).toBeNull();
+    expect(released.nextLessonAt.toISOString()).toBe('2026-01-10T09:15:00.000Z');
+
+    const send = recordingSend();
+    const retried = await deliverDailyLessons([released], send, released.nextLessonAt);
+
+    expect(retried.data.sent).toBe(1);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the claim when the pack has no lesson for the day', async () => {
+    const users = await seedDueLearners(['u1']);
+
+    const { data } = await deliverDailyLessons(users, recordingSend({ success: false, code: 'ERR_LESSON_NOT_FOUND' }), NOW);
+
+    expect(data.skippedBy).toEqual({ [SKIP_REASONS.NO_LESSON]: 1 });
+    expect((await repositories.users.get('u1')).lastLessonSentAt.getTime()).toBe(NOW.getTime());
+  });
+
+  it('skips inactive users without claiming', async () => {
+    const [user] = await seedDueLearners(['u1']);
+    const inactive = { ...user, inactive: { reason: 'blocked', since: NOW } };
+    await repositories.users.set('u1', inactive);
+    const send = recordingSend();
+
+    const { data } = await deliverDailyLessons([inactive], send, NOW);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(data.skippedBy).toEqual({ [SKIP_REASONS.INACTIVE]: 1 });
+    expect((await repositories.users.get('u1')).nextLessonAt).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const { loadLessonPacks } = require('../../src/services/lessonPackLoader');
+
+/**
+ * Minimal valid pack
+ * @param {Object} [fields] - Pack fields to override
+ * @returns {Object}
+ */
+function pack(fields = {}) {
+  return {
+    language: 'es',
+    version: '1.0.0',
+    lessons: [{
+      day: 1,
+      title: 'Saludos',
+      words: [{ word: 'hola', translations: { en: 'hello' }, example: '¡Hola!' }],
+      quizPrompt: { en: "Say: 'Hola'" },
+      expectedSentence: 'Hola',
+      metadata: { level: 'A1' }
+    }],
+    ...fields
+  };
+}
+
+describe('loadLessonPacks', () => {
+  let packsDir;
+
+  /**
+   * Write a pack file into the test directory
+   * @param {string} file - File name
+   * @param {Object|string} content - Pack, or raw file content
+   * @returns {void}
+   */
+  function writePack(file, content) {
+    fs.writeFileSync(path.join(packsDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  beforeEach(() => {
+    packsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lesson-packs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+  });
+
+  it('loads the bundled packs', () => {
+    const result = loadLessonPacks(config.lessons.packsDir);
+
+    expect(result.success).toBe(true);
+    expect(Object.keys(result.data).sort()).toEqual(['de', 'en', 'es', 'fr']);
+  });
+
+  it('indexes lessons by day and records the file they came from', () => {
+    writePack('es.json', pack());
+
+    const { data } = loadLessonPacks(packsDir);
+
+    expect(data.es.source).toBe('es.json');
+    expect(data.es.lessons[1]).toMatchObject({ title: 'Saludos', expectedSentence: 'Hola' });
+  });
+
+  it('accepts lessons with more or fewer than five words', () => {
+    const words = Array.from({ length: 8 }, (_, i) => ({ word: `w${i}`, translations: { en: `t${i}` }, example: `w${i}` }));
+    writePack('es.json', pack({ lessons: [{ ...pack().lessons[0], words }] }));
+
+    expect(loadLessonPacks(packsDir).success).toBe(true);
+  });
+
+  it('rejects a malformed pack, naming the file and every problem', () => {
+    const { expectedSentence, ...lesson } = pack().lessons[0];
+    writePack('es.json', pack({ lessons: [{ ...lesson, words: [] }] }));
+
+    const result = loadLessonPacks(packsDir);
+
+    expect(result).toMatchObject({ success: false, code: 'ERR_INVALID_LESSON_PACK' });
+    expect(result.error).toContain('es.json');
+    expect(result.error).toContain('"lessons[0].words" must contain at least 1 items');
+    expect(result.error).toContain('"lessons[0].expectedSentence" is required');
+  });
+
+  it('reports every bad file in one error', () => {
+    writePack('de.yaml', 'language: de\nlessons: [');
+    writePack('es.json', pack({ version: undefined }));
+    writePack('fr.json', pack({ language: 'fr' }));
+
+    const result = loadLessonPacks(packsDir);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/de\.yaml: could not be parsed/);
+    expect(result.error).toMatch(/es\.json: "version" is required/);
+    expect(result.error).not.toMatch(/fr\.json/);
+  });
+
+  it('rejects two packs for the same language', () => {
+    writePack('es.json', pack());
+    writePack('es.yaml', JSON.stringify(pack()));
+
+    expect(loadLessonPacks(packsDir).error).toMatch(/es\.yaml: language 'es' is already defined in es\.json/);
+  });
+
+  it('fails when the directory has no packs', () => {
+    expect(loadLessonPacks(packsDir).error).toMatch(/No lesson packs found/);
+  });
+});
@@ -0,0 +1,15 @@
+const { getLesson } = require('../../src/services/lessonService');
+const { getNativeLanguageCodes } = require('../../src/utils/languageRegistry');
+
+describe('getLesson', () => {
+  it('localizes the quiz prompt but keeps the expected sentence in the target language', () => {
+    const lessons = getNativeLanguageCodes().map(nativeLanguage => getLesson('es', 1, nativeLanguage).data);
+
+    expect(new Set(lessons.map(lesson => lesson.quizPrompt)).size).toBe(lessons.length);
+    lessons.forEach(lesson => expect(lesson.expectedSentence).toBe('Hola, me llamo [tu nombre]. ¡Mucho gusto!'));
+  });
+
+  it('fails with ERR_LESSON_NOT_FOUND for a day the pack lacks', () => {
+    expect(getLesson('es', 99, 'en')).toMatchObject({ success: false, code: 'ERR_LESSON_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Stub LLM provider
+ * @param {string} name - Provider name
+ * @returns {{name: string, isConfigured: jest.Mock, complete: jest.Mock}}
+ */
+function mockLlmProvider(name) {
+  return {
+    name,
+    isConfigured: jest.fn(() => true),
+    complete: jest.fn(async () => `${name} reply`)
+  };
+}
+
+jest.mock('../../../src/services/llm/groqProvider', () => mockLlmProvider('groq'));
+jest.mock('../../../src/services/llm/openaiProvider', () => mockLlmProvider('openai'));
+jest.mock('../../../src/services/llm/anthropicProvider', () => mockLlmProvider('anthropic'));
+
+const config = require('../../../src/config/config');
+const groq = require('../../../src/services/llm/groqProvider');
+const openai = require('../../../src/services/llm/openaiProvider');
+const anthropic = require('../../../src/services/llm/anthropicProvider');
+const { complete } = require('../../../src/services/llm');
+
+const REQUEST = { messages: [{ role: 'user', content: 'Hola' }], temperature: 0 };
+
+/**
+ * Reply check that accepts only the given text
+ * @param {string} expected - Valid reply
+ * @returns {Function}
+ */
+function acceptOnly(expected) {
+  return text => (text === expected ? { valid: true } : { valid: false, error: `unexpected "${text}"` });
+}
+
+describe('complete', () => {
+  const { providers, models } = config.llm;
+
+  beforeEach(() => {
+    config.llm.providers = ['groq', 'openai', 'anthropic'];
+    config.llm.models = { grading: { groq: 'llama', openai: 'gpt', anthropic: 'claude' } };
+    [groq, openai, anthropic].forEach((provider) => {
+      provider.isConfigured.mockReset().mockReturnValue(true);
+      provider.complete.mockReset().mockImplementation(async () => `${provider.name} reply`);
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config.llm, { providers, models });
+  });
+
+  it('uses the first provider in the configured order, with its model for the task', async () => {
+    expect(await complete('grading', REQUEST)).toEqual({ success: true, data: { text: 'groq reply', provider: 'groq', model: 'llama' } });
+    expect(groq.complete).toHaveBeenCalledWith({ ...REQUEST, model: 'llama' });
+    expect(openai.complete).not.toHaveBeenCalled();
+  });
+
+  it('follows a different configured order', async () => {
+    config.llm.providers = ['anthropic', 'groq'];
+
+    expect((await complete('grading', REQUEST)).data.provider).toBe('anthropic');
+  });
+
+  it('skips providers that are not configured', async () => {
+    groq.isConfigured.mockReturnValue(false);
+
+    expect((await complete('grading', REQUEST)).data.provider).toBe('openai');
+    expect(groq.complete).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the next provider after an exception', async () => {
+    groq.complete.mockRejectedValue(new Error('503 Service Unavailable'));
+
+    expect((await complete('grading', REQUEST)).data).toEqual({ text: 'openai reply', provider: 'openai', model: 'gpt' });
+  });
+
+  it('fails with ERR_LLM_UNAVAILABLE when every provider fails', async () => {
+    [groq, openai, anthropic].forEach(provider => provider.complete.mockRejectedValue(new Error('timeout')));
+
+    expect(await complete('grading', REQUEST)).toEqual({ success: false, error: 'No LLM provider available', code: 'ERR_LLM_UNAVAILABLE' });
+  });
+
+  it('fails with ERR_LLM_UNAVAILABLE when no provider is configured', async () => {
+    [groq, openai, anthropic].forEach(provider => provider.isConfigured.mockReturnValue(false));
+
+    expect((await complete('grading', REQUEST)).code).toBe('ERR_LLM_UNAVAILABLE');
+  });
+
+  it('rejects unknown tasks', async () => {
+    expect((await complete('translation', REQUEST)).code).toBe('ERR_INVALID_INPUT');
+  });
+
+  it('treats a reply that fails validation as a provider failure', async () => {
+    const result = await complete('grading', { ...REQUEST, validate: acceptOnly('openai reply') });
+
+    expect(result.data.provider).toBe('openai');
+    expect(groq.complete).toHaveBeenCalledWith({ ...REQUEST, model: 'llama' });
+  });
+
+  it('returns the last invalid reply with ERR_LLM_INVALID_OUTPUT when no reply is valid', async () => {
+    anthropic.complete.mockRejectedValue(new Error('timeout'));
+
+    const result = await complete('grading', { ...REQUEST, validate: acceptOnly('none') });
+
+    expect(result).toEqual({
+      success: false,
+      data: { text: 'openai reply', provider: 'openai', model: 'gpt' },
+      error: 'unexpected "openai reply"',
+      code: 'ERR_LLM_INVALID_OUTPUT'
+    });
+  });
+});
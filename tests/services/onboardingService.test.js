@@ -0,0 +1,70 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { ONBOARDING_STEPS, createLearner } = require('../../src/services/onboardingService');
+
+const NOW = new Date('2026-01-10T12:00:00Z');
+
+/**
+ * Profile of a learner picking Spanish
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object}
+ */
+function profile(overrides = {}) {
+  return { userId: 'u1', name: 'Ana', targetLanguage: 'es', nativeLanguage: 'he', ...overrides };
+}
+
+describe('createLearner', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('stores a new learner on the native language step', async () => {
+    const result = await createLearner(profile(), NOW);
+    const stored = await repositories.users.get('u1');
+
+    expect(result).toMatchObject({ success: true, data: { telegramId: 'u1', targetLanguage: 'es' } });
+    expect(stored).toMatchObject({
+      lessonDay: 1,
+      streak: 0,
+      onboardingStep: ONBOARDING_STEPS.NATIVE_LANGUAGE,
+      settings: { lessonTime: '09:00', notificationEnabled: true }
+    });
+    expect(stored.nextLessonAt.getTime()).toBeGreaterThan(NOW.getTime());
+  });
+
+  it('leaves an existing learner untouched', async () => {
+    await createLearner(profile(), NOW);
+    await repositories.users.update('u1', { lessonDay: 4, totalLessons: 3, 'settings.lessonTime': '07:30' });
+
+    const result = await createLearner(profile({ targetLanguage: 'fr' }), NOW);
+    const stored = await repositories.users.get('u1');
+
+    expect(result).toMatchObject({ success: false, code: 'ERR_USER_EXISTS' });
+    expect(stored).toMatchObject({ targetLanguage: 'es', lessonDay: 4, totalLessons: 3 });
+    expect(stored.settings.lessonTime).toBe('07:30');
+  });
+
+  it('creates the learner once when two language taps race', async () => {
+    const results = await Promise.all([
+      createLearner(profile({ targetLanguage: 'es' }), NOW),
+      createLearner(profile({ targetLanguage: 'fr' }), NOW)
+    ]);
+    const winner = results.find(result => result.success);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(results.filter(result => result.code === 'ERR_USER_EXISTS')).toHaveLength(1);
+    expect((await repositories.users.get('u1')).targetLanguage).toBe(winner.data.targetLanguage);
+  });
+
+  it('rejects an unsupported target language', async () => {
+    const result = await createLearner(profile({ targetLanguage: 'xx' }), NOW);
+
+    expect(result).toMatchObject({ success: false, code: 'ERR_INVALID_INPUT' });
+    expect(await repositories.users.get('u1')).toBeNull();
+  });
+});
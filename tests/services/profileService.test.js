@@ -0,0 +1,66 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { switchLanguage } = require('../../src/services/profileService');
+
+describe('switchLanguage', () => {
+  beforeEach(async () => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+    await repositories.users.set('u1', {
+      telegramId: 'u1',
+      targetLanguage: 'es',
+      lessonDay: 4,
+      totalLessons: 3,
+      streak: 2,
+      avgScore: 81,
+      assessmentCount: 5,
+      lastActivityDate: '2026-01-10',
+      lessonStates: {},
+      settings: { timezone: 'UTC' }
+    });
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('starts a new language from day 1 and keeps the old progress', async () => {
+    const result = await switchLanguage('u1', 'fr');
+    const user = await repositories.users.get('u1');
+
+    expect(result.data).toEqual({ targetLanguage: 'fr', resumed: false, lessonDay: 1, totalLessons: 0 });
+    expect(user).toMatchObject({ targetLanguage: 'fr', lessonDay: 1, streak: 0 });
+    expect(user.profiles.es).toMatchObject({ lessonDay: 4, totalLessons: 3, avgScore: 81 });
+  });
+
+  it('resumes a language studied before', async () => {
+    await switchLanguage('u1', 'fr');
+    const result = await switchLanguage('u1', 'es');
+    const user = await repositories.users.get('u1');
+
+    expect(result.data).toEqual({ targetLanguage: 'es', resumed: true, lessonDay: 4, totalLessons: 3 });
+    expect(user).toMatchObject({ targetLanguage: 'es', lessonDay: 4, streak: 2, avgScore: 81, assessmentCount: 5 });
+    expect(Object.keys(user.profiles)).toEqual(['fr']);
+  });
+
+  it('changes nothing when the language is already active', async () => {
+    const result = await switchLanguage('u1', 'es');
+
+    expect(result.data).toMatchObject({ resumed: true, lessonDay: 4 });
+    expect((await repositories.users.get('u1')).profiles).toBeUndefined();
+  });
+
+  it('parks a legacy user\'s progress with counted assessments', async () => {
+    await repositories.users.update('u1', { assessmentCount: undefined, lastActivityDate: undefined });
+    await repositories.assessments.set('a1', { userId: 'u1', score: 80, timestamp: new Date('2026-01-09T08:00:00Z') });
+    await repositories.assessments.set('a2', { userId: 'u1', score: 82, timestamp: new Date('2026-01-10T08:00:00Z') });
+
+    await switchLanguage('u1', 'fr');
+
+    expect((await repositories.users.get('u1')).profiles.es).toMatchObject({ assessmentCount: 2, lastActivityDate: '2026-01-10' });
+  });
+
+  it('fails with ERR_USER_NOT_FOUND for unknown users', async () => {
+    expect(await switchLanguage('missing', 'fr')).toMatchObject({ success: false, code: 'ERR_USER_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,118 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { generateQuestions, startQuiz, answerQuestion } = require('../../src/services/quizService');
+
+const WORDS = [
+  { word: 'perro', translation: 'dog' },
+  { word: 'gato', translation: 'cat' },
+  { word: 'casa', translation: 'house' },
+  { word: 'agua', translation: 'water' }
+];
+
+/**
+ * Start a quiz for the test learner
+ * @returns {Promise<Object>} The session
+ */
+async function startTestQuiz() {
+  const { data } = await startQuiz({ userId: 'u1', targetLanguage: 'es', lessonDay: 1, words: WORDS });
+  return data;
+}
+
+/**
+ * Right answer to a question
+ * @param {Object} question - Quiz question
+ * @returns {string|number}
+ */
+function rightAnswer(question) {
+  return question.type === 'choice' ? question.answerIndex : question.answer;
+}
+
+describe('generateQuestions', () => {
+  it('asks about every word, alternating choice and typed questions', () => {
+    const questions = generateQuestions(WORDS);
+
+    expect(questions.map(question => question.word).sort()).toEqual(['agua', 'casa', 'gato', 'perro']);
+    expect(questions.map(question => question.type)).toEqual(['choice', 'typed', 'choice', 'typed']);
+  });
+
+  it('lists the right translation among the options', () => {
+    generateQuestions(WORDS).filter(question => question.type === 'choice').forEach((question) => {
+      expect(question.options).toHaveLength(4);
+      expect(WORDS.find(item => item.word === question.word).translation).toBe(question.options[question.answerIndex]);
+    });
+  });
+});
+
+describe('answerQuestion', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    repositories.setStore(null);
+  });
+
+  it('grades the answer and moves to the next question', async () => {
+    const session = await startTestQuiz();
+
+    const { data } = await answerQuestion('u1', session.id, 0, rightAnswer(session.questions[0]));
+
+    expect(data).toMatchObject({ correct: true, finished: false, score: null });
+    expect((await repositories.quizSessions.get('u1')).currentIndex).toBe(1);
+  });
+
+  it('refuses a second answer to the same question', async () => {
+    const session = await startTestQuiz();
+    await answerQuestion('u1', session.id, 0, 0);
+
+    expect(await answerQuestion('u1', session.id, 0, 1)).toMatchObject({ success: false, code: 'ERR_QUIZ_STALE' });
+  });
+
+  it('refuses answers from the keyboard of an earlier quiz', async () => {
+    const earlier = await startTestQuiz();
+    const current = await startTestQuiz();
+
+    const result = await answerQuestion('u1', earlier.id, 0, 0);
+
+    expect(current.id).not.toBe(earlier.id);
+    expect(result).toMatchObject({ success: false, code: 'ERR_QUIZ_ENDED' });
+    expect((await repositories.quizSessions.get('u1')).answers).toEqual([]);
+  });
+
+  it('refuses answers once the quiz is over', async () => {
+    expect(await answerQuestion('u1', 'abcd1234', 0, 0)).toMatchObject({ success: false, code: 'ERR_QUIZ_ENDED' });
+  });
+
+  it('keeps answering quizzes started before sessions had IDs', async () => {
+    const { id, ...legacy } = await startTestQuiz();
+    await repositories.quizSessions.set('u1', legacy);
+
+    expect((await answerQuestion('u1', undefined, 0, rightAnswer(legacy.questions[0]))).success).toBe(true);
+  });
+
+  it('scores the quiz after the last answer and ends the session', async () => {
+    const session = await startTestQuiz();
+    let result;
+    for (const [index, question] of session.questions.entries()) {
+      result = await answerQuestion('u1', session.id, index, index === 0 ? 'wrong' : rightAnswer(question));
+    }
+
+    expect(result.data).toMatchObject({ finished: true, score: 75 });
+    expect(await repositories.quizSessions.get('u1')).toBeNull();
+  });
+
+  it('retries the transaction when it fails on contention', async () => {
+    const session = await startTestQuiz();
+    const runTransaction = repositories.runTransaction;
+    jest.spyOn(repositories, 'runTransaction')
+      .mockRejectedValueOnce(Object.assign(new Error('Transaction aborted'), { code: 10 }))
+      .mockImplementation(runTransaction);
+
+    const result = await answerQuestion('u1', session.id, 0, rightAnswer(session.questions[0]));
+
+    expect(result.success).toBe(true);
+    expect(repositories.runTransaction).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,87 @@
+const fc = require('fast-check');
+const {
+  wordErrorRate,
+  countLessonWordsUsed,
+  scoreTranscript,
+  blendScores
+} = require('../../src/services/scoringService');
+
+const lessonWords = [{ word: 'hola' }, { word: 'me llamo' }, { word: 'mucho gusto' }];
+
+describe('wordErrorRate', () => {
+  it('is zero for a perfect transcript, ignoring case and punctuation', () => {
+    expect(wordErrorRate('hola me llamo', 'Hola, me llamo.')).toBe(0);
+  });
+
+  it('lets a placeholder match a name of several words at no cost', () => {
+    expect(wordErrorRate('me llamo Ana Maria', 'Me llamo [tu nombre].')).toBe(0);
+  });
+
+  it('still needs something spoken for a placeholder', () => {
+    expect(wordErrorRate('me llamo', 'Me llamo [tu nombre]')).toBeCloseTo(1 / 3);
+  });
+
+  it('counts substitutions and missing words', () => {
+    expect(wordErrorRate('hola', 'hola mucho gusto')).toBeCloseTo(2 / 3);
+    expect(wordErrorRate('adios mucho gusto', 'hola mucho gusto')).toBeCloseTo(1 / 3);
+  });
+
+  it('handles an empty expected sentence', () => {
+    expect(wordErrorRate('', '')).toBe(0);
+    expect(wordErrorRate('hola', '')).toBe(1);
+  });
+
+  it('is never negative and zero against itself', () => {
+    const words = fc.array(fc.constantFrom('hola', 'me', 'llamo', 'ana', 'gusto'), { maxLength: 8 });
+    fc.assert(fc.property(words, words, (spoken, expected) => {
+      expect(wordErrorRate(spoken.join(' '), expected.join(' '))).toBeGreaterThanOrEqual(0);
+      expect(wordErrorRate(expected.join(' '), expected.join(' '))).toBe(0);
+    }));
+  });
+});
+
+describe('countLessonWordsUsed', () => {
+  it('counts whole words and phrases only', () => {
+    expect(countLessonWordsUsed('¡Hola! Me llamo Ana, mucho gusto', lessonWords)).toBe(3);
+    expect(countLessonWordsUsed('holanda', lessonWords)).toBe(0);
+  });
+});
+
+describe('scoreTranscript', () => {
+  it('scores a perfect answer 100', () => {
+    const result = scoreTranscript({
+      transcript: 'Hola, me llamo Ana. Mucho gusto!',
+      expectedAnswer: 'Hola, me llamo [tu nombre]. ¡Mucho gusto!',
+      lessonWords
+    });
+
+    expect(result).toEqual({ localScore: 100, wordErrorRate: 0, lessonWordsUsed: 3 });
+  });
+
+  it('floors the score at 0 when the error rate exceeds 1', () => {
+    const result = scoreTranscript({ transcript: 'uno dos tres cuatro', expectedAnswer: 'hola', lessonWords });
+    expect(result.localScore).toBe(0);
+    expect(result.wordErrorRate).toBeGreaterThan(1);
+  });
+});
+
+describe('blendScores', () => {
+  it('weights the two scores', () => {
+    expect(blendScores(50, 100, { localWeight: 0.4, llmWeight: 0.6 })).toBe(80);
+    expect(blendScores(50, 100, { localWeight: 1, llmWeight: 0 })).toBe(50);
+  });
+
+  it('uses the configured weights by default', () => {
+    expect(blendScores(100, 100)).toBe(100);
+  });
+
+  it('stays between the two scores for any weights', () => {
+    const score = fc.integer({ min: 0, max: 100 });
+    const weight = fc.double({ min: 0.01, max: 10, noNaN: true });
+    fc.assert(fc.property(score, score, weight, weight, (local, llm, localWeight, llmWeight) => {
+      const blended = blendScores(local, llm, { localWeight, llmWeight });
+      expect(blended).toBeGreaterThanOrEqual(Math.min(local, llm));
+      expect(blended).toBeLessThanOrEqual(Math.max(local, llm));
+    }));
+  });
+});
@@ -0,0 +1,79 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { updateUserSettings } = require('../../src/services/settingsService');
+
+const NOW = new Date('2026-01-10T08:00:00Z');
+
+describe('updateUserSettings', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW });
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+    await repositories.users.set('u1', {
+      telegramId: 'u1',
+      targetLanguage: 'es',
+      nativeLanguage: 'he',
+      lessonDay: 2,
+      lastLessonSentAt: null,
+      nextLessonAt: new Date('2026-01-10T09:00:00Z'),
+      settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC' }
+    });
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+    jest.useRealTimers();
+  });
+
+  it('saves a valid lesson time and moves the next lesson to it', async () => {
+    const result = await updateUserSettings('u1', { lessonTime: '12:30' });
+    const user = await repositories.users.get('u1');
+
+    expect(result).toEqual({ success: true, data: { lessonTime: '12:30' } });
+    expect(user.settings).toMatchObject({ lessonTime: '12:30', timezone: 'UTC' });
+    expect(user.nextLessonAt.toISOString()).toBe('2026-01-10T12:30:00.000Z');
+  });
+
+  it('rejects a lesson time that is not HH:MM on a 24-hour clock', async () => {
+    const result = await updateUserSettings('u1', { lessonTime: '25:00' });
+
+    expect(result).toMatchObject({ success: false, code: 'ERR_INVALID_INPUT' });
+    expect(result.error).toMatch(/settings\.lessonTime/);
+    expect((await repositories.users.get('u1')).settings.lessonTime).toBe('09:00');
+  });
+
+  it('rejects unknown timezones and unknown settings', async () => {
+    expect(await updateUserSettings('u1', { timezone: 'Mars/Olympus' })).toMatchObject({ code: 'ERR_INVALID_INPUT' });
+    expect(await updateUserSettings('u1', { volume: 11 })).toEqual({
+      success: false,
+      error: 'Unknown setting "volume"',
+      code: 'ERR_INVALID_INPUT'
+    });
+  });
+
+  it('rejects a pause date that is not YYYY-MM-DD', async () => {
+    expect(await updateUserSettings('u1', { pausedUntil: '11/01/2026' })).toMatchObject({ code: 'ERR_INVALID_INPUT' });
+  });
+
+  it('applies nothing when one of several changes is invalid', async () => {
+    await updateUserSettings('u1', { lessonTime: '07:00', notificationEnabled: 'sometimes' });
+
+    expect((await repositories.users.get('u1')).settings).toMatchObject({ lessonTime: '09:00', notificationEnabled: true });
+  });
+
+  it('holds lessons back until the pause ends, and resumes them when it is cleared', async () => {
+    await updateUserSettings('u1', { pausedUntil: '2026-01-15' });
+    expect((await repositories.users.get('u1')).nextLessonAt.toISOString()).toBe('2026-01-15T09:00:00.000Z');
+
+    await updateUserSettings('u1', { pausedUntil: null });
+    expect((await repositories.users.get('u1')).nextLessonAt.toISOString()).toBe('2026-01-10T09:00:00.000Z');
+  });
+
+  it('stores the native language at the top level', async () => {
+    await updateUserSettings('u1', { nativeLanguage: 'ru' });
+    const user = await repositories.users.get('u1');
+
+    expect(user.nativeLanguage).toBe('ru');
+    expect(user.settings.nativeLanguage).toBeUndefined();
+  });
+});
@@ -0,0 +1,65 @@
+const { findPendingQuiz, markAnswered } = require('../../src/services/speakingQuizService');
+
+const NOW = new Date('2026-01-10T12:00:00Z');
+const LATER = new Date('2026-01-11T12:00:00Z');
+
+/**
+ * Pending speaking quiz
+ * @param {number} messageId - Prompt message ID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object}
+ */
+function prompt(messageId, fields = {}) {
+  return { messageId, lessonDay: messageId, targetLanguage: 'es', sentAt: NOW, expiresAt: LATER, ...fields };
+}
+
+describe('findPendingQuiz', () => {
+  const user = {
+    targetLanguage: 'es',
+    pendingQuizzes: [
+      prompt(10),
+      prompt(11, { answeredAt: NOW }),
+      prompt(12, { expiresAt: NOW }),
+      prompt(13, { targetLanguage: 'fr' }),
+      prompt(14)
+    ]
+  };
+
+  it('uses the latest open prompt when the voice note is not a reply', () => {
+    expect(findPendingQuiz(user, null, NOW).messageId).toBe(14);
+  });
+
+  it('uses the prompt the voice note replies to', () => {
+    expect(findPendingQuiz(user, 10, NOW).messageId).toBe(10);
+  });
+
+  it('matches nothing when the replied prompt was answered or expired', () => {
+    expect(findPendingQuiz(user, 11, NOW)).toBeNull();
+    expect(findPendingQuiz(user, 12, NOW)).toBeNull();
+  });
+
+  it('matches nothing when the reply is to a prompt for another language or to another message', () => {
+    expect(findPendingQuiz(user, 13, NOW)).toBeNull();
+    expect(findPendingQuiz(user, 99, NOW)).toBeNull();
+  });
+
+  it('is null when no prompt is open', () => {
+    expect(findPendingQuiz({ targetLanguage: 'es' }, null, NOW)).toBeNull();
+    expect(findPendingQuiz(user, null, LATER)).toBeNull();
+  });
+});
+
+describe('markAnswered', () => {
+  it('closes an open prompt', () => {
+    const updated = markAnswered([prompt(10), prompt(14)], 10, NOW);
+
+    expect(updated[0].answeredAt).toEqual(NOW);
+    expect(updated[1].answeredAt).toBeUndefined();
+  });
+
+  it('is null when the prompt is already closed', () => {
+    expect(markAnswered([prompt(10, { answeredAt: NOW })], 10, NOW)).toBeNull();
+    expect(markAnswered([prompt(10)], 10, LATER)).toBeNull();
+    expect(markAnswered(undefined, 10, NOW)).toBeNull();
+  });
+});
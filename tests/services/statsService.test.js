@@ -0,0 +1,135 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { recordAssessment } = require('../../src/services/statsService');
+
+/**
+ * Store a learner
+ * @param {Object} [fields] - Fields to set on top of a new learner
+ * @returns {Promise<void>}
+ */
+function seedLearner(fields = {}) {
+  return repositories.users.set('u1', {
+    telegramId: 'u1',
+    targetLanguage: 'es',
+    lessonDay: 1,
+    streak: 0,
+    avgScore: 0,
+    assessmentCount: 0,
+    lastActivityDate: null,
+    settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC' },
+    ...fields
+  });
+}
+
+/**
+ * Assessment of the learner at a given time
+ * @param {number} score - Score
+ * @param {string} timestamp - ISO time
+ * @returns {Object}
+ */
+function assessment(score, timestamp) {
+  return {
+    type: 'quiz',
+    userId: 'u1',
+    lessonDay: 1,
+    targetLanguage: 'es',
+    score,
+    transcript: 'hola',
+    expectedAnswer: 'hola',
+    feedback: 'Good',
+    timestamp: new Date(timestamp)
+  };
+}
+
+/**
+ * Record assessments one after the other
+ * @param {Array<Object>} assessments - Assessments
+ * @returns {Promise<Object>} The learner afterwards
+ */
+async function recordAll(assessments) {
+  for (const data of assessments) {
+    const result = await recordAssessment(data);
+    expect(result.success).toBe(true);
+  }
+  return repositories.users.get('u1');
+}
+
+describe('recordAssessment', () => {
+  beforeEach(() => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('keeps the mean of all scores and counts them', async () => {
+    await seedLearner();
+
+    const user = await recordAll([
+      assessment(60, '2026-01-10T10:00:00Z'),
+      assessment(80, '2026-01-10T11:00:00Z'),
+      assessment(100, '2026-01-10T12:00:00Z')
+    ]);
+
+    expect(user.avgScore).toBe(80);
+    expect(user.assessmentCount).toBe(3);
+  });
+
+  it('counts several assessments on the same day once for the streak', async () => {
+    await seedLearner();
+
+    const user = await recordAll([assessment(70, '2026-01-10T08:00:00Z'), assessment(70, '2026-01-10T20:00:00Z')]);
+
+    expect(user.streak).toBe(1);
+    expect(user.lastActivityDate).toBe('2026-01-10');
+  });
+
+  it('extends the streak on the next day and restarts it after a gap', async () => {
+    await seedLearner();
+
+    const twoDays = await recordAll([assessment(70, '2026-01-10T08:00:00Z'), assessment(70, '2026-01-11T08:00:00Z')]);
+    expect(twoDays.streak).toBe(2);
+
+    const afterGap = await recordAll([assessment(70, '2026-01-13T08:00:00Z')]);
+    expect(afterGap.streak).toBe(1);
+    expect(afterGap.lastActivityDate).toBe('2026-01-13');
+  });
+
+  it('reads the day in the learner\'s timezone', async () => {
+    await seedLearner({ streak: 3, lastActivityDate: '2026-01-10', settings: { timezone: 'Asia/Jerusalem' } });
+
+    // 00:30 on the 11th in Jerusalem, still the 10th in UTC
+    const user = await recordAll([assessment(70, '2026-01-10T22:30:00Z')]);
+
+    expect(user.streak).toBe(4);
+    expect(user.lastActivityDate).toBe('2026-01-11');
+  });
+
+  it('backfills the counters of a user from before they were stored', async () => {
+    await seedLearner({ assessmentCount: undefined, avgScore: 60, streak: 1, lastActivityDate: undefined });
+    await repositories.assessments.set('a1', assessment(50, '2026-01-09T08:00:00Z'));
+    await repositories.assessments.set('a2', assessment(70, '2026-01-10T08:00:00Z'));
+
+    const user = await recordAll([assessment(90, '2026-01-11T08:00:00Z')]);
+
+    expect(user.assessmentCount).toBe(3);
+    expect(user.avgScore).toBe(70);
+    expect(user.streak).toBe(2);
+    expect(user.lastActivityDate).toBe('2026-01-11');
+  });
+
+  it('stores assessments of unknown users without creating them', async () => {
+    const result = await recordAssessment(assessment(70, '2026-01-10T08:00:00Z'));
+
+    expect(result.success).toBe(true);
+    expect(await repositories.assessments.get(result.data.assessmentId)).toMatchObject({ userId: 'u1', score: 70 });
+    expect(await repositories.users.get('u1')).toBeNull();
+  });
+
+  it('rejects invalid assessments', async () => {
+    expect(await recordAssessment({ ...assessment(70, '2026-01-10T08:00:00Z'), score: 120 }))
+      .toMatchObject({ success: false, code: 'ERR_INVALID_INPUT' });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Stub transcription provider
+ * @param {string} name - Provider name
+ * @returns {{name: string, isConfigured: jest.Mock, transcribe: jest.Mock}}
+ */
+function mockSttProvider(name) {
+  return {
+    name,
+    isConfigured: jest.fn(() => true),
+    transcribe: jest.fn(async () => ({ success: true, data: `${name} transcript` }))
+  };
+}
+
+jest.mock('../../../src/services/stt/deepgramProvider', () => mockSttProvider('deepgram'));
+jest.mock('../../../src/services/stt/groqProvider', () => mockSttProvider('groq'));
+jest.mock('../../../src/services/stt/openaiProvider', () => mockSttProvider('openai'));
+
+const AUDIO = Buffer.from('ogg');
+const FAILURE = { success: false, error: 'Service unavailable', code: 'ERR_TRANSCRIPTION_FAILED' };
+
+/**
+ * Load the STT service with fresh breakers and stub providers
+ * Deepgram, then Groq, then OpenAI; two failures open a circuit for a minute.
+ * @returns {{stt: Object, deepgram: Object, groq: Object, openai: Object}}
+ */
+function loadStt() {
+  jest.resetModules();
+  const config = require('../../../src/config/config');
+  config.stt.providers = ['deepgram', 'groq', 'openai'];
+  config.stt.breaker = { failureThreshold: 2, resetTimeoutMs: 60 * 1000 };
+
+  return {
+    stt: require('../../../src/services/stt'),
+    deepgram: require('../../../src/services/stt/deepgramProvider'),
+    groq: require('../../../src/services/stt/groqProvider'),
+    openai: require('../../../src/services/stt/openaiProvider')
+  };
+}
+
+describe('transcribe', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('uses the first provider in the configured order', async () => {
+    const { stt, groq } = loadStt();
+
+    expect(await stt.transcribe(AUDIO, 'es')).toEqual({ success: true, data: { transcript: 'deepgram transcript', provider: 'deepgram' } });
+    expect(groq.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the next provider when one fails', async () => {
+    const { stt, deepgram } = loadStt();
+    deepgram.transcribe.mockResolvedValue(FAILURE);
+
+    expect((await stt.transcribe(AUDIO, 'es')).data.provider).toBe('groq');
+  });
+
+  it('skips providers that are not configured', async () => {
+    const { stt, deepgram, groq } = loadStt();
+    deepgram.isConfigured.mockReturnValue(false);
+    groq.isConfigured.mockReturnValue(false);
+
+    expect((await stt.transcribe(AUDIO, 'es')).data.provider).toBe('openai');
+    expect(deepgram.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('stops calling a provider whose circuit opened, and tries it again after the cooldown', async () => {
+    const { stt, deepgram } = loadStt();
+    deepgram.transcribe.mockResolvedValue(FAILURE);
+
+    await stt.transcribe(AUDIO, 'es');
+    await stt.transcribe(AUDIO, 'es');
+    await stt.transcribe(AUDIO, 'es');
+    expect(deepgram.transcribe).toHaveBeenCalledTimes(2);
+    expect(stt.getProviderStatus()[0]).toMatchObject({ name: 'deepgram', state: 'open' });
+
+    deepgram.transcribe.mockResolvedValue({ success: true, data: 'hola' });
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect((await stt.transcribe(AUDIO, 'es')).data.provider).toBe('deepgram');
+    expect(stt.getProviderStatus()[0]).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('falls back when a provider times out', async () => {
+    const { stt, deepgram } = loadStt();
+    deepgram.transcribe.mockReturnValue(new Promise(() => {}));
+
+    const result = stt.transcribe(AUDIO, 'es');
+    await jest.runAllTimersAsync();
+
+    expect((await result).data.provider).toBe('groq');
+  });
+
+  it('does not hold a recording without speech against the provider', async () => {
+    const { stt, deepgram, groq } = loadStt();
+    deepgram.transcribe.mockResolvedValue({ success: false, error: 'No speech', code: 'ERR_NO_SPEECH' });
+
+    expect(await stt.transcribe(AUDIO, 'es')).toMatchObject({ success: false, code: 'ERR_NO_SPEECH' });
+    expect(groq.transcribe).not.toHaveBeenCalled();
+    expect(stt.getProviderStatus()[0].failures).toBe(0);
+  });
+
+  it('fails with ERR_TRANSCRIPTION_FAILED when every provider fails', async () => {
+    const { stt, deepgram, groq, openai } = loadStt();
+    [deepgram, groq, openai].forEach(provider => provider.transcribe.mockResolvedValue(FAILURE));
+
+    expect(await stt.transcribe(AUDIO, 'es')).toMatchObject({ success: false, code: 'ERR_TRANSCRIPTION_FAILED' });
+  });
+
+  it('rejects empty audio without calling a provider', async () => {
+    const { stt, deepgram } = loadStt();
+
+    expect(await stt.transcribe(Buffer.alloc(0), 'es')).toMatchObject({ success: false, code: 'ERR_INVALID_INPUT' });
+    expect(deepgram.transcribe).not.toHaveBeenCalled();
+  });
+});
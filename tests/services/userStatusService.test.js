@@ -0,0 +1,56 @@
+const repositories = require('../../src/repositories');
+const { createFirestoreBackend } = require('../../src/repositories/backends/firestoreBackend');
+const { createMemoryFirestore } = require('../../src/repositories/backends/memoryFirestore');
+const { markInactive, reactivate } = require('../../src/services/userStatusService');
+
+const NOW = new Date('2026-01-10T08:00:00Z');
+
+describe('userStatusService', () => {
+  beforeEach(async () => {
+    repositories.setStore(createFirestoreBackend(createMemoryFirestore(), 'memory'));
+    await repositories.users.set('u1', {
+      telegramId: 'u1',
+      lessonDay: 3,
+      lastLessonSentAt: null,
+      nextLessonAt: new Date('2026-01-10T09:00:00Z'),
+      settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC' }
+    });
+  });
+
+  afterEach(() => {
+    repositories.setStore(null);
+  });
+
+  it('marks a user inactive and clears their lesson slot', async () => {
+    const { data } = await markInactive('u1', 'blocked', NOW);
+    const user = await repositories.users.get('u1');
+
+    expect(data.changed).toBe(true);
+    expect(user.inactive).toEqual({ reason: 'blocked', since: NOW });
+    expect(user.nextLessonAt).toBeNull();
+  });
+
+  it('leaves a user already inactive for the same reason unchanged', async () => {
+    await markInactive('u1', 'blocked', NOW);
+
+    const { data } = await markInactive('u1', 'blocked', new Date('2026-01-11T08:00:00Z'));
+
+    expect(data.changed).toBe(false);
+    expect((await repositories.users.get('u1')).inactive.since).toEqual(NOW);
+  });
+
+  it('ignores unknown users', async () => {
+    expect((await markInactive('missing', 'chat_not_found', NOW)).data.changed).toBe(false);
+  });
+
+  it('reactivates a user and schedules their next lesson', async () => {
+    await markInactive('u1', 'blocked', NOW);
+
+    const { data } = await reactivate('u1', NOW);
+    const user = await repositories.users.get('u1');
+
+    expect(data.changed).toBe(true);
+    expect(user.inactive).toBeNull();
+    expect(user.nextLessonAt.toISOString()).toBe('2026-01-10T09:00:00.000Z');
+  });
+});
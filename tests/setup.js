@@ -0,0 +1,8 @@
+/**
+ * Test environment: mock providers and in-memory storage, so no test reaches
+ * Telegram, OpenAI or Firestore, and config loads without real credentials
+ */
+process.env.MOCK_PROVIDERS = 'true';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.DEFAULT_TIMEZONE = 'UTC';
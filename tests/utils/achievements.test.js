@@ -0,0 +1,138 @@
+const fc = require('fast-check');
+const rules = require('../../src/config/achievements');
+const {
+  EVENT_TYPES,
+  levelForXp,
+  nextLevelXp,
+  applyEvent,
+  getBadge,
+  listBadges
+} = require('../../src/utils/achievements');
+const { LESSON_STATES } = require('../../src/utils/lessonStates');
+
+const NOW = new Date('2026-01-10T12:00:00Z');
+const TOP_LEVEL = rules.levels.length;
+
+/**
+ * User whose lessons from day 1 to a given day are passed
+ * @param {number} lastDay - Last passed day
+ * @returns {Object} lessonStates
+ */
+function passedUntil(lastDay) {
+  const states = {};
+  for (let day = 1; day <= lastDay; day++) {
+    states[day] = { state: LESSON_STATES.PASSED };
+  }
+  return states;
+}
+
+describe('levelForXp', () => {
+  it('starts at level 1 and moves up at each threshold', () => {
+    expect(levelForXp(0)).toBe(1);
+    expect(levelForXp(99)).toBe(1);
+    expect(levelForXp(100)).toBe(2);
+    expect(levelForXp(1000000)).toBe(TOP_LEVEL);
+  });
+
+  it('never goes down as XP grows', () => {
+    fc.assert(fc.property(fc.nat(10000), fc.nat(1000), (xp, more) => levelForXp(xp + more) >= levelForXp(xp)));
+  });
+});
+
+describe('nextLevelXp', () => {
+  it('is the threshold of the following level', () => {
+    expect(nextLevelXp(1)).toBe(100);
+    expect(nextLevelXp(2)).toBe(250);
+  });
+
+  it('is null at the top level', () => {
+    expect(nextLevelXp(TOP_LEVEL)).toBeNull();
+  });
+
+  it('is always above the XP of the current level', () => {
+    fc.assert(fc.property(fc.nat(4999), xp => nextLevelXp(levelForXp(xp)) > xp));
+  });
+});
+
+describe('applyEvent', () => {
+  it('awards lesson XP and the first lesson badge', () => {
+    const { updates, outcome } = applyEvent({ totalLessons: 1 }, { type: EVENT_TYPES.LESSON_COMPLETED }, NOW);
+
+    expect(updates).toEqual({ xp: 20, level: 1, 'badges.first_lesson': { unlockedAt: NOW } });
+    expect(outcome).toEqual({ xpGained: 20, xp: 20, level: 1, leveledUp: false, badges: ['first_lesson'] });
+  });
+
+  it('awards assessment XP in proportion to the score', () => {
+    expect(applyEvent({}, { type: EVENT_TYPES.ASSESSMENT, score: 60 }).outcome.xpGained).toBe(9);
+    expect(applyEvent({}, { type: EVENT_TYPES.ASSESSMENT, score: 0 }).outcome.xpGained).toBe(0);
+  });
+
+  it('adds the streak milestone bonus only when the streak reaches it', () => {
+    const event = { type: EVENT_TYPES.ASSESSMENT, score: 0 };
+
+    expect(applyEvent({ streak: 7 }, { ...event, previousStreak: 6 }).outcome.xpGained).toBe(50);
+    expect(applyEvent({ streak: 7 }, { ...event, previousStreak: 7 }).outcome.xpGained).toBe(0);
+  });
+
+  it('reports a level up', () => {
+    const { outcome } = applyEvent({ xp: 90 }, { type: EVENT_TYPES.REVIEW_SESSION });
+
+    expect(outcome).toMatchObject({ xpGained: 10, xp: 100, level: 2, leveledUp: true });
+  });
+
+  it('unlocks badges for a high score, a streak and a run of lessons', () => {
+    const user = { totalLessons: 10, streak: 7, lessonStates: passedUntil(10), badges: { first_lesson: { unlockedAt: NOW } } };
+    const { outcome } = applyEvent(user, { type: EVENT_TYPES.ASSESSMENT, score: 95, previousStreak: 7 });
+
+    expect(outcome.badges).toEqual(['streak_7', 'score_90', 'days_1_10']);
+  });
+
+  it('does not count a gap in the lesson run', () => {
+    const lessonStates = { ...passedUntil(10), 5: { state: LESSON_STATES.SENT } };
+
+    expect(applyEvent({ lessonStates }, { type: EVENT_TYPES.LESSON_COMPLETED }).outcome.badges).not.toContain('days_1_10');
+  });
+
+  it('unlocks the level badge with the XP that reaches the level', () => {
+    expect(applyEvent({ xp: 690 }, { type: EVENT_TYPES.REVIEW_SESSION }).outcome.badges).toEqual(['level_5']);
+  });
+
+  it('never unlocks a badge twice', () => {
+    fc.assert(fc.property(
+      fc.constantFrom(...Object.values(EVENT_TYPES)),
+      fc.integer({ min: 0, max: 100 }),
+      fc.nat(40),
+      (type, score, streak) => {
+        const user = { totalLessons: 20, streak, reviewSessions: 20, xp: 5000, lessonStates: passedUntil(10) };
+        const first = applyEvent(user, { type, score, previousStreak: 0 }, NOW);
+        const badges = Object.fromEntries(first.outcome.badges.map(id => [id, { unlockedAt: NOW }]));
+        const second = applyEvent({ ...user, badges }, { type, score, previousStreak: 0 }, NOW);
+
+        return second.outcome.badges.every(id => !badges[id]);
+      }
+    ));
+  });
+
+  it('ignores unknown events', () => {
+    expect(applyEvent({ xp: 40 }, { type: 'unknown' }).outcome).toMatchObject({ xpGained: 0, xp: 40 });
+  });
+});
+
+describe('getBadge', () => {
+  it('finds a badge by ID', () => {
+    expect(getBadge('streak_7')).toMatchObject({ id: 'streak_7', condition: { type: 'streak', min: 7 } });
+  });
+
+  it('is undefined for unknown IDs', () => {
+    expect(getBadge('nope')).toBeUndefined();
+  });
+});
+
+describe('listBadges', () => {
+  it('lists every badge once, in display order', () => {
+    const ids = listBadges().map(badge => badge.id);
+
+    expect(ids[0]).toBe('first_lesson');
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
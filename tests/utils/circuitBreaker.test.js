@@ -0,0 +1,93 @@
+const { createCircuitBreaker } = require('../../src/utils/circuitBreaker');
+
+/**
+ * Breaker on a clock the test moves by hand
+ * @returns {{breaker: Object, advance: Function}}
+ */
+function breakerOnFakeClock() {
+  let time = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000, now: () => time });
+  return { breaker, advance: (ms) => { time += ms; } };
+}
+
+/**
+ * Record a number of failures
+ * @param {Object} breaker - Circuit breaker
+ * @param {number} count - Failures to record
+ * @returns {void}
+ */
+function fail(breaker, count) {
+  for (let i = 0; i < count; i++) {
+    breaker.recordFailure();
+  }
+}
+
+describe('createCircuitBreaker', () => {
+  it('starts closed', () => {
+    const { breaker } = breakerOnFakeClock();
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getState()).toEqual({ state: 'closed', failures: 0 });
+  });
+
+  it('stays closed below the failure threshold', () => {
+    const { breaker } = breakerOnFakeClock();
+    fail(breaker, 2);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  it('opens after the threshold of consecutive failures', () => {
+    const { breaker } = breakerOnFakeClock();
+    fail(breaker, 3);
+
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getState()).toEqual({ state: 'open', failures: 3 });
+  });
+
+  it('counts only consecutive failures', () => {
+    const { breaker } = breakerOnFakeClock();
+    fail(breaker, 2);
+    breaker.recordSuccess();
+    fail(breaker, 2);
+
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  it('turns half-open once the reset timeout has passed', () => {
+    const { breaker, advance } = breakerOnFakeClock();
+    fail(breaker, 3);
+
+    advance(999);
+    expect(breaker.canRequest()).toBe(false);
+
+    advance(1);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getState().state).toBe('half-open');
+  });
+
+  it('closes when the half-open trial succeeds', () => {
+    const { breaker, advance } = breakerOnFakeClock();
+    fail(breaker, 3);
+    advance(1000);
+
+    breaker.recordSuccess();
+
+    expect(breaker.getState()).toEqual({ state: 'closed', failures: 0 });
+  });
+
+  it('re-opens for another full timeout when the half-open trial fails', () => {
+    const { breaker, advance } = breakerOnFakeClock();
+    fail(breaker, 3);
+    advance(1000);
+
+    breaker.recordFailure();
+    expect(breaker.getState().state).toBe('open');
+
+    advance(999);
+    expect(breaker.canRequest()).toBe(false);
+    advance(1);
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+const fc = require('fast-check');
+const { RUBRIC, RUBRIC_SKILLS, parseGradingResult } = require('../../src/utils/gradingSchema');
+
+const REPLY = {
+  rubric: { pronunciation: 20, grammar: 18, vocabulary: 15, fluency: 12, comprehension: 9 },
+  feedback: 'Roll the r in "perro".',
+  strengths: ['clear vowels'],
+  weakAreas: ['r sound'],
+  correctedSentence: 'Tengo un perro.'
+};
+
+describe('parseGradingResult', () => {
+  it('parses a plain JSON reply', () => {
+    expect(parseGradingResult(JSON.stringify(REPLY))).toEqual({ valid: true, value: { score: 74, ...REPLY } });
+  });
+
+  it('parses a reply wrapped in a ```json fence', () => {
+    const fenced = `\`\`\`json\n${JSON.stringify(REPLY, null, 2)}\n\`\`\``;
+
+    expect(parseGradingResult(fenced)).toEqual({ valid: true, value: { score: 74, ...REPLY } });
+  });
+
+  it('rejects replies that are not JSON', () => {
+    const result = parseGradingResult('Great job! Score: 80');
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/not valid JSON/);
+  });
+
+  it('rejects a rubric value above the skill maximum', () => {
+    const result = parseGradingResult(JSON.stringify({ ...REPLY, rubric: { ...REPLY.rubric, comprehension: 11 } }));
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/comprehension/);
+  });
+
+  it('rejects a missing rubric skill or an empty feedback', () => {
+    const { fluency, ...partial } = REPLY.rubric;
+
+    expect(parseGradingResult(JSON.stringify({ ...REPLY, rubric: partial })).valid).toBe(false);
+    expect(parseGradingResult(JSON.stringify({ ...REPLY, feedback: ' ' })).valid).toBe(false);
+  });
+
+  it('ignores a score from the model and sums the rubric instead', () => {
+    expect(parseGradingResult(JSON.stringify({ ...REPLY, score: 100 })).value.score).toBe(74);
+  });
+
+  it('defaults the optional lists and corrected sentence', () => {
+    const { value } = parseGradingResult(JSON.stringify({ rubric: REPLY.rubric, feedback: REPLY.feedback }));
+
+    expect(value).toMatchObject({ strengths: [], weakAreas: [], correctedSentence: '' });
+  });
+
+  it('scores every valid rubric between 0 and 100 as the sum of its skills', () => {
+    const rubricArbitrary = fc.record(Object.fromEntries(
+      RUBRIC_SKILLS.map(skill => [skill, fc.integer({ min: 0, max: RUBRIC[skill] })])
+    ));
+
+    fc.assert(fc.property(rubricArbitrary, (rubric) => {
+      const { valid, value } = parseGradingResult(JSON.stringify({ ...REPLY, rubric }));
+      const sum = Object.values(rubric).reduce((total, points) => total + points, 0);
+
+      return valid && value.score === sum && sum >= 0 && sum <= 100;
+    }));
+  });
+});
@@ -0,0 +1,123 @@
+const fc = require('fast-check');
+const {
+  PERIODS,
+  aliasSchema,
+  weekStart,
+  boardKey,
+  addProgress,
+  isRanked,
+  rankRows
+} = require('../../src/utils/leaderboard');
+
+describe('weekStart', () => {
+  it('is the Monday of the week in UTC', () => {
+    expect(weekStart(new Date('2026-01-14T12:00:00Z'))).toBe('2026-01-12');
+    expect(weekStart(new Date('2026-01-12T00:00:00Z'))).toBe('2026-01-12');
+  });
+
+  it('puts Sunday in the week that started the Monday before', () => {
+    expect(weekStart(new Date('2026-01-18T23:59:00Z'))).toBe('2026-01-12');
+  });
+
+  it('crosses month and year boundaries', () => {
+    expect(weekStart(new Date('2026-01-01T10:00:00Z'))).toBe('2025-12-29');
+  });
+
+  it('is always a Monday at most six days back', () => {
+    fc.assert(fc.property(
+      fc.date({ min: new Date('2000-01-01T00:00:00Z'), max: new Date('2100-01-01T00:00:00Z'), noInvalidDate: true }),
+      (now) => {
+        const monday = new Date(`${weekStart(now)}T00:00:00Z`);
+        const daysBack = (now.getTime() - monday.getTime()) / (24 * 60 * 60 * 1000);
+        return monday.getUTCDay() === 1 && daysBack >= 0 && daysBack < 7;
+      }
+    ));
+  });
+});
+
+describe('boardKey', () => {
+  it('keys weekly boards by their Monday and the all-time board by a constant', () => {
+    const now = new Date('2026-01-14T12:00:00Z');
+
+    expect(boardKey(PERIODS.WEEK, now)).toBe('2026-01-12');
+    expect(boardKey(PERIODS.ALL_TIME, now)).toBe('all');
+  });
+});
+
+describe('addProgress', () => {
+  it('starts a new entry from zero', () => {
+    expect(addProgress(null, { xp: 20 })).toEqual({ xp: 20, attempts: 0, avgScore: 0 });
+  });
+
+  it('counts scored events as attempts in the average', () => {
+    const entry = addProgress(addProgress(null, { xp: 10, score: 80 }), { xp: 12, score: 95 });
+
+    expect(entry).toEqual({ xp: 22, attempts: 2, avgScore: 87.5 });
+  });
+
+  it('leaves the average alone for unscored XP', () => {
+    expect(addProgress({ xp: 30, attempts: 2, avgScore: 70 }, { xp: 20 })).toEqual({ xp: 50, attempts: 2, avgScore: 70 });
+  });
+
+  it('keeps the average within the scores seen', () => {
+    fc.assert(fc.property(fc.array(fc.integer({ min: 0, max: 100 }), { minLength: 1, maxLength: 30 }), (scores) => {
+      const entry = scores.reduce((current, score) => addProgress(current, { xp: 1, score }), null);
+      return entry.attempts === scores.length
+        && entry.xp === scores.length
+        && entry.avgScore >= Math.min(...scores) - 0.1
+        && entry.avgScore <= Math.max(...scores) + 0.1;
+    }));
+  });
+});
+
+describe('isRanked', () => {
+  it('needs the opt-in and enough attempts', () => {
+    expect(isRanked({ listed: true, attempts: 3 }, 3)).toBe(true);
+    expect(isRanked({ listed: true, attempts: 2 }, 3)).toBe(false);
+    expect(isRanked({ listed: false, attempts: 10 }, 3)).toBe(false);
+    expect(isRanked({ attempts: 10 }, 0)).toBe(false);
+  });
+});
+
+describe('rankRows', () => {
+  it('gives ties the same rank and skips the ranks they take up', () => {
+    const rows = [{ xp: 90 }, { xp: 70 }, { xp: 70 }, { xp: 50 }];
+
+    expect(rankRows(rows, 'xp').map(row => row.rank)).toEqual([1, 2, 2, 4]);
+  });
+
+  it('keeps the other fields of each row', () => {
+    expect(rankRows([{ alias: 'Dana', xp: 10 }], 'xp')).toEqual([{ alias: 'Dana', xp: 10, rank: 1 }]);
+  });
+
+  it('ranks each row one past the rows strictly ahead of it', () => {
+    fc.assert(fc.property(fc.array(fc.nat(20), { maxLength: 30 }), (values) => {
+      const rows = values.sort((a, b) => b - a).map(avgScore => ({ avgScore }));
+      return rankRows(rows, 'avgScore').every(row => (
+        row.rank === rows.filter(other => other.avgScore > row.avgScore).length + 1
+      ));
+    }));
+  });
+});
+
+describe('aliasSchema', () => {
+  it('accepts letters in any script, digits and separators', () => {
+    ['Dana', 'דנה_7', 'Ника-K', 'j.doe 2'].forEach(alias => {
+      expect(aliasSchema.validate(alias).error).toBeUndefined();
+    });
+  });
+
+  it('trims surrounding spaces', () => {
+    expect(aliasSchema.validate('  Dana  ').value).toBe('Dana');
+  });
+
+  it('rejects aliases that are too short, too long or start with a separator', () => {
+    ['ab', 'a'.repeat(21), '_dana', 'dana!', '<b>x</b>'].forEach(alias => {
+      expect(aliasSchema.validate(alias).error).toBeDefined();
+    });
+  });
+
+  it('requires an alias', () => {
+    expect(aliasSchema.validate(undefined).error).toBeDefined();
+  });
+});
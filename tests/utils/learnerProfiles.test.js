@@ -0,0 +1,96 @@
+const fc = require('fast-check');
+const { PROFILE_FIELDS, activeProfile, listProfiles, switchProfileUpdates } = require('../../src/utils/learnerProfiles');
+
+const SPANISH = {
+  lessonDay: 4,
+  totalLessons: 3,
+  streak: 2,
+  avgScore: 81,
+  assessmentCount: 5,
+  lastActivityDate: '2026-01-10',
+  lessonStates: { 3: { state: 'passed', score: 90 } }
+};
+
+/**
+ * User studying Spanish, optionally with other languages parked
+ * @param {Object} [profiles] - Parked profiles
+ * @returns {Object}
+ */
+function spanishLearner(profiles) {
+  return { telegramId: 'u1', targetLanguage: 'es', nativeLanguage: 'he', ...SPANISH, profiles };
+}
+
+/**
+ * User document after applying updates
+ * @param {Object} user - User data
+ * @param {Object} updates - Updates
+ * @returns {Object}
+ */
+function apply(user, updates) {
+  return { ...user, ...updates };
+}
+
+describe('activeProfile', () => {
+  it('reads the progress fields from the top level', () => {
+    expect(activeProfile(spanishLearner())).toEqual(SPANISH);
+  });
+
+  it('fills fields a legacy user lacks with a new profile\'s values', () => {
+    expect(activeProfile({ lessonDay: 3 })).toEqual({ ...activeProfile({}), lessonDay: 3 });
+    expect(activeProfile({})).toMatchObject({ lessonDay: 1, totalLessons: 0, lessonStates: {} });
+  });
+});
+
+describe('listProfiles', () => {
+  it('lists the active language first, then the parked ones', () => {
+    const profiles = listProfiles(spanishLearner({ fr: { lessonDay: 2 } }));
+
+    expect(profiles.map(({ targetLanguage, active }) => [targetLanguage, active])).toEqual([['es', true], ['fr', false]]);
+    expect(profiles[1]).toMatchObject({ lessonDay: 2, streak: 0 });
+  });
+});
+
+describe('switchProfileUpdates', () => {
+  it('starts a new language fresh and parks the current one', () => {
+    const { updates, resumed, profile } = switchProfileUpdates(spanishLearner(), 'fr');
+
+    expect(resumed).toBe(false);
+    expect(profile).toEqual(activeProfile({}));
+    expect(updates).toMatchObject({ targetLanguage: 'fr', lessonDay: 1, streak: 0, profiles: { es: SPANISH } });
+  });
+
+  it('restores a parked language where the learner left off', () => {
+    const inFrench = apply(spanishLearner(), switchProfileUpdates(spanishLearner(), 'fr').updates);
+
+    const { updates, resumed } = switchProfileUpdates(inFrench, 'es');
+    const backInSpanish = apply(inFrench, updates);
+
+    expect(resumed).toBe(true);
+    expect(activeProfile(backInSpanish)).toEqual(SPANISH);
+    expect(Object.keys(backInSpanish.profiles)).toEqual(['fr']);
+  });
+
+  it('updates only the progress fields, the language and the parked profiles', () => {
+    const { updates } = switchProfileUpdates(spanishLearner(), 'fr');
+
+    expect(Object.keys(updates).sort()).toEqual([...PROFILE_FIELDS, 'profiles', 'targetLanguage'].sort());
+  });
+
+  it('gives back every language\'s progress after any sequence of switches', () => {
+    const language = fc.constantFrom('es', 'fr', 'de', 'en');
+
+    fc.assert(fc.property(fc.array(language, { maxLength: 8 }), (switches) => {
+      let user = spanishLearner();
+      switches.forEach((code) => {
+        if (code !== user.targetLanguage) {
+          user = apply(user, switchProfileUpdates(user, code).updates);
+        }
+      });
+      if (user.targetLanguage !== 'es') {
+        user = apply(user, switchProfileUpdates(user, 'es').updates);
+      }
+
+      return JSON.stringify(activeProfile(user)) === JSON.stringify(SPANISH);
+    }));
+  });
+});
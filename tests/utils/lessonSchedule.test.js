@@ -0,0 +1,102 @@
+const fc = require('fast-check');
+const { sentToday, nextLessonAt } = require('../../src/utils/lessonSchedule');
+const { zonedTime } = require('../../src/utils/timeZones');
+
+const CATCH_UP_MINUTES = 30;
+
+/**
+ * Active learner with daily lessons at a given time
+ * @param {Object} [settings] - Settings overrides
+ * @param {Object} [fields] - User field overrides
+ * @returns {Object}
+ */
+function learner(settings = {}, fields = {}) {
+  return {
+    lastLessonSentAt: null,
+    inactive: null,
+    ...fields,
+    settings: { lessonTime: '09:00', notificationEnabled: true, timezone: 'UTC', ...settings }
+  };
+}
+
+/**
+ * Next slot as an ISO string
+ * @param {Object} user - User data
+ * @param {string} now - Current time, ISO
+ * @param {Object} [options] - nextLessonAt options
+ * @returns {string|null}
+ */
+function next(user, now, options) {
+  const slot = nextLessonAt(user, new Date(now), CATCH_UP_MINUTES, options);
+  return slot && slot.toISOString();
+}
+
+describe('sentToday', () => {
+  it('is false before the first lesson', () => {
+    expect(sentToday(learner(), new Date('2026-01-10T12:00:00Z'))).toBe(false);
+  });
+
+  it('compares calendar days in the learner timezone', () => {
+    const user = learner({ timezone: 'Asia/Jerusalem' }, { lastLessonSentAt: new Date('2026-01-10T21:30:00Z') });
+
+    expect(sentToday(user, new Date('2026-01-10T21:45:00Z'))).toBe(true);
+    // Same UTC day, but already past midnight in Jerusalem
+    expect(sentToday(user, new Date('2026-01-10T22:30:00Z'))).toBe(false);
+  });
+});
+
+describe('nextLessonAt', () => {
+  it('schedules today when the lesson time is still ahead', () => {
+    expect(next(learner(), '2026-01-10T08:00:00Z')).toBe('2026-01-10T09:00:00.000Z');
+  });
+
+  it('keeps a passed slot due within the catch-up window', () => {
+    expect(next(learner(), '2026-01-10T09:20:00Z')).toBe('2026-01-10T09:00:00.000Z');
+  });
+
+  it('moves to tomorrow once the catch-up window is over', () => {
+    expect(next(learner(), '2026-01-10T09:30:00Z')).toBe('2026-01-11T09:00:00.000Z');
+  });
+
+  it('moves to tomorrow when today\'s lesson was sent or skipped', () => {
+    const sent = learner({}, { lastLessonSentAt: new Date('2026-01-10T07:00:00Z') });
+
+    expect(next(sent, '2026-01-10T08:00:00Z')).toBe('2026-01-11T09:00:00.000Z');
+    expect(next(learner(), '2026-01-10T08:00:00Z', { skipToday: true })).toBe('2026-01-11T09:00:00.000Z');
+  });
+
+  it('resumes on the pause end day', () => {
+    expect(next(learner({ pausedUntil: '2026-01-15' }), '2026-01-10T08:00:00Z')).toBe('2026-01-15T09:00:00.000Z');
+  });
+
+  it('ignores a pause that already ended', () => {
+    expect(next(learner({ pausedUntil: '2026-01-01' }), '2026-01-10T08:00:00Z')).toBe('2026-01-10T09:00:00.000Z');
+  });
+
+  it('has no slot with notifications off or for inactive users', () => {
+    expect(next(learner({ notificationEnabled: false }), '2026-01-10T08:00:00Z')).toBeNull();
+    expect(next(learner({}, { inactive: { reason: 'blocked', since: new Date() } }), '2026-01-10T08:00:00Z')).toBeNull();
+  });
+
+  it('keeps the local lesson time across a DST change', () => {
+    const user = learner({ timezone: 'America/New_York' }, { lastLessonSentAt: new Date('2026-03-07T14:00:00Z') });
+
+    expect(next(user, '2026-03-07T20:00:00Z')).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  it('always returns a slot at the lesson time that is still catchable', () => {
+    fc.assert(fc.property(
+      fc.constantFrom('UTC', 'Asia/Jerusalem', 'America/New_York', 'Asia/Kolkata'),
+      fc.integer({ min: 6, max: 22 }),
+      fc.date({ min: new Date('2026-01-01T00:00:00Z'), max: new Date('2026-12-31T00:00:00Z'), noInvalidDate: true }),
+      fc.boolean(),
+      (timezone, hour, now, skipToday) => {
+        const lessonTime = `${String(hour).padStart(2, '0')}:00`;
+        const slot = nextLessonAt(learner({ timezone, lessonTime }), now, CATCH_UP_MINUTES, { skipToday });
+
+        return zonedTime(slot, timezone).time === lessonTime
+          && now.getTime() - slot.getTime() < CATCH_UP_MINUTES * 60 * 1000;
+      }
+    ));
+  });
+});
@@ -0,0 +1,110 @@
+const fc = require('fast-check');
+const {
+  LESSON_STATES,
+  getLessonState,
+  canTransition,
+  isCompletedState,
+  completionState,
+  quizState,
+  isLessonUnlocked
+} = require('../../src/utils/lessonStates');
+
+const { SENT, COMPLETED, QUIZ_PENDING, PASSED, FAILED } = LESSON_STATES;
+const stateArbitrary = fc.constantFrom(null, ...Object.values(LESSON_STATES));
+
+/**
+ * User whose given lesson day is in a state
+ * @param {number} lessonDay - Lesson day
+ * @param {string} state - Lesson state
+ * @returns {Object}
+ */
+function userWith(lessonDay, state) {
+  return { lessonStates: { [lessonDay]: { state, score: 50 } } };
+}
+
+describe('getLessonState', () => {
+  it('reads the stored state of a day', () => {
+    expect(getLessonState(userWith(2, PASSED), 2)).toBe(PASSED);
+  });
+
+  it('is null when nothing was recorded', () => {
+    expect(getLessonState({}, 1)).toBeNull();
+    expect(getLessonState(userWith(2, PASSED), 3)).toBeNull();
+  });
+});
+
+describe('canTransition', () => {
+  it('allows completing a sent or unrecorded lesson', () => {
+    expect(canTransition(null, COMPLETED)).toBe(true);
+    expect(canTransition(SENT, QUIZ_PENDING)).toBe(true);
+  });
+
+  it('allows grading a completed, pending or failed lesson', () => {
+    [COMPLETED, QUIZ_PENDING, FAILED].forEach(from => {
+      expect(canTransition(from, PASSED)).toBe(true);
+      expect(canTransition(from, FAILED)).toBe(true);
+    });
+  });
+
+  it('never completes a lesson twice', () => {
+    expect(canTransition(COMPLETED, COMPLETED)).toBe(false);
+    expect(canTransition(QUIZ_PENDING, COMPLETED)).toBe(false);
+  });
+
+  it('never leaves the passed state', () => {
+    fc.assert(fc.property(stateArbitrary, to => {
+      expect(canTransition(PASSED, to)).toBe(false);
+    }));
+  });
+
+  it('rejects unknown states', () => {
+    expect(canTransition('archived', PASSED)).toBe(false);
+    expect(canTransition(SENT, 'archived')).toBe(false);
+  });
+});
+
+describe('isCompletedState', () => {
+  it('counts every state after sent as completed', () => {
+    expect(isCompletedState(null)).toBe(false);
+    expect(isCompletedState(SENT)).toBe(false);
+    [COMPLETED, QUIZ_PENDING, PASSED, FAILED].forEach(state => expect(isCompletedState(state)).toBe(true));
+  });
+});
+
+describe('completionState and quizState', () => {
+  it('waits for a quiz only when a minimum score is configured', () => {
+    expect(completionState(0)).toBe(COMPLETED);
+    expect(completionState(70)).toBe(QUIZ_PENDING);
+  });
+
+  it('passes at exactly the minimum score', () => {
+    expect(quizState(70, 70)).toBe(PASSED);
+    expect(quizState(69, 70)).toBe(FAILED);
+  });
+
+  it('passes every score when no minimum is configured', () => {
+    fc.assert(fc.property(fc.integer({ min: 0, max: 100 }), score => {
+      expect(quizState(score, 0)).toBe(PASSED);
+    }));
+  });
+});
+
+describe('isLessonUnlocked', () => {
+  it('always unlocks day 1 and every day without gating', () => {
+    fc.assert(fc.property(fc.integer({ min: 1, max: 60 }), stateArbitrary, (day, state) => {
+      expect(isLessonUnlocked(userWith(day - 1, state), day, 0)).toBe(true);
+    }));
+    expect(isLessonUnlocked(userWith(0, FAILED), 1, 70)).toBe(true);
+  });
+
+  it('with gating, needs the previous day passed', () => {
+    expect(isLessonUnlocked(userWith(2, PASSED), 3, 70)).toBe(true);
+    [SENT, COMPLETED, QUIZ_PENDING, FAILED].forEach(state => {
+      expect(isLessonUnlocked(userWith(2, state), 3, 70)).toBe(false);
+    });
+  });
+
+  it('treats days completed before states were recorded as passed', () => {
+    expect(isLessonUnlocked({}, 5, 70)).toBe(true);
+  });
+});
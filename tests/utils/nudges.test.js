@@ -0,0 +1,131 @@
+const fc = require('fast-check');
+const { NUDGE_TYPES, isQuietTime, dueNudges, inferLastActiveAt } = require('../../src/utils/nudges');
+const { LESSON_STATES } = require('../../src/utils/lessonStates');
+
+const OPTIONS = { reminderHours: 6, streakWarningTime: '19:00', winBackDays: [2, 7, 30] };
+const NOW = new Date('2026-01-10T20:00:00Z');
+
+/**
+ * Learner who got today's lesson in the morning and was active until then
+ * @param {Object} [fields] - User field overrides
+ * @returns {Object}
+ */
+function learner(fields = {}) {
+  return {
+    lessonDay: 3,
+    streak: 0,
+    lastActivityDate: null,
+    lastLessonSentAt: new Date('2026-01-10T09:00:00Z'),
+    lastActiveAt: new Date('2026-01-10T09:00:00Z'),
+    lessonStates: { 3: { state: LESSON_STATES.SENT } },
+    inactive: null,
+    settings: { timezone: 'UTC', notificationEnabled: true },
+    ...fields
+  };
+}
+
+/**
+ * Types of the nudges a learner is due
+ * @param {Object} user - User data
+ * @param {Date} [now] - Current time
+ * @returns {Array<string>}
+ */
+function dueTypes(user, now = NOW) {
+  return dueNudges(user, now, OPTIONS).map(nudge => nudge.type);
+}
+
+describe('isQuietTime', () => {
+  const night = { start: '22:00', end: '08:00' };
+  const at = (iso, timezone = 'UTC') => isQuietTime({ settings: { timezone } }, new Date(iso), night);
+
+  it('handles ranges that wrap midnight', () => {
+    expect(at('2026-01-10T23:30:00Z')).toBe(true);
+    expect(at('2026-01-10T03:00:00Z')).toBe(true);
+    expect(at('2026-01-10T08:00:00Z')).toBe(false);
+    expect(at('2026-01-10T21:59:00Z')).toBe(false);
+  });
+
+  it('handles ranges within a day', () => {
+    const user = { settings: { timezone: 'UTC' } };
+
+    expect(isQuietTime(user, new Date('2026-01-10T13:30:00Z'), { start: '13:00', end: '15:00' })).toBe(true);
+    expect(isQuietTime(user, new Date('2026-01-10T15:00:00Z'), { start: '13:00', end: '15:00' })).toBe(false);
+  });
+
+  it('reads the learner clock', () => {
+    // 20:30 UTC is 22:30 in Jerusalem
+    expect(at('2026-01-10T20:30:00Z', 'Asia/Jerusalem')).toBe(true);
+    expect(at('2026-01-10T20:30:00Z')).toBe(false);
+  });
+
+  it('is never quiet when start and end are equal', () => {
+    fc.assert(fc.property(fc.date({ noInvalidDate: true }), now => (
+      !isQuietTime({}, now, { start: '22:00', end: '22:00' })
+    )));
+  });
+});
+
+describe('dueNudges', () => {
+  it('reminds about a lesson left untouched for the reminder delay', () => {
+    const [reminder] = dueNudges(learner(), NOW, OPTIONS);
+
+    expect(reminder).toEqual({
+      type: NUDGE_TYPES.LESSON_REMINDER,
+      key: 'lesson_reminder_2026-01-10',
+      messageKey: 'nudges.lessonReminder',
+      params: { day: 3 }
+    });
+    expect(dueTypes(learner(), new Date('2026-01-10T14:00:00Z'))).toEqual([]);
+  });
+
+  it('does not remind about a completed lesson', () => {
+    expect(dueTypes(learner({ lessonStates: { 3: { state: LESSON_STATES.PASSED } } }))).toEqual([]);
+  });
+
+  it('warns about a streak that ends tonight', () => {
+    const user = learner({ streak: 4, lastActivityDate: '2026-01-09' });
+
+    expect(dueTypes(user)).toEqual([NUDGE_TYPES.LESSON_REMINDER, NUDGE_TYPES.STREAK_RISK]);
+    expect(dueTypes(user, new Date('2026-01-10T18:00:00Z'))).not.toContain(NUDGE_TYPES.STREAK_RISK);
+    expect(dueTypes(learner({ streak: 4, lastActivityDate: '2026-01-10' }))).not.toContain(NUDGE_TYPES.STREAK_RISK);
+  });
+
+  it('sends the latest win-back stage, keyed by the lapse', () => {
+    const lastActiveAt = new Date('2026-01-01T10:00:00Z');
+    const nudges = dueNudges(learner({ lastActiveAt, lastLessonSentAt: null }), NOW, OPTIONS);
+
+    expect(nudges).toEqual([{
+      type: NUDGE_TYPES.WIN_BACK,
+      key: `win_back_7_${lastActiveAt.getTime()}`,
+      messageKey: 'nudges.winBackSecond',
+      params: { count: 7, day: 3 }
+    }]);
+  });
+
+  it('sends nothing to unreachable, muted or paused learners', () => {
+    const lapsed = { lastActiveAt: new Date('2025-12-01T00:00:00Z') };
+
+    expect(dueTypes(learner({ ...lapsed, inactive: { reason: 'blocked', since: NOW } }))).toEqual([]);
+    expect(dueTypes(learner({ ...lapsed, settings: { timezone: 'UTC', notificationEnabled: false } }))).toEqual([]);
+    expect(dueTypes(learner({ ...lapsed, settings: { timezone: 'UTC', pausedUntil: '2026-01-20' } }))).toEqual([]);
+  });
+});
+
+describe('inferLastActiveAt', () => {
+  it('takes the latest of sign-up, practice day and completed lessons', () => {
+    const user = {
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      lastActivityDate: '2026-01-05',
+      lessonStates: {
+        1: { state: LESSON_STATES.PASSED, updatedAt: new Date('2026-01-06T12:00:00Z') },
+        2: { state: LESSON_STATES.SENT, updatedAt: new Date('2026-01-08T12:00:00Z') }
+      }
+    };
+
+    expect(inferLastActiveAt(user).toISOString()).toBe('2026-01-06T12:00:00.000Z');
+  });
+
+  it('is null without any activity', () => {
+    expect(inferLastActiveAt({})).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const fc = require('fast-check');
+const { createRateLimiter } = require('../../src/utils/rateLimiter');
+
+/**
+ * Acquire slots and record when each one was granted
+ * @param {Object} limiter - Rate limiter
+ * @param {Array<string>} chatIds - Chat per send, in call order
+ * @returns {Promise<Array<number>>} Grant times in ms since the test started
+ */
+async function grantTimes(limiter, chatIds) {
+  const times = [];
+  const grants = chatIds.map((chatId, index) => limiter.acquire(chatId).then(() => { times[index] = Date.now(); }));
+
+  await jest.runAllTimersAsync();
+  await Promise.all(grants);
+  return times;
+}
+
+/**
+ * Limiter on the fake clock
+ * @param {Object} [options] - Limiter options
+ * @returns {Object}
+ */
+function limiterOnFakeClock(options = {}) {
+  return createRateLimiter({ globalPerSecond: 10, perChatIntervalMs: 1000, now: () => Date.now(), ...options });
+}
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('grants the first send at once', async () => {
+    expect(await grantTimes(limiterOnFakeClock(), ['a'])).toEqual([0]);
+  });
+
+  it('spaces sends to one chat by the per-chat interval', async () => {
+    expect(await grantTimes(limiterOnFakeClock(), ['a', 'a', 'a'])).toEqual([0, 1000, 2000]);
+  });
+
+  it('spaces sends to different chats by the global rate', async () => {
+    expect(await grantTimes(limiterOnFakeClock(), ['a', 'b', 'c'])).toEqual([0, 100, 200]);
+  });
+
+  it('does not let a busy chat hold up other chats', async () => {
+    expect(await grantTimes(limiterOnFakeClock(), ['a', 'a', 'b'])).toEqual([0, 1000, 100]);
+  });
+
+  it('measures the per-chat gap from when the previous send was granted', async () => {
+    // The first send to b waits 100ms for the global rate, so the next one waits until 1100
+    expect(await grantTimes(limiterOnFakeClock(), ['a', 'b', 'b'])).toEqual([0, 100, 1100]);
+  });
+
+  it('holds every send during a pause', async () => {
+    const limiter = limiterOnFakeClock();
+    limiter.pause(5000);
+
+    expect(await grantTimes(limiter, ['a', 'b'])).toEqual([5000, 5100]);
+  });
+
+  it('keeps the longer of two pauses', async () => {
+    const limiter = limiterOnFakeClock();
+    limiter.pause(5000);
+    limiter.pause(1000);
+
+    expect(await grantTimes(limiter, ['a'])).toEqual([5000]);
+  });
+
+  it('never exceeds either limit', async () => {
+    await fc.assert(fc.asyncProperty(
+      fc.array(fc.constantFrom('a', 'b', 'c', 'd'), { minLength: 1, maxLength: 20 }),
+      async (chatIds) => {
+        jest.setSystemTime(0);
+        const times = await grantTimes(limiterOnFakeClock(), chatIds);
+        const sorted = [...times].sort((x, y) => x - y);
+        const chatGaps = chatIds.every((chatId, index) => chatIds.slice(0, index)
+          .every((other, before) => other !== chatId || times[index] - times[before] >= 1000));
+
+        return chatGaps && sorted.every((time, index) => index === 0 || time - sorted[index - 1] >= 100);
+      }
+    ), { numRuns: 50 });
+  });
+});
@@ -0,0 +1,73 @@
+const fc = require('fast-check');
+const { calculateNextReview, MIN_EASE_FACTOR, DEFAULT_EASE_FACTOR } = require('../../src/utils/spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+
+const cardArbitrary = fc.record({
+  easeFactor: fc.double({ min: MIN_EASE_FACTOR, max: 4, noNaN: true }),
+  interval: fc.integer({ min: 1, max: 365 }),
+  repetitions: fc.integer({ min: 0, max: 20 })
+});
+
+describe('calculateNextReview', () => {
+  it('starts a new card with the default ease and a one-day interval', () => {
+    const next = calculateNextReview({}, 4, now);
+
+    expect(next).toMatchObject({ easeFactor: DEFAULT_EASE_FACTOR, interval: 1, repetitions: 1 });
+    expect(next.dueAt).toEqual(new Date(now.getTime() + DAY_MS));
+    expect(next.lastReviewedAt).toBe(now);
+  });
+
+  it('moves to six days on the second successful review', () => {
+    expect(calculateNextReview({ repetitions: 1, interval: 1 }, 4, now).interval).toBe(6);
+  });
+
+  it('multiplies the interval by the ease factor after that', () => {
+    expect(calculateNextReview({ repetitions: 2, interval: 6, easeFactor: 2.5 }, 4, now).interval).toBe(15);
+  });
+
+  it('resets repetitions and the interval on a lapse', () => {
+    const next = calculateNextReview({ repetitions: 5, interval: 40, easeFactor: 2.5 }, 2, now);
+
+    expect(next.repetitions).toBe(0);
+    expect(next.interval).toBe(1);
+    expect(next.easeFactor).toBeLessThan(2.5);
+  });
+
+  it('never lets the ease factor drop below the floor', () => {
+    expect(calculateNextReview({ easeFactor: MIN_EASE_FACTOR }, 0, now).easeFactor).toBe(MIN_EASE_FACTOR);
+  });
+
+  it('keeps the ease factor at or above the floor for any card and grade', () => {
+    fc.assert(fc.property(cardArbitrary, fc.integer({ min: 0, max: 5 }), (card, quality) => {
+      expect(calculateNextReview(card, quality, now).easeFactor).toBeGreaterThanOrEqual(MIN_EASE_FACTOR);
+    }));
+  });
+
+  it('treats every grade below 3 as a lapse and every other grade as a success', () => {
+    fc.assert(fc.property(cardArbitrary, fc.integer({ min: 0, max: 5 }), (card, quality) => {
+      const next = calculateNextReview(card, quality, now);
+
+      if (quality < 3) {
+        expect(next).toMatchObject({ repetitions: 0, interval: 1 });
+      } else {
+        expect(next.repetitions).toBe(card.repetitions + 1);
+        expect(next.interval).toBeGreaterThanOrEqual(1);
+      }
+    }));
+  });
+
+  it('schedules the card exactly interval days after the review', () => {
+    fc.assert(fc.property(cardArbitrary, fc.integer({ min: 0, max: 5 }), (card, quality) => {
+      const next = calculateNextReview(card, quality, now);
+      expect(next.dueAt.getTime() - now.getTime()).toBe(next.interval * DAY_MS);
+    }));
+  });
+
+  it('raises the ease factor only for perfect recall', () => {
+    expect(calculateNextReview({ easeFactor: 2.5 }, 5, now).easeFactor).toBe(2.6);
+    expect(calculateNextReview({ easeFactor: 2.5 }, 4, now).easeFactor).toBe(2.5);
+    expect(calculateNextReview({ easeFactor: 2.5 }, 3, now).easeFactor).toBeLessThan(2.5);
+  });
+});
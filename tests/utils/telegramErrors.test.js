@@ -0,0 +1,56 @@
+const { DELIVERY_ERRORS, classifyTelegramError, isUndeliverable } = require('../../src/utils/telegramErrors');
+
+/**
+ * Error shaped like a Telegraf TelegramError
+ * @param {number} status - Bot API error_code
+ * @param {string} description - Bot API description
+ * @param {Object} [parameters] - Bot API response parameters
+ * @returns {Error}
+ */
+function telegramError(status, description, parameters) {
+  return Object.assign(new Error(description), { response: { ok: false, error_code: status, description, parameters } });
+}
+
+describe('classifyTelegramError', () => {
+  it('reads 403 as a user who blocked the bot', () => {
+    expect(classifyTelegramError(telegramError(403, 'Forbidden: bot was blocked by the user')))
+      .toEqual({ kind: DELIVERY_ERRORS.BLOCKED, description: 'Forbidden: bot was blocked by the user' });
+  });
+
+  it('reads a 400 about a missing chat as chat not found', () => {
+    expect(classifyTelegramError(telegramError(400, 'Bad Request: chat not found')).kind).toBe(DELIVERY_ERRORS.CHAT_NOT_FOUND);
+    expect(classifyTelegramError(telegramError(400, 'Bad Request: PEER_ID_INVALID')).kind).toBe(DELIVERY_ERRORS.CHAT_NOT_FOUND);
+  });
+
+  it('reads other 400s as permanent', () => {
+    expect(classifyTelegramError(telegramError(400, 'Bad Request: message is too long')).kind).toBe(DELIVERY_ERRORS.PERMANENT);
+  });
+
+  it('reads 429 as rate limited and converts retry_after to ms', () => {
+    expect(classifyTelegramError(telegramError(429, 'Too Many Requests: retry after 5', { retry_after: 5 })))
+      .toEqual({ kind: DELIVERY_ERRORS.RATE_LIMITED, retryAfterMs: 5000, description: 'Too Many Requests: retry after 5' });
+  });
+
+  it('waits a second when a 429 carries no retry_after', () => {
+    expect(classifyTelegramError(telegramError(429, 'Too Many Requests')).retryAfterMs).toBe(1000);
+  });
+
+  it('reads server and network errors as transient', () => {
+    expect(classifyTelegramError(telegramError(502, 'Bad Gateway')).kind).toBe(DELIVERY_ERRORS.TRANSIENT);
+    expect(classifyTelegramError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).kind).toBe(DELIVERY_ERRORS.TRANSIENT);
+  });
+
+  it('reads unknown errors without a status as permanent', () => {
+    expect(classifyTelegramError(new Error('Unexpected token')).kind).toBe(DELIVERY_ERRORS.PERMANENT);
+  });
+});
+
+describe('isUndeliverable', () => {
+  it('is true only for blocked bots and missing chats', () => {
+    expect(isUndeliverable(DELIVERY_ERRORS.BLOCKED)).toBe(true);
+    expect(isUndeliverable(DELIVERY_ERRORS.CHAT_NOT_FOUND)).toBe(true);
+    expect(isUndeliverable(DELIVERY_ERRORS.RATE_LIMITED)).toBe(false);
+    expect(isUndeliverable(DELIVERY_ERRORS.TRANSIENT)).toBe(false);
+    expect(isUndeliverable(DELIVERY_ERRORS.PERMANENT)).toBe(false);
+  });
+});
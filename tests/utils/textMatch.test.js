@@ -0,0 +1,82 @@
+const fc = require('fast-check');
+const { normalizeText, editDistance, matchAnswer } = require('../../src/utils/textMatch');
+
+describe('normalizeText', () => {
+  it('lowercases, strips diacritics and punctuation and collapses whitespace', () => {
+    expect(normalizeText('  ¡Buenos   DÍAS!  ')).toBe('buenos dias');
+  });
+
+  it('keeps non-Latin letters', () => {
+    expect(normalizeText('Привет, мир!')).toBe('привет мир');
+    expect(normalizeText('שָׁלוֹם')).toBe('שלום');
+  });
+
+  it('treats missing input as empty', () => {
+    expect(normalizeText(undefined)).toBe('');
+    expect(normalizeText(null)).toBe('');
+  });
+
+  it('is idempotent', () => {
+    fc.assert(fc.property(fc.string(), text => {
+      expect(normalizeText(normalizeText(text))).toBe(normalizeText(text));
+    }));
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+    expect(editDistance(['a', 'b'], ['a', 'c'])).toBe(1);
+  });
+
+  it('is zero only for equal sequences', () => {
+    fc.assert(fc.property(fc.string(), fc.string(), (a, b) => {
+      expect(editDistance(a, b) === 0).toBe(a === b);
+    }));
+  });
+
+  it('is symmetric and bounded by the longer length', () => {
+    fc.assert(fc.property(fc.string(), fc.string(), (a, b) => {
+      const distance = editDistance(a, b);
+      expect(editDistance(b, a)).toBe(distance);
+      expect(distance).toBeLessThanOrEqual(Math.max(a.length, b.length));
+      expect(distance).toBeGreaterThanOrEqual(Math.abs(a.length - b.length));
+    }));
+  });
+});
+
+describe('matchAnswer', () => {
+  it('accepts an exact answer', () => {
+    expect(matchAnswer('hola', 'hola')).toEqual({ correct: true, exact: true, distance: 0 });
+  });
+
+  it('ignores case, accents and punctuation without calling it exact', () => {
+    expect(matchAnswer('Buenos dias', 'buenos días!')).toMatchObject({ correct: true, exact: false, distance: 0 });
+  });
+
+  it('tolerates one typo in a medium answer and two in a long one', () => {
+    expect(matchAnswer('gracia', 'gracias').correct).toBe(true);
+    expect(matchAnswer('mucho gusot', 'mucho gusto').correct).toBe(true);
+  });
+
+  it('counts swapped letters as two typos', () => {
+    expect(matchAnswer('gracais', 'gracias')).toMatchObject({ correct: false, distance: 2 });
+  });
+
+  it('tolerates no typo in a short answer', () => {
+    expect(matchAnswer('si', 'sí').correct).toBe(true);
+    expect(matchAnswer('no', 'yo').correct).toBe(false);
+  });
+
+  it('rejects an empty answer', () => {
+    expect(matchAnswer('', '').correct).toBe(false);
+    expect(matchAnswer('  !? ', 'hola').correct).toBe(false);
+  });
+
+  it('accepts any non-empty answer compared with itself', () => {
+    fc.assert(fc.property(fc.string().filter(text => normalizeText(text).length > 0), text => {
+      expect(matchAnswer(text, text).correct).toBe(true);
+    }));
+  });
+});
@@ -0,0 +1,120 @@
+const fc = require('fast-check');
+const {
+  COMMON_TIME_ZONES,
+  normalizeTimeZone,
+  isValidTimeZone,
+  guessTimeZone,
+  userTimeZone,
+  zonedTime,
+  zonedTimeToDate
+} = require('../../src/utils/timeZones');
+
+/**
+ * Wall-clock time as HH:MM
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @returns {string}
+ */
+function clock(hour, minute) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+describe('normalizeTimeZone', () => {
+  it('returns the canonical name whatever the case', () => {
+    expect(normalizeTimeZone('europe/berlin')).toBe('Europe/Berlin');
+    expect(normalizeTimeZone('  Asia/Jerusalem ')).toBe('Asia/Jerusalem');
+  });
+
+  it('is null for unknown or missing timezones', () => {
+    expect(normalizeTimeZone('Berlin')).toBeNull();
+    expect(normalizeTimeZone('')).toBeNull();
+    expect(normalizeTimeZone(undefined)).toBeNull();
+    expect(normalizeTimeZone(42)).toBeNull();
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts every timezone offered as a button', () => {
+    COMMON_TIME_ZONES.forEach(timeZone => expect(isValidTimeZone(timeZone)).toBe(true));
+  });
+
+  it('rejects city names without a region', () => {
+    expect(isValidTimeZone('Moscow')).toBe(false);
+  });
+});
+
+describe('guessTimeZone', () => {
+  it('uses the timezone of the native language', () => {
+    expect(guessTimeZone('ru')).toBe('Europe/Moscow');
+  });
+
+  it('falls back to the default timezone for unknown languages', () => {
+    expect(guessTimeZone('xx')).toBe('UTC');
+  });
+});
+
+describe('userTimeZone', () => {
+  it('reads the timezone from the settings', () => {
+    expect(userTimeZone({ settings: { timezone: 'Asia/Jerusalem' } })).toBe('Asia/Jerusalem');
+  });
+
+  it('falls back to the default timezone when missing or invalid', () => {
+    expect(userTimeZone({})).toBe('UTC');
+    expect(userTimeZone(null)).toBe('UTC');
+    expect(userTimeZone({ settings: { timezone: 'Nowhere/Town' } })).toBe('UTC');
+  });
+});
+
+describe('zonedTime', () => {
+  it('splits an instant into the wall-clock day and time of a timezone', () => {
+    expect(zonedTime(new Date('2026-01-01T22:30:00Z'), 'Asia/Jerusalem'))
+      .toEqual({ dateKey: '2026-01-02', hour: 0, minute: 30, time: '00:30' });
+  });
+
+  it('reads midnight as hour zero', () => {
+    expect(zonedTime(new Date('2026-06-01T00:00:00Z'), 'UTC').time).toBe('00:00');
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('follows the offset in effect on the day', () => {
+    expect(zonedTimeToDate('2026-03-07', '09:00', 'America/New_York').toISOString()).toBe('2026-03-07T14:00:00.000Z');
+    expect(zonedTimeToDate('2026-03-08', '09:00', 'America/New_York').toISOString()).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  it('handles offsets that are not whole hours', () => {
+    expect(zonedTimeToDate('2026-01-01', '09:00', 'Asia/Kolkata').toISOString()).toBe('2026-01-01T03:30:00.000Z');
+    expect(zonedTimeToDate('2026-01-01', '00:15', 'Asia/Kathmandu').toISOString()).toBe('2025-12-31T18:30:00.000Z');
+  });
+
+  it('moves times skipped by a DST change to just after the gap', () => {
+    const newYork = zonedTimeToDate('2026-03-08', '02:30', 'America/New_York');
+    const berlin = zonedTimeToDate('2026-03-29', '02:30', 'Europe/Berlin');
+
+    expect(newYork.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(zonedTime(newYork, 'America/New_York').time).toBe('03:30');
+    expect(berlin.toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    expect(zonedTime(berlin, 'Europe/Berlin').time).toBe('03:30');
+  });
+
+  it('picks the first of two instants when clocks go back', () => {
+    expect(zonedTimeToDate('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  it('lands on the requested day and time, or later that day inside a DST gap', () => {
+    fc.assert(fc.property(
+      fc.constantFrom(...COMMON_TIME_ZONES, 'Asia/Kolkata', 'Australia/Lord_Howe'),
+      fc.date({ min: new Date('2024-01-01T00:00:00Z'), max: new Date('2028-12-31T00:00:00Z'), noInvalidDate: true }),
+      fc.integer({ min: 0, max: 23 }),
+      fc.integer({ min: 0, max: 59 }),
+      (timeZone, day, hour, minute) => {
+        const dateKey = day.toISOString().slice(0, 10);
+        const time = clock(hour, minute);
+        const shown = zonedTime(zonedTimeToDate(dateKey, time, timeZone), timeZone);
+        const inGap = shown.time !== time;
+
+        return shown.dateKey === dateKey && (!inGap || shown.time > time);
+      }
+    ));
+  });
+});
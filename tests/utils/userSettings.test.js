@@ -0,0 +1,50 @@
+const { pauseEndDate, parsePauseDate, isLessonPaused } = require('../../src/utils/userSettings');
+
+// 23:30 on the 10th in UTC is already the 11th in Jerusalem
+const NOW = new Date('2026-01-10T23:30:00Z');
+const JERUSALEM = { settings: { timezone: 'Asia/Jerusalem' } };
+const UTC = { settings: { timezone: 'UTC' } };
+
+describe('pauseEndDate', () => {
+  it('counts the days from today in the user\'s timezone', () => {
+    expect(pauseEndDate(UTC, 7, NOW)).toBe('2026-01-17');
+    expect(pauseEndDate(JERUSALEM, 7, NOW)).toBe('2026-01-18');
+  });
+});
+
+describe('parsePauseDate', () => {
+  it('accepts a day after today', () => {
+    expect(parsePauseDate(UTC, '2026-01-11', NOW)).toBe('2026-01-11');
+  });
+
+  it('rejects today and days in the past, in the user\'s timezone', () => {
+    expect(parsePauseDate(UTC, '2026-01-10', NOW)).toBeNull();
+    expect(parsePauseDate(UTC, '2025-12-31', NOW)).toBeNull();
+    expect(parsePauseDate(JERUSALEM, '2026-01-11', NOW)).toBeNull();
+  });
+
+  it('rejects days that do not exist or are not YYYY-MM-DD', () => {
+    expect(parsePauseDate(UTC, '2026-02-30', NOW)).toBeNull();
+    expect(parsePauseDate(UTC, '11.01.2026', NOW)).toBeNull();
+    expect(parsePauseDate(UTC, undefined, NOW)).toBeNull();
+  });
+
+  it('rejects pauses longer than a year', () => {
+    expect(parsePauseDate(UTC, '2027-01-10', NOW)).toBe('2027-01-10');
+    expect(parsePauseDate(UTC, '2027-01-11', NOW)).toBeNull();
+  });
+});
+
+describe('isLessonPaused', () => {
+  it('is paused until the resume day starts in the user\'s timezone', () => {
+    const user = { settings: { timezone: 'Asia/Jerusalem', pausedUntil: '2026-01-11' } };
+
+    expect(isLessonPaused(user, new Date('2026-01-10T21:59:00Z'))).toBe(true);
+    expect(isLessonPaused(user, new Date('2026-01-10T22:00:00Z'))).toBe(false);
+  });
+
+  it('is not paused without a pause date', () => {
+    expect(isLessonPaused(UTC, NOW)).toBe(false);
+    expect(isLessonPaused({}, NOW)).toBe(false);
+  });
+});